@@ -29,8 +29,10 @@ import { connectMongoDB, closeMongoDB } from './config/database/mongodb.js';
 // ✅ Routers (montaje explícito requerido)
 import templateRoutes from './routes/template.routes.js';
 import businessRoutes from './routes/business.routes.js';
+import siteRoutes from './routes/site.routes.js';
 // Si además tienes un index con otras rutas (auth, users, etc.), mantenlo:
 import apiRoutes from './routes/index.js';
+import { startScheduler } from './jobs/index.js';
 
 // Pull environment constants (fallbacks included)
 const { PORT = 3001, NODE_ENV = 'development' } = constants || {};
@@ -245,6 +247,9 @@ app.use('/api/business', ensureDb, businessRoutes);
  */
 app.use('/api', ensureDb, apiRoutes);
 
+// Sitios públicos de los negocios (HTML, fuera de /api)
+app.use('/sites', ensureDb, siteRoutes);
+
 // ─────────────────────────────────────────────────────────────
 // Static (SOLO en dev local, NO en Vercel)
 // ─────────────────────────────────────────────────────────────
@@ -315,6 +320,9 @@ export const startServer = async () => {
     systemLogger.startup?.(effPort);
   });
 
+  // Recordatorios y demás tareas en proceso (en Vercel las dispara el cron HTTP)
+  startScheduler();
+
   server.timeout = 30000;
   server.keepAliveTimeout = 65000;
   server.headersTimeout = 66000;
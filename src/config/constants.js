@@ -5,6 +5,61 @@ export const USER_ROLES = {
   ADMIN: 'admin'
 };
 
+// ============== EQUIPO DE UN NEGOCIO ==============
+// Rol dentro de un negocio (independiente de USER_ROLES). El dueño es Business.owner.
+export const BUSINESS_MEMBER_ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  RECEPTIONIST: 'receptionist',
+  STAFF: 'staff'
+};
+
+export const BUSINESS_MEMBER_STATUS = {
+  PENDING: 'pending',   // Invitación enviada, sin aceptar
+  ACTIVE: 'active',
+  REVOKED: 'revoked'
+};
+
+export const BUSINESS_PERMISSIONS = {
+  VIEW: 'business:view',
+  EDIT: 'business:edit',
+  PUBLISH: 'business:publish',
+  DELETE: 'business:delete',
+  TEAM_MANAGE: 'team:manage',
+  STAFF_MANAGE: 'staff:manage',
+  SERVICES_MANAGE: 'services:manage',
+  CLOSURES_MANAGE: 'closures:manage',
+  RESERVATIONS_VIEW: 'reservations:view',
+  RESERVATIONS_MANAGE: 'reservations:manage',
+  REPORTS_VIEW: 'reports:view',
+  REVIEWS_REPLY: 'reviews:reply'
+};
+
+export const BUSINESS_ROLE_PERMISSIONS = {
+  owner: Object.values(BUSINESS_PERMISSIONS),
+  manager: [
+    BUSINESS_PERMISSIONS.VIEW,
+    BUSINESS_PERMISSIONS.EDIT,
+    BUSINESS_PERMISSIONS.STAFF_MANAGE,
+    BUSINESS_PERMISSIONS.SERVICES_MANAGE,
+    BUSINESS_PERMISSIONS.CLOSURES_MANAGE,
+    BUSINESS_PERMISSIONS.RESERVATIONS_VIEW,
+    BUSINESS_PERMISSIONS.RESERVATIONS_MANAGE,
+    BUSINESS_PERMISSIONS.REPORTS_VIEW,
+    BUSINESS_PERMISSIONS.REVIEWS_REPLY
+  ],
+  receptionist: [
+    BUSINESS_PERMISSIONS.VIEW,
+    BUSINESS_PERMISSIONS.CLOSURES_MANAGE,
+    BUSINESS_PERMISSIONS.RESERVATIONS_VIEW,
+    BUSINESS_PERMISSIONS.RESERVATIONS_MANAGE
+  ],
+  staff: [
+    BUSINESS_PERMISSIONS.VIEW,
+    BUSINESS_PERMISSIONS.RESERVATIONS_VIEW
+  ]
+};
+
 // ============== ESTADOS DE RESERVAS ==============
 export const RESERVATION_STATUS = {
   PENDING: 'pending',
@@ -14,6 +69,29 @@ export const RESERVATION_STATUS = {
   NO_SHOW: 'no_show'
 };
 
+// Transiciones permitidas entre estados de reserva
+export const RESERVATION_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'no_show', 'cancelled'],
+  cancelled: [],
+  completed: [],
+  no_show: []
+};
+
+// Roles que pueden llevar una reserva a cada estado ('guest' = enlace de gestión sin cuenta)
+export const RESERVATION_TRANSITION_ROLES = {
+  confirmed: ['owner', 'admin'],
+  completed: ['owner', 'admin'],
+  no_show: ['owner', 'admin'],
+  cancelled: ['owner', 'admin', 'client', 'guest']
+};
+
+// ============== RESEÑAS ==============
+export const REVIEW_STATUS = {
+  PUBLISHED: 'published',
+  HIDDEN: 'hidden'      // Oculta por moderación (no cuenta en el rating)
+};
+
 // ============== TIPOS DE NEGOCIO ==============
 export const BUSINESS_TYPES = {
   BARBERIA: 'barberia',
@@ -30,6 +108,20 @@ export const BUSINESS_STATUS = {
   DELETED: 'deleted'        // Marcado como eliminado
 };
 
+// ============== PLANES DE NEGOCIO ==============
+export const BUSINESS_PLANS = {
+  FREE: 'free',
+  BASIC: 'basic',
+  PRO: 'pro'
+};
+
+// Funcionalidades incluidas en cada plan (ver services/entitlements.js)
+export const PLAN_FEATURES = {
+  [BUSINESS_PLANS.FREE]:  { premiumTemplates: false },
+  [BUSINESS_PLANS.BASIC]: { premiumTemplates: false },
+  [BUSINESS_PLANS.PRO]:   { premiumTemplates: true }
+};
+
 // ============== DÍAS DE LA SEMANA ==============
 export const WEEKDAYS = {
   MONDAY: 'monday',
@@ -51,6 +143,13 @@ export const WEEKDAYS_SPANISH = {
   sunday: 'Domingo'
 };
 
+// ============== EXCEPCIONES DE HORARIO (CIERRES) ==============
+export const CLOSURE_TYPES = {
+  CLOSED: 'closed',               // Cerrado todo el día (feriado, vacaciones)
+  SPECIAL_HOURS: 'special_hours', // Horario reducido/especial ese día
+  EXTRA_OPEN: 'extra_open'        // Abre un día que normalmente cierra
+};
+
 // ============== TIPOS DE SERVICIOS ==============
 export const SERVICE_TYPES = {
   INDIVIDUAL: 'individual',    // Servicio individual
@@ -81,6 +180,7 @@ export const NOTIFICATION_TYPES = {
   RESERVATION_CREATED: 'reservation_created',
   RESERVATION_CONFIRMED: 'reservation_confirmed',
   RESERVATION_CANCELLED: 'reservation_cancelled',
+  RESERVATION_RESCHEDULED: 'reservation_rescheduled',
   RESERVATION_REMINDER: 'reservation_reminder',
   BUSINESS_APPROVED: 'business_approved',
   BUSINESS_SUSPENDED: 'business_suspended',
@@ -110,7 +210,16 @@ export const APP_LIMITS = {
   MAX_BUSINESS_NAME_LENGTH: 100,
   MAX_SERVICE_NAME_LENGTH: 80,
   MIN_PASSWORD_LENGTH: 8,
-  MAX_PHONE_LENGTH: 20
+  MAX_PHONE_LENGTH: 20,
+  MAX_FAVORITE_BUSINESSES: 50,
+  MAX_BUSINESSES_PER_OWNER: 10,
+  MAX_TEAM_MEMBERS: 25, // Miembros e invitaciones pendientes por negocio
+  MAX_REVIEW_COMMENT_LENGTH: 1000,
+  MAX_REVIEW_REPLY_LENGTH: 1000,
+  MAX_TEMPLATE_VERSION_NOTES_LENGTH: 500,
+  MAX_TEMPLATE_REVIEW_COMMENT_LENGTH: 500,
+  DEFAULT_SEARCH_RADIUS_KM: 10, // Búsqueda de negocios por distancia (?near=)
+  MAX_SEARCH_RADIUS_KM: 100
 };
 
 // ============== TIPOS DE ARCHIVO PERMITIDOS ==============
@@ -143,6 +252,28 @@ export const TIME_CONFIG = {
   },
   SESSION_TIMEOUT: {
     MINUTES: 60                // Sesión expira en 1 hora de inactividad
+  },
+  REMINDERS: {
+    DEFAULT_OFFSETS_HOURS: [24, 2], // Recordatorios 24h y 2h antes de la cita
+    MAX_OFFSETS: 3,
+    MAX_OFFSET_HOURS: 72,
+    JOB_INTERVAL_MINUTES: 5,   // Frecuencia del scheduler en proceso
+    LOCK_TTL_MINUTES: 10       // Vigencia del lock si una instancia muere a medio proceso
+  },
+  DAILY_DIGEST: {
+    LOCAL_HOUR: 7,             // Resumen del día al dueño a partir de las 7:00 (hora del negocio)
+    JOB_INTERVAL_MINUTES: 30,
+    LOCK_TTL_MINUTES: 10
+  },
+  EMAIL_VERIFICATION: {
+    TOKEN_TTL_HOURS: 24,
+    RESEND_COOLDOWN_MINUTES: 2 // Espera mínima entre reenvíos del email de verificación
+  },
+  TEAM_INVITATION: {
+    TOKEN_TTL_HOURS: 72
+  },
+  REVIEWS: {
+    WINDOW_DAYS: 60            // Días tras la cita para dejar la reseña
   }
 };
 
@@ -164,6 +295,7 @@ export const ERROR_MESSAGES = {
   EMAIL_ALREADY_EXISTS: 'El email ya está registrado',
   INVALID_TOKEN: 'Token inválido o expirado',
   ACCESS_DENIED: 'Acceso denegado',
+  EMAIL_NOT_VERIFIED: 'Debes verificar tu email para continuar',
   
   // Validación
   REQUIRED_FIELD: 'Este campo es requerido',
@@ -175,6 +307,9 @@ export const ERROR_MESSAGES = {
   // Negocio
   BUSINESS_NOT_FOUND: 'Negocio no encontrado',
   BUSINESS_INACTIVE: 'Negocio inactivo',
+  BUSINESS_ACCESS_DENIED: 'No tienes permisos para acceder a este negocio',
+  PREMIUM_TEMPLATE_REQUIRES_PLAN: 'Este template es premium: el plan del negocio no lo incluye',
+  MAX_BUSINESSES_EXCEEDED: `Máximo ${APP_LIMITS.MAX_BUSINESSES_PER_OWNER} negocios por cuenta`,
   MAX_SERVICES_EXCEEDED: `Máximo ${APP_LIMITS.MAX_SERVICES_PER_BUSINESS} servicios por negocio`,
   
   // Reservas
@@ -230,6 +365,17 @@ export const TEMPLATE_CATEGORIES = {
   PROFESSIONAL: 'professional'
 };
 
+// ============== MARKETPLACE DE TEMPLATES ==============
+export const TEMPLATE_MARKETPLACE = {
+  SORTS: ['popular', 'rating', 'newest', 'name'],
+  // Orden por rating: a las reseñas de cada template se suman RATING_PRIOR_COUNT
+  // reseñas "virtuales" de RATING_PRIOR_MEAN estrellas (pocas reseñas pesan menos)
+  RATING_PRIOR_COUNT: 5,
+  RATING_PRIOR_MEAN: 3,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50
+};
+
 // ============== PAÍSES SOPORTADOS ==============
 export const SUPPORTED_COUNTRIES = {
   CR: {
@@ -255,6 +401,57 @@ export const SUPPORTED_COUNTRIES = {
   }
 };
 
+// ============== IDIOMAS SOPORTADOS ==============
+export const SUPPORTED_LANGUAGES = {
+  ES: 'es',
+  EN: 'en'
+};
+
+export const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.ES;
+
+// ============== AUTENTICACIÓN EN DOS PASOS (TOTP) ==============
+export const TWO_FACTOR = {
+  ISSUER: 'MiSitioFácil',
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  WINDOW: 1,                      // Pasos de tolerancia (±30s) por desfase de reloj
+  BACKUP_CODES: 10,
+  CHALLENGE_EXPIRES_IN: '5m',     // Token intermedio entre contraseña y código
+  ALLOWED_ROLES: [USER_ROLES.OWNER, USER_ROLES.ADMIN],
+  REQUIRED_ROLES: [USER_ROLES.ADMIN]
+};
+
+// ============== BÚSQUEDA (MARKETPLACE) ==============
+export const SEARCH = {
+  MIN_QUERY_LENGTH: 2,
+  MATCH_THRESHOLD: 0.6,     // Fracción mínima de trigramas de la consulta (tolera errores de tipeo)
+  MAX_CANDIDATES: 1000,     // Negocios evaluados por búsqueda (facetas y cursor se calculan sobre ellos)
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  MAX_MATCHED_SERVICES: 3,  // Servicios coincidentes que se devuelven por negocio
+  RATING_STEPS: [4, 3, 2],  // Facetas "4+ estrellas", ...
+  // Rangos de precio "desde" del negocio (moneda de la búsqueda, CRC por defecto)
+  PRICE_RANGES: [
+    { key: 'low', min: 0, max: 10000 },
+    { key: 'medium', min: 10000, max: 25000 },
+    { key: 'high', min: 25000, max: 50000 },
+    { key: 'premium', min: 50000, max: null }
+  ]
+};
+
+// ============== SITIOS PÚBLICOS (CÓDIGO PERSONALIZADO) ==============
+export const SITE_CUSTOM_CODE = {
+  // Hosts desde los que customJS puede cargar scripts y a los que puede conectarse (CSP)
+  SCRIPT_HOSTS: [
+    'www.googletagmanager.com',
+    'www.google-analytics.com',
+    'connect.facebook.net',
+    'analytics.tiktok.com'
+  ],
+  // APIs del navegador que customJS no puede usar
+  BLOCKED_JS_APIS: ['eval', 'Function', 'document.cookie', 'localStorage', 'sessionStorage', 'indexedDB', 'document.write']
+};
+
 // ============== CONFIGURACIÓN API ==============
 export const API_CONFIG = {
   VERSION: 'v1',
@@ -272,11 +469,21 @@ export const API_CONFIG = {
 // ============== EXPORTS AGRUPADOS ==============
 export const CONSTANTS = {
   USER_ROLES,
+  BUSINESS_MEMBER_ROLES,
+  BUSINESS_MEMBER_STATUS,
+  BUSINESS_PERMISSIONS,
+  BUSINESS_ROLE_PERMISSIONS,
   RESERVATION_STATUS,
+  RESERVATION_TRANSITIONS,
+  RESERVATION_TRANSITION_ROLES,
+  REVIEW_STATUS,
   BUSINESS_TYPES,
   BUSINESS_STATUS,
+  BUSINESS_PLANS,
+  PLAN_FEATURES,
   WEEKDAYS,
   WEEKDAYS_SPANISH,
+  CLOSURE_TYPES,
   SERVICE_TYPES,
   SERVICE_DURATIONS,
   PAYMENT_METHODS,
@@ -291,7 +498,13 @@ export const CONSTANTS = {
   SUCCESS_MESSAGES,
   THEME_COLORS,
   TEMPLATE_CATEGORIES,
+  TEMPLATE_MARKETPLACE,
   SUPPORTED_COUNTRIES,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TWO_FACTOR,
+  SEARCH,
+  SITE_CUSTOM_CODE,
   API_CONFIG
 };
 
@@ -221,6 +221,7 @@ const swaggerDefinition = {
                 properties: {
                   email: { type: 'boolean', example: true },
                   sms: { type: 'boolean', example: false },
+                  whatsapp: { type: 'boolean', example: false },
                   push: { type: 'boolean', example: true }
                 }
               }
@@ -258,6 +259,7 @@ const swaggerDefinition = {
                 properties: {
                   email: { type: 'boolean' },
                   sms: { type: 'boolean' },
+                  whatsapp: { type: 'boolean' },
                   push: { type: 'boolean' }
                 }
               }
@@ -350,7 +352,21 @@ const swaggerDefinition = {
           },
           operatingHours: { type: 'object' },
           visualConfig: { type: 'object' },
-          settings: { type: 'object' }
+          settings: { type: 'object' },
+          resources: {
+            type: 'array',
+            description: 'Capacidad en paralelo (sillas, cabinas). Reemplaza la lista completa.',
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string', example: 'Cabina' },
+                quantity: { type: 'integer', minimum: 1, maximum: 100, example: 3 },
+                services: { type: 'array', items: { type: 'string' }, description: 'Vacío = todos los servicios' },
+                isActive: { type: 'boolean', default: true }
+              }
+            }
+          }
         }
       },
       Business: {
@@ -415,6 +431,20 @@ const swaggerDefinition = {
           visualConfig: { type: 'object' },
           settings: { type: 'object' },
           templateId: { type: 'string' },
+          draft: {
+            type: 'object',
+            nullable: true,
+            description: 'Cambios sin publicar de description, visualConfig, socialMedia, logo, coverImage y gallery (solo para el equipo del negocio)',
+            properties: {
+              revision: { type: 'integer' },
+              updatedAt: { type: 'string', format: 'date-time' },
+              updatedBy: { type: 'string' }
+            }
+          },
+          hasUnpublishedChanges: { type: 'boolean' },
+          publishedVersion: { type: 'integer', description: 'Publicación del historial que está en línea' },
+          plan: { type: 'string', enum: ['free', 'basic', 'pro'], description: 'Solo pro incluye templates premium' },
+          planExpiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'Al vencer el negocio vuelve a free' },
           services: { type: 'array', items: { $ref: '#/components/schemas/Service' } },
           stats: {
             type: 'object',
@@ -428,6 +458,19 @@ const swaggerDefinition = {
           updatedAt: { type: 'string', format: 'date-time' }
         }
       },
+      BusinessPublication: {
+        type: 'object',
+        description: 'Publicación del sitio (historial inmutable)',
+        properties: {
+          _id: { type: 'string' },
+          business: { type: 'string' },
+          version: { type: 'integer', example: 3 },
+          snapshot: { type: 'object', description: 'description, visualConfig, socialMedia, logo, coverImage, gallery, templateId, templateVersion, templateOverrides' },
+          revertedFrom: { type: 'integer', description: 'Versión restaurada, si la publicación viene de un revert' },
+          publishedBy: { type: 'object', properties: { _id: { type: 'string' }, fullName: { type: 'string' } } },
+          publishedAt: { type: 'string', format: 'date-time' }
+        }
+      },
       BusinessList: {
         type: 'object',
         properties: {
@@ -566,7 +609,9 @@ const swaggerDefinition = {
               }
             }
           },
-          tags: { type: 'array', items: { type: 'string' }, example: ['universal', 'modern', 'default'] }
+          tags: { type: 'array', items: { type: 'string' }, example: ['universal', 'modern', 'default'] },
+          customCSS: { type: 'string', maxLength: 10000, description: 'Se limita al contenedor del sitio; se rechazan expression(), url(javascript:), @import externo, -moz-binding/behavior y "<"' },
+          customJS: { type: 'string', maxLength: 5000, description: 'Solo puede usar los hosts permitidos (SITE_CUSTOM_CODE.SCRIPT_HOSTS); se ejecuta con nonce de CSP' }
         }
       },
       UpdateTemplateRequest: {
@@ -580,7 +625,9 @@ const swaggerDefinition = {
           defaultConfig: { type: 'object' },
           isPublic: { type: 'boolean' },
           isPremium: { type: 'boolean' },
-          tags: { type: 'array', items: { type: 'string' } }
+          tags: { type: 'array', items: { type: 'string' } },
+          customCSS: { type: 'string', maxLength: 10000, description: 'Se limita al contenedor del sitio; se rechazan expression(), url(javascript:), @import externo, -moz-binding/behavior y "<"' },
+          customJS: { type: 'string', maxLength: 5000, description: 'Solo puede usar los hosts permitidos (SITE_CUSTOM_CODE.SCRIPT_HOSTS); se ejecuta con nonce de CSP' }
         }
       },
       Template: {
@@ -594,14 +641,59 @@ const swaggerDefinition = {
           configSchema: { type: 'object' },
           defaultConfig: { type: 'object' },
           owner: { type: 'string', description: 'User ID del creador', example: '64a7d33a21ddad13814d4d02' },
+          duplicatedFrom: { type: 'string', description: 'Template original si es una copia' },
           isPublic: { type: 'boolean', example: true },
-          isPremium: { type: 'boolean', example: false },
+          isPremium: { type: 'boolean', example: false, description: 'Solo un admin puede cambiarlo. El admin y el autor (no de una copia) lo aplican sin plan' },
           tags: { type: 'array', items: { type: 'string' } },
-          stats: { type: 'object', properties: { timesUsed: { type: 'integer' }, rating: { type: 'number' } } },
+          usage: {
+            type: 'object',
+            properties: {
+              timesUsed: { type: 'integer' },
+              rating: { type: 'number', description: 'Promedio de las reseñas' },
+              reviewCount: { type: 'integer' },
+              ratingScore: { type: 'number', description: 'Rating ponderado que usa sort=rating' }
+            }
+          },
+          locked: { type: 'boolean', description: 'Solo en el listado con businessId: el plan del negocio no incluye este template' },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' }
         }
       },
+      TemplateVersion: {
+        type: 'object',
+        description: 'Versión publicada e inmutable de un template',
+        properties: {
+          _id: { type: 'string' },
+          template: { type: 'string' },
+          version: { type: 'string', example: '1.2.0' },
+          snapshot: { type: 'object', description: 'colors, typography, layout, sections, customCSS, customJS, seoDefaults, accessibility' },
+          notes: { type: 'string' },
+          publishedBy: { type: 'string' },
+          publishedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      TemplateReview: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          template: { type: 'string' },
+          authorName: { type: 'string', example: 'María R.' },
+          rating: { type: 'integer', minimum: 1, maximum: 5 },
+          comment: { type: 'string', nullable: true, maxLength: 500 },
+          isVerified: { type: 'boolean', description: 'El autor tenía un negocio usando el template' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      TemplateChange: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', example: 'sections.gallery.config.maxImages' },
+          change: { type: 'string', enum: ['added', 'removed', 'changed'] },
+          from: {},
+          to: {}
+        }
+      },
       TemplateList: {
         type: 'object',
         properties: {
@@ -811,6 +903,15 @@ const swaggerDefinition = {
               lat: { type: 'number', example: 9.9281 },
               lng: { type: 'number', example: -84.0907 }
             }
+          },
+          point: {
+            type: 'object',
+            readOnly: true,
+            description: 'GeoJSON derivado de coordinates (búsqueda por distancia)',
+            properties: {
+              type: { type: 'string', example: 'Point' },
+              coordinates: { type: 'array', items: { type: 'number' }, example: [-84.0907, 9.9281] }
+            }
           }
         }
       },
@@ -1134,7 +1235,16 @@ const swaggerDefinition = {
         get: {
           tags: ['Templates'],
           summary: 'List public templates',
-          parameters: [{ $ref: '#/components/parameters/PaginationPage' }, { $ref: '#/components/parameters/PaginationLimit' }],
+          parameters: [
+            { $ref: '#/components/parameters/PaginationPage' },
+            { $ref: '#/components/parameters/PaginationLimit' },
+            { in: 'query', name: 'category', schema: { type: 'string' } },
+            { in: 'query', name: 'businessType', schema: { type: 'string' }, description: 'Incluye los templates sin tipo de negocio' },
+            { in: 'query', name: 'premium', schema: { type: 'boolean' } },
+            { in: 'query', name: 'search', schema: { type: 'string' } },
+            { in: 'query', name: 'sort', schema: { type: 'string', enum: ['popular', 'rating', 'newest', 'name'], default: 'popular' } },
+            { in: 'query', name: 'businessId', schema: { type: 'string' }, description: 'Negocio del usuario autenticado: agrega `locked` a cada template' }
+          ],
           responses: {
             200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/TemplateList' } } } }
           }
@@ -1182,6 +1292,125 @@ const swaggerDefinition = {
           }
         }
       },
+      [`${API_PREFIX}/templates/{id}/versions`]: {
+        get: {
+          tags: ['Templates'],
+          summary: 'List published (immutable) versions of a template',
+          parameters: [{ $ref: '#/components/parameters/TemplateIdParam' }],
+          responses: {
+            200: { description: 'OK (sin snapshot)', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { currentVersion: { type: 'string' }, versions: { type: 'array', items: { $ref: '#/components/schemas/TemplateVersion' } } } } } } } } },
+            404: { $ref: '#/components/responses/NotFoundError' }
+          }
+        },
+        post: {
+          tags: ['Templates'],
+          summary: 'Publish the current state of the template as a new version (owner/admin)',
+          description: 'Businesses stay on their pinned version until they upgrade. Returns 409 if nothing changed since the latest version.',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ $ref: '#/components/parameters/TemplateIdParam' }],
+          requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { bump: { type: 'string', enum: ['major', 'minor', 'patch'], default: 'minor' }, notes: { type: 'string', maxLength: 500 } } } } } },
+          responses: {
+            201: { description: 'Published', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { version: { $ref: '#/components/schemas/TemplateVersion' }, businessesBehind: { type: 'integer' } } } } } } } },
+            409: { description: 'No changes since the latest version' }
+          }
+        }
+      },
+      [`${API_PREFIX}/templates/{id}/versions/diff`]: {
+        get: {
+          tags: ['Templates'],
+          summary: 'Diff between two published versions',
+          parameters: [
+            { $ref: '#/components/parameters/TemplateIdParam' },
+            { in: 'query', name: 'from', required: true, schema: { type: 'string', example: '1.0.0' } },
+            { in: 'query', name: 'to', required: true, schema: { type: 'string', example: '1.1.0' } }
+          ],
+          responses: {
+            200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' }, changes: { type: 'array', items: { $ref: '#/components/schemas/TemplateChange' } } } } } } } } },
+            404: { $ref: '#/components/responses/NotFoundError' }
+          }
+        }
+      },
+      [`${API_PREFIX}/templates/{id}/versions/{version}`]: {
+        get: {
+          tags: ['Templates'],
+          summary: 'Get a published version with its snapshot',
+          parameters: [
+            { $ref: '#/components/parameters/TemplateIdParam' },
+            { in: 'path', name: 'version', required: true, schema: { type: 'string', example: '1.0.0' } }
+          ],
+          responses: {
+            200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { version: { $ref: '#/components/schemas/TemplateVersion' } } } } } } } },
+            404: { $ref: '#/components/responses/NotFoundError' }
+          }
+        }
+      },
+      [`${API_PREFIX}/templates/{id}/reviews`]: {
+        get: {
+          tags: ['Templates'],
+          summary: 'List reviews of a public template',
+          parameters: [
+            { $ref: '#/components/parameters/TemplateIdParam' },
+            { $ref: '#/components/parameters/PaginationPage' },
+            { $ref: '#/components/parameters/PaginationLimit' },
+            { in: 'query', name: 'rating', schema: { type: 'integer', minimum: 1, maximum: 5 } },
+            { in: 'query', name: 'sort', schema: { type: 'string', enum: ['recent', 'highest', 'lowest'], default: 'recent' } }
+          ],
+          responses: {
+            200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { reviews: { type: 'array', items: { $ref: '#/components/schemas/TemplateReview' } }, summary: { type: 'object', properties: { averageRating: { type: 'number' }, reviewCount: { type: 'integer' }, distribution: { type: 'object' } } }, pagination: { $ref: '#/components/schemas/PaginationMeta' } } } } } } } },
+            404: { $ref: '#/components/responses/NotFoundError' }
+          }
+        }
+      },
+      [`${API_PREFIX}/templates/{id}/reviews/mine`]: {
+        get: {
+          tags: ['Templates'],
+          summary: 'Get my review of a template',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ $ref: '#/components/parameters/TemplateIdParam' }],
+          responses: {
+            200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { review: { $ref: '#/components/schemas/TemplateReview' } } } } } } } },
+            404: { $ref: '#/components/responses/NotFoundError' }
+          }
+        },
+        put: {
+          tags: ['Templates'],
+          summary: 'Create or replace my review (one per owner)',
+          description: 'Only public templates; the author cannot review their own template.',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ $ref: '#/components/parameters/TemplateIdParam' }],
+          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['rating'], properties: { rating: { type: 'integer', minimum: 1, maximum: 5 }, comment: { type: 'string', maxLength: 500 } } } } } },
+          responses: {
+            200: { description: 'Updated' },
+            201: { description: 'Created', content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, data: { type: 'object', properties: { review: { $ref: '#/components/schemas/TemplateReview' } } } } } } } },
+            400: { $ref: '#/components/responses/ValidationError' },
+            403: { $ref: '#/components/responses/ForbiddenError' }
+          }
+        },
+        delete: {
+          tags: ['Templates'],
+          summary: 'Delete my review',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ $ref: '#/components/parameters/TemplateIdParam' }],
+          responses: {
+            200: { description: 'Deleted' },
+            404: { $ref: '#/components/responses/NotFoundError' }
+          }
+        }
+      },
+      [`${API_PREFIX}/templates/{id}/analytics`]: {
+        get: {
+          tags: ['Templates'],
+          summary: 'Usage analytics of a template (author/admin)',
+          description: 'Times applied, businesses by status and by pinned version, and rating distribution.',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ $ref: '#/components/parameters/TemplateIdParam' }],
+          responses: {
+            200: { description: 'OK' },
+            403: { $ref: '#/components/responses/ForbiddenError' },
+            404: { $ref: '#/components/responses/NotFoundError' }
+          }
+        }
+      },
 
       // ---------- RESERVATIONS ----------
       [`${API_PREFIX}/reservations`]: {
@@ -6,7 +6,7 @@ import { config } from './index.js';
 const createTransporter = () => {
   // Para desarrollo (Ethereal Email - emails de prueba)
   if (process.env.NODE_ENV === 'development') {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: 'smtp.ethereal.email',
       port: 587,
       auth: {
@@ -17,7 +17,7 @@ const createTransporter = () => {
   }
 
   // Para producción (Gmail, SendGrid, etc.)
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST || 'smtp.gmail.com',
     port: parseInt(process.env.EMAIL_PORT) || 587,
     secure: false, // true para 465, false para otros puertos
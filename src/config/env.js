@@ -51,6 +51,16 @@ const OPTIONAL_VARS = {
   RATE_LIMIT_MAX_REQUESTS: '100',
   BCRYPT_ROUNDS: '12',
 
+  // Notificaciones: 'live' usa los canales configurados; 'console' solo los registra
+  NOTIFICATIONS_DRIVER: 'live',
+
+  // Tareas programadas (recordatorios)
+  JOBS_ENABLED: 'true', // scheduler en proceso; en Vercel se usa el cron HTTP
+  CRON_SECRET: '',      // Vercel envía Authorization: Bearer <CRON_SECRET>
+
+  // 2FA: clave para cifrar los secretos TOTP (si falta se deriva de JWT_SECRET)
+  TWO_FACTOR_ENCRYPTION_KEY: '',
+
   // Logging
   LOG_LEVEL: 'info',
   LOG_FILE: 'logs/app.log',
@@ -119,6 +129,11 @@ function validateSpecificVars(errors, warnings) {
     warnings.push('⚠️  STORAGE_TYPE=local en Vercel usa FS efímero. Considera Cloudinary/S3 para persistencia.');
   }
 
+  // Cron de Vercel sin secreto: solo un admin podrá disparar las tareas
+  if (IS_VERCEL && !process.env.CRON_SECRET) {
+    warnings.push('⚠️  CRON_SECRET no definido; el cron de Vercel no podrá ejecutar los recordatorios.');
+  }
+
   // Logging en Vercel
   if (IS_VERCEL && process.env.LOG_FILE && !process.env.LOG_FILE.startsWith('/tmp')) {
     warnings.push('⚠️  LOG_FILE ignorado en Vercel (FS efímero). Usa consola o /tmp si insistes.');
@@ -1,67 +1,64 @@
 // src/controllers/auth.controller.js
 import User from '../models/user.js';
 import {
-  generateToken,
-  generateRefreshToken,
-  verifyRefreshToken,
-} from '../middleware/auth.js';
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  getSessionIdFromRefreshToken,
+} from '../services/sessions.js';
 
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import {
   ValidationError,
   AuthenticationError,
-  ConflictError,
+  RateLimitError,
   throwIfNotFound,
 } from '../middleware/errorHandler.js';
 
+import {
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+} from '../middleware/auth.js';
+
 import { constants, logger } from '../config/index.js';
+import {
+  loadUserWithTwoFactor,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor as turnOffTwoFactor,
+} from '../services/twoFactor.js';
+import {
+  registerUser,
+  sendVerificationEmail,
+  linkGuestReservations,
+} from '../services/accounts.js';
 
 const {
   SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
   APP_LIMITS,
   VALIDATION_PATTERNS,
   USER_ROLES,
+  TIME_CONFIG,
 } = constants;
 
 /* ─────────────────────────────────────────────────────────────
- * REGISTRO
+ * REGISTRO (dueño por defecto; role=client para cuentas de clientes)
  * ────────────────────────────────────────────────────────────*/
 export const register = asyncHandler(async (req, res) => {
-  const { fullName, email, password } = req.body || {};
-
-  if (!fullName || !email || !password) {
-    throw new ValidationError('Todos los campos son requeridos');
-  }
-  if (!VALIDATION_PATTERNS.EMAIL.test(String(email))) {
-    throw new ValidationError('Formato de email inválido');
-  }
-  if (String(password).length < APP_LIMITS.MIN_PASSWORD_LENGTH) {
-    throw new ValidationError(`La contraseña debe tener al menos ${APP_LIMITS.MIN_PASSWORD_LENGTH} caracteres`);
-  }
-  if (VALIDATION_PATTERNS.PASSWORD && !VALIDATION_PATTERNS.PASSWORD.test(String(password))) {
-    // Solo si definiste un patrón fuerte en constants
-    throw new ValidationError('La contraseña debe contener al menos una mayúscula, una minúscula, un número y un carácter especial');
-  }
-
-  const exists = await User.exists({ email: String(email).toLowerCase().trim() });
-  if (exists) throw new ConflictError('El email ya está registrado');
-
-  // ✅ Como pediste: rol OWNER y virtual password
-  const user = new User({
-    fullName: String(fullName).trim(),
-    email: String(email).toLowerCase().trim(),
-    role: USER_ROLES.OWNER,
+  const { fullName, email, password, phone, role } = req.body || {};
+
+  const user = await registerUser({
+    fullName,
+    email,
+    password,
+    phone,
+    role: role || USER_ROLES.OWNER,
   });
-  user.password = String(password); // Virtual que setea passwordHash
-
-  try {
-    await user.save();
-  } catch (e) {
-    if (e?.code === 11000) {
-      throw new ConflictError('El email ya está registrado');
-    }
-    throw e;
-  }
 
   logger.info('Usuario registrado', {
     userId: user._id,
@@ -70,8 +67,7 @@ export const register = asyncHandler(async (req, res) => {
     ip: req.ip,
   });
 
-  const token = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
+  const { token, refreshToken } = await createSession(user, req);
 
   // Respuesta compatible con tu FE
   res.status(201).json({
@@ -91,6 +87,48 @@ export const register = asyncHandler(async (req, res) => {
 /* ─────────────────────────────────────────────────────────────
  * LOGIN
  * ────────────────────────────────────────────────────────────*/
+
+/** Cierra un login correcto (con o sin 2FA): crea la sesión y responde con los tokens */
+const completeLogin = async (user, req, res, extra = {}) => {
+  await user.resetLoginAttempts();
+  await user.recordLogin(req.ip);
+
+  const { token, refreshToken, session } = await createSession(user, req);
+
+  // Reservas hechas como invitado después de verificar el email
+  await linkGuestReservations(user).catch((e) =>
+    logger.warn('No se pudieron vincular reservas de invitado', { userId: user._id, error: e.message })
+  );
+
+  logger.info('Login exitoso', { userId: user._id, email: user.email, ip: req.ip, sessionId: session._id });
+
+  res.json({
+    success: true,
+    message: SUCCESS_MESSAGES?.LOGIN_SUCCESS || 'Login exitoso',
+    user: user.toJSON(),
+    token,
+    refreshToken,
+    data: {
+      user: user.toJSON(),
+      token,
+      refreshToken,
+      ...extra,
+    },
+  });
+};
+
+const assertCanLogin = async (user, req) => {
+  if (user.isLocked) {
+    await user.incLoginAttempts();
+    logger.warn('Intento de login en cuenta bloqueada', { email: user.email, ip: req.ip, lockUntil: user.lockUntil });
+    throw new AuthenticationError('Cuenta bloqueada temporalmente por múltiples intentos fallidos');
+  }
+  if (!user.isActive) {
+    logger.warn('Intento de login en cuenta inactiva', { email: user.email, ip: req.ip });
+    throw new AuthenticationError('Cuenta desactivada');
+  }
+};
+
 export const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body || {};
   if (!email || !password) throw new ValidationError('Email y contraseña son requeridos');
@@ -116,25 +154,153 @@ export const login = asyncHandler(async (req, res) => {
     throw new AuthenticationError('Cuenta desactivada');
   }
 
-  await user.resetLoginAttempts();
-  await user.recordLogin(req.ip);
+  // Segundo paso: la contraseña es correcta pero todavía no se emiten tokens
+  if (user.twoFactor?.enabled) {
+    logger.info('Login pendiente de verificación en dos pasos', { userId: user._id, ip: req.ip });
+    return res.json({
+      success: true,
+      requiresTwoFactor: true,
+      message: 'Ingresa el código de tu app de autenticación',
+      data: {
+        challengeToken: generateTwoFactorChallengeToken(user, 'verify'),
+        methods: ['totp', 'backup_code'],
+      },
+    });
+  }
+
+  if (isTwoFactorRequired(user)) {
+    logger.info('Login pendiente de configurar 2FA obligatorio', { userId: user._id, role: user.role, ip: req.ip });
+    return res.json({
+      success: true,
+      requiresTwoFactorSetup: true,
+      message: 'Tu rol requiere verificación en dos pasos. Configúrala para continuar',
+      data: { challengeToken: generateTwoFactorChallengeToken(user, 'enroll') },
+    });
+  }
+
+  return completeLogin(user, req, res);
+});
 
-  logger.info('Login exitoso', { userId: user._id, email: user.email, ip: req.ip });
+/* ─────────────────────────────────────────────────────────────
+ * VERIFICACIÓN EN DOS PASOS (TOTP)
+ * ────────────────────────────────────────────────────────────*/
+
+/** Segundo paso del login: challengeToken + código TOTP o de respaldo */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body || {};
+  if (!challengeToken) throw new ValidationError('challengeToken es requerido');
+  if (!code && !backupCode) throw new ValidationError('Ingresa el código o un código de respaldo');
 
-  const token = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
+  const { id } = verifyTwoFactorChallengeToken(challengeToken, 'verify');
+  const user = await loadUserWithTwoFactor(id);
+  if (!user) throw new AuthenticationError('Credenciales inválidas');
+  await assertCanLogin(user, req);
 
+  const result = await verifySecondFactor(user, { code, backupCode });
+  if (!result) {
+    await user.incLoginAttempts();
+    logger.warn('Código de verificación en dos pasos inválido', { userId: user._id, ip: req.ip });
+    throw new AuthenticationError('Código inválido');
+  }
+
+  if (result.method === 'backup_code') {
+    logger.warn('Login con código de respaldo', { userId: user._id, ip: req.ip, remaining: result.remainingBackupCodes });
+  }
+
+  return completeLogin(user, req, res, { twoFactor: result });
+});
+
+/**
+ * Usuario que configura 2FA: el de la sesión o, si su rol lo exige y aún no
+ * tiene 2FA, el del challengeToken de enrolamiento que devolvió el login.
+ */
+const resolveEnrollmentUser = async (req) => {
+  const { challengeToken } = req.body || {};
+  if (challengeToken) {
+    const { id } = verifyTwoFactorChallengeToken(challengeToken, 'enroll');
+    const user = await loadUserWithTwoFactor(id);
+    if (!user) throw new AuthenticationError('Credenciales inválidas');
+    await assertCanLogin(user, req);
+    return { user, viaChallenge: true };
+  }
+  if (!req.user) throw new AuthenticationError('No autorizado');
+
+  const user = await loadUserWithTwoFactor(req.user.id);
+  throwIfNotFound(user, 'Usuario no encontrado');
+  return { user, viaChallenge: false };
+};
+
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const { user } = await resolveEnrollmentUser(req);
+  const { secret, otpauthUri } = await startEnrollment(user);
+
+  logger.info('Configuración de 2FA iniciada', { userId: user._id, ip: req.ip });
   res.json({
     success: true,
-    message: SUCCESS_MESSAGES?.LOGIN_SUCCESS || 'Login exitoso',
-    user: user.toJSON(),
-    token,
-    refreshToken,
-    data: {
-      user: user.toJSON(),
-      token,
-      refreshToken,
-    },
+    message: 'Escanea el código QR con tu app de autenticación y confirma con un código',
+    data: { secret, otpauthUri },
+  });
+});
+
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) throw new ValidationError('El código es requerido');
+
+  const { user, viaChallenge } = await resolveEnrollmentUser(req);
+  const backupCodes = await confirmEnrollment(user, code);
+
+  logger.info('2FA activado', { userId: user._id, ip: req.ip });
+
+  // Enrolamiento obligatorio desde el login: al confirmar queda iniciada la sesión
+  if (viaChallenge) return completeLogin(user, req, res, { backupCodes });
+
+  res.json({
+    success: true,
+    message: 'Verificación en dos pasos activada. Guarda tus códigos de respaldo',
+    data: { backupCodes },
+  });
+});
+
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body || {};
+  if (!password || (!code && !backupCode)) {
+    throw new ValidationError('Contraseña y código son requeridos');
+  }
+
+  const user = await User.findById(req.user.id)
+    .select('+passwordHash +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.backupCodes');
+  throwIfNotFound(user, 'Usuario no encontrado');
+  if (!user.twoFactor?.enabled) throw new ValidationError('La verificación en dos pasos no está activa');
+
+  const ok = await user.validatePassword(String(password));
+  if (!ok || !(await verifySecondFactor(user, { code, backupCode }))) {
+    logger.warn('Intento fallido de desactivar 2FA', { userId: user._id, ip: req.ip });
+    throw new AuthenticationError('Contraseña o código incorrectos');
+  }
+
+  await turnOffTwoFactor(user);
+
+  logger.info('2FA desactivado', { userId: user._id, ip: req.ip });
+  res.json({ success: true, message: 'Verificación en dos pasos desactivada' });
+});
+
+export const regenerateTwoFactorBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) throw new ValidationError('El código es requerido');
+
+  const user = await loadUserWithTwoFactor(req.user.id);
+  throwIfNotFound(user, 'Usuario no encontrado');
+  if (!user.twoFactor?.enabled) throw new ValidationError('La verificación en dos pasos no está activa');
+
+  if (!(await verifySecondFactor(user, { code }))) throw new AuthenticationError('Código inválido');
+
+  const backupCodes = await regenerateBackupCodes(user);
+
+  logger.info('Códigos de respaldo regenerados', { userId: user._id, ip: req.ip });
+  res.json({
+    success: true,
+    message: 'Nuevos códigos de respaldo generados; los anteriores ya no sirven',
+    data: { backupCodes },
   });
 });
 
@@ -142,7 +308,7 @@ export const login = asyncHandler(async (req, res) => {
  * QUIÉN SOY (sesión actual)
  * ────────────────────────────────────────────────────────────*/
 export const me = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user.id).select('_id fullName email role isActive');
+  const user = await User.findById(req.user.id).select('_id fullName email role isActive isEmailVerified twoFactor.enabled');
   if (!user) {
     return res.status(401).json({ success: false, error: 'Sesión inválida' });
   }
@@ -154,6 +320,9 @@ export const me = asyncHandler(async (req, res) => {
       email: user.email,
       role: user.role,
       isActive: user.isActive,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      twoFactorRequired: isTwoFactorRequired(user),
     },
   });
 });
@@ -234,6 +403,7 @@ export const resetPassword = asyncHandler(async (req, res) => {
   user.passwordResetExpires = undefined;
   await user.resetLoginAttempts();
   await user.save();
+  await revokeAllSessions(user._id, 'password_changed');
 
   logger.info('Contraseña restablecida exitosamente', { userId: user._id, email: user.email, ip: req.ip });
 
@@ -241,7 +411,7 @@ export const resetPassword = asyncHandler(async (req, res) => {
 });
 
 /* ─────────────────────────────────────────────────────────────
- * REFRESH TOKEN
+ * REFRESH TOKEN (rotación: cada uso invalida el anterior)
  * ────────────────────────────────────────────────────────────*/
 export const refreshToken = asyncHandler(async (req, res) => {
   // evitar sombra de nombres
@@ -249,13 +419,13 @@ export const refreshToken = asyncHandler(async (req, res) => {
   if (!providedRefresh) throw new ValidationError('Refresh token requerido');
 
   try {
-    const payload = verifyRefreshToken(providedRefresh);
-    const user = await User.findById(payload.id);
-    throwIfNotFound(user, 'Usuario no encontrado');
-    if (!user.isActive) throw new AuthenticationError('Cuenta desactivada');
+    const { user, token: newToken, refreshToken: newRefreshToken } = await rotateSession(providedRefresh, req);
 
-    const newToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    // Sesiones previas a exigir 2FA: el admin debe volver a entrar y configurarlo
+    if (isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
+      await revokeAllSessions(user._id, 'revoked');
+      throw new AuthenticationError('Tu rol requiere verificación en dos pasos: inicia sesión de nuevo');
+    }
 
     logger.info('Token renovado', { userId: user._id, ip: req.ip });
 
@@ -267,6 +437,7 @@ export const refreshToken = asyncHandler(async (req, res) => {
     });
   } catch (error) {
     logger.warn('Refresh token inválido', { ip: req.ip, error: error.message });
+    if (error instanceof AuthenticationError) throw error;
     throw new AuthenticationError('Refresh token inválido');
   }
 });
@@ -275,10 +446,20 @@ export const refreshToken = asyncHandler(async (req, res) => {
  * LOGOUT
  * ────────────────────────────────────────────────────────────*/
 export const logout = asyncHandler(async (req, res) => {
-  if (req.user) logger.info('Usuario cerró sesión', { userId: req.user.id, ip: req.ip });
+  const sessionId = req.user.sessionId || getSessionIdFromRefreshToken(req.body?.refreshToken);
+  if (sessionId) await revokeSession(req.user.id, sessionId, 'logout');
+
+  logger.info('Usuario cerró sesión', { userId: req.user.id, sessionId, ip: req.ip });
   res.json({ success: true, message: 'Sesión cerrada exitosamente' });
 });
 
+export const logoutAll = asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+  logger.info('Usuario cerró todas sus sesiones', { userId: req.user.id, revoked, ip: req.ip });
+  res.json({ success: true, message: 'Se cerró la sesión en todos los dispositivos', data: { revoked } });
+});
+
 /* ─────────────────────────────────────────────────────────────
  * PERFIL
  * ────────────────────────────────────────────────────────────*/
@@ -346,20 +527,78 @@ export const changePassword = asyncHandler(async (req, res) => {
 
   user.password = String(newPassword);
   await user.save();
+  await revokeAllSessions(user._id, 'password_changed', { except: req.user.sessionId });
 
   logger.info('Contraseña cambiada', { userId: user._id, ip: req.ip });
   res.json({ success: true, message: 'Contraseña cambiada exitosamente' });
 });
 
 /* ─────────────────────────────────────────────────────────────
- * STUBS
+ * VERIFICACIÓN DE EMAIL
  * ────────────────────────────────────────────────────────────*/
-export const verifyEmail = asyncHandler(async (_req, res) => {
-  res.status(501).json({ success: false, error: 'No implementado aún' });
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) throw new ValidationError('El token es requerido');
+
+  const user = await User.findByEmailVerificationToken(token);
+  if (!user) throw new ValidationError(ERROR_MESSAGES.INVALID_TOKEN);
+
+  user.markEmailVerified();
+  await user.save();
+
+  // Reservas que hizo como invitado con este email pasan a su cuenta
+  const linkedReservations = await linkGuestReservations(user);
+
+  logger.info('Email verificado', { userId: user._id, email: user.email, ip: req.ip, linkedReservations });
+
+  res.json({
+    success: true,
+    message: 'Email verificado exitosamente',
+    data: { isEmailVerified: true, linkedReservations },
+  });
 });
 
-export const resendVerification = asyncHandler(async (_req, res) => {
-  res.status(501).json({ success: false, error: 'No implementado aún' });
+export const resendVerification = asyncHandler(async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) throw new ValidationError('El email es requerido');
+  if (!VALIDATION_PATTERNS.EMAIL.test(String(email))) throw new ValidationError('Formato de email inválido');
+
+  const successResponse = {
+    success: true,
+    message: 'Si el email está registrado y pendiente de verificar, recibirás un nuevo enlace',
+  };
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+    .select('+emailVerificationSentAt');
+
+  if (!user || user.isEmailVerified) {
+    logger.info('Reenvío de verificación sin efecto', { email, ip: req.ip, found: !!user });
+    return res.json(successResponse);
+  }
+
+  const cooldownMs = TIME_CONFIG.EMAIL_VERIFICATION.RESEND_COOLDOWN_MINUTES * 60 * 1000;
+  const elapsed = user.emailVerificationSentAt ? Date.now() - user.emailVerificationSentAt.getTime() : Infinity;
+  if (elapsed < cooldownMs) {
+    const mins = Math.ceil((cooldownMs - elapsed) / 60000);
+    logger.warn('Reenvío de verificación demasiado seguido', { email, ip: req.ip, mins });
+    throw new RateLimitError(`Ya enviamos un enlace hace poco. Intenta de nuevo en ${mins} minuto(s)`);
+  }
+
+  const verificationToken = user.generateEmailVerificationToken();
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (e) {
+    // Liberar el throttle para que pueda reintentar enseguida
+    user.emailVerificationSentAt = undefined;
+    await user.save();
+    logger.error('Error reenviando email de verificación', { email, ip: req.ip, error: e.message });
+    throw new Error('Error interno del servidor');
+  }
+
+  logger.info('Email de verificación reenviado', { userId: user._id, ip: req.ip });
+  res.json(successResponse);
 });
 
 export default {
@@ -369,6 +608,12 @@ export default {
   resetPassword,
   refreshToken,
   logout,
+  logoutAll,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorBackupCodes,
   getProfile,
   updateProfile,
   changePassword,
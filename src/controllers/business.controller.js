@@ -2,15 +2,19 @@
 // CRUD multi-negocio (owner/admin) + compatible con Vercel
 
 import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
 import Business from '../models/business.js';
 import Template from '../models/template.js';
 import Service from '../models/service.js';
 import User from '../models/user.js';
+import BusinessMember from '../models/businessMember.js';
+import Review from '../models/review.js';
+import BusinessPublication from '../models/businessPublication.js';
 
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import {
   ValidationError,
-  AuthenticationError,
+  AuthorizationError,
   NotFoundError,
   ConflictError,
   throwIfNotFound,
@@ -19,6 +23,29 @@ import {
 
 import { constants, logger } from '../config/index.js';
 import { deleteFromCloudinary } from '../config/storage/cloudinary.js';
+import { validateDayHours, validateClosure } from '../utils/schedule.js';
+import { getMembershipRoles } from '../services/team.js';
+import {
+  ensureLatestVersion,
+  getBusinessTemplateStatus,
+  setSectionOverrides,
+  upgradeBusinessTemplate,
+  rollbackBusinessTemplate,
+  applyTemplateToBusiness,
+} from '../services/templateVersions.js';
+import { assertCanUseTemplate, getEffectivePlan } from '../services/entitlements.js';
+import {
+  ensureDraft,
+  touchDraft,
+  releaseImages,
+  getEditableContent,
+  discardDraft,
+  publishDraft,
+  listPublications,
+  getPublication,
+  revertToPublication,
+} from '../services/sitePublishing.js';
+import { generateSitePreviewToken } from '../middleware/auth.js';
 
 const isVercel =
   process.env.VERCEL === '1' || process.env.VERCEL_ENV || process.env.VERCEL_URL;
@@ -28,9 +55,15 @@ const {
   SUCCESS_MESSAGES,
   APP_LIMITS,
   BUSINESS_STATUS,
+  BUSINESS_PLANS,
   BUSINESS_TYPES,
   VALIDATION_PATTERNS,
   USER_ROLES,
+  WEEKDAYS,
+  WEEKDAYS_SPANISH,
+  CLOSURE_TYPES,
+  BUSINESS_MEMBER_ROLES,
+  BUSINESS_PERMISSIONS,
 } = constants;
 
 /* ──────────────────────────────────────────────────────────────
@@ -74,6 +107,113 @@ const uploadToCloudinary = async (fileData) => {
   return `https://temp-storage.misitofacil.com/${fileData.filename}`;
 };
 
+/* ──────────────────────────────────────────────────────────────
+ * Helpers de horario
+ * ────────────────────────────────────────────────────────────── */
+const plainDay = (day) => (day?.toObject ? day.toObject() : { ...(day || {}) });
+
+/**
+ * Mezcla el horario recibido día por día sobre el actual.
+ * Si un día trae openTime/closeTime sin shifts, se descartan los turnos previos.
+ * Lanza ValidationError con el primer problema de formato, turnos o pausas.
+ */
+const mergeOperatingHours = (current = {}, incoming = {}) => {
+  const merged = {};
+  for (const day of Object.values(WEEKDAYS)) {
+    const base = plainDay(current?.[day]);
+    const patch = incoming?.[day];
+    if (!patch) {
+      if (current?.[day]) merged[day] = base;
+      continue;
+    }
+    const next = { ...base, ...patch };
+    if (!('shifts' in patch) && ('openTime' in patch || 'closeTime' in patch)) {
+      next.shifts = [];
+    }
+    const error = validateDayHours(next, `Horario inválido para ${WEEKDAYS_SPANISH[day]}`);
+    if (error) throw new ValidationError(error);
+    merged[day] = next;
+  }
+  return merged;
+};
+
+/**
+ * Valida la lista de recursos (capacidad) enviada por el dueño.
+ * Los servicios vinculados deben pertenecer al negocio.
+ */
+const normalizeResources = async (businessId, resources) => {
+  if (!Array.isArray(resources)) throw new ValidationError('resources debe ser un arreglo');
+
+  const serviceIds = new Set();
+  const normalized = resources.map((r, idx) => {
+    throwIf(!r?.name || !String(r.name).trim(), `resources[${idx}].name es requerido`);
+    const quantity = r.quantity === undefined ? 1 : Number(r.quantity);
+    throwIf(
+      !Number.isInteger(quantity) || quantity < 1 || quantity > 100,
+      `resources[${idx}].quantity debe ser un entero entre 1 y 100`
+    );
+    const services = Array.isArray(r.services) ? r.services.map(String) : [];
+    services.forEach((id) => {
+      throwIf(!mongoose.isValidObjectId(id), `resources[${idx}].services contiene IDs inválidos`);
+      serviceIds.add(id);
+    });
+    return {
+      ...(r._id && mongoose.isValidObjectId(r._id) ? { _id: r._id } : {}),
+      name: String(r.name).trim(),
+      quantity,
+      services,
+      isActive: r.isActive !== false,
+    };
+  });
+
+  if (serviceIds.size) {
+    const count = await Service.countDocuments({ _id: { $in: [...serviceIds] }, business: businessId });
+    throwIf(count !== serviceIds.size, 'Algunos servicios de resources no pertenecen al negocio');
+  }
+  return normalized;
+};
+
+/* ──────────────────────────────────────────────────────────────
+ * Acceso al negocio (varios negocios por dueño + equipos)
+ * ────────────────────────────────────────────────────────────── */
+/**
+ * Negocio principal del dueño: User.business si sigue siendo suyo o, si no,
+ * el primero que creó. Se usa en las rutas sin :businessId (compatibilidad).
+ */
+const getPrimaryBusinessId = async (userId) => {
+  const user = await User.findById(userId).select('business').lean();
+  if (user?.business && (await Business.exists({ _id: user.business, owner: userId }))) {
+    return user.business;
+  }
+  const first = await Business.findOne({ owner: userId }).sort({ createdAt: 1 }).select('_id').lean();
+  return first?._id || null;
+};
+
+// Negocio de la ruta (:businessId) o el principal del usuario
+const findTargetBusiness = async (req) => {
+  const businessId = req.params.businessId || (await getPrimaryBusinessId(req.user.id));
+  return businessId ? Business.findById(businessId) : null;
+};
+
+/**
+ * Con :businessId el permiso ya lo verificó requireBusinessOwnership
+ * (req.businessAccess); sin él solo el dueño puede operar.
+ */
+const assertBusinessPermission = (req, business, permission) => {
+  if (String(req.user?.role) === String(USER_ROLES?.ADMIN || 'admin')) return;
+  const allowed = req.businessAccess
+    ? req.businessAccess.permissions.includes(permission)
+    : String(business.owner) === String(req.user.id);
+  if (!allowed) throw new AuthorizationError(ERROR_MESSAGES.BUSINESS_ACCESS_DENIED);
+};
+
+// Vista pública: sin cambios sin publicar
+const toPublicJSON = (business) => {
+  const data = business.toJSON();
+  delete data.draft;
+  return data;
+};
+
 /* ──────────────────────────────────────────────────────────────
  * Crear negocio
  * ────────────────────────────────────────────────────────────── */
@@ -96,6 +236,9 @@ export const createBusiness = asyncHandler(async (req, res) => {
 
   throwIf(!name?.trim(), 'El nombre del negocio es requerido');
 
+  const ownedCount = await Business.countDocuments({ owner: req.user.id });
+  throwIf(ownedCount >= APP_LIMITS.MAX_BUSINESSES_PER_OWNER, ERROR_MESSAGES.MAX_BUSINESSES_EXCEEDED);
+
   const normalizedCategory = (category ?? '').toString().trim();
   throwIf(!normalizedCategory, 'La categoría del negocio es requerida');
 
@@ -134,6 +277,9 @@ export const createBusiness = asyncHandler(async (req, res) => {
       const isDefault = tpl.isDefault === true;
       const isAdmin = req.user?.role === (USER_ROLES?.ADMIN || 'admin');
       if (isOwner || isPublic || isDefault || isAdmin) {
+        // Un negocio nuevo empieza en el plan free: un premium solo lo puede
+        // elegir el admin o su autor (ver services/entitlements.js)
+        assertCanUseTemplate({}, tpl, { userId: req.user.id, isAdmin });
         finalTemplateId = tpl._id;
         await tpl.markAsUsed?.();
       }
@@ -142,13 +288,16 @@ export const createBusiness = asyncHandler(async (req, res) => {
 
   if (!finalTemplateId) {
     // fallback a default público
-    const def = await Template.findOne({ isActive: true, isPublic: true })
+    const def = await Template.findOne({ isActive: true, isPublic: true, isPremium: { $ne: true } })
       .sort({ isDefault: -1, 'usage.rating': -1 })
       .lean();
     throwIfNotFound(def, 'No hay templates disponibles');
     finalTemplateId = def._id;
   }
 
+  // El negocio queda fijado a la versión vigente del template
+  const pinnedVersion = await ensureLatestVersion(await Template.findById(finalTemplateId));
+
   // ── Slug ──────────────────────────────────────────
   const toSlug = (s) =>
     String(s || '')
@@ -168,6 +317,7 @@ export const createBusiness = asyncHandler(async (req, res) => {
   const businessData = {
     owner: req.user.id,
     templateId: finalTemplateId,
+    templateVersion: pinnedVersion.version,
     name: name.trim(),
     description: description?.trim() || '',
     category: normalizedCategory,
@@ -210,8 +360,7 @@ export const createBusiness = asyncHandler(async (req, res) => {
 
   // horario por defecto o lo que venga del builder
   businessData.operatingHours =
-    operatingHours ||
-    openingHours || {
+    (operatingHours || openingHours) ? mergeOperatingHours({}, operatingHours || openingHours) : {
       monday: { isOpen: true, openTime: '09:00', closeTime: '18:00' },
       tuesday: { isOpen: true, openTime: '09:00', closeTime: '18:00' },
       wednesday: { isOpen: true, openTime: '09:00', closeTime: '18:00' },
@@ -224,11 +373,10 @@ export const createBusiness = asyncHandler(async (req, res) => {
   try {
     const business = await Business.create(businessData);
 
-    // Si guardas referencia directa en User (único negocio), esto la mantiene.
-    await User.findByIdAndUpdate(
-      req.user.id,
-      { business: business._id },
-      { new: true }
+    // El primer negocio queda como principal del dueño (User.business)
+    await User.updateOne(
+      { _id: req.user.id, business: null },
+      { $set: { business: business._id } }
     );
 
     logger.info('Negocio creado exitosamente', {
@@ -253,6 +401,7 @@ export const createBusiness = asyncHandler(async (req, res) => {
           category: business.category,
           status: business.status,
           templateId: finalTemplateId,
+          templateVersion: business.templateVersion,
         },
       },
     });
@@ -283,27 +432,41 @@ export const createBusiness = asyncHandler(async (req, res) => {
 });
 
 /* ──────────────────────────────────────────────────────────────
- * Listar negocios (owner o admin ?all=1)
+ * Listar negocios (propios y de mis equipos, o admin ?all=1)
+ * Cada item trae access.role: owner | manager | receptionist | staff | admin
  * ────────────────────────────────────────────────────────────── */
 export const listBusinesses = asyncHandler(async (req, res) => {
   const isAdmin = String(req.user?.role) === String(USER_ROLES?.ADMIN || 'admin');
   const listAll = isAdmin && String(req.query.all) === '1';
-  const filter = listAll ? {} : { owner: req.user.id };
+  const memberRoles = listAll ? {} : await getMembershipRoles(req.user.id);
+  const filter = listAll
+    ? {}
+    : { $or: [{ owner: req.user.id }, { _id: { $in: Object.keys(memberRoles) } }] };
 
-  const items = await Business.find(filter)
+  const businesses = await Business.find(filter)
     .select('name slug category status templateId publishedAt owner createdAt')
     .sort({ createdAt: -1 })
     .lean();
 
+  const items = businesses.map((b) => ({
+    ...b,
+    access: {
+      role: String(b.owner) === String(req.user.id)
+        ? BUSINESS_MEMBER_ROLES.OWNER
+        : memberRoles[String(b._id)] || USER_ROLES.ADMIN,
+    },
+  }));
+
   // Devolvemos ambas claves por compatibilidad con el FE
   res.json({ success: true, items, data: items });
 });
 
 /* ──────────────────────────────────────────────────────────────
- * Obtener mi negocio (compatibilidad)
+ * Obtener mi negocio principal (compatibilidad; con varios usar GET /business)
  * ────────────────────────────────────────────────────────────── */
 export const getMyBusiness = asyncHandler(async (req, res) => {
-  const business = await Business.findOne({ owner: req.user.id })
+  const primaryId = await getPrimaryBusinessId(req.user.id);
+  const business = await Business.findOne({ _id: primaryId, owner: req.user.id })
     .populate('owner', 'fullName email')
     .populate({
       path: 'services',
@@ -358,18 +521,18 @@ export const getBusinessById = asyncHandler(async (req, res) => {
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
 
-  if (
-    req.user?.id !== business.owner._id.toString() &&
-    business.status !== BUSINESS_STATUS.ACTIVE
-  ) {
+  // Dueño y equipo (req.businessAccess) ven borradores y no suman visitas
+  const isTeam = !!req.businessAccess?.role || req.user?.id === business.owner._id.toString();
+
+  if (!isTeam && business.status !== BUSINESS_STATUS.ACTIVE) {
     throw new NotFoundError('Negocio no encontrado');
   }
 
-  if (req.user?.id !== business.owner._id.toString()) {
+  if (!isTeam) {
     await Business.findByIdAndUpdate(businessId, { $inc: { 'stats.views': 1 } });
   }
 
-  res.json({ success: true, data: { business: business.toJSON() } });
+  res.json({ success: true, data: { business: isTeam ? business.toJSON() : toPublicJSON(business) } });
 });
 
 /* ──────────────────────────────────────────────────────────────
@@ -396,14 +559,86 @@ export const getBusinessBySlug = asyncHandler(async (req, res) => {
     $inc: { 'stats.views': 1 },
   });
 
-  res.json({ success: true, data: { business: business.toJSON() } });
+  // Cierres y feriados próximos para que el sitio público los muestre
+  const calendar = business.getUpcomingClosures();
+
+  res.json({ success: true, data: { business: toPublicJSON(business), calendar } });
 });
 
 /* ──────────────────────────────────────────────────────────────
  * Listado público (búsqueda/filtros)
  * ────────────────────────────────────────────────────────────── */
+const PUBLIC_LIST_FIELDS = 'name description category location logo stats featured slug createdAt';
+
+/** "lat,lng" → [lng, lat] (orden GeoJSON) */
+const parseNearParam = (near) => {
+  const [lat, lng] = String(near).split(',').map((v) => Number(v.trim()));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new ValidationError('near debe tener el formato lat,lng');
+  }
+  return [lng, lat];
+};
+
+const parseRadiusKm = (radiusKm) => {
+  if (radiusKm === undefined || radiusKm === '') return APP_LIMITS.DEFAULT_SEARCH_RADIUS_KM;
+  const value = Number(radiusKm);
+  if (!Number.isFinite(value) || value <= 0 || value > APP_LIMITS.MAX_SEARCH_RADIUS_KM) {
+    throw new ValidationError(`radiusKm debe estar entre 0 y ${APP_LIMITS.MAX_SEARCH_RADIUS_KM}`);
+  }
+  return value;
+};
+
+/**
+ * Búsqueda por distancia con $geoNear (debe ser la primera etapa y no admite
+ * $text, así que `search` se aplica como regex sobre nombre, descripción y tags).
+ * Resultados ordenados del más cercano al más lejano, con distanceKm.
+ */
+const listBusinessesNear = async (req, res, filters) => {
+  const { near, radiusKm, search } = req.query;
+  const { page, limit } = req.pagination || { page: 1, limit: 20 };
+
+  const query = { ...filters };
+  if (search) {
+    const pattern = new RegExp(String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { description: pattern }, { tags: pattern }];
+  }
+
+  const [result] = await Business.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: parseNearParam(near) },
+        key: 'location.point',
+        distanceField: 'distance',
+        maxDistance: parseRadiusKm(radiusKm) * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    {
+      $facet: {
+        items: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: Object.fromEntries([...PUBLIC_LIST_FIELDS.split(' '), 'owner', 'distance'].map((f) => [f, 1])) },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const items = await Business.populate(result.items, { path: 'owner', select: 'fullName' });
+  const businesses = items.map(({ distance, ...b }) => ({ ...b, distanceKm: Math.round(distance / 10) / 100 }));
+  const total = result.total[0]?.count || 0;
+
+  res.json(
+    typeof req.createPaginatedResponse === 'function'
+      ? req.createPaginatedResponse(businesses, total)
+      : { success: true, data: businesses, total }
+  );
+};
+
 export const listPublicBusinesses = asyncHandler(async (req, res) => {
-  const { category, city, province, featured, search, sortBy = 'rating' } =
+  const { category, city, province, featured, search, near, sortBy = 'rating' } =
     req.query;
 
   const filters = { status: BUSINESS_STATUS.ACTIVE };
@@ -411,6 +646,9 @@ export const listPublicBusinesses = asyncHandler(async (req, res) => {
   if (city) filters['location.city'] = new RegExp(city, 'i');
   if (province) filters['location.province'] = new RegExp(province, 'i');
   if (featured === 'true') filters.featured = true;
+
+  if (near) return listBusinessesNear(req, res, filters);
+
   if (search) filters.$text = { $search: search };
 
   let sortOptions = {};
@@ -433,7 +671,7 @@ export const listPublicBusinesses = asyncHandler(async (req, res) => {
 
   const query = Business.find(filters)
     .populate('owner', 'fullName')
-    .select('name description category location logo stats featured slug createdAt')
+    .select(PUBLIC_LIST_FIELDS)
     .sort(sortOptions);
 
   const businesses =
@@ -454,21 +692,13 @@ export const listPublicBusinesses = asyncHandler(async (req, res) => {
  * Actualizar (owner o admin)
  * ────────────────────────────────────────────────────────────── */
 export const updateBusiness = asyncHandler(async (req, res) => {
-  const { businessId } = req.params;
-  const isAdmin = String(req.user?.role) === String(USER_ROLES?.ADMIN || 'admin');
-
-  const business = businessId
-    ? await Business.findById(businessId)
-    : await Business.findOne({ owner: req.user.id });
+  const business = await findTargetBusiness(req);
 
   throwIfNotFound(
     business,
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
-
-  if (!isAdmin && String(business.owner) !== String(req.user.id)) {
-    throw new AuthenticationError('No autorizado');
-  }
+  assertBusinessPermission(req, business, BUSINESS_PERMISSIONS.EDIT);
 
   const {
     name,
@@ -482,6 +712,7 @@ export const updateBusiness = asyncHandler(async (req, res) => {
     openingHours, // por compatibilidad
     settings,
     visualConfig,
+    resources,
   } = req.body;
 
   if (email && !VALIDATION_PATTERNS.EMAIL.test(email)) {
@@ -496,7 +727,6 @@ export const updateBusiness = asyncHandler(async (req, res) => {
   }
 
   if (name) business.name = name.trim();
-  if (description !== undefined) business.description = description?.trim() || '';
   if (phone !== undefined) business.phone = phone?.trim();
   if (email !== undefined) business.email = email?.toLowerCase().trim();
   if (category !== undefined) business.category = String(category).trim();
@@ -511,19 +741,9 @@ export const updateBusiness = asyncHandler(async (req, res) => {
     };
   }
 
-  if (socialMedia) {
-    business.socialMedia = {
-      ...business.socialMedia,
-      ...socialMedia,
-    };
-  }
-
   const hours = operatingHours || openingHours;
   if (hours) {
-    business.operatingHours = {
-      ...business.operatingHours,
-      ...hours,
-    };
+    business.operatingHours = mergeOperatingHours(business.operatingHours, hours);
   }
 
   if (settings) {
@@ -533,11 +753,27 @@ export const updateBusiness = asyncHandler(async (req, res) => {
     };
   }
 
-  if (visualConfig) {
-    business.visualConfig = {
-      ...business.visualConfig,
-      ...visualConfig,
-    };
+  if (resources !== undefined) {
+    business.resources = await normalizeResources(business._id, resources);
+  }
+
+  // Lo que se ve en el sitio queda en el borrador hasta publicar
+  if (description !== undefined || socialMedia || visualConfig) {
+    const draft = ensureDraft(business);
+    if (description !== undefined) draft.description = description?.trim() || '';
+    if (socialMedia) {
+      draft.socialMedia = {
+        ...draft.socialMedia?.toObject(),
+        ...socialMedia,
+      };
+    }
+    if (visualConfig) {
+      draft.visualConfig = {
+        ...draft.visualConfig?.toObject(),
+        ...visualConfig,
+      };
+    }
+    touchDraft(business, req.user.id);
   }
 
   await business.save();
@@ -561,11 +797,12 @@ export const updateBusiness = asyncHandler(async (req, res) => {
  * Uploads — logo
  * ────────────────────────────────────────────────────────────── */
 export const uploadLogo = asyncHandler(async (req, res) => {
-  const business = await Business.findOne({ owner: req.user.id });
+  const business = await findTargetBusiness(req);
   throwIfNotFound(
     business,
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
+  assertBusinessPermission(req, business, BUSINESS_PERMISSIONS.EDIT);
   throwIf(!req.file, 'No se proporcionó archivo de logo');
 
   const fileData = processUploadedFile(req.file);
@@ -573,22 +810,22 @@ export const uploadLogo = asyncHandler(async (req, res) => {
     fileData.url = await uploadToCloudinary(fileData);
   }
 
-  if (business.logo?.filename) {
-    await deleteFromCloudinary(business.logo.filename);
-  }
-
-  business.logo = {
+  const draft = ensureDraft(business);
+  const previous = draft.logo?.filename;
+  draft.logo = {
     url: fileData.url,
     filename: fileData.filename,
     uploadedAt: new Date(),
   };
+  touchDraft(business, req.user.id);
 
   await business.save();
+  await releaseImages(business, [previous]);
 
   res.json({
     success: true,
     message: 'Logo subido exitosamente',
-    data: { logo: business.logo },
+    data: { logo: draft.logo, hasUnpublishedChanges: true },
   });
 });
 
@@ -596,11 +833,12 @@ export const uploadLogo = asyncHandler(async (req, res) => {
  * Uploads — cover
  * ────────────────────────────────────────────────────────────── */
 export const uploadCoverImage = asyncHandler(async (req, res) => {
-  const business = await Business.findOne({ owner: req.user.id });
+  const business = await findTargetBusiness(req);
   throwIfNotFound(
     business,
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
+  assertBusinessPermission(req, business, BUSINESS_PERMISSIONS.EDIT);
   throwIf(!req.file, 'No se proporcionó archivo de imagen');
 
   const fileData = processUploadedFile(req.file);
@@ -608,22 +846,22 @@ export const uploadCoverImage = asyncHandler(async (req, res) => {
     fileData.url = await uploadToCloudinary(fileData);
   }
 
-  if (business.coverImage?.filename) {
-    await deleteFromCloudinary(business.coverImage.filename);
-  }
-
-  business.coverImage = {
+  const draft = ensureDraft(business);
+  const previous = draft.coverImage?.filename;
+  draft.coverImage = {
     url: fileData.url,
     filename: fileData.filename,
     uploadedAt: new Date(),
   };
+  touchDraft(business, req.user.id);
 
   await business.save();
+  await releaseImages(business, [previous]);
 
   res.json({
     success: true,
     message: 'Imagen de portada subida exitosamente',
-    data: { coverImage: business.coverImage },
+    data: { coverImage: draft.coverImage, hasUnpublishedChanges: true },
   });
 });
 
@@ -631,14 +869,17 @@ export const uploadCoverImage = asyncHandler(async (req, res) => {
  * Uploads — galería
  * ────────────────────────────────────────────────────────────── */
 export const uploadGalleryImages = asyncHandler(async (req, res) => {
-  const business = await Business.findOne({ owner: req.user.id });
+  const business = await findTargetBusiness(req);
   throwIfNotFound(
     business,
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
+  assertBusinessPermission(req, business, BUSINESS_PERMISSIONS.EDIT);
   throwIf(!req.files || req.files.length === 0, 'No se proporcionaron archivos');
+
+  const draft = ensureDraft(business);
   throwIf(
-    business.gallery.length + req.files.length > APP_LIMITS.MAX_GALLERY_IMAGES,
+    draft.gallery.length + req.files.length > APP_LIMITS.MAX_GALLERY_IMAGES,
     `Máximo ${APP_LIMITS.MAX_GALLERY_IMAGES} imágenes permitidas en la galería`
   );
 
@@ -657,13 +898,14 @@ export const uploadGalleryImages = asyncHandler(async (req, res) => {
     })
   );
 
-  business.gallery.push(...newImages);
+  draft.gallery.push(...newImages);
+  touchDraft(business, req.user.id);
   await business.save();
 
   res.json({
     success: true,
     message: `${req.files.length} imágenes subidas exitosamente`,
-    data: { gallery: business.gallery, newImages },
+    data: { gallery: draft.gallery, newImages, hasUnpublishedChanges: true },
   });
 });
 
@@ -673,70 +915,352 @@ export const uploadGalleryImages = asyncHandler(async (req, res) => {
 export const deleteGalleryImage = asyncHandler(async (req, res) => {
   const { imageId } = req.params;
 
-  const business = await Business.findOne({ owner: req.user.id });
+  const business = await findTargetBusiness(req);
   throwIfNotFound(
     business,
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
+  assertBusinessPermission(req, business, BUSINESS_PERMISSIONS.EDIT);
 
-  const image = business.gallery.id(imageId);
+  const draft = ensureDraft(business);
+  const image = draft.gallery.id(imageId);
   throwIfNotFound(image, 'Imagen no encontrada');
 
-  if (image.filename) {
-    await deleteFromCloudinary(image.filename);
+  const { filename } = image;
+  draft.gallery.pull(imageId);
+  touchDraft(business, req.user.id);
+  await business.save();
+  await releaseImages(business, [filename]);
+
+  res.json({ success: true, message: 'Imagen eliminada exitosamente', data: { hasUnpublishedChanges: true } });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Calendario de excepciones (cierres / horarios especiales)
+ * ────────────────────────────────────────────────────────────── */
+const pickClosureFields = (body = {}) => {
+  const data = {};
+  for (const key of ['startDate', 'endDate', 'type', 'shifts', 'breaks', 'reason']) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+};
+
+const loadBusinessForClosures = async (businessId) => {
+  const business = await Business.findById(businessId);
+  throwIfNotFound(
+    business,
+    ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
+  );
+  return business;
+};
+
+export const listClosures = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForClosures(req.params.businessId);
+  const { from, to } = req.query;
+
+  const closures = business.closures.filter(
+    (c) =>
+      (!from || (c.endDate || c.startDate) >= from) &&
+      (!to || c.startDate <= to)
+  );
+
+  res.json({
+    success: true,
+    data: {
+      closures,
+      observeNationalHolidays: !!business.settings?.observeNationalHolidays,
+    },
+  });
+});
+
+export const createClosure = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForClosures(req.params.businessId);
+
+  const data = { type: CLOSURE_TYPES.CLOSED, ...pickClosureFields(req.body) };
+  const error = validateClosure(data);
+  if (error) throw new ValidationError(error);
+
+  const closure = business.closures.create(data);
+  business.closures.push(closure);
+  await business.save();
+
+  logger.info('Excepción de horario creada', {
+    businessId: business._id,
+    startDate: data.startDate,
+    type: data.type,
+    by: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Excepción de horario creada',
+    data: { closure },
+  });
+});
+
+export const updateClosure = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForClosures(req.params.businessId);
+
+  const closure = business.closures.id(req.params.closureId);
+  throwIfNotFound(closure, 'Excepción de horario no encontrada');
+
+  const next = { ...closure.toObject(), ...pickClosureFields(req.body) };
+  const error = validateClosure(next);
+  if (error) throw new ValidationError(error);
+
+  closure.set(pickClosureFields(req.body));
+  if (next.type === CLOSURE_TYPES.CLOSED) {
+    closure.shifts = [];
+    closure.breaks = [];
   }
+  await business.save();
+
+  res.json({
+    success: true,
+    message: 'Excepción de horario actualizada',
+    data: { closure },
+  });
+});
+
+export const deleteClosure = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForClosures(req.params.businessId);
 
-  business.gallery.pull(imageId);
+  const closure = business.closures.id(req.params.closureId);
+  throwIfNotFound(closure, 'Excepción de horario no encontrada');
+
+  business.closures.pull(closure._id);
   await business.save();
 
-  res.json({ success: true, message: 'Imagen eliminada exitosamente' });
+  res.json({ success: true, message: 'Excepción de horario eliminada' });
 });
 
 /* ──────────────────────────────────────────────────────────────
- * Cambiar estado (owner)
+ * Versión del template del sitio
+ * (el permiso lo verifica requireBusinessOwnership en la ruta; los cambios
+ * van al borrador y se ven en línea al publicar)
  * ────────────────────────────────────────────────────────────── */
-export const changeBusinessStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
-
-  throwIf(
-    !Object.values(BUSINESS_STATUS).includes(status),
-    `Estado inválido. Debe ser: ${Object.values(BUSINESS_STATUS).join(', ')}`
+const loadBusinessForTemplate = async (businessId) => {
+  const business = await Business.findById(businessId);
+  throwIfNotFound(
+    business,
+    ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
+  return business;
+};
+
+export const getBusinessTemplate = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForTemplate(req.params.businessId);
+  const status = await getBusinessTemplateStatus(business);
+  res.json({ success: true, data: status });
+});
+
+export const updateTemplateSections = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForTemplate(req.params.businessId);
+  const sections = await setSectionOverrides(business, req.body.sections, req.user.id);
+
+  logger.info('Ajustes de secciones del sitio actualizados', {
+    businessId: business._id,
+    userId: req.user.id,
+    sections: sections.map((s) => s.id),
+  });
+
+  res.json({
+    success: true,
+    message: 'Secciones actualizadas en el borrador',
+    data: { templateVersion: business.draft.templateVersion, sections, revision: business.draft.revision },
+  });
+});
+
+export const upgradeTemplate = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForTemplate(req.params.businessId);
+  const result = await upgradeBusinessTemplate(business, req.user.id);
+  res.json({
+    success: true,
+    message: `Borrador actualizado a la versión ${result.to}`,
+    data: result,
+  });
+});
+
+export const rollbackTemplate = asyncHandler(async (req, res) => {
+  const { version } = req.body;
+  throwIf(!version || !/^\d+\.\d+\.\d+$/.test(String(version)), 'version debe ser semver (x.y.z)');
+
+  const business = await loadBusinessForTemplate(req.params.businessId);
+  const result = await rollbackBusinessTemplate(business, String(version), req.user.id);
+  res.json({
+    success: true,
+    message: `Borrador revertido a la versión ${result.to}`,
+    data: result,
+  });
+});
 
-  const business = await Business.findOne({ owner: req.user.id });
+/**
+ * Cambia el template del sitio. El template debe estar activo y ser público,
+ * del sistema o del dueño del negocio; los premium requieren un plan que los
+ * incluya (services/entitlements.js).
+ */
+export const applyBusinessTemplate = asyncHandler(async (req, res) => {
+  const { templateId } = req.body;
+  throwIf(!mongoose.Types.ObjectId.isValid(templateId), 'templateId inválido');
+
+  const business = await loadBusinessForTemplate(req.params.businessId);
+  const template = await Template.findOne({ _id: templateId, isActive: true });
+  throwIfNotFound(template, 'Template no encontrado');
+
+  const isAdmin = req.user?.role === (USER_ROLES?.ADMIN || 'admin');
+  const isAuthor = String(template.owner) === String(business.owner);
+  const canAccess = template.isPublic || template.isDefault || isAdmin || isAuthor;
+  if (!canAccess) throw new AuthorizationError('No tienes acceso a este template');
+  assertCanUseTemplate(business, template, { userId: business.owner, isAdmin });
+
+  const result = await applyTemplateToBusiness(business, template, req.user.id);
+  res.json({
+    success: true,
+    message: `El borrador del sitio ahora usa el template ${template.name}`,
+    data: result,
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Borrador, vista previa y publicación del sitio
+ * ────────────────────────────────────────────────────────────── */
+const loadBusinessForPublishing = async (req, permission) => {
+  const business = await findTargetBusiness(req);
   throwIfNotFound(
     business,
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
+  assertBusinessPermission(req, business, permission);
+  return business;
+};
 
-  if (status === BUSINESS_STATUS.ACTIVE) {
-    throwIf(!business.name, 'El negocio debe tener nombre para activarse');
-    throwIf(!business.category, 'El negocio debe tener categoría para activarse');
-  }
+const publishingState = (business) => ({
+  id: business._id,
+  status: business.status,
+  publishedAt: business.publishedAt,
+  publishedVersion: business.publishedVersion,
+  hasUnpublishedChanges: business.hasUnpublishedChanges,
+});
 
-  const oldStatus = business.status;
-  business.status = status;
-  if (status === BUSINESS_STATUS.ACTIVE && !business.publishedAt) {
-    business.publishedAt = new Date();
-  }
+export const getSiteDraft = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.VIEW);
 
-  await business.save();
+  res.json({
+    success: true,
+    data: {
+      ...publishingState(business),
+      revision: business.draft?.revision ?? null,
+      updatedAt: business.draft?.updatedAt ?? null,
+      content: getEditableContent(business),
+    },
+  });
+});
+
+export const discardSiteDraft = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.EDIT);
+  await discardDraft(business);
+
+  res.json({
+    success: true,
+    message: 'Cambios sin publicar descartados',
+    data: publishingState(business),
+  });
+});
+
+export const getSitePreviewLink = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.VIEW);
+  throwIf(!business.slug, 'El negocio no tiene slug');
+
+  const token = generateSitePreviewToken(business);
+  const { exp } = jwt.decode(token);
 
   res.json({
     success: true,
-    message: `Negocio ${
-      status === BUSINESS_STATUS.ACTIVE ? 'publicado' : 'despublicado'
-    } exitosamente`,
     data: {
-      business: {
-        id: business._id,
-        status: business.status,
-        publishedAt: business.publishedAt,
-      },
+      url: `${business.siteUrl}/preview?token=${encodeURIComponent(token)}`,
+      expiresAt: new Date(exp * 1000),
+      revision: business.draft?.revision ?? null,
     },
   });
 });
 
+/**
+ * Publica el borrador y activa el sitio. Body opcional `{ revision }`: la
+ * revisión del borrador que se revisó en la vista previa.
+ */
+export const publishBusiness = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.PUBLISH);
+
+  throwIf(!business.name, 'El negocio debe tener nombre para activarse');
+  throwIf(!business.category, 'El negocio debe tener categoría para activarse');
+
+  // Publicar requiere el email del dueño verificado
+  const owner = await User.findById(business.owner).select('isEmailVerified').lean();
+  if (!owner?.isEmailVerified) {
+    throw new AuthorizationError(ERROR_MESSAGES.EMAIL_NOT_VERIFIED);
+  }
+
+  const { revision } = req.body || {};
+  throwIf(
+    revision !== undefined && !Number.isInteger(Number(revision)),
+    'La revisión del borrador debe ser un número entero'
+  );
+
+  const publication = await publishDraft(business, { revision }, req.user.id);
+
+  res.json({
+    success: true,
+    message: publication
+      ? `Sitio publicado (versión ${publication.version})`
+      : 'Negocio publicado exitosamente',
+    data: { business: publishingState(business) },
+  });
+});
+
+/** Saca el sitio de línea; el contenido y el borrador se conservan */
+export const unpublishBusiness = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.PUBLISH);
+  throwIf(business.status !== BUSINESS_STATUS.ACTIVE, 'El negocio no está publicado');
+
+  business.status = BUSINESS_STATUS.INACTIVE;
+  await business.save();
+
+  res.json({
+    success: true,
+    message: 'Negocio despublicado exitosamente',
+    data: { business: publishingState(business) },
+  });
+});
+
+export const listSitePublications = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.VIEW);
+  const publications = await listPublications(business._id);
+
+  res.json({
+    success: true,
+    data: { publishedVersion: business.publishedVersion, publications },
+  });
+});
+
+export const getSitePublication = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.VIEW);
+  const publication = await getPublication(business._id, req.params.version);
+
+  res.json({ success: true, data: { publication } });
+});
+
+export const revertSitePublication = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPublishing(req, BUSINESS_PERMISSIONS.PUBLISH);
+  const publication = await revertToPublication(business, req.params.version, req.user.id);
+
+  res.json({
+    success: true,
+    message: `Sitio restaurado a la versión ${publication.revertedFrom} (publicada como ${publication.version})`,
+    data: { business: publishingState(business), publication },
+  });
+});
+
 /* ──────────────────────────────────────────────────────────────
  * Activar/Desactivar (admin)
  * ────────────────────────────────────────────────────────────── */
@@ -768,40 +1292,87 @@ export const setBusinessStatus = asyncHandler(async (req, res) => {
 });
 
 /* ──────────────────────────────────────────────────────────────
- * Eliminar negocio (owner/admin)
+ * Plan del negocio (admin)
  * ────────────────────────────────────────────────────────────── */
-export const deleteBusiness = asyncHandler(async (req, res) => {
-  const { businessId } = req.params;
-  const isAdmin = String(req.user?.role) === String(USER_ROLES?.ADMIN || 'admin');
+export const setBusinessPlan = asyncHandler(async (req, res) => {
+  const { plan, expiresAt } = req.body;
 
-  const business = businessId
-    ? await Business.findById(businessId)
-    : await Business.findOne({ owner: req.user.id });
+  throwIf(
+    !Object.values(BUSINESS_PLANS).includes(plan),
+    `Plan inválido. Debe ser: ${Object.values(BUSINESS_PLANS).join(', ')}`
+  );
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+  throwIf(expiry && Number.isNaN(expiry.getTime()), 'expiresAt debe ser una fecha válida');
 
+  const business = await Business.findById(req.params.businessId);
   throwIfNotFound(
     business,
     ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
   );
 
-  if (!isAdmin && String(business.owner) !== String(req.user.id)) {
-    throw new AuthenticationError('No autorizado');
-  }
+  const oldPlan = business.plan;
+  business.plan = plan;
+  business.planExpiresAt = expiry || undefined;
+  await business.save();
 
-  const imagesToDelete = [];
-  if (business.logo?.filename) imagesToDelete.push(business.logo.filename);
-  if (business.coverImage?.filename) imagesToDelete.push(business.coverImage.filename);
-  (business.gallery || []).forEach((img) => {
-    if (img?.filename) imagesToDelete.push(img.filename);
+  logger.info('Plan del negocio actualizado', {
+    businessId: business._id,
+    from: oldPlan,
+    to: plan,
+    expiresAt: expiry,
+    adminId: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      id: business._id,
+      plan: business.plan,
+      planExpiresAt: business.planExpiresAt || null,
+      effectivePlan: getEffectivePlan(business),
+    },
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Eliminar negocio (owner/admin)
+ * ────────────────────────────────────────────────────────────── */
+export const deleteBusiness = asyncHandler(async (req, res) => {
+  const business = await findTargetBusiness(req);
+
+  throwIfNotFound(
+    business,
+    ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado'
+  );
+  assertBusinessPermission(req, business, BUSINESS_PERMISSIONS.DELETE);
+
+  // Imágenes publicadas, del borrador y de publicaciones anteriores
+  const publications = await BusinessPublication.find({ business: business._id }).select('snapshot').lean();
+  const imagesToDelete = new Set();
+  [business, business.draft, ...publications.map((p) => p.snapshot)].forEach((content) => {
+    if (content?.logo?.filename) imagesToDelete.add(content.logo.filename);
+    if (content?.coverImage?.filename) imagesToDelete.add(content.coverImage.filename);
+    (content?.gallery || []).forEach((img) => {
+      if (img?.filename) imagesToDelete.add(img.filename);
+    });
   });
 
   await Promise.allSettled(
-    imagesToDelete.map((filename) => deleteFromCloudinary(filename))
+    [...imagesToDelete].map((filename) => deleteFromCloudinary(filename))
   );
 
   await Service.deleteMany({ business: business._id });
+  await BusinessPublication.deleteMany({ business: business._id });
+  await BusinessMember.deleteMany({ business: business._id });
+  await Review.deleteMany({ business: business._id });
   await business.deleteOne();
 
-  await User.findByIdAndUpdate(business.owner, { $unset: { business: 1 } });
+  // Si era el negocio principal, pasa a serlo el siguiente que tenga
+  const nextPrimary = await Business.findOne({ owner: business.owner }).sort({ createdAt: 1 }).select('_id').lean();
+  await User.updateOne(
+    { _id: business.owner, business: business._id },
+    nextPrimary ? { $set: { business: nextPrimary._id } } : { $unset: { business: 1 } }
+  );
 
   res.json({ success: true, message: 'Negocio eliminado exitosamente' });
 });
@@ -818,7 +1389,24 @@ export default {
   uploadCoverImage,
   uploadGalleryImages,
   deleteGalleryImage,
-  changeBusinessStatus,
+  listClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure,
+  getBusinessTemplate,
+  updateTemplateSections,
+  upgradeTemplate,
+  rollbackTemplate,
+  applyBusinessTemplate,
+  getSiteDraft,
+  discardSiteDraft,
+  getSitePreviewLink,
+  publishBusiness,
+  unpublishBusiness,
+  listSitePublications,
+  getSitePublication,
+  revertSitePublication,
   setBusinessStatus,
+  setBusinessPlan,
   deleteBusiness,
 };
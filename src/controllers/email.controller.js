@@ -0,0 +1,77 @@
+// src/controllers/email.controller.js
+// Vista previa de los emails transaccionales con la marca del negocio
+
+import Business from '../models/business.js';
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { ValidationError, throwIfNotFound } from '../middleware/errorHandler.js';
+
+import { constants } from '../config/index.js';
+import {
+  EMAIL_TEMPLATE_NAMES,
+  renderEmail,
+  resolveLanguage,
+  getBusinessBranding,
+  getPreviewData,
+} from '../services/email/index.js';
+
+const { SUPPORTED_LANGUAGES } = constants;
+
+const PREVIEW_FORMATS = ['json', 'html', 'text'];
+
+/* ──────────────────────────────────────────────────────────────
+ * Helpers
+ * ────────────────────────────────────────────────────────────── */
+const loadBusinessForPreview = async (businessId) =>
+  throwIfNotFound(
+    await Business.findById(businessId).select('name settings visualConfig logo location').lean(),
+    'Negocio no encontrado'
+  );
+
+/* ──────────────────────────────────────────────────────────────
+ * Templates
+ * ────────────────────────────────────────────────────────────── */
+export const listEmailTemplates = asyncHandler(async (req, res) => {
+  const business = await loadBusinessForPreview(req.params.businessId);
+
+  res.json({
+    success: true,
+    data: {
+      templates: EMAIL_TEMPLATE_NAMES,
+      languages: Object.values(SUPPORTED_LANGUAGES),
+      defaultLanguage: resolveLanguage(business.settings?.language),
+    },
+  });
+});
+
+export const previewEmailTemplate = asyncHandler(async (req, res) => {
+  const { template } = req.params;
+  const { lang, format = 'json' } = req.query;
+
+  if (!EMAIL_TEMPLATE_NAMES.includes(template)) {
+    throw new ValidationError(`Template inválido. Use uno de: ${EMAIL_TEMPLATE_NAMES.join(', ')}`);
+  }
+  if (lang && !Object.values(SUPPORTED_LANGUAGES).includes(lang)) {
+    throw new ValidationError(`Idioma inválido. Use uno de: ${Object.values(SUPPORTED_LANGUAGES).join(', ')}`);
+  }
+  if (!PREVIEW_FORMATS.includes(format)) {
+    throw new ValidationError(`Formato inválido. Use uno de: ${PREVIEW_FORMATS.join(', ')}`);
+  }
+
+  const business = await loadBusinessForPreview(req.params.businessId);
+  const language = resolveLanguage(lang, business.settings?.language);
+  const email = renderEmail(template, getPreviewData(business, language), {
+    lang: language,
+    brand: getBusinessBranding(business),
+  });
+
+  if (format === 'html') return res.type('html').send(email.html);
+  if (format === 'text') return res.type('text').send(email.text);
+
+  res.json({ success: true, data: { template, ...email } });
+});
+
+export default {
+  listEmailTemplates,
+  previewEmailTemplate,
+};
@@ -0,0 +1,24 @@
+// src/controllers/jobs.controller.js
+// Disparo HTTP de tareas programadas (cron de Vercel o administrador)
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { runJob, isKnownJob } from '../jobs/index.js';
+
+/* ──────────────────────────────────────────────────────────────
+ * Ejecutar una tarea (GET para el cron de Vercel, POST manual)
+ * ────────────────────────────────────────────────────────────── */
+export const triggerJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  if (!isKnownJob(name)) throw new NotFoundError(`Tarea desconocida: ${name}`);
+
+  const { ran, result } = await runJob(name);
+
+  res.status(ran ? 200 : 202).json({
+    success: true,
+    message: ran ? 'Tarea ejecutada' : 'La tarea ya se está ejecutando en otra instancia',
+    data: { job: name, ran, result: result || null, triggeredBy: req.cron ? 'cron' : req.user?.id },
+  });
+});
+
+export default { triggerJob };
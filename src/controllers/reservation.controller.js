@@ -2,11 +2,33 @@
 import Reservation from '../models/reservation.js';
 import Business from '../models/business.js';
 import Service from '../models/service.js'; // Necesario para obtener duración y precio
+import Staff from '../models/staff.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import { constants, logger } from '../config/index.js';
 import mongoose from 'mongoose';
-
-const { USER_ROLES } = constants;
+import moment from 'moment-timezone';
+import {
+  computeAvailability,
+  DEFAULT_SLOT_INTERVAL,
+  MAX_AVAILABILITY_RANGE_DAYS,
+} from '../utils/availability.js';
+import { resolveTimezone } from '../utils/schedule.js';
+import { verifyReservationManageToken } from '../middleware/auth.js';
+import { notifyReservation, buildManageUrl } from '../services/notifications/index.js';
+import { registerUser, validatePassword, isEmailRegistered } from '../services/accounts.js';
+import { createSession } from '../services/sessions.js';
+import { canAccessBusiness, getBusinessAccess, listAccessibleBusinessIds } from '../services/team.js';
+import { createReview, isReviewable, getReviewDeadline } from '../services/reviews.js';
+import Review from '../models/review.js';
+
+const {
+  USER_ROLES,
+  RESERVATION_STATUS,
+  RESERVATION_TRANSITIONS,
+  APP_LIMITS,
+  NOTIFICATION_TYPES,
+  BUSINESS_PERMISSIONS,
+} = constants;
 
 // ───────────────────────────────────────────────────────────────
 // Helpers
@@ -18,6 +40,71 @@ const parseDate = (v) => {
   return isNaN(d.getTime()) ? null : d;
 };
 
+/**
+ * Interpreta un límite del filtro de fechas.
+ * 'YYYY-MM-DD' se toma como día local del negocio (inicio o fin del día);
+ * un date-time ISO se respeta tal cual (con su offset o en UTC).
+ */
+const parseDateBoundary = (v, timezone, edge = 'start') => {
+  const day = moment.tz(String(v), 'YYYY-MM-DD', true, timezone);
+  if (day.isValid()) {
+    return (edge === 'end' ? day.endOf('day') : day.startOf('day')).toDate();
+  }
+  return parseDate(v);
+};
+
+/** Agrega horas locales (zona del negocio) a una reserva obtenida con lean() */
+const withLocalTimes = (r) => {
+  if (!r?.dateTime) return r;
+  const timezone = resolveTimezone(r.timezone);
+  const start = moment.tz(r.dateTime, timezone);
+  return {
+    ...r,
+    timezone,
+    localDateTime: start.format(),
+    localEndDateTime: r.duration ? start.clone().add(r.duration, 'minutes').format() : null,
+  };
+};
+
+/**
+ * Hora límite para que el cliente cancele o reprograme por su cuenta
+ * (settings.cancellationHours antes de la cita, 24 por defecto).
+ */
+const getChangeDeadline = (reservation, business) => {
+  const hours = business?.settings?.cancellationHours ?? 24;
+  return { hours, deadline: new Date(reservation.dateTime.getTime() - hours * 60 * 60 * 1000) };
+};
+
+/** Datos de la reserva que se exponen a quien tiene el enlace de gestión */
+const toGuestSummary = (r) => ({
+  id: r._id,
+  status: r.status,
+  dateTime: r.dateTime,
+  localDateTime: r.localDateTime,
+  localEndDateTime: r.localEndDateTime,
+  timezone: r.timezone,
+  duration: r.duration,
+  staff: r.staff,
+});
+
+/**
+ * Resuelve la reserva de un enlace de gestión.
+ * @returns {Promise<{ reservation?: Document, status?: number, error?: string }>}
+ */
+const findReservationByManageToken = async (token) => {
+  let payload;
+  try {
+    payload = verifyReservationManageToken(token);
+  } catch (error) {
+    return { status: error.statusCode || 401, error: error.message };
+  }
+  if (!isObjectId(payload.rid)) return { status: 401, error: 'Enlace de reserva inválido o expirado' };
+
+  const reservation = await Reservation.findById(payload.rid);
+  if (!reservation) return { status: 404, error: 'Reserva no encontrada' };
+  return { reservation };
+};
+
 const parsePagination = (q) => {
   const page = Math.max(1, parseInt(q.page ?? 1, 10));
   const limit = Math.min(100, Math.max(1, parseInt(q.limit ?? 10, 10)));
@@ -25,25 +112,32 @@ const parsePagination = (q) => {
   return { page, limit, skip };
 };
 
+// El negocio puede venir populado (getById)
+const reservationBusinessId = (reservation) => reservation.business?._id || reservation.business;
+
 const userCanSeeReservation = async (user, reservation) => {
   if (!user || !reservation) return false;
   if (user.role === USER_ROLES.ADMIN) return true;
-  if (user.role === USER_ROLES.CLIENT) return String(reservation.client) === String(user.id);
-  if (user.role === USER_ROLES.OWNER) {
-    const biz = await Business.findById(reservation.business).select('owner').lean();
-    return !!biz && String(biz.owner) === String(user.id);
-  }
-  return false;
+  if (reservation.client && String(reservation.client) === String(user.id)) return true;
+  // Dueño o miembro del equipo del negocio
+  return canAccessBusiness(user, reservationBusinessId(reservation), BUSINESS_PERMISSIONS.RESERVATIONS_VIEW);
 };
 
 const userCanManageReservation = async (user, reservation) => {
   if (!user || !reservation) return false;
   if (user.role === USER_ROLES.ADMIN) return true;
-  if (user.role === USER_ROLES.OWNER) {
-    const biz = await Business.findById(reservation.business).select('owner').lean();
-    return !!biz && String(biz.owner) === String(user.id);
-  }
-  return false;
+  return canAccessBusiness(user, reservationBusinessId(reservation), BUSINESS_PERMISSIONS.RESERVATIONS_MANAGE);
+};
+
+/**
+ * Cómo actúa el equipo del negocio: `role` para los permisos de transición
+ * (RESERVATION_TRANSITION_ROLES solo distingue owner/admin) y `actorRole`, su
+ * rol en el negocio (owner, manager, receptionist...), para el historial.
+ */
+const businessActor = async (user, reservation) => {
+  if (user.role === USER_ROLES.ADMIN) return { role: USER_ROLES.ADMIN, actorRole: USER_ROLES.ADMIN };
+  const access = await getBusinessAccess(user, reservationBusinessId(reservation));
+  return { role: USER_ROLES.OWNER, actorRole: access?.role || USER_ROLES.OWNER };
 };
 
 // ───────────────────────────────────────────────────────────────
@@ -52,10 +146,13 @@ const userCanManageReservation = async (user, reservation) => {
 
 /**
  * Crear una reserva
- * Body: { business, service, dateTime, notes, customerName, customerEmail, customerPhone }
+ * Body: { business, service, dateTime, staff?, notes, customerName, customerEmail, customerPhone }
+ * staff: ID del personal o 'any'/vacío para asignar a cualquiera disponible.
  */
 const create = asyncHandler(async (req, res) => {
-  const { business, service, dateTime, notes, customerName, customerEmail, customerPhone } = req.body || {};
+  const { business, service, dateTime, staff, notes, customerName, customerEmail, customerPhone } = req.body || {};
+  // Registro opcional como cliente durante la reserva (solo invitados)
+  const createAccount = !req.user && (req.body?.createAccount === true || req.body?.createAccount === 'true');
 
   // Validaciones mínimas
   if (!business || !service || !dateTime) {
@@ -71,6 +168,11 @@ const create = asyncHandler(async (req, res) => {
       error: 'IDs inválidos (business/service)' 
     });
   }
+
+  const anyStaff = !staff || staff === 'any';
+  if (!anyStaff && !isObjectId(staff)) {
+    return res.status(400).json({ success: false, error: 'staff inválido' });
+  }
   
   const when = parseDate(dateTime);
   if (!when) {
@@ -96,6 +198,16 @@ const create = asyncHandler(async (req, res) => {
   }
 
   try {
+    if (createAccount) {
+      validatePassword(req.body.password || '');
+      if (await isEmailRegistered(customerEmail)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Ya existe una cuenta con este email. Inicia sesión para reservar con ella'
+        });
+      }
+    }
+
     // ✅ OBTENER INFORMACIÓN DEL SERVICIO PARA DURACIÓN Y PRECIO
     const serviceData = await Service.findById(service).lean();
     if (!serviceData) {
@@ -114,9 +226,9 @@ const create = asyncHandler(async (req, res) => {
       });
     }
 
-    // Si es OWNER, validar que es dueño del negocio
+    // Si es OWNER, validar que es dueño o miembro del equipo con permiso de reservas
     if (req.user?.role === USER_ROLES.OWNER) {
-      if (String(businessData.owner) !== String(req.user.id)) {
+      if (!(await canAccessBusiness(req.user, businessData._id, BUSINESS_PERMISSIONS.RESERVATIONS_MANAGE))) {
         return res.status(403).json({ 
           success: false, 
           error: 'No puedes crear reservas en negocios de terceros' 
@@ -124,10 +236,32 @@ const create = asyncHandler(async (req, res) => {
       }
     }
 
+    // ✅ PERSONAL: el indicado o cualquiera disponible si el servicio tiene personal asignable
+    let staffId = anyStaff ? null : staff;
+    if (anyStaff) {
+      const candidates = await Staff.findForService(business, service).select('_id').lean();
+      if (candidates.length) {
+        const available = await Staff.findAvailableFor({
+          business: businessData,
+          serviceId: service,
+          start: when,
+          duration: serviceData.duration || 60
+        });
+        if (!available) {
+          return res.status(409).json({
+            success: false,
+            error: 'No hay personal disponible en ese horario'
+          });
+        }
+        staffId = available._id;
+      }
+    }
+
     // ✅ PREPARAR DATOS PARA EL MODELO
     const reservationData = {
       business,
       service,
+      staff: staffId,
       dateTime: when,
       notes: notes || '',
       
@@ -163,6 +297,36 @@ const create = asyncHandler(async (req, res) => {
     // ✅ CREAR LA RESERVA
     const reservation = await Reservation.create(reservationData);
 
+    // ✅ CUENTA DE CLIENTE (si la pidió): la reserva ya queda a su nombre.
+    // Un fallo aquí no deshace la reserva; sigue siendo de invitado.
+    let account = null;
+    if (createAccount) {
+      try {
+        const user = await registerUser({
+          fullName: customerName,
+          email: customerEmail,
+          password: req.body.password,
+          phone: customerPhone,
+          role: USER_ROLES.CLIENT
+        });
+        await Reservation.updateOne({ _id: reservation._id }, { $set: { client: user._id } });
+        reservation.client = user._id;
+        const { token, refreshToken } = await createSession(user, req);
+        account = { user: user.toJSON(), token, refreshToken };
+      } catch (error) {
+        logger.warn('No se pudo crear la cuenta durante la reserva', {
+          reservationId: reservation._id,
+          customerEmail,
+          error: error.message
+        });
+        account = { error: error.isOperational ? error.message : 'No se pudo crear la cuenta' };
+      }
+    }
+
+    // ✅ ENLACE FIRMADO PARA QUE EL INVITADO GESTIONE SU RESERVA SIN CUENTA
+    const manageUrl = buildManageUrl(reservation);
+    await notifyReservation(reservation, NOTIFICATION_TYPES.RESERVATION_CREATED, { manageUrl });
+
     logger.info('Reserva creada exitosamente', { 
       reservationId: reservation._id, 
       business, 
@@ -174,7 +338,7 @@ const create = asyncHandler(async (req, res) => {
     res.status(201).json({ 
       success: true, 
       message: 'Reserva creada exitosamente',
-      data: { reservation } 
+      data: { reservation, manageUrl, ...(account && { account }) } 
     });
 
   } catch (error) {
@@ -186,6 +350,14 @@ const create = asyncHandler(async (req, res) => {
       by: req.user?.id || 'guest'
     });
 
+    // Errores de dominio de los hooks del modelo (horario, solapamientos)
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     // Manejar errores de validación de Mongoose
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => err.message);
@@ -204,11 +376,117 @@ const create = asyncHandler(async (req, res) => {
 });
 
 /**
- * Listar reservas (admin/owner)
- * Query: businessId, serviceId, status, from, to, page, limit
+ * Disponibilidad pública de un servicio
+ * Query: business, service, date | (from, to), interval, staff
+ * Si el servicio tiene personal, cada espacio indica qué personas están libres.
+ * Fechas 'YYYY-MM-DD' interpretadas en la zona horaria del negocio.
+ */
+const getAvailability = asyncHandler(async (req, res) => {
+  const { business, service, date, interval, staff } = req.query || {};
+  const from = date || req.query?.from;
+  const to = date || req.query?.to || from;
+
+  if (!business || !service) {
+    return res.status(400).json({ success: false, error: 'business y service son requeridos' });
+  }
+  if (!isObjectId(business) || !isObjectId(service)) {
+    return res.status(400).json({ success: false, error: 'IDs inválidos (business/service)' });
+  }
+  if (!from) {
+    return res.status(400).json({ success: false, error: 'date o from/to son requeridos' });
+  }
+  if (staff && staff !== 'any' && !isObjectId(staff)) {
+    return res.status(400).json({ success: false, error: 'staff inválido' });
+  }
+
+  const [businessData, serviceData] = await Promise.all([
+    Business.findById(business).select('operatingHours closures resources settings').lean(),
+    Service.findById(service).select('business duration isActive').lean(),
+  ]);
+
+  if (!businessData) {
+    return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
+  }
+  if (!serviceData || !serviceData.isActive || String(serviceData.business) !== String(business)) {
+    return res.status(404).json({ success: false, error: 'Servicio no encontrado' });
+  }
+  if (businessData.settings?.allowOnlineBooking === false) {
+    return res.status(400).json({ success: false, error: 'El negocio no acepta reservas en línea' });
+  }
+
+  const timezone = resolveTimezone(businessData.settings?.timezone);
+  const start = moment.tz(String(from), 'YYYY-MM-DD', true, timezone);
+  const end = moment.tz(String(to), 'YYYY-MM-DD', true, timezone);
+  if (!start.isValid() || !end.isValid()) {
+    return res.status(400).json({ success: false, error: 'Las fechas deben tener formato YYYY-MM-DD' });
+  }
+  if (end.isBefore(start, 'day')) {
+    return res.status(400).json({ success: false, error: 'to debe ser igual o posterior a from' });
+  }
+  if (end.diff(start, 'days') >= MAX_AVAILABILITY_RANGE_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: `El rango máximo es de ${MAX_AVAILABILITY_RANGE_DAYS} días`,
+    });
+  }
+
+  const step = Math.min(240, Math.max(5, parseInt(interval ?? DEFAULT_SLOT_INTERVAL, 10) || DEFAULT_SLOT_INTERVAL));
+
+  // Reservas activas que puedan solapar el rango (una reserva larga puede empezar el día anterior)
+  const rangeStart = start.clone().startOf('day').subtract(APP_LIMITS.MAX_SERVICE_DURATION, 'minutes');
+  const rangeEnd = end.clone().endOf('day');
+  const [reservations, serviceStaff] = await Promise.all([
+    Reservation.find({
+      business,
+      status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED] },
+      dateTime: { $gte: rangeStart.toDate(), $lte: rangeEnd.toDate() },
+    })
+      .select('dateTime duration staff service')
+      .lean(),
+    Staff.findForService(business, service)
+      .select('name photo useBusinessHours operatingHours')
+      .lean(),
+  ]);
+
+  // Personal considerado: el pedido o todos los que realizan el servicio
+  const staffList = staff && staff !== 'any'
+    ? serviceStaff.filter((m) => String(m._id) === String(staff))
+    : serviceStaff;
+  if (staff && staff !== 'any' && !staffList.length) {
+    return res.status(404).json({ success: false, error: 'Personal no encontrado para este servicio' });
+  }
+
+  const days = computeAvailability({
+    business: businessData,
+    service: serviceData,
+    from: start.format('YYYY-MM-DD'),
+    to: end.format('YYYY-MM-DD'),
+    reservations,
+    staff: staffList,
+    interval: step,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      business,
+      service,
+      timezone,
+      duration: serviceData.duration,
+      interval: step,
+      staff: staffList.map((m) => ({ id: m._id, name: m.name, photo: m.photo?.url || null })),
+      days,
+    },
+  });
+});
+
+/**
+ * Listar reservas (admin, dueños y equipos de negocio)
+ * Query: businessId, serviceId, staffId, status, from, to, timezone, page, limit
+ * from/to aceptan 'YYYY-MM-DD' (día local del negocio) o date-time ISO.
  */
 const list = asyncHandler(async (req, res) => {
-  const { businessId, serviceId, status, from, to } = req.query || {};
+  const { businessId, serviceId, staffId, status, from, to, timezone } = req.query || {};
   const { page, limit, skip } = parsePagination(req.query);
 
   const filter = {};
@@ -221,6 +499,10 @@ const list = asyncHandler(async (req, res) => {
     if (!isObjectId(serviceId)) return res.status(400).json({ success: false, error: 'serviceId inválido' });
     filter.service = serviceId;
   }
+  if (staffId) {
+    if (!isObjectId(staffId)) return res.status(400).json({ success: false, error: 'staffId inválido' });
+    filter.staff = staffId;
+  }
   if (status) {
     const allowed = ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'];
     if (!allowed.includes(status)) {
@@ -229,20 +511,29 @@ const list = asyncHandler(async (req, res) => {
     filter.status = status;
   }
   if (from || to) {
-    const $gte = from ? parseDate(from) : null;
-    const $lte = to ? parseDate(to) : null;
+    // Zona para interpretar fechas sin hora: la del negocio filtrado, o la indicada
+    let tz = resolveTimezone(timezone);
+    if (filter.business) {
+      const biz = await Business.findById(filter.business).select('settings.timezone').lean();
+      if (biz) tz = resolveTimezone(biz.settings?.timezone);
+    }
+    const $gte = from ? parseDateBoundary(from, tz, 'start') : null;
+    const $lte = to ? parseDateBoundary(to, tz, 'end') : null;
     if ((from && !$gte) || (to && !$lte)) {
-      return res.status(400).json({ success: false, error: 'from/to deben ser date-time ISO' });
+      return res.status(400).json({ success: false, error: 'from/to deben ser YYYY-MM-DD o date-time ISO' });
     }
     filter.dateTime = {};
     if ($gte) filter.dateTime.$gte = $gte;
     if ($lte) filter.dateTime.$lte = $lte;
   }
 
-  // Scoping por rol:
-  if (req.user?.role === USER_ROLES.OWNER) {
-    const myBizIds = await Business.find({ owner: req.user.id }).distinct('_id');
+  // Scoping: negocios propios y de los equipos del usuario
+  if (req.user?.role !== USER_ROLES.ADMIN) {
+    const myBizIds = await listAccessibleBusinessIds(req.user, BUSINESS_PERMISSIONS.RESERVATIONS_VIEW);
     if (myBizIds.length === 0) {
+      if (req.user?.role === USER_ROLES.CLIENT) {
+        return res.status(403).json({ success: false, error: 'Acceso denegado' });
+      }
       return res.json({ success: true, data: { items: [], pagination: { page, limit, total: 0, totalPages: 0 } } });
     }
     if (filter.business) {
@@ -252,14 +543,13 @@ const list = asyncHandler(async (req, res) => {
     } else {
       filter.business = { $in: myBizIds };
     }
-  } else if (req.user?.role === USER_ROLES.CLIENT) {
-    return res.status(403).json({ success: false, error: 'Acceso denegado' });
   }
 
   const [items, total] = await Promise.all([
     Reservation.find(filter)
       .populate('business', 'name location')
       .populate('service', 'name duration price')
+      .populate('staff', 'name photo')
       .sort({ dateTime: 1 })
       .skip(skip)
       .limit(limit)
@@ -270,7 +560,7 @@ const list = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      items,
+      items: items.map(withLocalTimes),
       pagination: {
         page,
         limit,
@@ -301,6 +591,7 @@ const listMine = asyncHandler(async (req, res) => {
     Reservation.find(filter)
       .populate('business', 'name location')
       .populate('service', 'name duration price')
+      .populate('staff', 'name photo')
       .sort({ dateTime: -1 })
       .skip(skip)
       .limit(limit)
@@ -311,7 +602,7 @@ const listMine = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      items,
+      items: items.map(withLocalTimes),
       pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
     }
   });
@@ -326,7 +617,8 @@ const getById = asyncHandler(async (req, res) => {
 
   const r = await Reservation.findById(id)
     .populate('business', 'name location')
-    .populate('service', 'name duration price');
+    .populate('service', 'name duration price')
+    .populate('staff', 'name photo');
     
   if (!r) return res.status(404).json({ success: false, error: 'Reserva no encontrada' });
 
@@ -337,14 +629,16 @@ const getById = asyncHandler(async (req, res) => {
 });
 
 /**
- * Actualizar estado de una reserva (owner/admin)
+ * Actualizar estado de una reserva
+ * Body: { status, reason? }
+ * Transiciones según RESERVATION_TRANSITIONS; permisos según RESERVATION_TRANSITION_ROLES.
  */
 const updateStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body || {};
+  const { status, reason } = req.body || {};
   if (!isObjectId(id)) return res.status(400).json({ success: false, error: 'ID inválido' });
 
-  const allowed = ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'];
+  const allowed = Object.values(RESERVATION_STATUS);
   if (!allowed.includes(status)) {
     return res.status(400).json({ success: false, error: `status debe ser uno de: ${allowed.join(', ')}` });
   }
@@ -353,16 +647,38 @@ const updateStatus = asyncHandler(async (req, res) => {
   if (!r) return res.status(404).json({ success: false, error: 'Reserva no encontrada' });
 
   const canManage = await userCanManageReservation(req.user, r);
-  if (!canManage) return res.status(403).json({ success: false, error: 'Acceso denegado' });
+  const isClientSelf = !!r.client && String(r.client) === String(req.user?.id);
+  if (!(canManage || isClientSelf)) {
+    return res.status(403).json({ success: false, error: 'Acceso denegado' });
+  }
 
-  r.status = status;
-  if (status === 'confirmed') r.confirmedAt = new Date();
-  if (status === 'cancelled') r.cancelledAt = new Date();
-  if (status === 'completed') r.completedAt = new Date();
-  
-  await r.save();
+  const previous = r.status;
+  try {
+    await r.updateStatus(status, {
+      userId: req.user.id,
+      ...(canManage ? await businessActor(req.user, r) : { role: USER_ROLES.CLIENT }),
+      reason: reason ? String(reason).slice(0, 200) : null,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.statusCode === 409 ? { allowed: RESERVATION_TRANSITIONS[previous] || [] } : {}),
+      });
+    }
+    throw error;
+  }
 
-  logger.info('Reserva: estado actualizado', { id: r._id, status, by: req.user?.id });
+  const notificationType = {
+    [RESERVATION_STATUS.CONFIRMED]: NOTIFICATION_TYPES.RESERVATION_CONFIRMED,
+    [RESERVATION_STATUS.CANCELLED]: NOTIFICATION_TYPES.RESERVATION_CANCELLED,
+  }[status];
+  if (notificationType) {
+    await notifyReservation(r, notificationType, { byCustomer: !canManage, reason });
+  }
+
+  logger.info('Reserva: estado actualizado', { id: r._id, from: previous, status, by: req.user?.id });
   res.json({ success: true, message: 'Estado actualizado', data: { reservation: r } });
 });
 
@@ -378,30 +694,248 @@ const cancel = asyncHandler(async (req, res) => {
   if (!r) return res.status(404).json({ success: false, error: 'Reserva no encontrada' });
 
   const isOwnerManage = await userCanManageReservation(req.user, r);
-  const isClientSelf = String(r.client) === String(req.user?.id);
-  if (!(req.user?.role === USER_ROLES.ADMIN || isOwnerManage || isClientSelf)) {
+  const isClientSelf = !!r.client && String(r.client) === String(req.user?.id);
+  if (!(isOwnerManage || isClientSelf)) {
     return res.status(403).json({ success: false, error: 'Acceso denegado' });
   }
 
-  if (r.status === 'cancelled') {
-    return res.status(400).json({ success: false, error: 'La reserva ya está cancelada' });
+  try {
+    await r.updateStatus(RESERVATION_STATUS.CANCELLED, {
+      userId: req.user.id,
+      ...(isOwnerManage ? await businessActor(req.user, r) : { role: USER_ROLES.CLIENT }),
+      reason: reason ? String(reason).slice(0, 200) : null,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    throw error;
   }
 
-  r.status = 'cancelled';
-  r.cancelledAt = new Date();
-  if (reason) r.cancellationReason = reason;
-
-  await r.save();
+  await notifyReservation(r, NOTIFICATION_TYPES.RESERVATION_CANCELLED, { byCustomer: !isOwnerManage, reason });
 
   logger.warn('Reserva cancelada', { id: r._id, by: req.user?.id, role: req.user?.role });
   res.json({ success: true, message: 'Reserva cancelada', data: { reservation: r } });
 });
 
+/**
+ * Lógica compartida de reprogramación (usuarios autenticados y enlaces de invitado).
+ * `byClient` aplica las reglas de anticipación del negocio (cancellationHours y bookingAdvanceHours).
+ * @returns {Promise<{ status: number, error: string }|null>} null si se reprogramó
+ */
+const rescheduleReservation = async (r, { dateTime, staff, reason, userId = null, role, byClient }) => {
+  const when = parseDate(dateTime);
+  if (!when) return { status: 400, error: 'dateTime inválido (ISO requerido)' };
+  if (when.getTime() < Date.now()) return { status: 400, error: 'dateTime debe estar en el futuro' };
+  if (staff !== undefined && staff !== null && staff !== 'any' && !isObjectId(staff)) {
+    return { status: 400, error: 'staff inválido' };
+  }
+
+  if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED].includes(r.status)) {
+    return { status: 409, error: `No se puede reprogramar una reserva ${r.status}` };
+  }
+  if (when.getTime() === r.dateTime.getTime() && staff === undefined) {
+    return { status: 400, error: 'La reserva ya está en ese horario' };
+  }
+
+  const business = await Business.findById(r.business).select('operatingHours closures settings').lean();
+
+  // Los clientes no pueden mover reservas dentro de la ventana de cancelación
+  if (byClient) {
+    const { hours, deadline } = getChangeDeadline(r, business);
+    if (Date.now() > deadline.getTime()) {
+      return { status: 400, error: `Solo se puede reprogramar con al menos ${hours} horas de anticipación` };
+    }
+    const advanceHours = business?.settings?.bookingAdvanceHours ?? 0;
+    if (when.getTime() < Date.now() + advanceHours * 60 * 60 * 1000) {
+      return { status: 400, error: `El nuevo horario debe reservarse con al menos ${advanceHours} horas de anticipación` };
+    }
+  }
+
+  // staff: 'any' reasigna a cualquiera disponible; sin staff se mantiene el actual
+  let nextStaff;
+  if (staff === 'any') {
+    const available = await Staff.findAvailableFor({
+      business,
+      serviceId: r.service,
+      start: when,
+      duration: r.duration,
+      excludeReservationId: r._id,
+    });
+    if (!available) return { status: 409, error: 'No hay personal disponible en ese horario' };
+    nextStaff = available._id;
+  } else if (staff !== undefined) {
+    nextStaff = staff;
+  }
+
+  const previousDateTime = r.dateTime;
+  try {
+    await r.reschedule(when, {
+      staff: nextStaff,
+      userId,
+      role,
+      reason: reason ? String(reason).slice(0, 200) : null,
+    });
+  } catch (error) {
+    if (error.isOperational) return { status: error.statusCode, error: error.message };
+    throw error;
+  }
+
+  await notifyReservation(r, NOTIFICATION_TYPES.RESERVATION_RESCHEDULED, {
+    byCustomer: byClient,
+    previousDateTime,
+    reason,
+  });
+
+  logger.info('Reserva reprogramada', { id: r._id, from: previousDateTime, to: r.dateTime, by: userId, role });
+  return null;
+};
+
+/**
+ * Reprogramar una reserva (cliente dueño de la reserva, owner del negocio o admin)
+ * Body: { dateTime, staff?, reason? }
+ * Los clientes deben respetar settings.cancellationHours del negocio.
+ */
+const reschedule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { dateTime, staff, reason } = req.body || {};
+  if (!isObjectId(id)) return res.status(400).json({ success: false, error: 'ID inválido' });
+
+  const r = await Reservation.findById(id);
+  if (!r) return res.status(404).json({ success: false, error: 'Reserva no encontrada' });
+
+  const isOwnerManage = await userCanManageReservation(req.user, r);
+  const isClientSelf = !!r.client && String(r.client) === String(req.user?.id);
+  if (!(isOwnerManage || isClientSelf)) {
+    return res.status(403).json({ success: false, error: 'Acceso denegado' });
+  }
+
+  const failure = await rescheduleReservation(r, {
+    dateTime,
+    staff,
+    reason,
+    userId: req.user.id,
+    role: isOwnerManage ? (await businessActor(req.user, r)).actorRole : USER_ROLES.CLIENT,
+    byClient: !isOwnerManage,
+  });
+  if (failure) return res.status(failure.status).json({ success: false, error: failure.error });
+
+  res.json({ success: true, message: 'Reserva reprogramada', data: { reservation: r } });
+});
+
+/**
+ * Ver una reserva desde el enlace firmado (público, sin sesión)
+ * Devuelve solo los datos necesarios y si aún se puede cancelar o reprogramar.
+ */
+const manageView = asyncHandler(async (req, res) => {
+  const found = await findReservationByManageToken(req.params.token);
+  if (!found.reservation) return res.status(found.status).json({ success: false, error: found.error });
+  const r = found.reservation;
+
+  const [business, service] = await Promise.all([
+    Business.findById(r.business).select('name slug phone email location settings').lean(),
+    Service.findById(r.service).select('name duration price').lean(),
+  ]);
+  const staff = r.staff ? await Staff.findById(r.staff).select('name').lean() : null;
+
+  const { hours, deadline } = getChangeDeadline(r, business);
+  const isActive = [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED].includes(r.status);
+  const canChange = isActive && Date.now() <= deadline.getTime();
+  const reviewed = r.status === RESERVATION_STATUS.COMPLETED && !!(await Review.exists({ reservation: r._id }));
+
+  res.json({
+    success: true,
+    data: {
+      reservation: {
+        ...toGuestSummary(r),
+        notes: r.notes,
+        guestClient: { name: r.guestClient?.name },
+        service,
+        staff,
+        business: business && {
+          _id: business._id,
+          name: business.name,
+          slug: business.slug,
+          phone: business.phone,
+          email: business.email,
+          location: business.location,
+        },
+      },
+      policy: {
+        cancellationHours: hours,
+        deadline,
+        canCancel: canChange,
+        canReschedule: canChange,
+        canReview: !reviewed && isReviewable(r),
+        reviewDeadline: r.status === RESERVATION_STATUS.COMPLETED ? getReviewDeadline(r) : null,
+      },
+    },
+  });
+});
+
+/**
+ * Cancelar, reprogramar o reseñar desde el enlace firmado (público, sin sesión)
+ * Body: { action: 'cancel' | 'reschedule' | 'review', reason?, dateTime?, staff?, rating?, comment? }
+ * Cancelar y reprogramar respetan settings.cancellationHours del negocio;
+ * reseñar requiere la reserva completada.
+ */
+const manageAction = asyncHandler(async (req, res) => {
+  const { action, reason, dateTime, staff, rating, comment } = req.body || {};
+  if (!['cancel', 'reschedule', 'review'].includes(action)) {
+    return res.status(400).json({ success: false, error: "action debe ser 'cancel', 'reschedule' o 'review'" });
+  }
+
+  const found = await findReservationByManageToken(req.params.token);
+  if (!found.reservation) return res.status(found.status).json({ success: false, error: found.error });
+  const r = found.reservation;
+
+  if (action === 'review') {
+    const review = await createReview(r, { rating, comment });
+    return res.status(201).json({ success: true, message: 'Gracias por tu reseña', data: { review: review.toPublicJSON() } });
+  }
+
+  if (action === 'reschedule') {
+    const failure = await rescheduleReservation(r, { dateTime, staff, reason, role: 'guest', byClient: true });
+    if (failure) return res.status(failure.status).json({ success: false, error: failure.error });
+    return res.json({ success: true, message: 'Reserva reprogramada', data: { reservation: toGuestSummary(r) } });
+  }
+
+  const business = await Business.findById(r.business).select('settings').lean();
+  const { hours, deadline } = getChangeDeadline(r, business);
+  if (Date.now() > deadline.getTime()) {
+    return res.status(400).json({
+      success: false,
+      error: `Solo se puede cancelar con al menos ${hours} horas de anticipación`,
+    });
+  }
+
+  try {
+    await r.updateStatus(RESERVATION_STATUS.CANCELLED, {
+      role: 'guest',
+      reason: reason ? String(reason).slice(0, 200) : null,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+
+  await notifyReservation(r, NOTIFICATION_TYPES.RESERVATION_CANCELLED, { byCustomer: true, reason });
+
+  logger.warn('Reserva cancelada por invitado', { id: r._id });
+  res.json({ success: true, message: 'Reserva cancelada', data: { reservation: toGuestSummary(r) } });
+});
+
 export default {
   create,
+  getAvailability,
   list,
   listMine,
   getById,
   updateStatus,
-  cancel
+  cancel,
+  reschedule,
+  manageView,
+  manageAction
 };
\ No newline at end of file
@@ -0,0 +1,170 @@
+// src/controllers/review.controller.js
+// Reseñas: creación por el cliente, listados públicos por negocio/servicio,
+// respuesta del negocio y moderación (admin)
+
+import mongoose from 'mongoose';
+import Review from '../models/review.js';
+import Reservation from '../models/reservation.js';
+import Business from '../models/business.js';
+import Service from '../models/service.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+} from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+import { canAccessBusiness } from '../services/team.js';
+import {
+  createReview as createReservationReview,
+  findReview,
+  replyToReview as replyReview,
+  deleteReply as deleteReviewReply,
+  moderateReview as moderate,
+  listPublishedReviews,
+} from '../services/reviews.js';
+
+const { BUSINESS_STATUS, BUSINESS_PERMISSIONS, REVIEW_STATUS } = constants;
+
+const parsePagination = (q) => {
+  const page = Math.max(1, parseInt(q.page ?? 1, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(q.limit ?? 10, 10) || 10));
+  return { page, limit };
+};
+
+const assertCanReply = async (user, review) => {
+  const allowed = await canAccessBusiness(user, review.business, BUSINESS_PERMISSIONS.REVIEWS_REPLY);
+  if (!allowed) throw new AuthorizationError('No puedes responder reseñas de este negocio');
+};
+
+/* ──────────────────────────────────────────────────────────────
+ * Crear reseña (cliente de la reserva)
+ * ────────────────────────────────────────────────────────────── */
+export const createReview = asyncHandler(async (req, res) => {
+  const { reservationId, rating, comment } = req.body || {};
+  if (!mongoose.isValidObjectId(reservationId)) throw new ValidationError('reservationId inválido');
+
+  const reservation = await Reservation.findById(reservationId);
+  if (!reservation) throw new NotFoundError('Reserva no encontrada');
+  if (!reservation.client || String(reservation.client) !== String(req.user.id)) {
+    throw new AuthorizationError('Solo el cliente de la reserva puede reseñarla');
+  }
+
+  const review = await createReservationReview(reservation, { rating, comment });
+
+  res.status(201).json({
+    success: true,
+    message: 'Gracias por tu reseña',
+    data: { review: review.toPublicJSON() },
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Listados públicos
+ * ────────────────────────────────────────────────────────────── */
+export const listBusinessReviews = asyncHandler(async (req, res) => {
+  const { businessId } = req.params;
+  const business = await Business.findById(businessId).select('status').lean();
+  if (!business || business.status !== BUSINESS_STATUS.ACTIVE) {
+    throw new NotFoundError('Negocio no encontrado');
+  }
+
+  const { rating, sort } = req.query;
+  const data = await listPublishedReviews({ business: businessId }, { ...parsePagination(req.query), rating, sort });
+  res.json({ success: true, data });
+});
+
+export const listServiceReviews = asyncHandler(async (req, res) => {
+  const { serviceId } = req.params;
+  const service = await Service.findById(serviceId).select('business isActive').lean();
+  const business = service && await Business.findById(service.business).select('status').lean();
+  if (!service?.isActive || business?.status !== BUSINESS_STATUS.ACTIVE) {
+    throw new NotFoundError('Servicio no encontrado');
+  }
+
+  const { rating, sort } = req.query;
+  const data = await listPublishedReviews({ service: serviceId }, { ...parsePagination(req.query), rating, sort });
+  res.json({ success: true, data });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Respuesta del negocio
+ * ────────────────────────────────────────────────────────────── */
+export const replyToReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.reviewId);
+  await assertCanReply(req.user, review);
+
+  await replyReview(review, req.body?.text, req.user.id);
+
+  logger.info('Reseña respondida', { reviewId: review._id, by: req.user.id });
+  res.json({ success: true, message: 'Respuesta publicada', data: { review: review.toPublicJSON() } });
+});
+
+export const deleteReply = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.reviewId);
+  await assertCanReply(req.user, review);
+
+  await deleteReviewReply(review);
+  res.json({ success: true, message: 'Respuesta eliminada', data: { review: review.toPublicJSON() } });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Moderación (admin)
+ * ────────────────────────────────────────────────────────────── */
+export const listReviewsForModeration = asyncHandler(async (req, res) => {
+  const { status, business } = req.query;
+  const { page, limit } = parsePagination(req.query);
+
+  const filter = {};
+  if (status) {
+    if (!Object.values(REVIEW_STATUS).includes(status)) throw new ValidationError('status inválido');
+    filter.status = status;
+  }
+  if (business) {
+    if (!mongoose.isValidObjectId(business)) throw new ValidationError('business inválido');
+    filter.business = business;
+  }
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .populate('business', 'name slug')
+      .populate('service', 'name')
+      .populate('client', 'fullName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Review.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      reviews,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    },
+  });
+});
+
+export const moderateReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.reviewId);
+  const { status, reason } = req.body || {};
+
+  await moderate(review, { status, reason }, req.user.id);
+
+  res.json({
+    success: true,
+    message: status === REVIEW_STATUS.HIDDEN ? 'Reseña ocultada' : 'Reseña publicada',
+    data: { review: { ...review.toPublicJSON(), status: review.status, moderation: review.moderation } },
+  });
+});
+
+export default {
+  createReview,
+  listBusinessReviews,
+  listServiceReviews,
+  replyToReview,
+  deleteReply,
+  listReviewsForModeration,
+  moderateReview,
+};
@@ -0,0 +1,64 @@
+// src/controllers/search.controller.js
+// Búsqueda pública del marketplace (negocios + servicios)
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+import { searchMarketplace, SORT_OPTIONS } from '../services/search.js';
+
+const { SEARCH } = constants;
+
+const CURRENCIES = ['CRC', 'USD'];
+
+const parseNumber = (value, field, { min = 0, max = Infinity } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) throw new ValidationError(`${field} inválido`);
+  return n;
+};
+
+/* ──────────────────────────────────────────────────────────────
+ * GET /api/search
+ * ────────────────────────────────────────────────────────────── */
+export const search = asyncHandler(async (req, res) => {
+  const { q, category, city, openNow, sort, cursor } = req.query;
+  const currency = String(req.query.currency || 'CRC').toUpperCase();
+
+  const term = q !== undefined ? String(q).trim() : '';
+  if (term && term.length < SEARCH.MIN_QUERY_LENGTH) {
+    throw new ValidationError(`La búsqueda debe tener al menos ${SEARCH.MIN_QUERY_LENGTH} caracteres`);
+  }
+  if (sort && !SORT_OPTIONS.includes(sort)) {
+    throw new ValidationError(`sort debe ser uno de: ${SORT_OPTIONS.join(', ')}`);
+  }
+  if (!CURRENCIES.includes(currency)) {
+    throw new ValidationError(`currency debe ser uno de: ${CURRENCIES.join(', ')}`);
+  }
+
+  const params = {
+    q: term || undefined,
+    category: category ? String(category).trim() : undefined,
+    city: city ? String(city).trim() : undefined,
+    minPrice: parseNumber(req.query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(req.query.maxPrice, 'maxPrice'),
+    minRating: parseNumber(req.query.minRating, 'minRating', { max: 5 }),
+    openNow: openNow === 'true' || openNow === '1',
+    currency,
+    sort,
+    limit: parseNumber(req.query.limit, 'limit', { min: 1, max: SEARCH.MAX_LIMIT }) ?? SEARCH.DEFAULT_LIMIT,
+    cursor: cursor || undefined,
+  };
+  params.limit = Math.floor(params.limit);
+
+  const data = await searchMarketplace(params);
+
+  logger.info('Búsqueda en el marketplace', {
+    q: params.q,
+    filters: { category: params.category, city: params.city, openNow: params.openNow },
+    total: data.total,
+  });
+
+  res.json({ success: true, data });
+});
+
+export default { search };
@@ -6,14 +6,20 @@ import { controllerHandler } from '../middleware/asyncHandler.js';
 import { throwIf, throwIfNotFound } from '../middleware/index.js';
 import { logger } from '../middleware/logger.js';
 import { constants } from '../config/index.js';
+import { canAccessBusiness } from '../services/team.js';
 
 const {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   APP_LIMITS,
   SERVICE_TYPES,
+  BUSINESS_PERMISSIONS,
 } = constants;
 
+// Dueño o miembro del equipo con permiso sobre servicios
+const canManageServices = (user, businessId) =>
+  canAccessBusiness(user, businessId, BUSINESS_PERMISSIONS.SERVICES_MANAGE);
+
 /* ─────────────────────────────────────────────────────────────
    Defaults
 ───────────────────────────────────────────────────────────── */
@@ -47,17 +53,18 @@ export const serviceController = {
     const business = await Business.findById(businessId);
     throwIfNotFound(business, 'Negocio no encontrado');
 
-    // Si no es owner: negocio debe estar activo
-    if (!req.user || business.owner.toString() !== String(req.user.id)) {
+    // Público vs equipo del negocio (ve también inactivos y borradores)
+    const isTeam = !!req.user && await canAccessBusiness(req.user, business._id, BUSINESS_PERMISSIONS.VIEW);
+
+    // Si no es del equipo: negocio debe estar activo
+    if (!isTeam) {
       throwIf(business.status !== 'active', 'Negocio no disponible');
     }
 
     // Filtros base
     const filters = { business: business._id };
 
-    // Público vs owner
-    const isOwner = !!req.user && business.owner.toString() === String(req.user.id);
-    if (!isOwner) {
+    if (!isTeam) {
       filters.isActive = true;
       filters.isPublic = true;
     } else if (typeof isActive !== 'undefined') {
@@ -182,7 +189,7 @@ export const serviceController = {
     // Verificar negocio y ownership
     const business = await Business.findById(businessIdParam);
     throwIfNotFound(business, 'Negocio no encontrado');
-    throwIf(String(business.owner) !== String(req.user.id), 'No tienes permisos para este negocio');
+    throwIf(!(await canManageServices(req.user, business._id)), 'No tienes permisos para este negocio');
 
     // Límite por negocio
     const serviceCount = await Service.countDocuments({ business: business._id });
@@ -254,15 +261,15 @@ export const serviceController = {
 
     throwIfNotFound(service, 'Servicio no encontrado');
 
-    const isOwner = req.user?.id === service.business.owner.toString();
+    const isTeam = !!req.user && await canAccessBusiness(req.user, service.business._id, BUSINESS_PERMISSIONS.VIEW);
     const isPublic = service.isActive && service.isPublic && service.business.status === 'active';
-    throwIf(!isOwner && !isPublic, 'Servicio no disponible');
+    throwIf(!isTeam && !isPublic, 'Servicio no disponible');
 
     logger.info('Servicio obtenido por ID', {
       serviceId,
       serviceName: service.name,
       userId: req.user?.id,
-      isOwner,
+      isTeam,
     });
 
     res.json({
@@ -279,7 +286,7 @@ export const serviceController = {
 
     const service = await Service.findById(serviceId).populate('business', 'owner');
     throwIfNotFound(service, 'Servicio no encontrado');
-    throwIf(service.business.owner.toString() !== String(req.user.id),
+    throwIf(!(await canManageServices(req.user, service.business._id)),
       'No tienes permisos para modificar este servicio');
 
     const {
@@ -377,7 +384,7 @@ export const serviceController = {
 
     const service = await Service.findById(serviceId).populate('business', 'owner');
     throwIfNotFound(service, 'Servicio no encontrado');
-    throwIf(service.business.owner.toString() !== String(req.user.id),
+    throwIf(!(await canManageServices(req.user, service.business._id)),
       'No tienes permisos para eliminar este servicio');
 
     const activeReservations = await Reservation.countDocuments({
@@ -428,7 +435,7 @@ export const serviceController = {
 
     const service = await Service.findById(serviceId).populate('business', 'owner');
     throwIfNotFound(service, 'Servicio no encontrado');
-    throwIf(service.business.owner.toString() !== String(req.user.id),
+    throwIf(!(await canManageServices(req.user, service.business._id)),
       'No tienes permisos para modificar este servicio');
 
     service.isActive = !!isActive;
@@ -462,14 +469,14 @@ export const serviceController = {
 
     const originalService = await Service.findById(serviceId).populate('business', 'owner');
     throwIfNotFound(originalService, 'Servicio no encontrado');
-    throwIf(originalService.business.owner.toString() !== String(req.user.id),
+    throwIf(!(await canManageServices(req.user, originalService.business._id)),
       'No tienes permisos para duplicar este servicio');
 
     const targetBusiness = targetBusinessId
       ? await Business.findById(targetBusinessId)
       : originalService.business;
     throwIfNotFound(targetBusiness, 'Negocio destino no encontrado');
-    throwIf(targetBusiness.owner.toString() !== String(req.user.id),
+    throwIf(!(await canManageServices(req.user, targetBusiness._id)),
       'No tienes permisos para agregar servicios a este negocio');
 
     const newName = (newNameBody ?? newTitle)?.toString().trim();
@@ -583,8 +590,8 @@ export const serviceController = {
 
     // Filtros de negocio
     const businessMatch = { 'businessInfo.status': 'active' };
-    if (businessType) businessMatch['businessInfo.businessType'] = businessType;
-    if (city) businessMatch['businessInfo.contact.city'] = new RegExp(String(city), 'i');
+    if (businessType) businessMatch['businessInfo.category'] = businessType;
+    if (city) businessMatch['businessInfo.location.city'] = new RegExp(String(city), 'i');
     pipeline.push({ $match: businessMatch });
 
     // Relevance
@@ -626,8 +633,8 @@ export const serviceController = {
           id: '$businessInfo._id',
           name: '$businessInfo.name',
           slug: '$businessInfo.slug',
-          city: '$businessInfo.contact.city',
-          businessType: '$businessInfo.businessType',
+          city: '$businessInfo.location.city',
+          businessType: '$businessInfo.category',
         },
       },
     });
@@ -728,8 +735,8 @@ export const serviceController = {
     pipeline.push({ $unwind: '$businessInfo' });
 
     const businessMatch = { 'businessInfo.status': 'active' };
-    if (businessType) businessMatch['businessInfo.businessType'] = businessType;
-    if (city) businessMatch['businessInfo.contact.city'] = new RegExp(String(city), 'i');
+    if (businessType) businessMatch['businessInfo.category'] = businessType;
+    if (city) businessMatch['businessInfo.location.city'] = new RegExp(String(city), 'i');
     pipeline.push({ $match: businessMatch });
 
     // Métrica de popularidad (proxy)
@@ -773,8 +780,8 @@ export const serviceController = {
           id: '$businessInfo._id',
           name: '$businessInfo.name',
           slug: '$businessInfo.slug',
-          businessType: '$businessInfo.businessType',
-          city: '$businessInfo.contact.city',
+          businessType: '$businessInfo.category',
+          city: '$businessInfo.location.city',
         },
         popularityMetrics: {
           totalReservations: { $ifNull: ['$stats.totalBookings', 0] },
@@ -838,7 +845,7 @@ export const serviceController = {
       pipeline.push({ $unwind: '$businessInfo' });
 
       const businessMatch = { 'businessInfo.status': 'active' };
-      if (businessType) businessMatch['businessInfo.businessType'] = businessType;
+      if (businessType) businessMatch['businessInfo.category'] = businessType;
       pipeline.push({ $match: businessMatch });
     }
 
@@ -0,0 +1,64 @@
+// src/controllers/site.controller.js
+// Sitio público del negocio renderizado en el servidor
+
+import crypto from 'node:crypto';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { AuthenticationError } from '../middleware/errorHandler.js';
+import { logger } from '../config/index.js';
+import { verifySitePreviewToken } from '../middleware/auth.js';
+import { loadSite, loadSitePreview, renderSite, renderNotFound, buildSiteCsp } from '../services/site/index.js';
+
+/* ──────────────────────────────────────────────────────────────
+ * GET /sites/:slug
+ * ────────────────────────────────────────────────────────────── */
+export const renderBusinessSite = asyncHandler(async (req, res) => {
+  const site = await loadSite(req.params.slug);
+
+  res.type('html');
+  if (!site) {
+    return res.status(404).set('Cache-Control', 'no-store').send(renderNotFound());
+  }
+
+  // Nonce por respuesta: solo el customJS del template (y los hosts permitidos) se ejecuta
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const html = renderSite(site, { nonce });
+
+  logger.info('Sitio público renderizado', { businessId: site.business._id, slug: site.business.slug });
+
+  res
+    .set('Content-Security-Policy', buildSiteCsp(nonce))
+    // Con customJS el nonce no se puede reutilizar desde una caché compartida
+    .set('Cache-Control', site.template.customJS ? 'private, no-cache' : 'public, max-age=300')
+    .send(html);
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * GET /sites/:slug/preview?token=
+ * Borrador del sitio con el enlace firmado (generateSitePreviewToken)
+ * ────────────────────────────────────────────────────────────── */
+export const renderSitePreview = asyncHandler(async (req, res) => {
+  let site = null;
+  try {
+    const { bid } = verifySitePreviewToken(String(req.query.token || ''));
+    site = await loadSitePreview(bid, req.params.slug);
+  } catch (err) {
+    // Enlace inválido o expirado: misma página que un sitio inexistente
+    if (!(err instanceof AuthenticationError)) throw err;
+  }
+
+  res.type('html').set('X-Robots-Tag', 'noindex, nofollow');
+  if (!site) {
+    return res.status(404).set('Cache-Control', 'no-store').send(renderNotFound());
+  }
+
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const html = renderSite(site, { nonce, preview: true });
+
+  res
+    .set('Content-Security-Policy', buildSiteCsp(nonce))
+    .set('Cache-Control', 'private, no-store')
+    .set('Referrer-Policy', 'no-referrer')
+    .send(html);
+});
+
+export default { renderBusinessSite, renderSitePreview };
@@ -0,0 +1,168 @@
+// src/controllers/staff.controller.js
+// Personal del negocio (estilistas, barberos, terapeutas...)
+
+import mongoose from 'mongoose';
+import Business from '../models/business.js';
+import Service from '../models/service.js';
+import Staff from '../models/staff.js';
+import Reservation from '../models/reservation.js';
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  ValidationError,
+  ConflictError,
+  throwIfNotFound,
+} from '../middleware/errorHandler.js';
+
+import { constants, logger } from '../config/index.js';
+import { canAccessBusiness } from '../services/team.js';
+
+const { ERROR_MESSAGES, RESERVATION_STATUS, BUSINESS_PERMISSIONS } = constants;
+
+const STAFF_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'bio',
+  'photo',
+  'services',
+  'useBusinessHours',
+  'operatingHours',
+  'isActive',
+  'sortOrder',
+];
+
+/* ──────────────────────────────────────────────────────────────
+ * Helpers
+ * ────────────────────────────────────────────────────────────── */
+const pickStaffFields = (body = {}) => {
+  const data = {};
+  for (const key of STAFF_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+};
+
+// Los servicios asignados deben existir y pertenecer al negocio
+const assertServicesBelongToBusiness = async (businessId, services) => {
+  if (services === undefined) return;
+  if (!Array.isArray(services)) throw new ValidationError('services debe ser un arreglo de IDs');
+  if (services.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new ValidationError('services contiene IDs inválidos');
+  }
+  const count = await Service.countDocuments({ _id: { $in: services }, business: businessId });
+  if (count !== new Set(services.map(String)).size) {
+    throw new ValidationError('Algunos servicios no pertenecen al negocio');
+  }
+};
+
+const findStaffOfBusiness = async (businessId, staffId) => {
+  const staff = await Staff.findOne({ _id: staffId, business: businessId });
+  throwIfNotFound(staff, 'Personal no encontrado');
+  return staff;
+};
+
+/* ──────────────────────────────────────────────────────────────
+ * Listar personal (público: solo activos; dueño, equipo o admin: todos)
+ * ────────────────────────────────────────────────────────────── */
+export const listStaff = asyncHandler(async (req, res) => {
+  const { businessId } = req.params;
+  const { service } = req.query;
+
+  const business = await Business.exists({ _id: businessId });
+  throwIfNotFound(business, ERROR_MESSAGES?.BUSINESS_NOT_FOUND || 'Negocio no encontrado');
+
+  // Dueño, equipo del negocio o admin
+  const canManage = !!req.user && await canAccessBusiness(req.user, businessId, BUSINESS_PERMISSIONS.VIEW);
+
+  const filter = { business: businessId };
+  if (!canManage) filter.isActive = true;
+  if (service) {
+    if (!mongoose.isValidObjectId(service)) throw new ValidationError('service inválido');
+    filter.$or = [{ services: service }, { services: { $size: 0 } }];
+  }
+
+  const items = await Staff.find(filter)
+    .select(canManage ? '' : 'name bio photo services useBusinessHours operatingHours sortOrder')
+    .populate('services', 'name duration')
+    .sort({ sortOrder: 1, name: 1 });
+
+  res.json({ success: true, data: { staff: items } });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Crear personal
+ * ────────────────────────────────────────────────────────────── */
+export const createStaff = asyncHandler(async (req, res) => {
+  const { businessId } = req.params;
+  const data = pickStaffFields(req.body);
+
+  if (!data.name || !String(data.name).trim()) {
+    throw new ValidationError('El nombre es requerido');
+  }
+  await assertServicesBelongToBusiness(businessId, data.services);
+
+  const staff = await Staff.create({ ...data, business: businessId });
+
+  logger.info('Personal creado', { businessId, staffId: staff._id, by: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Personal creado exitosamente',
+    data: { staff },
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Actualizar personal
+ * ────────────────────────────────────────────────────────────── */
+export const updateStaff = asyncHandler(async (req, res) => {
+  const { businessId, staffId } = req.params;
+  const staff = await findStaffOfBusiness(businessId, staffId);
+
+  const data = pickStaffFields(req.body);
+  await assertServicesBelongToBusiness(businessId, data.services);
+
+  if (data.operatingHours) {
+    data.operatingHours = { ...staff.operatingHours?.toObject?.(), ...data.operatingHours };
+  }
+  staff.set(data);
+  await staff.save();
+
+  res.json({
+    success: true,
+    message: 'Personal actualizado exitosamente',
+    data: { staff },
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Eliminar personal (solo si no tiene reservas activas futuras)
+ * ────────────────────────────────────────────────────────────── */
+export const deleteStaff = asyncHandler(async (req, res) => {
+  const { businessId, staffId } = req.params;
+  const staff = await findStaffOfBusiness(businessId, staffId);
+
+  const upcoming = await Reservation.countDocuments({
+    staff: staff._id,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED] },
+    dateTime: { $gte: new Date() },
+  });
+  if (upcoming > 0) {
+    throw new ConflictError(
+      `${staff.name} tiene ${upcoming} reserva(s) pendiente(s); desactívalo o reasigna las reservas antes de eliminarlo`
+    );
+  }
+
+  await staff.deleteOne();
+
+  logger.info('Personal eliminado', { businessId, staffId, by: req.user.id });
+  res.json({ success: true, message: 'Personal eliminado exitosamente' });
+});
+
+export default {
+  listStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff,
+};
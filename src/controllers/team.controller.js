@@ -0,0 +1,111 @@
+// src/controllers/team.controller.js
+// Equipo del negocio: invitaciones, roles y permisos de los miembros
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+import {
+  getRolePermissions,
+  inviteMember as inviteTeamMember,
+  getInvitation as getTeamInvitation,
+  acceptInvitation as acceptTeamInvitation,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+} from '../services/team.js';
+
+const { BUSINESS_ROLE_PERMISSIONS } = constants;
+
+/* ──────────────────────────────────────────────────────────────
+ * Listar equipo (miembros e invitaciones pendientes)
+ * ────────────────────────────────────────────────────────────── */
+export const listTeam = asyncHandler(async (req, res) => {
+  const { businessId } = req.params;
+  const members = await listMembers(businessId);
+
+  res.json({
+    success: true,
+    data: {
+      members: members.map((m) => m.toPublicJSON()),
+      roles: BUSINESS_ROLE_PERMISSIONS,
+      myRole: req.businessAccess?.role || null,
+    },
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Invitar (o reenviar la invitación pendiente)
+ * ────────────────────────────────────────────────────────────── */
+export const inviteMember = asyncHandler(async (req, res) => {
+  const { businessId } = req.params;
+  const { email, role } = req.body || {};
+
+  const member = await inviteTeamMember(businessId, { email, role }, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitación enviada',
+    data: { member: member.toPublicJSON() },
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Cambiar rol de un miembro
+ * ────────────────────────────────────────────────────────────── */
+export const updateMember = asyncHandler(async (req, res) => {
+  const { businessId, memberId } = req.params;
+  const { role } = req.body || {};
+  if (!role) throw new ValidationError('role es requerido');
+
+  const member = await updateMemberRole(businessId, memberId, role);
+
+  logger.info('Rol de miembro actualizado', { businessId, memberId, role, by: req.user.id });
+  res.json({
+    success: true,
+    message: 'Rol actualizado',
+    data: { member: member.toPublicJSON(), permissions: getRolePermissions(role) },
+  });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Quitar miembro o cancelar invitación
+ * ────────────────────────────────────────────────────────────── */
+export const removeTeamMember = asyncHandler(async (req, res) => {
+  const { businessId, memberId } = req.params;
+  await removeMember(businessId, memberId);
+
+  logger.info('Miembro quitado del equipo', { businessId, memberId, by: req.user.id });
+  res.json({ success: true, message: 'Miembro quitado del equipo' });
+});
+
+/* ──────────────────────────────────────────────────────────────
+ * Invitaciones (lado del invitado)
+ * ────────────────────────────────────────────────────────────── */
+export const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await getTeamInvitation(req.params.token);
+  res.json({ success: true, data: { invitation } });
+});
+
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token } = req.body || {};
+  const member = await acceptTeamInvitation(token, req.user);
+
+  res.json({
+    success: true,
+    message: 'Ahora eres parte del equipo',
+    data: {
+      businessId: String(member.business),
+      role: member.role,
+      permissions: getRolePermissions(member.role),
+    },
+  });
+});
+
+export default {
+  listTeam,
+  inviteMember,
+  updateMember,
+  removeTeamMember,
+  getInvitation,
+  acceptInvitation,
+};
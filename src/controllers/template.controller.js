@@ -1,24 +1,66 @@
 // src/controllers/template.controller.js
+import mongoose from 'mongoose';
 import Template from '../models/template.js';
 import Business from '../models/business.js';
+import TemplateVersion from '../models/templateVersion.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import {
   ValidationError,
+  AuthorizationError,
   NotFoundError,
   ConflictError,
   throwIfNotFound,
   throwIf
 } from '../middleware/errorHandler.js';
 import { constants, logger } from '../config/index.js';
+import { sanitizeCss } from '../utils/cssSanitizer.js';
+import { validateCustomJs } from '../utils/customScript.js';
+import {
+  ensureLatestVersion,
+  publishVersion,
+  listVersions,
+  getVersion,
+  diffVersions,
+} from '../services/templateVersions.js';
+import {
+  browseTemplates,
+  findReviewableTemplate,
+  listTemplateReviews,
+  getOwnTemplateReview,
+  upsertTemplateReview,
+  deleteTemplateReview,
+  getTemplateAnalytics,
+} from '../services/templateMarketplace.js';
+import { canAccessBusiness } from '../services/team.js';
 
 const { 
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES, 
   TEMPLATE_CATEGORIES,
   BUSINESS_TYPES,
+  BUSINESS_PERMISSIONS,
   VALIDATION_PATTERNS 
 } = constants;
 
+/**
+ * Valida customCSS/customJS antes de guardar; los problemas se devuelven con
+ * su línea para que el editor pueda marcarlos.
+ */
+const validateCustomCode = ({ customCSS, customJS }) => {
+  const details = [];
+  if (customCSS !== undefined && customCSS !== null && typeof customCSS !== 'string') {
+    details.push({ field: 'customCSS', message: 'Debe ser texto' });
+  } else if (customCSS) {
+    sanitizeCss(customCSS).issues.forEach((issue) => details.push({ field: 'customCSS', ...issue }));
+  }
+  if (customJS !== undefined && customJS !== null && typeof customJS !== 'string') {
+    details.push({ field: 'customJS', message: 'Debe ser texto' });
+  } else if (customJS) {
+    validateCustomJs(customJS).forEach((issue) => details.push({ field: 'customJS', ...issue }));
+  }
+  if (details.length) throw new ValidationError('El código personalizado contiene reglas no permitidas', details);
+};
+
 // ============== CREAR TEMPLATE ==============
 export const createTemplate = asyncHandler(async (req, res) => {
   const { 
@@ -32,7 +74,9 @@ export const createTemplate = asyncHandler(async (req, res) => {
     sections = [],
     isPublic = false,
     isPremium = false,
-    tags = []
+    tags = [],
+    customCSS,
+    customJS
   } = req.body;
 
   // Validaciones básicas
@@ -50,6 +94,8 @@ export const createTemplate = asyncHandler(async (req, res) => {
     throw new ValidationError(`Tipo de negocio inválido. Debe ser: ${Object.values(BUSINESS_TYPES).join(', ')}`);
   }
 
+  validateCustomCode({ customCSS, customJS });
+
   // Verificar que no exista un template con el mismo nombre para este usuario
   const existingTemplate = await Template.findOne({ 
     owner: req.user.id, 
@@ -107,8 +153,10 @@ export const createTemplate = asyncHandler(async (req, res) => {
     layout: defaultLayout,
     sections: defaultSections,
     isPublic: isPublic && req.user.role === 'admin', // Solo admins pueden crear templates públicos
-    isPremium,
+    isPremium: isPremium && req.user.role === 'admin', // y premium (ver services/entitlements.js)
     tags: tags.filter(tag => tag && tag.trim()).map(tag => tag.trim()),
+    customCSS: customCSS || undefined,
+    customJS: customJS || undefined,
     usage: {
       timesUsed: 0,
       rating: 0,
@@ -118,6 +166,8 @@ export const createTemplate = asyncHandler(async (req, res) => {
 
   const template = new Template(templateData);
   await template.save();
+  // Primera versión publicada (1.0.0): la que usarán los negocios que lo elijan
+  await ensureLatestVersion(template);
 
   logger.info('Template creado', { 
     templateId: template._id, 
@@ -136,7 +186,8 @@ export const createTemplate = asyncHandler(async (req, res) => {
         name: template.name,
         category: template.category,
         isPublic: template.isPublic,
-        isPremium: template.isPremium
+        isPremium: template.isPremium,
+        version: template.version
       }
     }
   });
@@ -144,66 +195,20 @@ export const createTemplate = asyncHandler(async (req, res) => {
 
 // ============== OBTENER TEMPLATES PÚBLICOS ==============
 export const getPublicTemplates = asyncHandler(async (req, res) => {
-  const { 
-    category, 
-    businessType, 
-    search,
-    sort = 'popular',
-    page = 1, 
-    limit = 20 
-  } = req.query;
-
-  const filters = {
-    isPublic: true,
-    isActive: true
-  };
-
-  if (category) filters.category = category;
-  if (businessType) filters.businessType = businessType;
-  if (search) {
-    filters.$text = { $search: search };
+  // Con ?businessId= (del usuario) se marca qué templates no incluye su plan
+  let business = null;
+  if (req.query.businessId) {
+    throwIf(!mongoose.isValidObjectId(req.query.businessId), 'businessId inválido');
+    const allowed = req.user && await canAccessBusiness(req.user, req.query.businessId, BUSINESS_PERMISSIONS.VIEW);
+    if (!allowed) throw new AuthorizationError(ERROR_MESSAGES.BUSINESS_ACCESS_DENIED);
+    business = await Business.findById(req.query.businessId).select('owner plan planExpiresAt').lean();
   }
 
-  let sortOptions = {};
-  switch (sort) {
-    case 'popular':
-      sortOptions = { 'usage.timesUsed': -1, 'usage.rating': -1 };
-      break;
-    case 'rating':
-      sortOptions = { 'usage.rating': -1, 'usage.reviewCount': -1 };
-      break;
-    case 'newest':
-      sortOptions = { createdAt: -1 };
-      break;
-    case 'name':
-      sortOptions = { name: 1 };
-      break;
-    default:
-      sortOptions = { 'usage.timesUsed': -1 };
-  }
-
-  const skip = (page - 1) * limit;
-  
-  const [templates, total] = await Promise.all([
-    Template.find(filters)
-      .select('name description category businessType colors previewImage usage tags createdAt')
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(Number(limit)),
-    Template.countDocuments(filters)
-  ]);
+  const data = await browseTemplates(req.query, { business });
 
   res.json({
     success: true,
-    data: {
-      templates,
-      pagination: {
-        page: Number(page),
-        limit: Number(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    }
+    data
   });
 });
 
@@ -272,9 +277,13 @@ export const updateTemplate = asyncHandler(async (req, res) => {
     sections,
     tags,
     isPublic,
-    isPremium
+    isPremium,
+    customCSS,
+    customJS
   } = req.body;
 
+  validateCustomCode({ customCSS, customJS });
+
   // Actualizar campos permitidos
   if (name && name.trim() !== template.name) {
     // Verificar que no exista otro template con este nombre
@@ -294,13 +303,18 @@ export const updateTemplate = asyncHandler(async (req, res) => {
   if (layout) template.layout = { ...template.layout, ...layout };
   if (sections) template.sections = sections;
   if (tags) template.tags = tags.filter(tag => tag && tag.trim()).map(tag => tag.trim());
+  if (customCSS !== undefined) template.customCSS = customCSS || undefined;
+  if (customJS !== undefined) template.customJS = customJS || undefined;
 
   // Solo admins pueden cambiar isPublic
   if (isPublic !== undefined && req.user.role === 'admin') {
     template.isPublic = isPublic;
   }
 
-  if (isPremium !== undefined) template.isPremium = isPremium;
+  // Solo admins pueden cambiar isPremium
+  if (isPremium !== undefined && req.user.role === 'admin') {
+    template.isPremium = isPremium;
+  }
 
   await template.save();
 
@@ -312,7 +326,7 @@ export const updateTemplate = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    message: 'Template actualizado exitosamente',
+    message: 'Template actualizado exitosamente. Publica una versión para que los negocios puedan actualizarse',
     data: { template }
   });
 });
@@ -333,6 +347,7 @@ export const deleteTemplate = asyncHandler(async (req, res) => {
     `No se puede eliminar el template porque está siendo usado por ${businessesUsingTemplate} negocio(s)`);
 
   await template.deleteOne();
+  await TemplateVersion.deleteMany({ template: template._id });
 
   logger.info('Template eliminado', { 
     templateId: template._id, 
@@ -347,6 +362,72 @@ export const deleteTemplate = asyncHandler(async (req, res) => {
   });
 });
 
+// ============== VERSIONES ==============
+// El template es la copia editable; los negocios usan versiones publicadas
+// (inmutables) y deciden cuándo actualizarse (ver services/templateVersions.js)
+
+const findVersionedTemplate = async (req, { edit = false } = {}) => {
+  const template = await Template.findById(req.params.templateId);
+  throwIfNotFound(template, 'Template no encontrado');
+
+  const isOwner = template.owner.toString() === req.user?.id;
+  const isAdmin = req.user?.role === 'admin';
+  const allowed = edit ? isOwner || isAdmin : template.isPublic || template.isDefault || isOwner || isAdmin;
+  throwIf(!allowed, edit ? 'No tienes permisos para publicar este template' : 'No tienes permisos para ver este template');
+  return template;
+};
+
+export const listTemplateVersions = asyncHandler(async (req, res) => {
+  const template = await findVersionedTemplate(req);
+  await ensureLatestVersion(template);
+  const versions = await listVersions(template._id);
+
+  res.json({
+    success: true,
+    data: { currentVersion: template.version, versions }
+  });
+});
+
+export const getTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await findVersionedTemplate(req);
+  const version = await getVersion(template._id, req.params.version);
+
+  res.json({
+    success: true,
+    data: { version }
+  });
+});
+
+export const diffTemplateVersions = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  throwIf(!from || !to, 'Los parámetros from y to son requeridos');
+
+  const template = await findVersionedTemplate(req);
+  const diff = await diffVersions(template._id, String(from), String(to));
+
+  res.json({
+    success: true,
+    data: diff
+  });
+});
+
+export const publishTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await findVersionedTemplate(req, { edit: true });
+  const { bump, notes } = req.body;
+
+  const version = await publishVersion(template, { bump, notes }, req.user.id);
+  const businessesBehind = await Business.countDocuments({
+    templateId: template._id,
+    templateVersion: { $ne: version.version }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Versión ${version.version} publicada`,
+    data: { version, businessesBehind }
+  });
+});
+
 // ============== DUPLICAR TEMPLATE ==============
 export const duplicateTemplate = asyncHandler(async (req, res) => {
   const sourceTemplate = await Template.findById(req.params.templateId);
@@ -493,6 +574,63 @@ export const getDefaultTemplate = asyncHandler(async (req, res) => {
   });
 });
 
+// ============== RESEÑAS (MARKETPLACE) ==============
+const parsePagination = (q) => {
+  const page = Math.max(1, parseInt(q.page ?? 1, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(q.limit ?? 10, 10) || 10));
+  return { page, limit };
+};
+
+export const getTemplateReviews = asyncHandler(async (req, res) => {
+  const template = await findReviewableTemplate(req.params.templateId);
+  const { rating, sort } = req.query;
+  const data = await listTemplateReviews(template, { ...parsePagination(req.query), rating, sort });
+
+  res.json({ success: true, data });
+});
+
+export const getMyTemplateReview = asyncHandler(async (req, res) => {
+  const template = await findReviewableTemplate(req.params.templateId);
+  const review = await getOwnTemplateReview(template, req.user.id);
+  throwIfNotFound(review, 'No has reseñado este template');
+
+  res.json({ success: true, data: { review: review.toPublicJSON() } });
+});
+
+// Una reseña por dueño: crea la primera vez y luego la reemplaza
+export const saveMyTemplateReview = asyncHandler(async (req, res) => {
+  const template = await findReviewableTemplate(req.params.templateId);
+  const { rating, comment } = req.body || {};
+  const { review, created } = await upsertTemplateReview(template, req.user.id, { rating, comment });
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Gracias por tu reseña' : 'Reseña actualizada',
+    data: { review: review.toPublicJSON() }
+  });
+});
+
+export const deleteMyTemplateReview = asyncHandler(async (req, res) => {
+  // Se puede borrar aunque el template ya no sea público
+  const template = await Template.findById(req.params.templateId).select('_id');
+  throwIfNotFound(template, 'Template no encontrado');
+  await deleteTemplateReview(template, req.user.id);
+
+  res.json({ success: true, message: 'Reseña eliminada' });
+});
+
+// ============== MÉTRICAS DE USO ==============
+export const getTemplateUsageAnalytics = asyncHandler(async (req, res) => {
+  const template = await Template.findById(req.params.templateId);
+  throwIfNotFound(template, 'Template no encontrado');
+
+  const canView = String(template.owner) === req.user.id || req.user.role === 'admin';
+  if (!canView) throw new AuthorizationError('Solo el autor del template puede ver sus métricas');
+
+  const analytics = await getTemplateAnalytics(template);
+  res.json({ success: true, data: analytics });
+});
+
 // ============== MARCAR TEMPLATE COMO USADO ==============
 export const markTemplateAsUsed = asyncHandler(async (req, res) => {
   const template = await Template.findById(req.params.templateId);
@@ -518,7 +656,16 @@ export default {
   updateTemplate,
   deleteTemplate,
   duplicateTemplate,
+  listTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+  publishTemplateVersion,
   createSystemDefaultTemplate,
   getDefaultTemplate,
+  getTemplateReviews,
+  getMyTemplateReview,
+  saveMyTemplateReview,
+  deleteMyTemplateReview,
+  getTemplateUsageAnalytics,
   markTemplateAsUsed
 };
\ No newline at end of file
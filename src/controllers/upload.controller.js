@@ -12,6 +12,8 @@ import {
   optimizeImageUrl
 } from '../config/storage/index.js';
 import Business from '../models/business.js';
+import { constants } from '../config/index.js';
+import { canAccessBusiness } from '../services/team.js';
 
 const isProd = process.env.NODE_ENV === 'production';
 const APP_BASE =
@@ -22,6 +24,10 @@ const useCloud =
 
 /* ========================= Helpers ========================= */
 
+/** Dueño, admin o miembro del equipo con permiso para editar el negocio */
+const canEditBusiness = (user, business) =>
+  canAccessBusiness(user, business._id, constants.BUSINESS_PERMISSIONS.EDIT);
+
 /** Devuelve la carpeta de Cloudinary según el campo */
 function cloudFolderFor(field) {
   const base = 'misitiofacil';
@@ -191,7 +197,7 @@ export const uploadController = {
       await cleanupTempFiles(req.file);
       return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
     }
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canEditBusiness(req.user, business))) {
       await cleanupTempFiles(req.file);
       return res.status(403).json({ success: false, error: 'No tienes permisos para modificar este negocio' });
     }
@@ -250,7 +256,7 @@ export const uploadController = {
       await cleanupTempFiles(req.file);
       return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
     }
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canEditBusiness(req.user, business))) {
       await cleanupTempFiles(req.file);
       return res.status(403).json({ success: false, error: 'No tienes permisos para modificar este negocio' });
     }
@@ -310,7 +316,7 @@ export const uploadController = {
       await cleanupTempFiles(files);
       return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
     }
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canEditBusiness(req.user, business))) {
       await cleanupTempFiles(files);
       return res.status(403).json({ success: false, error: 'No tienes permisos para modificar este negocio' });
     }
@@ -409,7 +415,7 @@ export const uploadController = {
     if (!business) {
       return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
     }
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canEditBusiness(req.user, business))) {
       return res.status(403).json({ success: false, error: 'No tienes permisos para modificar este negocio' });
     }
 
@@ -466,7 +472,7 @@ export const uploadController = {
     if (!business) {
       return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
     }
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canEditBusiness(req.user, business))) {
       return res.status(403).json({ success: false, error: 'No tienes permisos para modificar este negocio' });
     }
 
@@ -499,7 +505,7 @@ export const uploadController = {
     if (!business) {
       return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
     }
-    if (business.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canEditBusiness(req.user, business))) {
       return res.status(403).json({ success: false, error: 'No tienes permisos para ver estos archivos' });
     }
 
@@ -1,10 +1,13 @@
 // src/controllers/user.controller.js
 import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
 import User from '../models/user.js';
 import Business from '../models/business.js';
+import Reservation from '../models/reservation.js';
 import { controllerHandler } from '../middleware/asyncHandler.js';
+import { listSessions, revokeSession, revokeAllSessions } from '../services/sessions.js';
 import { logger } from '../middleware/logger.js';
-import { USER_ROLES } from '../config/constants.js';
+import { USER_ROLES, RESERVATION_STATUS, BUSINESS_STATUS, APP_LIMITS } from '../config/constants.js';
 
 // util para whitelistear campos
 const pick = (obj = {}, allowed = []) =>
@@ -90,6 +93,8 @@ const changePassword = controllerHandler(async (req, res) => {
   // usar el virtual del modelo
   user.password = newPassword;
   await user.save();
+  // El resto de dispositivos debe volver a iniciar sesión
+  await revokeAllSessions(user._id, 'password_changed', { except: req.user?.sessionId });
 
   logger.info('Contraseña actualizada', { userId: user._id });
   res.json({ success: true, message: 'Contraseña actualizada exitosamente' });
@@ -99,12 +104,13 @@ const changePassword = controllerHandler(async (req, res) => {
 // PREFERENCIAS (solo campos existentes en el schema)
 // ──────────────────────────────────────────────────────────────────────────────
 const updateNotificationPreferences = controllerHandler(async (req, res) => {
-  const { email, sms, push } = req.body?.notifications || {};
+  const { email, sms, whatsapp, push } = req.body?.notifications || {};
   const user = await User.findByIdAndUpdate(
     getUserId(req),
     {
       'preferences.notifications.email': email ?? true,
       'preferences.notifications.sms': sms ?? false,
+      'preferences.notifications.whatsapp': whatsapp ?? false,
       'preferences.notifications.push': push ?? true
     },
     { new: true, select: '-passwordHash' }
@@ -132,6 +138,132 @@ const updatePrivacySettings = controllerHandler(async (req, res) => {
   res.json({ success: true, message: 'Preferencias actualizadas', data: { preferences: user.preferences } });
 }, 'Update Privacy Settings');
 
+// ──────────────────────────────────────────────────────────────────────────────
+// PANEL DEL CLIENTE (próximas/pasadas reservas y negocios favoritos)
+// ──────────────────────────────────────────────────────────────────────────────
+const ACTIVE_STATUSES = [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED];
+
+const RESERVATION_SUMMARY_FIELDS = 'business service staff dateTime duration timezone status payment.amount payment.currency';
+
+const FAVORITE_FIELDS = 'name slug category logo location.address location.city status';
+
+const findClientReservations = (filter, sort, limit) =>
+  Reservation.find(filter)
+    .select(RESERVATION_SUMMARY_FIELDS)
+    .populate('business', 'name slug logo location.address')
+    .populate('service', 'name duration')
+    .populate('staff', 'name')
+    .sort(sort)
+    .limit(limit)
+    .lean();
+
+const getClientDashboard = controllerHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 20);
+  const now = new Date();
+
+  const upcomingFilter = { client: userId, status: { $in: ACTIVE_STATUSES }, dateTime: { $gte: now } };
+  const pastFilter = {
+    client: userId,
+    $or: [{ dateTime: { $lt: now } }, { status: { $nin: ACTIVE_STATUSES } }]
+  };
+
+  const [user, upcoming, past, upcomingCount, statusCounts] = await Promise.all([
+    User.findById(userId)
+      .select('fullName email isEmailVerified favoriteBusinesses')
+      .populate({ path: 'favoriteBusinesses', select: FAVORITE_FIELDS })
+      .lean(),
+    findClientReservations(upcomingFilter, { dateTime: 1 }, limit),
+    findClientReservations(pastFilter, { dateTime: -1 }, limit),
+    Reservation.countDocuments(upcomingFilter),
+    Reservation.aggregate([
+      { $match: { client: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  if (!user) return res.status(404).json({ success: false, error: 'Usuario no encontrado' });
+
+  const byStatus = Object.fromEntries(statusCounts.map((s) => [s._id, s.count]));
+  const favorites = (user.favoriteBusinesses || []).filter((b) => b && b.status === BUSINESS_STATUS.ACTIVE);
+
+  res.json({
+    success: true,
+    data: {
+      user: { id: user._id, fullName: user.fullName, email: user.email, isEmailVerified: user.isEmailVerified },
+      upcoming,
+      past,
+      favorites,
+      stats: {
+        total: statusCounts.reduce((sum, s) => sum + s.count, 0),
+        upcoming: upcomingCount,
+        completed: byStatus[RESERVATION_STATUS.COMPLETED] || 0,
+        cancelled: byStatus[RESERVATION_STATUS.CANCELLED] || 0,
+        noShow: byStatus[RESERVATION_STATUS.NO_SHOW] || 0
+      }
+    }
+  });
+}, 'Get Client Dashboard');
+
+const addFavoriteBusiness = controllerHandler(async (req, res) => {
+  const { businessId } = req.params;
+  const exists = await Business.exists({ _id: businessId, status: BUSINESS_STATUS.ACTIVE });
+  if (!exists) return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
+
+  // $addToSet evita duplicados; el tope se valida en la misma consulta
+  const user = await User.findOneAndUpdate(
+    {
+      _id: getUserId(req),
+      [`favoriteBusinesses.${APP_LIMITS.MAX_FAVORITE_BUSINESSES - 1}`]: { $exists: false }
+    },
+    { $addToSet: { favoriteBusinesses: businessId } },
+    { new: true, select: 'favoriteBusinesses' }
+  );
+  if (!user) {
+    const alreadyFavorite = await User.exists({ _id: getUserId(req), favoriteBusinesses: businessId });
+    if (!alreadyFavorite) {
+      return res.status(400).json({ success: false, error: `Máximo ${APP_LIMITS.MAX_FAVORITE_BUSINESSES} negocios favoritos` });
+    }
+  }
+
+  res.json({ success: true, message: 'Negocio agregado a favoritos', data: { businessId } });
+}, 'Add Favorite Business');
+
+const removeFavoriteBusiness = controllerHandler(async (req, res) => {
+  const { businessId } = req.params;
+  await User.updateOne({ _id: getUserId(req) }, { $pull: { favoriteBusinesses: businessId } });
+
+  res.json({ success: true, message: 'Negocio quitado de favoritos', data: { businessId } });
+}, 'Remove Favorite Business');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SESIONES (dispositivos con refresh token vigente)
+// ──────────────────────────────────────────────────────────────────────────────
+const getMySessions = controllerHandler(async (req, res) => {
+  const sessions = await listSessions(getUserId(req));
+  res.json({
+    success: true,
+    data: { sessions: sessions.map((s) => s.toPublicJSON(req.user?.sessionId)) }
+  });
+}, 'Get My Sessions');
+
+const revokeMySession = controllerHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const revoked = await revokeSession(getUserId(req), sessionId, 'revoked');
+  if (!revoked) return res.status(404).json({ success: false, error: 'Sesión no encontrada' });
+
+  logger.info('Sesión revocada', { userId: getUserId(req), sessionId });
+  res.json({ success: true, message: 'Sesión cerrada', data: { current: sessionId === req.user?.sessionId } });
+}, 'Revoke My Session');
+
+// Cierra todas las demás sesiones; la actual sigue activa
+const revokeOtherSessions = controllerHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(getUserId(req), 'revoked', { except: req.user?.sessionId });
+
+  logger.info('Sesiones revocadas', { userId: getUserId(req), revoked });
+  res.json({ success: true, message: 'Se cerraron las demás sesiones', data: { revoked } });
+}, 'Revoke Other Sessions');
+
 // ──────────────────────────────────────────────────────────────────────────────
 // ADMIN
 // ──────────────────────────────────────────────────────────────────────────────
@@ -315,6 +447,12 @@ const userController = {
   changePassword,
   updateNotificationPreferences,
   updatePrivacySettings,
+  getClientDashboard,
+  addFavoriteBusiness,
+  removeFavoriteBusiness,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
   getAllUsers,
   getUserById,
   updateUserRole,
@@ -0,0 +1,123 @@
+// src/jobs/digest.js
+// Resumen diario al dueño: a partir de DAILY_DIGEST.LOCAL_HOUR (hora del negocio)
+// envía por email las reservas del día. business.lastDigestDate guarda el último
+// día enviado, así cada negocio recibe un solo resumen por día.
+
+import moment from 'moment-timezone';
+import Business from '../models/business.js';
+import Reservation from '../models/reservation.js';
+import { constants, logger } from '../config/index.js';
+import { sendNotification } from '../services/notifications/index.js';
+import {
+  renderEmail,
+  resolveLanguage,
+  formatDate,
+  formatTime,
+  getBusinessBranding,
+} from '../services/email/index.js';
+import { resolveTimezone } from '../utils/schedule.js';
+
+const { RESERVATION_STATUS, BUSINESS_STATUS, TIME_CONFIG, NOTIFICATION_CHANNELS } = constants;
+
+const loadDayReservations = (businessId, start, end) =>
+  Reservation.find({
+    business: businessId,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED] },
+    dateTime: { $gte: start, $lte: end },
+  })
+    .select('dateTime service staff client guestClient')
+    .populate('service', 'name')
+    .populate('staff', 'name')
+    .populate('client', 'fullName')
+    .sort({ dateTime: 1 })
+    .lean();
+
+/**
+ * Envía el resumen del día a los negocios que ya pasaron la hora local configurada.
+ * @returns {Promise<{ checked: number, sent: number, failed: number, skipped: number }>}
+ */
+export const runDailyDigest = async ({ now = new Date() } = {}) => {
+  const businesses = await Business.find({
+    status: BUSINESS_STATUS.ACTIVE,
+    'settings.dailyDigest': { $ne: false },
+  })
+    .select('+lastDigestDate name email owner settings visualConfig logo')
+    .populate('owner', 'fullName email preferences')
+    .lean();
+
+  const summary = { checked: businesses.length, sent: 0, failed: 0, skipped: 0 };
+
+  for (const business of businesses) {
+    const timezone = resolveTimezone(business.settings?.timezone);
+    const local = moment(now).tz(timezone);
+    const today = local.format('YYYY-MM-DD');
+    const owner = business.owner;
+    const to = business.email || owner?.email;
+
+    if (
+      local.hour() < TIME_CONFIG.DAILY_DIGEST.LOCAL_HOUR ||
+      business.lastDigestDate === today ||
+      !to ||
+      owner?.preferences?.notifications?.email === false
+    ) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const start = local.clone().startOf('day').toDate();
+    const end = local.clone().endOf('day').toDate();
+    const reservations = await loadDayReservations(business._id, start, end);
+    if (!reservations.length) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    // Reclamar el día antes de enviar: si otra ejecución ya lo hizo, no se repite
+    const claim = await Business.updateOne(
+      { _id: business._id, lastDigestDate: { $ne: today } },
+      { $set: { lastDigestDate: today } },
+      { timestamps: false }
+    );
+    if (!claim.modifiedCount) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const lang = resolveLanguage(owner?.preferences?.language, business.settings?.language);
+    const brand = getBusinessBranding(business);
+
+    try {
+      await sendNotification(NOTIFICATION_CHANNELS.EMAIL, {
+        to,
+        ...renderEmail('ownerDailyDigest', {
+          recipientName: owner?.fullName || business.name,
+          businessName: brand.name,
+          date: formatDate(now, timezone, lang),
+          reservations: reservations.map((r) => ({
+            time: formatTime(r.dateTime, timezone, lang),
+            customerName: r.client?.fullName || r.guestClient?.name || '',
+            serviceName: r.service?.name || '',
+            staffName: r.staff?.name || null,
+          })),
+          dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard/reservations`,
+        }, { lang, brand }),
+      });
+      summary.sent += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.warn('No se pudo enviar el resumen diario', { businessId: business._id, error: error.message });
+      // Liberar el día para que la próxima ejecución lo reintente
+      await Business.updateOne(
+        { _id: business._id, lastDigestDate: today },
+        business.lastDigestDate
+          ? { $set: { lastDigestDate: business.lastDigestDate } }
+          : { $unset: { lastDigestDate: 1 } },
+        { timestamps: false }
+      ).catch((err) => logger.warn('No se pudo liberar el resumen diario', { businessId: business._id, error: err.message }));
+    }
+  }
+
+  return summary;
+};
+
+export default { runDailyDigest };
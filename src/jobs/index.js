@@ -0,0 +1,87 @@
+// src/jobs/index.js
+// Tareas programadas. Corren en proceso (servidor local: setInterval) o se
+// disparan por HTTP (cron de Vercel). En ambos casos un lock en Mongo evita
+// que dos instancias ejecuten la misma tarea a la vez.
+
+import os from 'node:os';
+import JobLock from '../models/jobLock.js';
+import { constants, logger } from '../config/index.js';
+import { runReminders } from './reminders.js';
+import { runDailyDigest } from './digest.js';
+
+const { TIME_CONFIG } = constants;
+
+const MINUTE_MS = 60 * 1000;
+
+const JOBS = {
+  reminders: {
+    run: runReminders,
+    lockTtlMs: TIME_CONFIG.REMINDERS.LOCK_TTL_MINUTES * MINUTE_MS,
+    intervalMs: TIME_CONFIG.REMINDERS.JOB_INTERVAL_MINUTES * MINUTE_MS,
+  },
+  digest: {
+    run: runDailyDigest,
+    lockTtlMs: TIME_CONFIG.DAILY_DIGEST.LOCK_TTL_MINUTES * MINUTE_MS,
+    intervalMs: TIME_CONFIG.DAILY_DIGEST.JOB_INTERVAL_MINUTES * MINUTE_MS,
+  },
+};
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let timers = [];
+
+export const isKnownJob = (name) => Object.hasOwn(JOBS, name);
+
+/**
+ * Ejecuta una tarea si esta instancia obtiene su lock.
+ * @returns {Promise<{ ran: boolean, result?: Object }>} ran=false si otra instancia la está ejecutando
+ */
+export const runJob = async (name, options = {}) => {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Tarea desconocida: ${name}`);
+
+  const acquired = await JobLock.acquire(name, INSTANCE_ID, job.lockTtlMs);
+  if (!acquired) {
+    logger.info('Tarea omitida: otra instancia tiene el lock', { job: name });
+    return { ran: false };
+  }
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await job.run(options);
+    logger.info('Tarea ejecutada', { job: name, ms: Date.now() - startedAt, ...result });
+    return { ran: true, result };
+  } catch (error) {
+    result = { error: error.message };
+    throw error;
+  } finally {
+    await JobLock.release(name, INSTANCE_ID, result).catch((e) =>
+      logger.warn('No se pudo liberar el lock', { job: name, error: e.message })
+    );
+  }
+};
+
+/**
+ * Inicia el scheduler en proceso (no se usa en Vercel: ahí dispara el cron HTTP).
+ * Se desactiva con JOBS_ENABLED=false.
+ */
+export const startScheduler = () => {
+  if (timers.length || process.env.JOBS_ENABLED === 'false') return;
+
+  for (const [name, job] of Object.entries(JOBS)) {
+    const timer = setInterval(() => {
+      runJob(name).catch((error) => logger.error('Error en tarea programada', { job: name, error: error.message }));
+    }, job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  }
+  logger.info('⏰ Scheduler de tareas iniciado', { jobs: Object.keys(JOBS) });
+};
+
+export const stopScheduler = () => {
+  timers.forEach(clearInterval);
+  timers = [];
+};
+
+export default { runJob, isKnownJob, startScheduler, stopScheduler };
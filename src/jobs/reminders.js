@@ -0,0 +1,129 @@
+// src/jobs/reminders.js
+// Recordatorios de citas: envía un email a los offsets configurados por negocio
+// (settings.reminderOffsets, ej. 24h y 2h antes). Cada envío queda en
+// reservation.notifications con una clave única, así nunca se repite.
+
+import Reservation from '../models/reservation.js';
+import Business from '../models/business.js';
+import Service from '../models/service.js';
+import User from '../models/user.js';
+import Staff from '../models/staff.js';
+import { constants, logger } from '../config/index.js';
+import { sendNotification, buildManageUrl } from '../services/notifications/index.js';
+import { renderEmail, resolveLanguage, formatDateTime, getBusinessBranding } from '../services/email/index.js';
+import { resolveTimezone } from '../utils/schedule.js';
+
+const { RESERVATION_STATUS, TIME_CONFIG, NOTIFICATION_CHANNELS } = constants;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Offset (en horas) que corresponde enviar ahora: el menor cuya ventana ya empezó.
+ * Si la reserva se hizo dentro de esa ventana no se envía (el cliente acaba de reservar).
+ * @returns {number|null}
+ */
+export const getDueReminderOffset = (reservation, offsets = [], now = new Date()) => {
+  const start = new Date(reservation.dateTime).getTime();
+  if (start <= now.getTime()) return null;
+
+  const due = [...offsets]
+    .sort((a, b) => a - b)
+    .find((hours) => start - hours * HOUR_MS <= now.getTime());
+  if (due === undefined) return null;
+
+  const createdAt = reservation.createdAt ? new Date(reservation.createdAt).getTime() : 0;
+  return createdAt >= start - due * HOUR_MS ? null : due;
+};
+
+const buildReminderEmail = (reservation, { business, service, staff, recipient }) => {
+  const timezone = resolveTimezone(reservation.timezone || business?.settings?.timezone);
+  const lang = resolveLanguage(recipient.language, business?.settings?.language);
+  const brand = getBusinessBranding(business);
+
+  return renderEmail('reservationReminder', {
+    recipientName: recipient.name,
+    businessName: brand.name,
+    serviceName: service?.name || '',
+    staffName: staff?.name || null,
+    when: formatDateTime(reservation.dateTime, timezone, lang),
+    address: business?.location?.address,
+    manageUrl: reservation.client ? null : buildManageUrl(reservation),
+  }, { lang, brand });
+};
+
+/**
+ * Revisa las reservas activas próximas y envía los recordatorios pendientes.
+ * @returns {Promise<{ checked: number, sent: number, failed: number, skipped: number }>}
+ */
+export const runReminders = async ({ now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + TIME_CONFIG.REMINDERS.MAX_OFFSET_HOURS * HOUR_MS);
+  const reservations = await Reservation.find({
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED] },
+    dateTime: { $gt: now, $lte: horizon },
+  }).select('business service staff client guestClient dateTime timezone createdAt notifications');
+
+  const summary = { checked: reservations.length, sent: 0, failed: 0, skipped: 0 };
+  if (!reservations.length) return summary;
+
+  const ids = (field) => [...new Set(reservations.map((r) => r[field]).filter(Boolean).map(String))];
+  const [businesses, services, clients, staff] = await Promise.all([
+    Business.find({ _id: { $in: ids('business') } }).select('name location settings visualConfig logo').lean(),
+    Service.find({ _id: { $in: ids('service') } }).select('name').lean(),
+    User.find({ _id: { $in: ids('client') } }).select('fullName email preferences').lean(),
+    Staff.find({ _id: { $in: ids('staff') } }).select('name').lean(),
+  ]);
+  const byId = (docs) => new Map(docs.map((d) => [String(d._id), d]));
+  const businessMap = byId(businesses);
+  const serviceMap = byId(services);
+  const clientMap = byId(clients);
+  const staffMap = byId(staff);
+
+  for (const reservation of reservations) {
+    const business = businessMap.get(String(reservation.business));
+    const offsets = business?.settings?.reminderOffsets ?? TIME_CONFIG.REMINDERS.DEFAULT_OFFSETS_HOURS;
+    const offset = getDueReminderOffset(reservation, offsets, now);
+    const alreadySent = offset !== null &&
+      reservation.notifications?.some((n) => n.key === reservation.getReminderKey(offset));
+    if (offset === null || alreadySent) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const client = reservation.client ? clientMap.get(String(reservation.client)) : null;
+    if (client?.preferences?.notifications?.email === false) {
+      summary.skipped += 1;
+      continue;
+    }
+    const to = client?.email || reservation.guestClient?.email;
+    const recipient = {
+      name: client?.fullName || reservation.guestClient?.name || '',
+      language: client?.preferences?.language,
+    };
+
+    const status = await reservation.sendReminder(offset, async (r) => {
+      if (!to) throw new Error('La reserva no tiene email de contacto');
+      try {
+        await sendNotification(NOTIFICATION_CHANNELS.EMAIL, {
+          to,
+          ...buildReminderEmail(r, {
+            business,
+            service: serviceMap.get(String(r.service)),
+            staff: r.staff ? staffMap.get(String(r.staff)) : null,
+            recipient,
+          }),
+        });
+      } catch (error) {
+        logger.warn('No se pudo enviar el recordatorio', { id: r._id, offset, error: error.message });
+        throw error;
+      }
+    });
+
+    if (status === 'sent') summary.sent += 1;
+    else if (status === 'failed') summary.failed += 1;
+    else summary.skipped += 1;
+  }
+
+  return summary;
+};
+
+export default { runReminders, getDueReminderOffset };
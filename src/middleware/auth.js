@@ -1,6 +1,8 @@
 // src/middleware/auth.js
+import crypto from 'node:crypto';
 import jwt from 'jsonwebtoken';
 import { constants } from '../config/index.js';
+import Session from '../models/session.js';
 import { AuthenticationError } from './errorHandler.js';
 
 const { USER_ROLES } = constants;
@@ -20,7 +22,8 @@ const parseAuthHeader = (req) => {
 
 const verifyAccessToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    // La audiencia evita aceptar como acceso otros tokens firmados con el mismo secreto (ej. desafío 2FA)
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: 'misitiofacil-users' });
   } catch (err) {
     if (err?.name === 'TokenExpiredError') {
       throw new AuthenticationError('Token expirado');
@@ -34,8 +37,35 @@ const payloadToUser = (payload) => ({
   email: payload.email,
   role: payload.role,
   businessId: payload.businessId || null,
+  sessionId: payload.sid || null,
 });
 
+/**
+ * El access token vive JWT_EXPIRES_IN; si trae `sid`, su Session debe seguir
+ * vigente para que logout / logout-all / revocar una sesión corten el acceso
+ * de inmediato. Los tokens sin `sid` (anteriores a las sesiones) no se validan.
+ */
+const assertSessionActive = async (payload) => {
+  if (!payload.sid) return;
+  const active = await Session.exists({
+    _id: payload.sid,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!active) throw new AuthenticationError('Sesión cerrada');
+};
+
+/** Token del header → req.user (con la sesión verificada) */
+const authenticate = async (req) => {
+  const token = parseAuthHeader(req);
+  const payload = verifyAccessToken(token);
+  if (!payload?.id || !payload?.email) {
+    throw new AuthenticationError('Token inválido');
+  }
+  await assertSessionActive(payload);
+  return payloadToUser(payload);
+};
+
 /* -------------------------------------------------------------------------- */
 /*                             Middlewares principales                         */
 /* -------------------------------------------------------------------------- */
@@ -44,23 +74,17 @@ const payloadToUser = (payload) => ({
  * optionalAuth: intenta adjuntar req.user si hay token válido,
  * pero NO bloquea el request si falla.
  */
-export const optionalAuth = (req, _res, next) => {
+export const optionalAuth = async (req, _res, next) => {
   try {
     const authHeader = req.headers.authorization || '';
     if (!authHeader) {
       req.user = null;
       return next();
     }
-    const token = parseAuthHeader(req);
-    const payload = verifyAccessToken(token);
-    if (!payload?.id || !payload?.email) {
-      req.user = null;
-      return next();
-    }
-    req.user = payloadToUser(payload);
+    req.user = await authenticate(req);
     return next();
   } catch (_e) {
-    // Si el token es inválido/expirado se ignora y se sigue sin usuario
+    // Si el token es inválido/expirado o su sesión se cerró se sigue sin usuario
     req.user = null;
     return next();
   }
@@ -70,14 +94,9 @@ export const optionalAuth = (req, _res, next) => {
  * requireAuth: exige un token válido y adjunta req.user.
  * Si no hay token o es inválido, lanza AuthenticationError.
  */
-export const requireAuth = (req, _res, next) => {
+export const requireAuth = async (req, _res, next) => {
   try {
-    const token = parseAuthHeader(req);
-    const payload = verifyAccessToken(token);
-    if (!payload?.id || !payload?.email) {
-      throw new AuthenticationError('Token inválido');
-    }
-    req.user = payloadToUser(payload);
+    req.user = await authenticate(req);
     return next();
   } catch (err) {
     return next(err);
@@ -88,15 +107,10 @@ export const requireAuth = (req, _res, next) => {
  * auth(roles): exige autenticación y que el rol pertenezca al conjunto permitido.
  * Acepta string o array de roles.
  */
-export const auth = (roles = []) => (req, _res, next) => {
+export const auth = (roles = []) => async (req, _res, next) => {
   try {
     // 1) Asegurar req.user
-    const token = parseAuthHeader(req);
-    const payload = verifyAccessToken(token);
-    if (!payload?.id || !payload?.email) {
-      throw new AuthenticationError('Token inválido');
-    }
-    req.user = payloadToUser(payload);
+    req.user = await authenticate(req);
 
     // 2) Chequear roles si se especificaron
     const allow = Array.isArray(roles) ? roles : [roles];
@@ -124,16 +138,35 @@ export const requireOwnerOrAdmin = auth([USER_ROLES.OWNER, USER_ROLES.ADMIN]);
 export const requireClientOrOwner = auth([USER_ROLES.CLIENT, USER_ROLES.OWNER]);
 export const requireAnyRole = auth([USER_ROLES.OWNER, USER_ROLES.CLIENT, USER_ROLES.ADMIN]);
 
+/**
+ * requireCronOrAdmin: tareas programadas. Acepta `Authorization: Bearer <CRON_SECRET>`
+ * (formato que envía el cron de Vercel) o un token de administrador.
+ */
+export const requireCronOrAdmin = (req, res, next) => {
+  const secret = process.env.CRON_SECRET || '';
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (secret && scheme === 'Bearer' && token) {
+    const given = Buffer.from(token);
+    const expected = Buffer.from(secret);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      req.cron = true;
+      return next();
+    }
+  }
+  return requireAdmin(req, res, next);
+};
+
 /* -------------------------------------------------------------------------- */
 /*                        Helpers para Access/Refresh JWT                     */
 /* -------------------------------------------------------------------------- */
 
-export const generateToken = (user) => {
+export const generateToken = (user, { sessionId } = {}) => {
   const payload = {
     id: user.id || user._id,
     email: user.email,
     role: user.role,
     ...(user.business ? { businessId: user.business } : {}),
+    ...(sessionId ? { sid: String(sessionId) } : {}),
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
@@ -143,10 +176,16 @@ export const generateToken = (user) => {
   });
 };
 
-export const generateRefreshToken = (user) => {
+/**
+ * Refresh token. Con `sessionId`/`jti` queda atado a una Session persistida
+ * (ver services/sessions.js), que es la que decide si sigue vigente.
+ */
+export const generateRefreshToken = (user, { sessionId, jti } = {}) => {
   const payload = {
     id: user.id || user._id,
     type: 'refresh',
+    ...(sessionId ? { sid: String(sessionId) } : {}),
+    ...(jti ? { jti } : {}),
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
@@ -168,21 +207,124 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
+/* -------------------------------------------------------------------------- */
+/*                    Desafío de login en dos pasos (2FA)                      */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Token de corta duración entre la contraseña y el segundo factor.
+ * purpose 'verify': el usuario debe enviar su código TOTP o de respaldo.
+ * purpose 'enroll': el rol exige 2FA y aún no lo configuró.
+ */
+export const generateTwoFactorChallengeToken = (user, purpose = 'verify') =>
+  jwt.sign(
+    { id: String(user.id || user._id), type: 'two_factor_challenge', purpose },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: constants.TWO_FACTOR.CHALLENGE_EXPIRES_IN,
+      issuer: 'MiSitioFacil',
+      audience: 'misitiofacil-2fa',
+    }
+  );
+
+export const verifyTwoFactorChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'MiSitioFacil',
+      audience: 'misitiofacil-2fa',
+    });
+    if (payload.type !== 'two_factor_challenge' || (purpose && payload.purpose !== purpose)) {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  } catch (_err) {
+    throw new AuthenticationError('Verificación en dos pasos expirada, inicia sesión de nuevo');
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/*                  Enlaces firmados para gestionar reservas                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Token firmado para que un invitado gestione su reserva sin iniciar sesión.
+ * Solo identifica la reserva; las reglas (estado, cancellationHours) se validan al usarlo.
+ */
+export const generateReservationManageToken = (reservation) => {
+  const payload = {
+    rid: String(reservation.id || reservation._id),
+    type: 'reservation_manage',
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.RESERVATION_MANAGE_EXPIRES_IN || '90d',
+    issuer: 'MiSitioFacil',
+    audience: 'misitiofacil-reservations',
+  });
+};
+
+export const verifyReservationManageToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: 'misitiofacil-reservations',
+    });
+    if (payload.type !== 'reservation_manage' || !payload.rid) {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  } catch (_err) {
+    throw new AuthenticationError('Enlace de reserva inválido o expirado');
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/*                 Enlaces firmados de vista previa del sitio                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Token para ver el borrador del sitio sin iniciar sesión (enlace para compartir).
+ * Solo identifica el negocio: la vista previa muestra el borrador vigente al abrirla.
+ */
+export const generateSitePreviewToken = (business) => {
+  const payload = {
+    bid: String(business.id || business._id),
+    type: 'site_preview',
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.SITE_PREVIEW_EXPIRES_IN || '7d',
+    issuer: 'MiSitioFacil',
+    audience: 'misitiofacil-site-preview',
+  });
+};
+
+export const verifySitePreviewToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: 'misitiofacil-site-preview',
+    });
+    if (payload.type !== 'site_preview' || !payload.bid) {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  } catch (_err) {
+    throw new AuthenticationError('Enlace de vista previa inválido o expirado');
+  }
+};
+
 /**
  * extractUser: helper que intenta adjuntar req.user si hay token; no bloquea.
  * Similar a optionalAuth, pero pensada para pipelines donde sólo quieres
  * tener el usuario a mano si existe.
  */
-export const extractUser = (req, _res, next) => {
+export const extractUser = async (req, _res, next) => {
   try {
     const authHeader = req.headers.authorization || '';
     if (!authHeader) {
       req.user = null;
       return next();
     }
-    const token = parseAuthHeader(req);
-    const payload = verifyAccessToken(token);
-    req.user = payloadToUser(payload);
+    req.user = await authenticate(req);
     return next();
   } catch (_e) {
     req.user = null;
@@ -200,8 +342,15 @@ export default {
   requireOwnerOrAdmin,
   requireClientOrOwner,
   requireAnyRole,
+  requireCronOrAdmin,
   generateToken,
   generateRefreshToken,
   verifyRefreshToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateReservationManageToken,
+  verifyReservationManageToken,
+  generateSitePreviewToken,
+  verifySitePreviewToken,
   extractUser,
 };
@@ -1,29 +1,65 @@
 // middleware/businessOwnerShip.js
 import { constants } from '../config/index.js';
 import mongoose from 'mongoose';
-import Business from '../models/business.js'; // <-- ajusta la ruta si tu modelo está en otro archivo
+import Service from '../models/service.js';
+import { getBusinessAccess } from '../services/team.js';
 
-const { USER_ROLES, ERROR_MESSAGES } = constants;
+const { ERROR_MESSAGES, BUSINESS_PERMISSIONS } = constants;
 
-export const requireBusinessOwnership = (businessIdParam = 'businessId') => {
+/**
+ * Verifica en BD que req.user tenga `permission` en el negocio (dueño, miembro
+ * del equipo con ese permiso o admin). Deja req.business y req.businessAccess.
+ */
+const checkBusinessAccess = async (req, res, next, businessId, permission) => {
+  const access = await getBusinessAccess(req.user, businessId);
+  if (!access) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: ERROR_MESSAGES.BUSINESS_NOT_FOUND || 'Negocio no encontrado',
+      code: 'BUSINESS_NOT_FOUND'
+    });
+  }
+
+  if (!access.role) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: ERROR_MESSAGES.BUSINESS_ACCESS_DENIED,
+      code: 'NOT_BUSINESS_MEMBER'
+    });
+  }
+
+  if (permission && !access.permissions.includes(permission)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Tu rol en este negocio no permite realizar esta acción',
+      code: 'MISSING_BUSINESS_PERMISSION',
+      permission
+    });
+  }
+
+  req.business = access.business;
+  req.businessAccess = { role: access.role, permissions: access.permissions };
+  return next();
+};
+
+const requireUser = (req, res) => {
+  if (req.user) return true;
+  res.status(401).json({
+    error: 'Authentication required',
+    message: ERROR_MESSAGES.ACCESS_DENIED,
+    code: 'NOT_AUTHENTICATED'
+  });
+  return false;
+};
+
+/**
+ * Acceso al negocio de req.params[businessIdParam] con un permiso
+ * (BUSINESS_PERMISSIONS). Por defecto exige poder editar el negocio.
+ */
+export const requireBusinessOwnership = (businessIdParam = 'businessId', permission = BUSINESS_PERMISSIONS.EDIT) => {
   return async (req, res, next) => {
     try {
-      if (!req.user) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: ERROR_MESSAGES.ACCESS_DENIED,
-          code: 'NOT_AUTHENTICATED'
-        });
-      }
-
-      if (req.user.role === USER_ROLES.ADMIN) return next();
-      if (req.user.role !== USER_ROLES.OWNER) {
-        return res.status(403).json({
-          error: 'Forbidden',
-          message: 'Solo los dueños de negocio pueden realizar esta acción',
-          code: 'ROLE_NOT_ALLOWED'
-        });
-      }
+      if (!requireUser(req, res)) return;
 
       const businessId = req.params[businessIdParam];
       if (!businessId) {
@@ -42,28 +78,49 @@ export const requireBusinessOwnership = (businessIdParam = 'businessId') => {
         });
       }
 
-      // ✅ Verificación real en BD
-      const biz = await Business.findById(businessId).select('owner');
-      if (!biz) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: ERROR_MESSAGES.BUSINESS_NOT_FOUND || 'Negocio no encontrado',
-          code: 'BUSINESS_NOT_FOUND'
+      return await checkBusinessAccess(req, res, next, businessId, permission);
+    } catch (error) {
+      console.error('Error en businessOwnership middleware:', error);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: ERROR_MESSAGES.INTERNAL_ERROR,
+        code: 'MIDDLEWARE_ERROR'
+      });
+    }
+  };
+};
+
+/** Igual que requireBusinessOwnership, con el permiso primero */
+export const requireBusinessPermission = (permission, businessIdParam = 'businessId') =>
+  requireBusinessOwnership(businessIdParam, permission);
+
+/** Acceso al negocio dueño del servicio de req.params[serviceIdParam] */
+export const requireServiceOwnership = (serviceIdParam = 'serviceId', permission = BUSINESS_PERMISSIONS.SERVICES_MANAGE) => {
+  return async (req, res, next) => {
+    try {
+      if (!requireUser(req, res)) return;
+
+      const serviceId = req.params[serviceIdParam];
+      if (!mongoose.isValidObjectId(serviceId)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'serviceId inválido',
+          code: 'INVALID_SERVICE_ID'
         });
       }
 
-      if (String(biz.owner) !== String(req.user.id)) {
-        return res.status(403).json({
-          error: 'Forbidden',
-          message: 'No tienes permisos para acceder a este negocio',
-          code: 'NOT_BUSINESS_OWNER'
+      const service = await Service.findById(serviceId).select('business').lean();
+      if (!service) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Servicio no encontrado',
+          code: 'SERVICE_NOT_FOUND'
         });
       }
 
-      req.business = biz; // opcional
-      return next();
+      return await checkBusinessAccess(req, res, next, service.business, permission);
     } catch (error) {
-      console.error('Error en businessOwnership middleware:', error);
+      console.error('Error en serviceOwnership middleware:', error);
       return res.status(500).json({
         error: 'Internal Server Error',
         message: ERROR_MESSAGES.INTERNAL_ERROR,
@@ -59,7 +59,9 @@ const requireServiceOwnership =
   ownership.requireServiceOwnership ||
   ((param = 'serviceId') => (_req, _res, next) => next());
 
-export { requireBusinessOwnership, requireServiceOwnership };
+const { requireBusinessPermission } = ownership;
+
+export { requireBusinessOwnership, requireServiceOwnership, requireBusinessPermission };
 
 // ---------- Async handlers ----------
 const {
@@ -282,8 +284,9 @@ export const routeConfigs = {
     list:   [fullSanitization, fullPagination('service')],
     create: (param = 'businessId') => [requireOwner, requireBusinessOwnership(param), sanitizeServiceData],
     read:   [],
-    update: (param = 'serviceId')  => [requireOwner, requireServiceOwnership(param), sanitizeServiceData],
-    delete: (param = 'serviceId')  => [requireOwner, requireServiceOwnership(param)],
+    // Dueño o miembro del equipo con permiso sobre servicios
+    update: (param = 'serviceId')  => [requireAnyRole, requireServiceOwnership(param), sanitizeServiceData],
+    delete: (param = 'serviceId')  => [requireAnyRole, requireServiceOwnership(param)],
   },
   reservation: {
     list:   [requireAnyRole, fullSanitization, fullPagination('reservation')],
@@ -317,6 +320,7 @@ export default {
   // Ownership
   requireBusinessOwnership,
   requireServiceOwnership,
+  requireBusinessPermission,
 
   // Async
   asyncHandler,
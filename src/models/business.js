@@ -1,16 +1,38 @@
 // src/models/business.js
 import mongoose from 'mongoose';
+import moment from 'moment-timezone';
 import { constants } from '../config/index.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import {
+  getDayShifts,
+  getDayBreaks,
+  getOpenIntervals,
+  formatShifts,
+  validateDayHours,
+  normalizeDayHours,
+  minutesToTime,
+  resolveTimezone,
+  getWeekdayKey,
+  validateClosure,
+  getEffectiveDayHours,
+} from '../utils/schedule.js';
+import { getHolidaysInRange } from '../utils/holidays.js';
+import { buildTrigrams } from '../utils/textSearch.js';
 
 const {
   BUSINESS_TYPES,
   BUSINESS_STATUS,
+  BUSINESS_PLANS,
   WEEKDAYS,
   WEEKDAYS_SPANISH,
   VALIDATION_PATTERNS,
   APP_LIMITS,
   TEMPLATE_CATEGORIES,
-  SUPPORTED_COUNTRIES
+  SUPPORTED_COUNTRIES,
+  CLOSURE_TYPES,
+  TIME_CONFIG,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
 } = constants;
 
 const { Schema } = mongoose;
@@ -19,16 +41,25 @@ const { Schema } = mongoose;
  *  Subschemas de Horario
  * ========================= */
 
+// Turno dentro de un día (ej. 08:00–12:00)
+const shiftSchema = new Schema({
+  openTime: { type: String, required: true },  // 'HH:mm'
+  closeTime:{ type: String, required: true },  // 'HH:mm'
+}, { _id: false });
+
 // Horario de un día
+// Con `shifts` vacío se usa openTime/closeTime; con turnos, openTime/closeTime
+// se sincronizan a la primera apertura y el último cierre.
 const dayHoursSchema = new Schema({
   isOpen:   { type: Boolean, default: true },
   openTime: { type: String,  default: '09:00' }, // 'HH:mm'
   closeTime:{ type: String,  default: '17:00' }, // 'HH:mm'
+  shifts:   { type: [shiftSchema], default: [] }, // ej: [{ openTime: '08:00', closeTime: '12:00' }, ...]
   breaks:   { type: [String], default: [] },     // ej: ['12:00-12:30']
 }, { _id: false });
 
 // Horario semanal con claves por día (coinciden con WEEKDAYS)
-const operatingHoursSchema = new Schema({
+export const operatingHoursSchema = new Schema({
   [WEEKDAYS.MONDAY]:    { type: dayHoursSchema, default: () => ({ isOpen: true,  openTime: '09:00', closeTime: '18:00', breaks: [] }) },
   [WEEKDAYS.TUESDAY]:   { type: dayHoursSchema, default: () => ({ isOpen: true,  openTime: '09:00', closeTime: '18:00', breaks: [] }) },
   [WEEKDAYS.WEDNESDAY]: { type: dayHoursSchema, default: () => ({ isOpen: true,  openTime: '09:00', closeTime: '18:00', breaks: [] }) },
@@ -38,6 +69,31 @@ const operatingHoursSchema = new Schema({
   [WEEKDAYS.SUNDAY]:    { type: dayHoursSchema, default: () => ({ isOpen: false, openTime: null,   closeTime: null,   breaks: [] }) },
 }, { _id: false });
 
+// Excepción del calendario: cierre, horario especial o día extra (fechas locales del negocio)
+const closureSchema = new Schema({
+  startDate: { type: String, required: [true, 'startDate es requerido'] }, // 'YYYY-MM-DD'
+  endDate:   { type: String },                                             // inclusive; vacío = un solo día
+  type:      { type: String, enum: Object.values(CLOSURE_TYPES), default: CLOSURE_TYPES.CLOSED },
+  shifts:    { type: [shiftSchema], default: [] },                         // special_hours / extra_open
+  breaks:    { type: [String], default: [] },
+  reason:    { type: String, trim: true, maxlength: [120, 'El motivo no puede exceder 120 caracteres'] },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Recurso físico con capacidad (sillas, cabinas, salas) usado por ciertos servicios
+const resourceSchema = new Schema({
+  name:     { type: String, required: [true, 'El nombre del recurso es requerido'], trim: true, maxlength: 60 },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'La cantidad mínima es 1'],
+    max: [100, 'La cantidad máxima es 100'],
+    validate: { validator: Number.isInteger, message: 'La cantidad debe ser un número entero' }
+  },
+  services: [{ type: Schema.Types.ObjectId, ref: 'Service' }], // vacío = todos los servicios
+  isActive: { type: Boolean, default: true }
+});
+
 /* =========================
  *  Otros Subschemas
  * ========================= */
@@ -48,7 +104,12 @@ const locationSchema = new Schema({
   province:    { type: String, trim: true, maxlength: [50, 'La provincia no puede exceder 50 caracteres'] },
   country:     { type: String, enum: Object.keys(SUPPORTED_COUNTRIES), default: 'CR' },
   postalCode:  { type: String, trim: true, maxlength: [10, 'El código postal no puede exceder 10 caracteres'] },
-  coordinates: { lat: { type: Number, min: -90, max: 90 }, lng: { type: Number, min: -180, max: 180 } }
+  coordinates: { lat: { type: Number, min: -90, max: 90 }, lng: { type: Number, min: -180, max: 180 } },
+  // GeoJSON [lng, lat] derivado de coordinates al guardar (búsqueda por distancia)
+  point: {
+    type:        { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  }
 }, { _id: false });
 
 const visualConfigSchema = new Schema({
@@ -59,6 +120,14 @@ const visualConfigSchema = new Schema({
   font:           { type: String, enum: ['Arial','Helvetica','Georgia','Times','Verdana','Open Sans','Roboto'], default: 'Open Sans' }
 }, { _id: false });
 
+// Ajuste del dueño sobre una sección del template (por id de sección)
+const sectionOverrideSchema = new Schema({
+  id:        { type: String, required: true, trim: true },
+  isVisible: { type: Boolean },
+  order:     { type: Number, min: 0 },
+  config:    { type: Schema.Types.Mixed }
+}, { _id: false, minimize: false });
+
 const socialMediaSchema = new Schema({
   facebook: { type: String, trim: true },
   instagram:{ type: String, trim: true },
@@ -68,6 +137,57 @@ const socialMediaSchema = new Schema({
   twitter:  { type: String, trim: true }
 }, { _id: false });
 
+// Imágenes del sitio (logo, portada y galería)
+const imageFields = { url: { type: String, trim: true }, filename: { type: String, trim: true }, uploadedAt: { type: Date } };
+
+const galleryImageSchema = new Schema({
+  url: { type: String, required: true, trim: true },
+  filename: { type: String, required: true, trim: true },
+  caption: { type: String, maxlength: 100 },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+const descriptionField = {
+  type: String,
+  trim: true,
+  maxlength: [APP_LIMITS.MAX_BUSINESS_DESCRIPTION_LENGTH, `La descripción no puede exceder ${APP_LIMITS.MAX_BUSINESS_DESCRIPTION_LENGTH} caracteres`],
+  default: ''
+};
+
+// Template del sitio, su versión fijada y los ajustes del dueño por sección
+const templateFields = {
+  templateId: { type: Schema.Types.ObjectId, ref: 'Template' },
+  // Versión publicada del template que usa el sitio (TemplateVersion); sin valor se fija la última al usarlo
+  templateVersion: { type: String, match: [/^\d+\.\d+\.\d+$/, 'La versión del template debe ser semver (x.y.z)'] },
+  // Ajustes del dueño sobre las secciones del template (se conservan al actualizar de versión)
+  templateOverrides: {
+    sections: { type: [sectionOverrideSchema], default: [] }
+  }
+};
+
+/**
+ * Campos que se ven en el sitio público. Las ediciones van a Business.draft y
+ * solo llegan al documento al publicar (ver services/sitePublishing.js).
+ */
+export const SITE_CONTENT_FIELDS = [
+  'description', 'visualConfig', 'socialMedia', 'logo', 'coverImage', 'gallery',
+  'templateId', 'templateVersion', 'templateOverrides'
+];
+
+const siteDraftSchema = new Schema({
+  description:  descriptionField,
+  visualConfig: { type: visualConfigSchema, default: () => ({}) },
+  socialMedia:  { type: socialMediaSchema, default: () => ({}) },
+  logo:         imageFields,
+  coverImage:   imageFields,
+  gallery:      { type: [galleryImageSchema], default: [] },
+  ...templateFields,
+  // Se incrementa con cada edición; publicar solo promueve la revisión que se leyó
+  revision:  { type: Number, default: 0 },
+  updatedAt: { type: Date },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
 /* =========================
  *  Schema principal
  * ========================= */
@@ -93,12 +213,7 @@ const businessSchema = new Schema({
     validate: { validator: s => !s || VALIDATION_PATTERNS.BUSINESS_SLUG.test(s), message: 'El slug solo puede contener letras, números y guiones' }
   },
 
-  description: {
-    type: String,
-    trim: true,
-    maxlength: [APP_LIMITS.MAX_BUSINESS_DESCRIPTION_LENGTH, `La descripción no puede exceder ${APP_LIMITS.MAX_BUSINESS_DESCRIPTION_LENGTH} caracteres`],
-    default: ''
-  },
+  description: descriptionField,
 
   category: {
     type: String,
@@ -108,7 +223,7 @@ const businessSchema = new Schema({
   },
 
   // Template asociado (NO obligatorio para no bloquear la creación)
-  templateId: { type: Schema.Types.ObjectId, ref: 'Template' },
+  ...templateFields,
 
   // Estado
   status: {
@@ -141,16 +256,17 @@ const businessSchema = new Schema({
   // Horarios de operación
   operatingHours: { type: operatingHoursSchema, default: () => ({}) },
 
+  // Calendario de excepciones (feriados propios, vacaciones, horarios especiales)
+  closures: { type: [closureSchema], default: [] },
+
+  // Capacidad: recursos en paralelo (sin recursos, una reserva a la vez por negocio)
+  resources: { type: [resourceSchema], default: [] },
+
   // Imágenes
-  logo:       { url: { type: String, trim: true }, filename: { type: String, trim: true }, uploadedAt: { type: Date } },
-  coverImage: { url: { type: String, trim: true }, filename: { type: String, trim: true }, uploadedAt: { type: Date } },
+  logo:       imageFields,
+  coverImage: imageFields,
 
-  gallery: [{
-    url: { type: String, required: true, trim: true },
-    filename: { type: String, required: true, trim: true },
-    caption: { type: String, maxlength: 100 },
-    uploadedAt: { type: Date, default: Date.now }
-  }],
+  gallery: [galleryImageSchema],
 
   // Configuración visual
   visualConfig: { type: visualConfigSchema, default: () => ({}) },
@@ -158,6 +274,11 @@ const businessSchema = new Schema({
   // Redes sociales
   socialMedia: { type: socialMediaSchema, default: () => ({}) },
 
+  // Cambios sin publicar de SITE_CONTENT_FIELDS (sin borrador = el sitio está al día)
+  draft: { type: siteDraftSchema, default: undefined },
+  // Versión de BusinessPublication que está en línea
+  publishedVersion: { type: Number, min: 0, default: 0 },
+
   // Configuraciones
   settings: {
     allowOnlineBooking:   { type: Boolean, default: true },
@@ -167,9 +288,24 @@ const businessSchema = new Schema({
     cancellationHours:    { type: Number,  default: 24,  min: 0, max: 168 },
     showPrices:           { type: Boolean, default: true },
     currency:             { type: String,  default: 'CRC', enum: ['CRC', 'USD'] },
-    timezone:             { type: String,  default: 'America/Costa_Rica' }
+    timezone:             { type: String,  default: 'America/Costa_Rica' },
+    language:             { type: String,  enum: Object.values(SUPPORTED_LANGUAGES), default: DEFAULT_LANGUAGE }, // emails a invitados
+    observeNationalHolidays: { type: Boolean, default: false }, // cerrar en feriados de Costa Rica
+    // Horas antes de la cita en que se envían recordatorios (vacío = sin recordatorios)
+    reminderOffsets: {
+      type: [{ type: Number, min: 1, max: TIME_CONFIG.REMINDERS.MAX_OFFSET_HOURS }],
+      default: () => [...TIME_CONFIG.REMINDERS.DEFAULT_OFFSETS_HOURS],
+      validate: {
+        validator: (v) => v.length <= TIME_CONFIG.REMINDERS.MAX_OFFSETS && new Set(v).size === v.length,
+        message: `Máximo ${TIME_CONFIG.REMINDERS.MAX_OFFSETS} recordatorios distintos`
+      }
+    },
+    dailyDigest: { type: Boolean, default: true } // resumen diario de reservas al dueño
   },
 
+  // Último día local (YYYY-MM-DD) en que se envió el resumen diario
+  lastDigestDate: { type: String, select: false },
+
   // Stats
   stats: {
     totalReservations: { type: Number, default: 0 },
@@ -185,8 +321,17 @@ const businessSchema = new Schema({
   verified:   { type: Boolean, default: false, index: true },
   publishedAt:{ type: Date },
 
+  // Plan contratado; vencido (planExpiresAt en el pasado) cuenta como free
+  plan:          { type: String, enum: Object.values(BUSINESS_PLANS), default: BUSINESS_PLANS.FREE },
+  planExpiresAt: { type: Date },
+
   tags:  [{ type: String, trim: true, maxlength: 50 }],
-  notes: { type: String, maxlength: [500, 'Las notas no pueden exceder 500 caracteres'] }
+  notes: { type: String, maxlength: [500, 'Las notas no pueden exceder 500 caracteres'] },
+
+  // Trigramas de nombre, descripción, categoría, ubicación y tags (búsqueda del marketplace)
+  search: {
+    trigrams: { type: [String], select: false, default: undefined }
+  }
 
 }, {
   timestamps: true,
@@ -206,7 +351,11 @@ const businessSchema = new Schema({
 
 businessSchema.virtual('siteUrl').get(function () {
   const baseUrl = process.env.BASE_URL || 'http://localhost:4000';
-  return `${baseUrl}/public/${this.slug}`;
+  return `${baseUrl}/sites/${this.slug}`;
+});
+
+businessSchema.virtual('hasUnpublishedChanges').get(function () {
+  return !!this.draft;
 });
 
 businessSchema.virtual('categoryName').get(function () {
@@ -219,14 +368,11 @@ businessSchema.virtual('categoryName').get(function () {
 });
 
 businessSchema.virtual('isOpenNow').get(function () {
-  const now = new Date();
-  const idx = now.getDay(); // 0=Dom ... 6=Sáb
-  const dayKey = Object.values(WEEKDAYS)[idx === 0 ? 6 : idx - 1];
-  const today = this.operatingHours?.[dayKey];
-  if (!today || !today.isOpen || !today.openTime || !today.closeTime) return false;
-
-  const hhmm = now.toTimeString().slice(0, 5); // HH:MM
-  return hhmm >= today.openTime && hhmm <= today.closeTime;
+  // Hora actual en la zona del negocio; respeta turnos, pausas y excepciones del calendario
+  const now = moment.tz(resolveTimezone(this.settings?.timezone));
+  const { dayHours: today } = getEffectiveDayHours(this, now.format('YYYY-MM-DD'), getWeekdayKey(now));
+  const minutes = now.hours() * 60 + now.minutes();
+  return getOpenIntervals(today).some((i) => minutes >= i.start && minutes < i.end);
 });
 
 // Compatibilidad FE: permitir setear openingHours y guardarlo en operatingHours
@@ -242,6 +388,8 @@ businessSchema.virtual('openingHours')
 businessSchema.index({ owner: 1, slug: 1 }, { unique: true });
 businessSchema.index({ category: 1, status: 1 });
 businessSchema.index({ 'location.city': 1, 'location.province': 1 });
+businessSchema.index({ 'location.point': '2dsphere' });
+businessSchema.index({ 'search.trigrams': 1 });
 businessSchema.index({ featured: 1, verified: 1 });
 businessSchema.index({ 'stats.rating': -1 });
 businessSchema.index({ createdAt: -1 });
@@ -276,6 +424,35 @@ businessSchema.pre('save', function (next) {
   next();
 });
 
+const SEARCHABLE_FIELDS = ['name', 'description', 'category', 'location', 'tags'];
+
+businessSchema.pre('save', function (next) {
+  if (this.isNew || SEARCHABLE_FIELDS.some((field) => this.isModified(field))) {
+    this.set('search.trigrams', buildTrigrams(
+      this.name,
+      this.description,
+      this.category,
+      this.categoryName,
+      this.location?.city,
+      this.location?.province,
+      this.tags || []
+    ));
+  }
+  next();
+});
+
+businessSchema.pre('save', function (next) {
+  // location.point siempre refleja location.coordinates (sin coordenadas no hay punto)
+  if (!this.isModified('location')) return next();
+  const { lat, lng } = this.location?.coordinates || {};
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    this.location.point = { type: 'Point', coordinates: [lng, lat] };
+  } else if (this.location?.point?.type) {
+    this.location.point = undefined;
+  }
+  next();
+});
+
 businessSchema.pre('save', function (next) {
   if (this.isModified('status') && this.status === BUSINESS_STATUS.ACTIVE && !this.publishedAt) {
     this.publishedAt = new Date();
@@ -284,15 +461,25 @@ businessSchema.pre('save', function (next) {
 });
 
 businessSchema.pre('save', function (next) {
-  // valida coherencia de horarios (usa las mismas claves que WEEKDAYS)
+  // valida coherencia de horarios, turnos y pausas (usa las mismas claves que WEEKDAYS)
   for (const day of Object.values(WEEKDAYS)) {
     const hours = this.operatingHours?.[day];
-    if (hours?.isOpen && hours.openTime && hours.closeTime) {
-      if (hours.openTime >= hours.closeTime) {
-        return next(new Error(`Horario inválido para ${WEEKDAYS_SPANISH[day]}: la hora de apertura debe ser menor que la de cierre`));
-      }
-    }
+    const error = validateDayHours(hours, `Horario inválido para ${WEEKDAYS_SPANISH[day]}`);
+    if (error) return next(new ValidationError(error));
+
+    // con turnos, openTime/closeTime reflejan la primera apertura y el último cierre
+    normalizeDayHours(hours);
+  }
+  next();
+});
+
+businessSchema.pre('save', function (next) {
+  if (!this.isModified('closures')) return next();
+  for (const closure of this.closures || []) {
+    const error = validateClosure(closure);
+    if (error) return next(new ValidationError(`Excepción de horario inválida: ${error}`));
   }
+  this.closures.sort((a, b) => a.startDate.localeCompare(b.startDate));
   next();
 });
 
@@ -307,18 +494,45 @@ businessSchema.methods.isOpenOnDay = function (dayKey) {
 
 businessSchema.methods.getFormattedHours = function () {
   const formatted = {};
-  for (const [day, hours] of Object.entries(this.operatingHours || {})) {
+  for (const day of Object.values(WEEKDAYS)) {
+    const hours = this.operatingHours?.[day];
+    const shifts = getDayShifts(hours);
     formatted[day] = {
       day: WEEKDAYS_SPANISH[day],
-      isOpen: !!hours.isOpen,
-      hours: hours.isOpen && hours.openTime && hours.closeTime
-        ? `${hours.openTime} - ${hours.closeTime}`
-        : 'Cerrado'
+      isOpen: !!hours?.isOpen && shifts.length > 0,
+      hours: shifts.length ? formatShifts(hours) : 'Cerrado',
+      shifts: shifts.map((s) => ({ openTime: minutesToTime(s.start), closeTime: minutesToTime(s.end) })),
+      breaks: getDayBreaks(hours).map((b) => `${minutesToTime(b.start)}-${minutesToTime(b.end)}`)
     };
   }
   return formatted;
 };
 
+/**
+ * Cierres y horarios especiales desde hoy (fecha local del negocio) hasta `days` días,
+ * incluyendo los feriados nacionales si el negocio los observa.
+ */
+businessSchema.methods.getUpcomingClosures = function (days = 90) {
+  const today = moment.tz(resolveTimezone(this.settings?.timezone));
+  const from = today.format('YYYY-MM-DD');
+  const to = today.clone().add(days, 'days').format('YYYY-MM-DD');
+
+  const closures = (this.closures || [])
+    .filter((c) => (c.endDate || c.startDate) >= from && c.startDate <= to)
+    .map((c) => ({
+      id: c._id,
+      startDate: c.startDate,
+      endDate: c.endDate || c.startDate,
+      type: c.type,
+      shifts: c.shifts,
+      breaks: c.breaks,
+      reason: c.reason
+    }));
+
+  const holidays = this.settings?.observeNationalHolidays ? getHolidaysInRange(from, to) : [];
+  return { closures, holidays };
+};
+
 businessSchema.methods.addGalleryImage = function (imageData) {
   if (this.gallery.length >= APP_LIMITS.MAX_GALLERY_IMAGES) {
     throw new Error(`Máximo ${APP_LIMITS.MAX_GALLERY_IMAGES} imágenes permitidas en la galería`);
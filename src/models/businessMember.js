@@ -0,0 +1,104 @@
+// src/models/businessMember.js
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { constants } from '../config/index.js';
+
+const { Schema } = mongoose;
+const { BUSINESS_MEMBER_ROLES, BUSINESS_MEMBER_STATUS, TIME_CONFIG } = constants;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/* =========================
+ *  BusinessMember (equipo de un negocio)
+ *  Una invitación pendiente o un miembro activo. El dueño no tiene documento:
+ *  su acceso sale de Business.owner.
+ * ========================= */
+
+// Roles asignables por invitación (el de dueño no)
+const MEMBER_ROLES = Object.values(BUSINESS_MEMBER_ROLES).filter((r) => r !== BUSINESS_MEMBER_ROLES.OWNER);
+
+const businessMemberSchema = new Schema({
+  business: { type: Schema.Types.ObjectId, ref: 'Business', required: true, index: true },
+  // null hasta que se acepta la invitación
+  user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  email: {
+    type: String,
+    required: [true, 'El email es requerido'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: { values: MEMBER_ROLES, message: 'Rol de equipo inválido' },
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(BUSINESS_MEMBER_STATUS),
+    default: BUSINESS_MEMBER_STATUS.PENDING
+  },
+
+  invitedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  inviteTokenHash: { type: String, select: false },
+  inviteExpiresAt: { type: Date, select: false },
+  acceptedAt: { type: Date },
+  revokedAt: { type: Date }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Un solo registro vigente por email en cada negocio
+businessMemberSchema.index(
+  { business: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: [BUSINESS_MEMBER_STATUS.PENDING, BUSINESS_MEMBER_STATUS.ACTIVE] } } }
+);
+businessMemberSchema.index({ user: 1, status: 1 });
+businessMemberSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+/* =========================
+ *  Métodos
+ * ========================= */
+
+/** Genera el token de invitación; guarda solo el hash y devuelve el token en claro */
+businessMemberSchema.methods.generateInviteToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.inviteTokenHash = hashToken(token);
+  this.inviteExpiresAt = new Date(Date.now() + TIME_CONFIG.TEAM_INVITATION.TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+businessMemberSchema.methods.toPublicJSON = function () {
+  const user = this.user && this.user._id ? this.user : null;
+  return {
+    id: String(this._id),
+    business: String(this.business?._id || this.business),
+    email: this.email,
+    role: this.role,
+    status: this.status,
+    user: user ? { id: String(user._id), fullName: user.fullName, email: user.email } : (this.user ? String(this.user) : null),
+    acceptedAt: this.acceptedAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+/* =========================
+ *  Estáticos
+ * ========================= */
+
+/** Invitación pendiente y vigente para un token en claro */
+businessMemberSchema.statics.findByInviteToken = function (token) {
+  return this.findOne({
+    inviteTokenHash: hashToken(token),
+    status: BUSINESS_MEMBER_STATUS.PENDING,
+    inviteExpiresAt: { $gt: new Date() }
+  });
+};
+
+/** Membresía activa de un usuario en un negocio */
+businessMemberSchema.statics.findActive = function (businessId, userId) {
+  return this.findOne({ business: businessId, user: userId, status: BUSINESS_MEMBER_STATUS.ACTIVE });
+};
+
+export { MEMBER_ROLES };
+export default mongoose.models.BusinessMember || mongoose.model('BusinessMember', businessMemberSchema);
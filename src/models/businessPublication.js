@@ -0,0 +1,39 @@
+// src/models/businessPublication.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/* =========================
+ *  BusinessPublication (historial de publicaciones del sitio)
+ *  Cada publicación congela los SITE_CONTENT_FIELDS que quedaron en línea;
+ *  revertir vuelve a publicar un snapshot anterior como una nueva versión.
+ *  Ver services/sitePublishing.js.
+ * ========================= */
+
+const IMMUTABLE_ERROR = 'Las publicaciones del sitio no se pueden modificar';
+
+const businessPublicationSchema = new Schema({
+  business: { type: Schema.Types.ObjectId, ref: 'Business', required: true },
+  version: { type: Number, required: true, min: 1 },
+  snapshot: { type: Schema.Types.Mixed, required: true },
+  // Versión restaurada cuando la publicación viene de un revert
+  revertedFrom: { type: Number, min: 1 },
+  publishedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: { createdAt: 'publishedAt', updatedAt: false },
+  minimize: false
+});
+
+businessPublicationSchema.index({ business: 1, version: -1 }, { unique: true });
+
+// Inmutable: solo se crea (y se borra junto con el negocio)
+businessPublicationSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error(IMMUTABLE_ERROR));
+  next();
+});
+
+businessPublicationSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+  next(new Error(IMMUTABLE_ERROR));
+});
+
+export default mongoose.models.BusinessPublication || mongoose.model('BusinessPublication', businessPublicationSchema);
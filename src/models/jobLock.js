@@ -0,0 +1,55 @@
+// src/models/jobLock.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/* =========================
+ *  JobLock (un documento por tarea programada)
+ *  Garantiza que solo una instancia ejecute la tarea a la vez.
+ * ========================= */
+
+const jobLockSchema = new Schema({
+  _id: { type: String }, // nombre de la tarea
+  lockedUntil: { type: Date, default: null },
+  lockedBy: { type: String, default: null },
+  lastRunAt: { type: Date },
+  lastResult: { type: Schema.Types.Mixed }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/* =========================
+ *  Estáticos
+ * ========================= */
+
+/**
+ * Intenta tomar el lock de una tarea por `ttlMs` milisegundos.
+ * El lock vencido (instancia caída) se puede volver a tomar.
+ * @returns {Promise<boolean>} true si esta instancia obtuvo el lock
+ */
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + ttlMs), lockedBy: owner } },
+      { upsert: true, new: true }
+    );
+    return lock?.lockedBy === owner;
+  } catch (err) {
+    // Otro proceso tiene el lock vigente: el upsert choca con el _id existente
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+};
+
+/** Libera el lock (solo si sigue siendo de `owner`) y guarda el resultado */
+jobLockSchema.statics.release = function (name, owner, result = null) {
+  return this.updateOne(
+    { _id: name, lockedBy: owner },
+    { $set: { lockedUntil: null, lockedBy: null, lastRunAt: new Date(), lastResult: result } }
+  );
+};
+
+export default mongoose.models.JobLock || mongoose.model('JobLock', jobLockSchema);
@@ -1,15 +1,35 @@
 import mongoose from 'mongoose';
+import moment from 'moment-timezone';
 import { constants } from '../config/index.js';
+import { ValidationError, ConflictError, AuthorizationError } from '../middleware/errorHandler.js';
+import Staff from './staff.js';
+import { usesResources, findExhaustedResource } from '../utils/capacity.js';
+import {
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  getWeekdayKey,
+  getDayShifts,
+  getDayBreaks,
+  formatShifts,
+  minutesToTime,
+  intervalsOverlap,
+  getStaffDayHours,
+} from '../utils/schedule.js';
 
 const { 
   RESERVATION_STATUS,
+  RESERVATION_TRANSITIONS,
+  RESERVATION_TRANSITION_ROLES,
   PAYMENT_METHODS,
   NOTIFICATION_TYPES,
   TIME_CONFIG,
   USER_ROLES,
-  WEEKDAYS
+  BUSINESS_MEMBER_ROLES
 } = constants;
 
+// Quién hizo el cambio: rol global o, para el equipo del negocio, su rol en él
+const ACTOR_ROLES = [...new Set([...Object.values(USER_ROLES), ...Object.values(BUSINESS_MEMBER_ROLES)])];
+
 
 
 // Schema para información del cliente (cuando no está registrado)
@@ -76,10 +96,42 @@ const notificationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['sent', 'delivered', 'failed'],
+    enum: ['pending', 'sent', 'delivered', 'failed'],
     default: 'sent'
   },
-  content: { type: String, maxlength: 500 }
+  content: { type: String, maxlength: 500 },
+  // Identificador idempotente (ej. recordatorio por offset y horario) para no repetir envíos
+  key: { type: String }
+}, { _id: false });
+
+// Schema para el historial de cambios de estado (auditoría)
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: Object.values(RESERVATION_STATUS), required: true },
+  to: { type: String, enum: Object.values(RESERVATION_STATUS), required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  changedByRole: {
+    type: String,
+    enum: [...ACTOR_ROLES, 'guest', 'system'],
+    default: 'system'
+  },
+  reason: { type: String, maxlength: 200, trim: true },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Schema para el historial de reprogramaciones
+const rescheduleSchema = new mongoose.Schema({
+  previousDateTime: { type: Date, required: true },
+  newDateTime: { type: Date, required: true },
+  previousStaff: { type: mongoose.Schema.Types.ObjectId, ref: 'Staff', default: null },
+  newStaff: { type: mongoose.Schema.Types.ObjectId, ref: 'Staff', default: null },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  changedByRole: {
+    type: String,
+    enum: [...ACTOR_ROLES, 'guest'],
+    default: 'guest'
+  },
+  reason: { type: String, maxlength: 200, trim: true },
+  changedAt: { type: Date, default: Date.now }
 }, { _id: false });
 
 const reservationSchema = new mongoose.Schema({
@@ -96,6 +148,13 @@ const reservationSchema = new mongoose.Schema({
     required: [true, 'La reserva debe especificar un servicio'],
   },
   
+  // Personal asignado (opcional; si existe, los conflictos se evalúan por persona)
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  
   // Cliente (puede ser usuario registrado o invitado)
   client: {
     type: mongoose.Schema.Types.ObjectId,
@@ -127,13 +186,21 @@ const reservationSchema = new mongoose.Schema({
     required: [true, 'La reserva debe tener fecha y hora'],
     validate: {
       validator: function(dateTime) {
-        // Validar que la fecha esté en el futuro
+        // Validar que la fecha esté en el futuro (solo al crear o cambiar la fecha,
+        // para poder completar o marcar no-show reservas ya pasadas)
+        if (!this.isNew && !this.isModified('dateTime')) return true;
         return dateTime > new Date();
       },
       message: 'La fecha de la reserva debe estar en el futuro'
     }
   },
   
+  // Zona horaria del negocio al momento de reservar (para mostrar horas locales)
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
+  },
+  
   // Duración estimada (en minutos)
   duration: {
     type: Number,
@@ -196,6 +263,12 @@ const reservationSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Auditoría de cambios de estado
+  statusHistory: [statusChangeSchema],
+  
+  // Historial de reprogramaciones (horario anterior y nuevo)
+  rescheduleHistory: [rescheduleSchema],
+  
   // Información de completación
   completedAt: { type: Date },
   actualDuration: { type: Number }, // Duración real en minutos
@@ -269,8 +342,6 @@ const reservationSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-const Reservation = mongoose.models.Reservation || mongoose.model('Reservation', reservationSchema);
-
 // ============== VIRTUALS ==============
 
 // Virtual para obtener información del cliente (registrado o invitado)
@@ -303,16 +374,29 @@ reservationSchema.virtual('endDateTime').get(function() {
 });
 
 // Virtual para verificar si se puede cancelar
+// La ventana se mide en la zona horaria del negocio
 reservationSchema.virtual('canBeCancelled').get(function() {
   if (this.status === RESERVATION_STATUS.CANCELLED || 
       this.status === RESERVATION_STATUS.COMPLETED) {
     return false;
   }
   
-  const now = new Date();
-  const hoursUntilReservation = (this.dateTime - now) / (1000 * 60 * 60);
+  const timezone = resolveTimezone(this.timezone);
+  const now = moment.tz(timezone);
+  const start = moment.tz(this.dateTime, timezone);
   
-  return hoursUntilReservation >= TIME_CONFIG.CANCELLATION_WINDOW.MIN_HOURS;
+  return start.diff(now, 'hours', true) >= TIME_CONFIG.CANCELLATION_WINDOW.MIN_HOURS;
+});
+
+// Virtuales con la hora local del negocio (ISO con offset); dateTime se mantiene en UTC
+reservationSchema.virtual('localDateTime').get(function() {
+  if (!this.dateTime) return null;
+  return moment.tz(this.dateTime, resolveTimezone(this.timezone)).format();
+});
+
+reservationSchema.virtual('localEndDateTime').get(function() {
+  if (!this.dateTime || !this.duration) return null;
+  return moment.tz(this.dateTime, resolveTimezone(this.timezone)).add(this.duration, 'minutes').format();
 });
 
 // Virtual para verificar si está en el pasado
@@ -322,7 +406,7 @@ reservationSchema.virtual('isPast').get(function() {
 
 // Virtual para calcular el precio total
 reservationSchema.virtual('totalPrice').get(function() {
-  let total = this.payment.amount;
+  let total = this.payment?.amount || 0;
   
   // Agregar variaciones
   if (this.serviceVariations && this.serviceVariations.length > 0) {
@@ -341,6 +425,7 @@ reservationSchema.index({ business: 1, dateTime: 1 });
 reservationSchema.index({ business: 1, status: 1 });
 reservationSchema.index({ client: 1, dateTime: -1 });
 reservationSchema.index({ service: 1, dateTime: 1 });
+reservationSchema.index({ staff: 1, dateTime: 1 });
 reservationSchema.index({ status: 1, dateTime: 1 });
 reservationSchema.index({ dateTime: 1, status: 1 });
 reservationSchema.index({ 'guestClient.email': 1 });
@@ -370,7 +455,7 @@ reservationSchema.index(
 
 // NUEVO: Validar que la reserva esté dentro del horario del negocio
 reservationSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('dateTime') || this.isModified('duration')) {
+  if (this.isNew || this.isModified('dateTime') || this.isModified('duration') || this.isModified('staff')) {
     try {
       // Obtener el negocio
       const Business = mongoose.model('Business');
@@ -380,41 +465,67 @@ reservationSchema.pre('save', async function(next) {
         return next(new Error('Negocio no encontrado'));
       }
       
-      const reservationDate = new Date(this.dateTime);
-      const dayOfWeek = reservationDate.getDay(); // 0 = Domingo, 1 = Lunes, etc.
+      // Evaluar día y hora en la zona del negocio, no en la del servidor
+      const timezone = resolveTimezone(business.settings?.timezone);
+      this.timezone = timezone;
       
-      // Mapear día de JS (0-6, Dom-Sab) a nuestro formato (lunes-domingo)
-      const dayMapping = {
-        0: WEEKDAYS.SUNDAY,
-        1: WEEKDAYS.MONDAY,
-        2: WEEKDAYS.TUESDAY,
-        3: WEEKDAYS.WEDNESDAY,
-        4: WEEKDAYS.THURSDAY,
-        5: WEEKDAYS.FRIDAY,
-        6: WEEKDAYS.SATURDAY
-      };
+      const local = moment.tz(this.dateTime, timezone);
+      const localDate = local.format('YYYY-MM-DD');
+      const dayName = getWeekdayKey(local);
+      
+      // Personal asignado: debe pertenecer al negocio, estar activo y realizar el servicio
+      let staffMember = null;
+      if (this.staff) {
+        staffMember = await Staff.findById(this.staff);
+        if (!staffMember || String(staffMember.business) !== String(business._id)) {
+          return next(new ValidationError('El personal indicado no pertenece al negocio'));
+        }
+        if (!staffMember.isActive) {
+          return next(new ValidationError(`${staffMember.name} no está disponible para reservas`));
+        }
+        if (!staffMember.performsService(this.service)) {
+          return next(new ValidationError(`${staffMember.name} no realiza este servicio`));
+        }
+      }
       
-      const dayName = dayMapping[dayOfWeek];
-      const businessHours = business.operatingHours[dayName];
+      // Calendario de excepciones y feriados antes que el horario semanal (o el del personal)
+      const { dayHours: businessHours, closure, holiday } = getStaffDayHours(business, staffMember, localDate, dayName);
       
+      if (holiday) {
+        return next(new ValidationError(`El negocio está cerrado el ${localDate} (${holiday.name})`));
+      }
+      if (closure && !businessHours?.isOpen) {
+        return next(new ValidationError(`El negocio está cerrado el ${localDate}${closure.reason ? ` (${closure.reason})` : ''}`));
+      }
       if (!businessHours || !businessHours.isOpen) {
-        return next(new Error(`El negocio está cerrado los ${dayName}`));
+        return next(new ValidationError(staffMember
+          ? `${staffMember.name} no trabaja los ${dayName}`
+          : `El negocio está cerrado los ${dayName}`));
       }
       
-      const reservationTime = reservationDate.toTimeString().slice(0, 5); // HH:MM format
+      const startMinutes = local.hours() * 60 + local.minutes();
+      const endMinutes = startMinutes + (this.duration || 0);
+      const shifts = getDayShifts(businessHours);
+      const schedule = formatShifts(businessHours);
       
-      if (reservationTime < businessHours.openTime || reservationTime >= businessHours.closeTime) {
-        return next(new Error(`La reserva está fuera del horario de atención (${businessHours.openTime} - ${businessHours.closeTime})`));
+      if (!shifts.length) {
+        return next(new ValidationError(`El negocio está cerrado los ${dayName}`));
       }
       
-      // Validar que la reserva + duración no se extienda más allá del cierre
-      if (this.duration) {
-        const endTime = new Date(reservationDate.getTime() + (this.duration * 60 * 1000));
-        const endTimeString = endTime.toTimeString().slice(0, 5);
-        
-        if (endTimeString > businessHours.closeTime) {
-          return next(new Error(`La reserva se extiende más allá del horario de cierre (${businessHours.closeTime})`));
-        }
+      const shift = shifts.find((s) => startMinutes >= s.start && startMinutes < s.end);
+      if (!shift) {
+        return next(new ValidationError(`La reserva está fuera del horario de atención (${schedule})`));
+      }
+      
+      // Validar que la reserva + duración no se extienda más allá del cierre del turno
+      if (endMinutes > shift.end) {
+        return next(new ValidationError(`La reserva se extiende más allá del horario de cierre (${minutesToTime(shift.end)})`));
+      }
+      
+      // Validar que no coincida con una pausa
+      const pause = getDayBreaks(businessHours).find((p) => intervalsOverlap(startMinutes, endMinutes, p.start, p.end));
+      if (pause) {
+        return next(new ValidationError(`La reserva coincide con una pausa del negocio (${minutesToTime(pause.start)} - ${minutesToTime(pause.end)})`));
       }
       
     } catch (error) {
@@ -425,35 +536,60 @@ reservationSchema.pre('save', async function(next) {
 });
 
 // Validar que no haya conflictos de horario antes de guardar
+// - Con personal asignado: una reserva a la vez por persona
+// - Con recursos del servicio: hasta agotar la capacidad de cada uno
+// - Sin personal ni recursos del servicio: una reserva a la vez por negocio
 reservationSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('dateTime') || this.isModified('duration')) {
+  if (this.isNew || this.isModified('dateTime') || this.isModified('duration') || this.isModified('staff')) {
     // Solo validar para reservas activas
     if (this.status === RESERVATION_STATUS.CONFIRMED || 
         this.status === RESERVATION_STATUS.PENDING) {
       
-      const startTime = this.dateTime;
-      const endTime = new Date(startTime.getTime() + (this.duration * 60 * 1000));
-      
-      // Buscar conflictos
-      const conflicts = await this.constructor.find({
-        _id: { $ne: this._id },
-        business: this.business,
-        status: { $in: [RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.PENDING] },
-        $or: [
-          {
-            dateTime: { $lt: endTime },
-            $expr: {
-              $gt: [
-                { $add: ['$dateTime', { $multiply: ['$duration', 60000] }] },
-                startTime
-              ]
-            }
+      try {
+        const startTime = this.dateTime;
+        const endTime = new Date(startTime.getTime() + (this.duration * 60 * 1000));
+        
+        // Reservas activas del negocio que se solapan con este horario
+        const overlapping = await this.constructor.find({
+          _id: { $ne: this._id },
+          business: this.business,
+          status: { $in: [RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.PENDING] },
+          dateTime: { $lt: endTime },
+          $expr: {
+            $gt: [
+              { $add: ['$dateTime', { $multiply: ['$duration', 60000] }] },
+              startTime
+            ]
           }
-        ]
-      });
-      
-      if (conflicts.length > 0) {
-        return next(new Error('Ya existe una reserva en ese horario'));
+        }).select('dateTime duration service staff').lean();
+        
+        if (this.staff && overlapping.some((r) => String(r.staff) === String(this.staff))) {
+          return next(new ConflictError('El personal seleccionado ya tiene una reserva en ese horario'));
+        }
+        
+        const Business = mongoose.model('Business');
+        const business = await Business.findById(this.business).select('resources').lean();
+        
+        if (usesResources(business, this.service)) {
+          const exhausted = findExhaustedResource({
+            business,
+            serviceId: this.service,
+            start: startTime.getTime(),
+            end: endTime.getTime(),
+            reservations: overlapping.map((r) => ({
+              start: new Date(r.dateTime).getTime(),
+              end: new Date(r.dateTime).getTime() + r.duration * 60000,
+              service: r.service
+            }))
+          });
+          if (exhausted) {
+            return next(new ConflictError(`No hay ${exhausted.name} disponible en ese horario`));
+          }
+        } else if (!this.staff && overlapping.length > 0) {
+          return next(new ConflictError('Ya existe una reserva en ese horario'));
+        }
+      } catch (error) {
+        return next(error);
       }
     }
   }
@@ -480,51 +616,84 @@ reservationSchema.post('save', async function() {
 
 // ============== MÉTODOS DE INSTANCIA ==============
 
-// Método para cambiar el estado
-reservationSchema.methods.updateStatus = async function(newStatus, userId = null, reason = null) {
-  const validTransitions = {
-    [RESERVATION_STATUS.PENDING]: [RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.CANCELLED],
-    [RESERVATION_STATUS.CONFIRMED]: [RESERVATION_STATUS.COMPLETED, RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW],
-    [RESERVATION_STATUS.CANCELLED]: [], // No se puede cambiar desde cancelado
-    [RESERVATION_STATUS.COMPLETED]: [], // No se puede cambiar desde completado
-    [RESERVATION_STATUS.NO_SHOW]: []
-  };
-  
-  if (!validTransitions[this.status].includes(newStatus)) {
-    throw new Error(`No se puede cambiar el estado de ${this.status} a ${newStatus}`);
+// Método para cambiar el estado según RESERVATION_TRANSITIONS
+// Lanza ConflictError (409) si la transición no es válida y AuthorizationError
+// (403) si el rol no puede realizarla. Deja registro en statusHistory.
+// `role` decide la transición (RESERVATION_TRANSITION_ROLES); `actorRole`, si
+// viene, es el que queda en el historial (ej. manager o receptionist)
+reservationSchema.methods.updateStatus = async function(newStatus, { userId = null, role = 'system', actorRole = null, reason = null } = {}) {
+  if (!Object.values(RESERVATION_STATUS).includes(newStatus)) {
+    throw new ValidationError(`Estado debe ser uno de: ${Object.values(RESERVATION_STATUS).join(', ')}`);
+  }
+  
+  const allowed = RESERVATION_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(newStatus)) {
+    throw new ConflictError(`No se puede cambiar el estado de ${this.status} a ${newStatus}`);
+  }
+  
+  if (role !== 'system' && !(RESERVATION_TRANSITION_ROLES[newStatus] || []).includes(role)) {
+    throw new AuthorizationError(`No tienes permiso para marcar la reserva como ${newStatus}`);
+  }
+  
+  // Completar o marcar no-show solo cuando la cita ya empezó
+  if ((newStatus === RESERVATION_STATUS.COMPLETED || newStatus === RESERVATION_STATUS.NO_SHOW) &&
+      this.dateTime > new Date()) {
+    throw new ConflictError(`No se puede marcar como ${newStatus} una reserva que aún no ha empezado`);
   }
   
   const oldStatus = this.status;
+  const now = new Date();
   this.status = newStatus;
   
   // Actualizar campos específicos según el nuevo estado
   switch (newStatus) {
     case RESERVATION_STATUS.CONFIRMED:
-      this.confirmedAt = new Date();
+      this.confirmedAt = now;
       this.confirmedBy = userId;
       break;
       
     case RESERVATION_STATUS.CANCELLED:
-      this.cancelledAt = new Date();
+      this.cancelledAt = now;
       this.cancelledBy = userId;
       if (reason) this.cancellationReason = reason;
       break;
       
     case RESERVATION_STATUS.COMPLETED:
-      this.completedAt = new Date();
+      this.completedAt = now;
       break;
   }
   
-  await this.save();
+  this.statusHistory.push({
+    from: oldStatus,
+    to: newStatus,
+    changedBy: userId,
+    changedByRole: actorRole || role,
+    reason,
+    changedAt: now
+  });
   
-  // Registrar notificación del cambio de estado
-  await this.addNotification(
-    NOTIFICATION_TYPES.RESERVATION_CONFIRMED, // Ajustar según el estado
-    'email',
-    `Estado cambiado de ${oldStatus} a ${newStatus}`
-  );
+  return this.save();
+};
+
+// Método para reprogramar: registra el horario anterior en el historial.
+// Las validaciones de horario y conflictos corren en los hooks de save.
+reservationSchema.methods.reschedule = function(newDateTime, { staff, userId = null, role = 'guest', reason = null } = {}) {
+  this.rescheduleHistory.push({
+    previousDateTime: this.dateTime,
+    newDateTime,
+    previousStaff: this.staff || null,
+    newStaff: staff !== undefined ? staff : (this.staff || null),
+    changedBy: userId,
+    changedByRole: role,
+    reason
+  });
   
-  return this;
+  this.dateTime = newDateTime;
+  if (staff !== undefined) this.staff = staff;
+  this.reminderSent = false;
+  this.reminderSentAt = undefined;
+  
+  return this.save();
 };
 
 // Método para agregar notificación
@@ -539,27 +708,65 @@ reservationSchema.methods.addNotification = function(type, channel, content) {
   return this.save();
 };
 
-// Método para enviar recordatorio
-reservationSchema.methods.sendReminder = async function() {
-  if (this.reminderSent) return false;
-  
-  const hoursUntil = (this.dateTime - new Date()) / (1000 * 60 * 60);
-  
-  // Solo enviar si falta entre 2 y 24 horas
-  if (hoursUntil >= 2 && hoursUntil <= 24) {
-    await this.addNotification(
-      NOTIFICATION_TYPES.RESERVATION_REMINDER,
-      'email',
-      `Recordatorio: tienes una reserva mañana a las ${this.dateTime.toLocaleTimeString()}`
+// Clave del recordatorio: incluye el horario para que una reprogramación genere recordatorios nuevos
+reservationSchema.methods.getReminderKey = function(offsetHours) {
+  return `reminder:${offsetHours}h:${this.dateTime.toISOString()}`;
+};
+
+/**
+ * Envía el recordatorio de un offset (horas antes de la cita) una sola vez.
+ * Primero reclama el envío de forma atómica en `notifications` (clave única por
+ * offset y horario); si otra ejecución ya lo reclamó, no hace nada. Si el envío
+ * falla se libera el reclamo para que la próxima ejecución lo reintente.
+ * @param {number} offsetHours
+ * @param {(reservation: Document) => Promise<void>} deliver Envía el mensaje; si lanza, se reintenta luego
+ * @returns {Promise<'sent'|'failed'|null>} null si ya se había enviado o reclamado
+ */
+reservationSchema.methods.sendReminder = async function(offsetHours, deliver) {
+  const key = this.getReminderKey(offsetHours);
+  const Model = this.constructor;
+
+  const claimed = await Model.updateOne(
+    { _id: this._id, 'notifications.key': { $ne: key } },
+    {
+      $push: {
+        notifications: {
+          type: NOTIFICATION_TYPES.RESERVATION_REMINDER,
+          channel: 'email',
+          status: 'pending',
+          key,
+          content: `Recordatorio ${offsetHours}h antes`,
+          sentAt: new Date()
+        }
+      }
+    }
+  );
+  if (!claimed.modifiedCount) return null;
+
+  try {
+    await deliver(this);
+  } catch (_err) {
+    await Model.updateOne(
+      { _id: this._id },
+      { $pull: { notifications: { key, status: 'pending' } } }
     );
-    
-    this.reminderSent = true;
-    this.reminderSentAt = new Date();
-    
-    return this.save();
+    return 'failed';
   }
-  
-  return false;
+
+  const now = new Date();
+  await Model.updateOne(
+    { _id: this._id, 'notifications.key': key },
+    {
+      $set: {
+        'notifications.$.status': 'sent',
+        'notifications.$.sentAt': now,
+        reminderSent: true,
+        reminderSentAt: now
+      }
+    }
+  );
+
+  return 'sent';
 };
 
 // Método para calcular tiempo restante
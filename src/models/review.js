@@ -0,0 +1,119 @@
+// src/models/review.js
+import mongoose from 'mongoose';
+import { constants } from '../config/index.js';
+
+const { Schema } = mongoose;
+const { REVIEW_STATUS, APP_LIMITS } = constants;
+
+/* =========================
+ *  Review (reseña de una reserva completada)
+ *  Una por reserva. El rating de Business y Service se recalcula con las
+ *  reseñas publicadas (ver services/reviews.js).
+ * ========================= */
+
+const replySchema = new Schema({
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [APP_LIMITS.MAX_REVIEW_REPLY_LENGTH, `La respuesta no puede exceder ${APP_LIMITS.MAX_REVIEW_REPLY_LENGTH} caracteres`]
+  },
+  repliedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  repliedAt: { type: Date }
+}, { _id: false });
+
+const moderationSchema = new Schema({
+  reason: { type: String, trim: true, maxlength: 200 },
+  moderatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  moderatedAt: { type: Date }
+}, { _id: false });
+
+const reviewSchema = new Schema({
+  business: { type: Schema.Types.ObjectId, ref: 'Business', required: true },
+  service: { type: Schema.Types.ObjectId, ref: 'Service', required: true },
+  staff: { type: Schema.Types.ObjectId, ref: 'Staff', default: null },
+  reservation: { type: Schema.Types.ObjectId, ref: 'Reservation', required: true },
+  // null si la reserva fue de un invitado (reseña desde el enlace de gestión)
+  client: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // Nombre público: "María R."
+  authorName: { type: String, trim: true, required: true },
+  rating: {
+    type: Number,
+    required: [true, 'La calificación es requerida'],
+    min: [1, 'La calificación mínima es 1'],
+    max: [5, 'La calificación máxima es 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [APP_LIMITS.MAX_REVIEW_COMMENT_LENGTH, `La reseña no puede exceder ${APP_LIMITS.MAX_REVIEW_COMMENT_LENGTH} caracteres`]
+  },
+  // Reserva real completada (insignia "reserva verificada")
+  isVerified: { type: Boolean, default: true },
+
+  status: {
+    type: String,
+    enum: Object.values(REVIEW_STATUS),
+    default: REVIEW_STATUS.PUBLISHED
+  },
+  moderation: { type: moderationSchema, default: undefined },
+  reply: { type: replySchema, default: undefined }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+reviewSchema.index({ reservation: 1 }, { unique: true });
+reviewSchema.index({ business: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ service: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+/* =========================
+ *  Métodos
+ * ========================= */
+
+/** Vista pública (sin datos del cliente ni de moderación) */
+reviewSchema.methods.toPublicJSON = function () {
+  const service = this.populated('service') ? this.service : null;
+  return {
+    id: String(this._id),
+    business: String(this.business?._id || this.business),
+    service: service ? { id: String(service._id), name: service.name } : String(this.service),
+    authorName: this.authorName,
+    rating: this.rating,
+    comment: this.comment || null,
+    isVerified: this.isVerified,
+    reply: this.reply?.text ? { text: this.reply.text, repliedAt: this.reply.repliedAt } : null,
+    createdAt: this.createdAt
+  };
+};
+
+/* =========================
+ *  Estáticos
+ * ========================= */
+
+/**
+ * Promedio (1 decimal) y cantidad de reseñas publicadas que cumplen `match`
+ * @returns {Promise<{ rating: number, count: number }>}
+ */
+reviewSchema.statics.computeRating = async function (match) {
+  const [agg] = await this.aggregate([
+    { $match: { ...match, status: REVIEW_STATUS.PUBLISHED } },
+    { $group: { _id: null, avg: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  if (!agg) return { rating: 0, count: 0 };
+  return { rating: Math.round(agg.avg * 10) / 10, count: agg.count };
+};
+
+/** Cantidad de reseñas publicadas por estrella: { 1: n, ..., 5: n } */
+reviewSchema.statics.ratingDistribution = async function (match) {
+  const rows = await this.aggregate([
+    { $match: { ...match, status: REVIEW_STATUS.PUBLISHED } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach((r) => { distribution[r._id] = r.count; });
+  return distribution;
+};
+
+export default mongoose.models.Review || mongoose.model('Review', reviewSchema);
@@ -1,6 +1,7 @@
 // src/models/service.js
 import mongoose from 'mongoose';
 import { constants } from '../config/index.js';
+import { buildTrigrams } from '../utils/textSearch.js';
 
 const { Schema } = mongoose;
 
@@ -68,6 +69,11 @@ const serviceSchema = new Schema(
 
     sortOrder: { type: Number, default: 0, index: true },
 
+    // Trigramas de nombre, descripción, categoría y tags (búsqueda del marketplace)
+    search: {
+      trigrams: { type: [String], select: false, default: undefined }
+    },
+
     createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null }
   },
   {
@@ -102,6 +108,7 @@ serviceSchema.index({ business: 1, name: 1 }, { unique: true });
 serviceSchema.index({ 'pricing.basePrice': 1 });
 serviceSchema.index({ duration: 1 });
 serviceSchema.index({ createdAt: -1 });
+serviceSchema.index({ 'search.trigrams': 1 });
 
 // Búsqueda de texto (coincide con tu índice Atlas `service_search_index`)
 serviceSchema.index(
@@ -112,6 +119,34 @@ serviceSchema.index(
 // ───────────────────────────────────────────────────────────────
 // Middlewares seguros (opcionales pero útiles)
 // ───────────────────────────────────────────────────────────────
+const SEARCHABLE_FIELDS = ['name', 'description', 'category', 'tags'];
+
+const serviceTrigrams = ({ name, description, category, tags }) =>
+  buildTrigrams(name, description, category, tags || []);
+
+serviceSchema.pre('save', function (next) {
+  if (this.isNew || SEARCHABLE_FIELDS.some((field) => this.isModified(field))) {
+    this.set('search.trigrams', serviceTrigrams(this));
+  }
+  next();
+});
+
+// Las ediciones usan findByIdAndUpdate: recalcular con los valores resultantes
+serviceSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+  if (!SEARCHABLE_FIELDS.some((field) => field in changes)) return;
+
+  const current = await this.model.findOne(this.getQuery()).select(SEARCHABLE_FIELDS.join(' ')).lean();
+  if (!current) return;
+
+  const merged = { ...current };
+  SEARCHABLE_FIELDS.forEach((field) => {
+    if (field in changes) merged[field] = changes[field];
+  });
+  this.set('search.trigrams', serviceTrigrams(merged));
+});
+
 serviceSchema.pre('save', async function (next) {
   // Validar existencia del negocio al crear/cambiar
   if (this.isNew || this.isModified('business')) {
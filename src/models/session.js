@@ -0,0 +1,93 @@
+// src/models/session.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/* =========================
+ *  Session (una por inicio de sesión / dispositivo)
+ *  Guarda el refresh token vigente (solo su jti hasheado). Cada renovación
+ *  rota el jti; presentar un jti anterior es reutilización y revoca la sesión.
+ * ========================= */
+
+const SESSION_REVOKE_REASONS = [
+  'logout',
+  'logout_all',
+  'revoked',
+  'reuse_detected',
+  'password_changed'
+];
+
+const sessionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  jtiHash: { type: String, required: true, select: false },
+
+  device: { type: String, trim: true, maxlength: 100 },
+  userAgent: { type: String, maxlength: 500 },
+  ip: { type: String },
+  createdIp: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  rotations: { type: Number, default: 0 },
+
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, enum: SESSION_REVOKE_REASONS, default: undefined }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Mongo borra la sesión cuando vence el refresh token
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+/* =========================
+ *  Virtuals / métodos
+ * ========================= */
+
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.methods.toPublicJSON = function (currentSessionId = null) {
+  return {
+    id: String(this._id),
+    device: this.device || null,
+    userAgent: this.userAgent || null,
+    ip: this.ip || null,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && String(this._id) === String(currentSessionId)
+  };
+};
+
+/* =========================
+ *  Estáticos
+ * ========================= */
+
+/** Sesiones vigentes de un usuario, la más reciente primero */
+sessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoca sesiones vigentes de un usuario.
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] Solo esta sesión
+ * @param {string} [options.except]    Todas menos esta (ej. la sesión actual)
+ * @returns {Promise<number>} cantidad revocada
+ */
+sessionSchema.statics.revokeForUser = async function (userId, reason, { sessionId, except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (sessionId) filter._id = sessionId;
+  if (except) filter._id = { $ne: except };
+
+  const { modifiedCount } = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return modifiedCount;
+};
+
+export { SESSION_REVOKE_REASONS };
+export default mongoose.models.Session || mongoose.model('Session', sessionSchema);
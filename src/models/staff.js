@@ -0,0 +1,151 @@
+// src/models/staff.js
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import { constants } from '../config/index.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { operatingHoursSchema } from './business.js';
+import {
+  validateDayHours,
+  normalizeDayHours,
+  resolveTimezone,
+  getWeekdayKey,
+  getStaffDayHours,
+  fitsOpenIntervals,
+} from '../utils/schedule.js';
+
+const { WEEKDAYS, WEEKDAYS_SPANISH, VALIDATION_PATTERNS, RESERVATION_STATUS } = constants;
+
+const { Schema } = mongoose;
+
+/* =========================
+ *  Staff (personal del negocio)
+ * ========================= */
+
+const staffSchema = new Schema({
+  business: { type: Schema.Types.ObjectId, ref: 'Business', required: true, index: true },
+
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    minlength: [2, 'El nombre debe tener al menos 2 caracteres'],
+    maxlength: [80, 'El nombre no puede exceder 80 caracteres']
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: (v) => !v || VALIDATION_PATTERNS.EMAIL.test(v),
+      message: 'Formato de email inválido'
+    }
+  },
+  phone: { type: String, trim: true },
+
+  bio: { type: String, trim: true, maxlength: [300, 'La descripción no puede exceder 300 caracteres'] },
+
+  photo: {
+    url: { type: String, trim: true },
+    filename: { type: String, trim: true },
+    uploadedAt: { type: Date }
+  },
+
+  // Servicios que realiza (vacío = todos los del negocio)
+  services: [{ type: Schema.Types.ObjectId, ref: 'Service' }],
+
+  // Horario propio; si useBusinessHours es true se usa el del negocio
+  useBusinessHours: { type: Boolean, default: true },
+  operatingHours: { type: operatingHoursSchema, default: () => ({}) },
+
+  isActive: { type: Boolean, default: true, index: true },
+  sortOrder: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (_doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+staffSchema.index({ business: 1, isActive: 1, sortOrder: 1 });
+staffSchema.index({ business: 1, services: 1 });
+
+/* =========================
+ *  Middlewares
+ * ========================= */
+
+staffSchema.pre('save', function (next) {
+  if (this.useBusinessHours) return next();
+  for (const day of Object.values(WEEKDAYS)) {
+    const hours = this.operatingHours?.[day];
+    const error = validateDayHours(hours, `Horario inválido para ${WEEKDAYS_SPANISH[day]}`);
+    if (error) return next(new ValidationError(error));
+    normalizeDayHours(hours);
+  }
+  next();
+});
+
+/* =========================
+ *  Métodos
+ * ========================= */
+
+staffSchema.methods.performsService = function (serviceId) {
+  if (!this.services?.length) return true;
+  return this.services.some((s) => String(s._id || s) === String(serviceId));
+};
+
+/* =========================
+ *  Estáticos
+ * ========================= */
+
+// Personal activo que realiza un servicio
+staffSchema.statics.findForService = function (businessId, serviceId) {
+  return this.find({
+    business: businessId,
+    isActive: true,
+    $or: [{ services: serviceId }, { services: { $size: 0 } }]
+  }).sort({ sortOrder: 1, name: 1 });
+};
+
+/**
+ * Primer miembro del personal libre para un servicio en [start, start + duration).
+ * Revisa su horario (incluyendo cierres del negocio) y sus reservas activas.
+ * @returns {Promise<Document|null>}
+ */
+staffSchema.statics.findAvailableFor = async function ({ business, serviceId, start, duration, excludeReservationId = null }) {
+  const candidates = await this.findForService(business._id, serviceId);
+  if (!candidates.length) return null;
+
+  const local = moment.tz(start, resolveTimezone(business.settings?.timezone));
+  const date = local.format('YYYY-MM-DD');
+  const weekday = getWeekdayKey(local);
+  const startMinutes = local.hours() * 60 + local.minutes();
+
+  const onShift = candidates.filter((staff) => {
+    const { dayHours } = getStaffDayHours(business, staff, date, weekday);
+    return fitsOpenIntervals(dayHours, startMinutes, startMinutes + duration);
+  });
+  if (!onShift.length) return null;
+
+  const end = new Date(new Date(start).getTime() + duration * 60000);
+  const Reservation = mongoose.model('Reservation');
+  const busy = await Reservation.find({
+    ...(excludeReservationId ? { _id: { $ne: excludeReservationId } } : {}),
+    staff: { $in: onShift.map((s) => s._id) },
+    status: { $in: [RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.PENDING] },
+    dateTime: { $lt: end },
+    $expr: {
+      $gt: [{ $add: ['$dateTime', { $multiply: ['$duration', 60000] }] }, new Date(start)]
+    }
+  }).distinct('staff');
+
+  const busyIds = busy.map(String);
+  return onShift.find((s) => !busyIds.includes(String(s._id))) || null;
+};
+
+export default mongoose.models.Staff || mongoose.model('Staff', staffSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import { constants } from '../config/index.js';
+import { sanitizeCss } from '../utils/cssSanitizer.js';
+import { validateCustomJs } from '../utils/customScript.js';
 
 const {
   TEMPLATE_CATEGORIES,
@@ -153,6 +155,12 @@ const templateSchema = new mongoose.Schema({
     required: [true, 'La plantilla debe tener un propietario'],
     index: true
   },
+
+  // Template original cuando es una copia (ver duplicate)
+  duplicatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template'
+  },
   
   // Estado del template
   isActive: {
@@ -260,13 +268,21 @@ const templateSchema = new mongoose.Schema({
   customCSS: {
     type: String,
     maxlength: [10000, 'CSS personalizado no puede exceder 10,000 caracteres'],
-    trim: true
+    trim: true,
+    validate: {
+      validator: (css) => !css || sanitizeCss(css).issues.length === 0,
+      message: 'CSS personalizado contiene reglas no permitidas'
+    }
   },
   
   customJS: {
     type: String,
     maxlength: [5000, 'JavaScript personalizado no puede exceder 5,000 caracteres'],
-    trim: true
+    trim: true,
+    validate: {
+      validator: (js) => !js || validateCustomJs(js).length === 0,
+      message: 'JavaScript personalizado usa hosts o APIs no permitidos'
+    }
   },
   
   // Metadatos y estadísticas
@@ -274,7 +290,9 @@ const templateSchema = new mongoose.Schema({
     timesUsed: { type: Number, default: 0 },
     lastUsed: { type: Date },
     rating: { type: Number, default: 0, min: 0, max: 5 },
-    reviewCount: { type: Number, default: 0 }
+    reviewCount: { type: Number, default: 0 },
+    // Rating ponderado por cantidad de reseñas (orden "rating" del marketplace)
+    ratingScore: { type: Number, default: 0, min: 0, max: 5 }
   },
   
   // Configuración SEO por defecto
@@ -370,6 +388,7 @@ templateSchema.index({ isPublic: 1, isActive: 1 });
 templateSchema.index({ isPremium: 1, isActive: 1 });
 templateSchema.index({ 'usage.timesUsed': -1 });
 templateSchema.index({ 'usage.rating': -1 });
+templateSchema.index({ 'usage.ratingScore': -1 });
 templateSchema.index({ createdAt: -1 });
 
 // Índice de texto para búsquedas
@@ -436,7 +455,10 @@ templateSchema.methods.duplicate = async function(newName, newOwner) {
   
   templateData.name = newName || `${this.name} (Copia)`;
   templateData.owner = newOwner;
+  templateData.duplicatedFrom = this._id;
   templateData.isPublic = false;
+  templateData.isPremium = this.isPremium; // la copia de un premium sigue requiriendo el plan
+  templateData.version = '1.0.0'; // nueva línea de versiones
   templateData.usage = {
     timesUsed: 0,
     rating: 0,
@@ -0,0 +1,87 @@
+// src/models/templateReview.js
+import mongoose from 'mongoose';
+import { constants } from '../config/index.js';
+
+const { Schema } = mongoose;
+const { APP_LIMITS } = constants;
+
+/* =========================
+ *  TemplateReview (reseña de un template público)
+ *  Una por dueño y template. Template.usage.rating/reviewCount se recalculan
+ *  con todas las reseñas (ver services/templateMarketplace.js).
+ * ========================= */
+
+const templateReviewSchema = new Schema({
+  template: { type: Schema.Types.ObjectId, ref: 'Template', required: true },
+  owner: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Nombre público: "María R."
+  authorName: { type: String, trim: true, required: true },
+  rating: {
+    type: Number,
+    required: [true, 'La calificación es requerida'],
+    min: [1, 'La calificación mínima es 1'],
+    max: [5, 'La calificación máxima es 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [APP_LIMITS.MAX_TEMPLATE_REVIEW_COMMENT_LENGTH, `La reseña no puede exceder ${APP_LIMITS.MAX_TEMPLATE_REVIEW_COMMENT_LENGTH} caracteres`]
+  },
+  // El dueño tenía un negocio usando el template al reseñar
+  isVerified: { type: Boolean, default: false }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+templateReviewSchema.index({ template: 1, owner: 1 }, { unique: true });
+templateReviewSchema.index({ template: 1, createdAt: -1 });
+
+/* =========================
+ *  Métodos
+ * ========================= */
+
+/** Vista pública (sin el id del dueño) */
+templateReviewSchema.methods.toPublicJSON = function () {
+  return {
+    id: String(this._id),
+    template: String(this.template?._id || this.template),
+    authorName: this.authorName,
+    rating: this.rating,
+    comment: this.comment || null,
+    isVerified: this.isVerified,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+/* =========================
+ *  Estáticos
+ * ========================= */
+
+/**
+ * Promedio (1 decimal) y cantidad de reseñas del template
+ * @returns {Promise<{ rating: number, count: number }>}
+ */
+templateReviewSchema.statics.computeRating = async function (templateId) {
+  const [agg] = await this.aggregate([
+    { $match: { template: templateId } },
+    { $group: { _id: null, avg: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  if (!agg) return { rating: 0, count: 0 };
+  return { rating: Math.round(agg.avg * 10) / 10, count: agg.count };
+};
+
+/** Cantidad de reseñas por estrella: { 1: n, ..., 5: n } */
+templateReviewSchema.statics.ratingDistribution = async function (templateId) {
+  const rows = await this.aggregate([
+    { $match: { template: templateId } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach((r) => { distribution[r._id] = r.count; });
+  return distribution;
+};
+
+export default mongoose.models.TemplateReview || mongoose.model('TemplateReview', templateReviewSchema);
@@ -0,0 +1,54 @@
+// src/models/templateVersion.js
+import mongoose from 'mongoose';
+import { constants } from '../config/index.js';
+
+const { Schema } = mongoose;
+const { APP_LIMITS } = constants;
+
+/* =========================
+ *  TemplateVersion (versión publicada e inmutable de un template)
+ *  El documento Template es la copia editable; al publicar se congela aquí lo
+ *  que ve el sitio. Los negocios quedan fijados a una versión
+ *  (Business.templateVersion), ver services/templateVersions.js.
+ * ========================= */
+
+const IMMUTABLE_ERROR = 'Las versiones publicadas de un template no se pueden modificar';
+
+const templateVersionSchema = new Schema({
+  template: { type: Schema.Types.ObjectId, ref: 'Template', required: true },
+  version: {
+    type: String,
+    required: true,
+    match: [/^\d+\.\d+\.\d+$/, 'La versión debe ser semver (x.y.z)']
+  },
+  snapshot: { type: Schema.Types.Mixed, required: true },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [APP_LIMITS.MAX_TEMPLATE_VERSION_NOTES_LENGTH, `Las notas no pueden exceder ${APP_LIMITS.MAX_TEMPLATE_VERSION_NOTES_LENGTH} caracteres`]
+  },
+  publishedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: { createdAt: 'publishedAt', updatedAt: false },
+  minimize: false
+});
+
+templateVersionSchema.index({ template: 1, version: 1 }, { unique: true });
+templateVersionSchema.index({ template: 1, publishedAt: -1 });
+
+// Inmutable: solo se crea
+templateVersionSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error(IMMUTABLE_ERROR));
+  next();
+});
+
+templateVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+  next(new Error(IMMUTABLE_ERROR));
+});
+
+/** Última versión publicada (las versiones solo crecen, ver services/templateVersions.js) */
+templateVersionSchema.statics.findLatest = function (templateId) {
+  return this.findOne({ template: templateId }).sort({ publishedAt: -1, _id: -1 });
+};
+
+export default mongoose.models.TemplateVersion || mongoose.model('TemplateVersion', templateVersionSchema);
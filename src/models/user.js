@@ -8,8 +8,11 @@ const {
   VALIDATION_PATTERNS,
   APP_LIMITS,
   SUPPORTED_COUNTRIES,
+  TIME_CONFIG,
 } = constants;
 
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 const userSchema = new mongoose.Schema(
   {
     // Información personal
@@ -95,7 +98,8 @@ const userSchema = new mongoose.Schema(
       },
     },
 
-    // Para owners: referencia al negocio
+    // Para owners: negocio principal (el primero creado). Con varios negocios y
+    // equipos, el acceso real se resuelve con Business.owner y BusinessMember.
     business: {
   type: mongoose.Schema.Types.ObjectId,
   ref: 'Business',
@@ -116,6 +120,7 @@ const userSchema = new mongoose.Schema(
     // Tokens de verificación y recuperación
     emailVerificationToken: { type: String, select: false },
     emailVerificationExpires: { type: Date, select: false },
+    emailVerificationSentAt: { type: Date, select: false },
 
     passwordResetToken: { type: String, select: false },
     passwordResetExpires: { type: Date, select: false },
@@ -127,10 +132,35 @@ const userSchema = new mongoose.Schema(
       notifications: {
         email: { type: Boolean, default: true },
         sms: { type: Boolean, default: false },
+        whatsapp: { type: Boolean, default: false },
         push: { type: Boolean, default: true },
       },
     },
 
+    // Clientes: negocios marcados como favoritos
+    favoriteBusinesses: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Business' }],
+      default: [],
+      validate: {
+        validator: (list) => list.length <= APP_LIMITS.MAX_FAVORITE_BUSINESSES,
+        message: `Máximo ${APP_LIMITS.MAX_FAVORITE_BUSINESSES} negocios favoritos`,
+      },
+    },
+
+    // Autenticación en dos pasos (TOTP). El secreto va cifrado y los códigos
+    // de respaldo hasheados; nada de esto sale en las respuestas.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // enrolamiento sin confirmar
+      lastUsedStep: { type: Number, select: false },  // evita reutilizar un código
+      backupCodes: {
+        type: [{ _id: false, hash: String, usedAt: { type: Date, default: null } }],
+        select: false,
+      },
+    },
+
     // Información de sesión
     lastLogin: { type: Date },
     lastLoginIP: { type: String },
@@ -149,6 +179,8 @@ const userSchema = new mongoose.Schema(
         delete ret.passwordHash;
         delete ret.emailVerificationToken;
         delete ret.emailVerificationExpires;
+        delete ret.emailVerificationSentAt;
+        if (ret.twoFactor) ret.twoFactor = { enabled: !!ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
         delete ret.passwordResetToken;
         delete ret.passwordResetExpires;
         delete ret.__v;
@@ -194,6 +226,7 @@ userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ business: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 userSchema.index({ lastLogin: -1 });
 userSchema.index(
   { fullName: 'text', email: 'text' },
@@ -264,13 +297,22 @@ userSchema.methods.recordLogin = async function (ip) {
 };
 
 // ✅ ESM: usar el import de arriba, NO require()
+// Se guarda solo el hash: el token en claro viaja únicamente en el email
 userSchema.methods.generateEmailVerificationToken = function () {
   const token = crypto.randomBytes(32).toString('hex');
-  this.emailVerificationToken = token;
-  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24h
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + TIME_CONFIG.EMAIL_VERIFICATION.TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
   return token;
 };
 
+userSchema.methods.markEmailVerified = function () {
+  this.isEmailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.emailVerificationSentAt = undefined;
+};
+
 userSchema.methods.generatePasswordResetToken = function () {
   const token = crypto.randomBytes(32).toString('hex');
   this.passwordResetToken = token;
@@ -287,6 +329,14 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase().trim() });
 };
 
+/** Usuario con ese token de verificación vigente (el token llega en claro) */
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  }).select('+emailVerificationToken +emailVerificationExpires +emailVerificationSentAt');
+};
+
 userSchema.statics.findByRole = function (role) {
   return this.find({ role, isActive: true });
 };
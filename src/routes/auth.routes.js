@@ -10,7 +10,7 @@ import {
 } from '../middleware/security.js';
 
 // Auth JWT (requiere sesión)
-import { auth } from '../middleware/auth.js';
+import { auth, optionalAuth } from '../middleware/auth.js';
 
 // Sanitización
 import { sanitizeUserData } from '../middleware/index.js';
@@ -44,12 +44,19 @@ const requireAuth = auth(); // si tu auth acepta roles, déjalo sin args para "c
  *         username: { type: string }
  *         role: { type: string, enum: [owner, client, admin] }
  *         isActive: { type: boolean }
+ *         isEmailVerified: { type: boolean }
+ *         twoFactor:
+ *           type: object
+ *           properties:
+ *             enabled: { type: boolean }
+ *             enabledAt: { type: string, format: date-time }
  *     LoginRequest:
  *       type: object
  *       required: [email, password]
  *       properties:
  *         email: { type: string, format: email }
  *         password: { type: string, minLength: 6 }
+ *         deviceName: { type: string, description: Nombre del dispositivo para la lista de sesiones (por defecto se deduce del User-Agent) }
  *     RegisterRequest:
  *       type: object
  *       required: [email, password, fullName]
@@ -58,7 +65,8 @@ const requireAuth = auth(); // si tu auth acepta roles, déjalo sin args para "c
  *         password: { type: string, minLength: 6 }
  *         fullName: { type: string }
  *         username: { type: string }
- *         role: { type: string, enum: [owner, client], default: owner }
+ *         phone: { type: string }
+ *         role: { type: string, enum: [owner, client], default: owner, description: "client = cuenta de cliente para reservar y ver su historial" }
  *     AuthResponse:
  *       type: object
  *       properties:
@@ -142,7 +150,12 @@ router.post('/register', rateLimitStrict, sanitizeUserData, authController.regis
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Inicio de sesión exitoso
+ *         description: |
+ *           Inicio de sesión exitoso. Si el usuario tiene verificación en dos pasos
+ *           no se emiten tokens: responde `requiresTwoFactor: true` con un `challengeToken`
+ *           (5 minutos) para `/api/auth/2fa/verify`. Si su rol la exige y aún no la
+ *           configuró responde `requiresTwoFactorSetup: true` con un `challengeToken`
+ *           para `/api/auth/2fa/setup` y `/api/auth/2fa/enable`.
  *       401:
  *         description: Credenciales inválidas
  *       429:
@@ -154,9 +167,19 @@ router.post('/login', rateLimitAuth, sanitizeUserData, authController.login);
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Cerrar sesión
+ *     summary: Cerrar sesión (revoca la sesión de este dispositivo)
  *     tags: [Auth]
  *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Opcional; identifica la sesión si el access token es anterior a las sesiones
  *     responses:
  *       200:
  *         description: Sesión cerrada exitosamente
@@ -165,11 +188,27 @@ router.post('/login', rateLimitAuth, sanitizeUserData, authController.login);
  */
 router.post('/logout', requireAuth, authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Cerrar sesión en todos los dispositivos
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas (data.revoked)
+ *       401:
+ *         description: No autorizado
+ */
+router.post('/logout-all', requireAuth, authController.logoutAll);
+
 /**
  * @swagger
  * /api/auth/refresh-token:
  *   post:
  *     summary: Renovar token de acceso
+ *     description: Rota el refresh token; el anterior deja de servir. Presentar uno ya usado revoca la sesión completa.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -267,13 +306,8 @@ router.post('/reset-password', rateLimitStrict, authController.resetPassword);
  *         description: Email verificado exitosamente
  *       400:
  *         description: Token inválido o expirado
- *       501:
- *         description: No implementado aún
  */
-router.post('/verify-email', rateLimitStrict, (req, res) =>
-  res.status(501).json({ error: 'No implementado aún' })
-  // authController.verifyEmail
-);
+router.post('/verify-email', rateLimitStrict, authController.verifyEmail);
 
 /**
  * @swagger
@@ -292,17 +326,162 @@ router.post('/verify-email', rateLimitStrict, (req, res) =>
  *               email: { type: string, format: email }
  *     responses:
  *       200:
- *         description: Email de verificación reenviado
- *       404:
- *         description: Usuario no encontrado
+ *         description: Respuesta genérica (no revela si el email existe); si está pendiente de verificar se envía un nuevo enlace
  *       429:
- *         description: Demasiadas solicitudes
- *       501:
- *         description: No implementado aún
+ *         description: Ya se envió un enlace hace menos de RESEND_COOLDOWN_MINUTES
+ */
+router.post('/resend-verification', rateLimitAuth, authController.resendVerification);
+
+/* ─────────────────────────────────────────────────────────────
+ * Verificación en dos pasos (TOTP)
+ * ────────────────────────────────────────────────────────────*/
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Completar el login con el segundo factor
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken: { type: string, description: Devuelto por /api/auth/login }
+ *               code: { type: string, example: '123456', description: Código de la app de autenticación }
+ *               backupCode: { type: string, example: 'a1b2-c3d4', description: Código de respaldo (un solo uso) }
+ *               deviceName: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login completo (misma respuesta que /api/auth/login), con `data.twoFactor.method` y los códigos de respaldo restantes
+ *       401:
+ *         description: Código inválido o challengeToken expirado
+ *       429:
+ *         description: Demasiados intentos
+ */
+router.post('/2fa/verify', rateLimitAuth, authController.verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Iniciar la configuración de la verificación en dos pasos
+ *     description: |
+ *       Genera un secreto pendiente y la URI otpauth:// para mostrar como QR.
+ *       Requiere sesión, o el `challengeToken` de configuración obligatoria que devuelve el login.
+ *       Disponible para dueños y administradores.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: Secreto (base32) y otpauthUri
+ *       400:
+ *         description: La verificación en dos pasos ya está activa
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Rol sin acceso a la verificación en dos pasos
+ */
+router.post('/2fa/setup', rateLimitAuth, optionalAuth, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirmar el código y activar la verificación en dos pasos
+ *     description: |
+ *       Devuelve los códigos de respaldo (solo se muestran esta vez).
+ *       Con `challengeToken` además completa el login y devuelve los tokens.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: '123456' }
+ *               challengeToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: Verificación en dos pasos activada
+ *       400:
+ *         description: Código inválido o configuración no iniciada
+ *       401:
+ *         description: No autenticado
+ */
+router.post('/2fa/enable', rateLimitAuth, optionalAuth, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desactivar la verificación en dos pasos
+ *     description: No disponible para roles que la exigen (admin).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string }
+ *               backupCode: { type: string }
+ *     responses:
+ *       200:
+ *         description: Verificación en dos pasos desactivada
+ *       401:
+ *         description: Contraseña o código incorrectos
+ *       403:
+ *         description: El rol requiere verificación en dos pasos
+ */
+router.post('/2fa/disable', rateLimitAuth, requireAuth, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerar los códigos de respaldo
+ *     description: Invalida los códigos anteriores.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: '123456' }
+ *     responses:
+ *       200:
+ *         description: Nuevos códigos de respaldo
+ *       401:
+ *         description: Código inválido
  */
-router.post('/resend-verification', rateLimitStrict, (req, res) =>
-  res.status(501).json({ error: 'No implementado aún' })
-  // authController.resendVerification
-);
+router.post('/2fa/backup-codes', rateLimitAuth, requireAuth, authController.regenerateTwoFactorBackupCodes);
 
 export default router;
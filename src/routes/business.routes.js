@@ -1,9 +1,13 @@
 // routes/business.routes.js
 import express from 'express';
 import * as businessController from '../controllers/business.controller.js';
-import { auth } from '../middleware/auth.js';
+import * as staffController from '../controllers/staff.controller.js';
+import * as emailController from '../controllers/email.controller.js';
+import * as teamController from '../controllers/team.controller.js';
+import { auth, optionalAuth } from '../middleware/auth.js';
 import { requireBusinessOwnership } from '../middleware/businessOwnerShip.js';
 import { sanitizeBusinessData } from '../middleware/sanitization.js';
+import { paginateBusinesses } from '../middleware/pagination.js';
 import { constants } from '../config/index.js';
 
 import {
@@ -12,10 +16,11 @@ import {
   // generalRateLimit,
 } from '../middleware/security.js';
 
-const { USER_ROLES } = constants;
+const { USER_ROLES, BUSINESS_PERMISSIONS } = constants;
+// Cualquier usuario autenticado: el permiso en el negocio lo decide requireBusinessOwnership
+const requireAuth         = auth();
 const requireOwner        = auth(USER_ROLES.OWNER);
 const requireAdmin        = auth(USER_ROLES.ADMIN);
-const requireOwnerOrAdmin = auth([USER_ROLES.OWNER, USER_ROLES.ADMIN]);
 
 const router = express.Router();
 
@@ -40,21 +45,62 @@ const or501 = (fn, msg) => (req, res, next) =>
  * @swagger
  * /api/business:
  *   get:
- *     summary: Listar negocios del usuario (owner) o todos (admin con ?all=1)
+ *     summary: Listar negocios propios y de los equipos del usuario, o buscar negocios publicados
+ *     description: |
+ *       - Con token y sin `near`: negocios propios y de los equipos del usuario, o todos (admin con ?all=1).
+ *         Cada negocio incluye `access.role` (owner, manager, receptionist, staff o admin).
+ *       - Sin token, o con `near`: búsqueda pública de negocios publicados. Con `near` los resultados
+ *         vienen ordenados por distancia e incluyen `distanceKm`; se combina con category, city, province,
+ *         featured y search.
  *     tags: [Business]
- *     security: [ { bearerAuth: [] } ]
+ *     security: [ {}, { bearerAuth: [] } ]
  *     parameters:
  *       - in: query
  *         name: all
  *         schema: { type: string, enum: [0, 1] }
  *         description: Si es admin y all=1, lista todos los negocios
+ *       - in: query
+ *         name: near
+ *         schema: { type: string, example: "9.9325,-84.0796" }
+ *         description: Punto de búsqueda "lat,lng"
+ *       - in: query
+ *         name: radiusKm
+ *         schema: { type: number, default: 10, maximum: 100 }
+ *       - in: query
+ *         name: category
+ *         schema: { type: string }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sortBy
+ *         schema: { type: string, enum: [rating, newest, popular, name] }
+ *         description: Ignorado con `near` (orden por distancia)
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
  *     responses:
  *       200:
  *         description: Lista de negocios
+ *       400:
+ *         description: near o radiusKm inválidos
  */
+// Búsqueda pública si no hay sesión o si se busca por distancia (?near=)
+const isPublicListing = (req) => !!req.query.near || !req.headers.authorization;
+
+router.get(
+  '/',
+  (req, res, next) => (isPublicListing(req) ? next() : next('route')),
+  paginateBusinesses,
+  or501(businessController.listPublicBusinesses, 'listPublicBusinesses no implementado')
+);
+
 router.get(
   '/',
-  requireOwnerOrAdmin,
+  requireAuth,
   // Preferimos la función que exista en el controller
   (req, res, next) => {
     const handler =
@@ -113,6 +159,7 @@ router.get(
  * /api/business/slug/{slug}:
  *   get:
  *     summary: Obtener negocio por slug (público/compatibilidad)
+ *     description: Incluye `calendar` con cierres, horarios especiales y feriados de los próximos 90 días.
  *     tags: [Business]
  *     parameters:
  *       - in: path
@@ -142,8 +189,8 @@ router.get('/slug/:slug', or501(businessController.getBusinessBySlug, 'getBusine
  */
 router.get(
   '/:businessId([0-9a-fA-F]{24})',
-  requireOwnerOrAdmin,
-  requireBusinessOwnership('businessId'),
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
   or501(businessController.getBusinessById, 'getBusinessById no implementado')
 );
 
@@ -152,6 +199,10 @@ router.get(
  * /api/business/{businessId}:
  *   put:
  *     summary: Actualizar negocio (owner o admin)
+ *     description: |
+ *       `description`, `visualConfig` y `socialMedia` se guardan en el borrador del sitio (`draft`) y no se
+ *       ven en el sitio público hasta `POST /api/business/{businessId}/publish`. El resto de los campos
+ *       (nombre, contacto, ubicación, horarios, ajustes, recursos) se aplica de inmediato.
  *     tags: [Business]
  *     security: [ { bearerAuth: [] } ]
  *     parameters:
@@ -173,8 +224,8 @@ router.get(
  */
 router.put(
   '/:businessId([0-9a-fA-F]{24})',
-  requireOwnerOrAdmin,
-  requireBusinessOwnership('businessId'),
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
   sanitizeBusinessData,
   or501(businessController.updateBusiness, 'updateBusiness no implementado')
 );
@@ -199,8 +250,8 @@ router.put(
  */
 router.delete(
   '/:businessId([0-9a-fA-F]{24})',
-  requireOwnerOrAdmin,
-  requireBusinessOwnership('businessId'),
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.DELETE),
   or501(businessController.deleteBusiness, 'deleteBusiness no implementado')
 );
 
@@ -233,14 +284,15 @@ router.delete(
 router.patch(
   '/:businessId([0-9a-fA-F]{24})/status',
   requireAdmin,
-  or501(businessController.setBusinessStatus || businessController.changeBusinessStatus, 'setBusinessStatus no implementado')
+  or501(businessController.setBusinessStatus, 'setBusinessStatus no implementado')
 );
 
 /**
  * @swagger
- * /api/business/{businessId}/publish:
- *   put:
- *     summary: Publicar/despublicar negocio (compatibilidad)
+ * /api/business/{businessId}/plan:
+ *   patch:
+ *     summary: Cambiar el plan del negocio (solo admin)
+ *     description: Al vencer `expiresAt` el negocio vuelve a las funcionalidades del plan free.
  *     tags: [Business]
  *     security: [ { bearerAuth: [] } ]
  *     parameters:
@@ -248,24 +300,269 @@ router.patch(
  *         name: businessId
  *         required: true
  *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [plan]
+ *             properties:
+ *               plan: { type: string, enum: [free, basic, pro] }
+ *               expiresAt: { type: string, format: date-time, nullable: true }
  *     responses:
  *       200: { description: OK }
  *       401: { $ref: '#/components/responses/UnauthorizedError' }
  *       403: { $ref: '#/components/responses/ForbiddenError' }
  *       404: { $ref: '#/components/responses/NotFoundError' }
  */
-router.put(
+router.patch(
+  '/:businessId([0-9a-fA-F]{24})/plan',
+  requireAdmin,
+  or501(businessController.setBusinessPlan, 'setBusinessPlan no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/draft:
+ *   get:
+ *     summary: Cambios sin publicar del sitio
+ *     description: |
+ *       Las ediciones de descripción, `visualConfig`, redes sociales, logo, portada y galería se guardan
+ *       en un borrador; el sitio público no cambia hasta publicar. `content` es el borrador o, si no hay
+ *       cambios pendientes, lo publicado.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: OK }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *   delete:
+ *     summary: Descartar los cambios sin publicar
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Borrador descartado }
+ *       409: { description: No hay cambios sin publicar }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/draft',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(businessController.getSiteDraft, 'getSiteDraft no implementado')
+);
+
+router.delete(
+  '/:businessId([0-9a-fA-F]{24})/draft',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
+  or501(businessController.discardSiteDraft, 'discardSiteDraft no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/preview-link:
+ *   get:
+ *     summary: Enlace firmado para compartir la vista previa del sitio
+ *     description: |
+ *       Devuelve `/sites/{slug}/preview?token=...`, que muestra el borrador sin iniciar sesión hasta
+ *       `expiresAt`. El enlace siempre muestra el borrador vigente; `revision` se puede enviar al
+ *       publicar para asegurar que se publica lo que se revisó.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url: { type: string }
+ *                     expiresAt: { type: string, format: date-time }
+ *                     revision: { type: integer, nullable: true }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/preview-link',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(businessController.getSitePreviewLink, 'getSitePreviewLink no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/publish:
+ *   post:
+ *     summary: Publicar el sitio
+ *     description: |
+ *       Pone en línea el borrador en una sola operación, activa el negocio y registra la publicación en el
+ *       historial. Sin borrador publica el contenido actual (primera publicación o reactivación).
+ *       Requiere que el dueño haya verificado su email; si no, responde 403.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: Revisión del borrador revisada en la vista previa; si cambió responde 409
+ *     responses:
+ *       200: { description: Publicado }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *       409: { description: Sin cambios pendientes, o el borrador cambió mientras se publicaba }
+ */
+router.post(
   '/:businessId([0-9a-fA-F]{24})/publish',
-  requireOwner,
-  requireBusinessOwnership('businessId'),
-  // Compatibilidad: si no hay publishBusiness/changeBusinessStatus, usamos setBusinessStatus con body.enabled
-  (req, res, next) => {
-    const handler =
-      businessController.publishBusiness ||
-      businessController.changeBusinessStatus ||
-      businessController.setBusinessStatus;
-    return or501(handler, 'publishBusiness no implementado')(req, res, next);
-  }
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.PUBLISH),
+  or501(businessController.publishBusiness, 'publishBusiness no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/unpublish:
+ *   post:
+ *     summary: Despublicar el sitio
+ *     description: El negocio pasa a inactivo; el contenido publicado y el borrador se conservan.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Despublicado }
+ *       400: { description: El negocio no está publicado }
+ */
+router.post(
+  '/:businessId([0-9a-fA-F]{24})/unpublish',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.PUBLISH),
+  or501(businessController.unpublishBusiness, 'unpublishBusiness no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/publications:
+ *   get:
+ *     summary: Historial de publicaciones del sitio
+ *     description: La más reciente primero, sin el contenido; `publishedVersion` es la que está en línea.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     publishedVersion: { type: integer }
+ *                     publications: { type: array, items: { $ref: '#/components/schemas/BusinessPublication' } }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/publications',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(businessController.listSitePublications, 'listSitePublications no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/publications/{version}:
+ *   get:
+ *     summary: Publicación del sitio con su contenido (snapshot)
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/publications/:version(\\d+)',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(businessController.getSitePublication, 'getSitePublication no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/publications/{version}/revert:
+ *   post:
+ *     summary: Volver a poner en línea una publicación anterior
+ *     description: |
+ *       Publica el contenido de esa versión como una publicación nueva (`revertedFrom`). El borrador
+ *       pendiente, si hay, no se modifica.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Restaurado }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *       409: { description: Esa versión ya está en línea }
+ */
+router.post(
+  '/:businessId([0-9a-fA-F]{24})/publications/:version(\\d+)/revert',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.PUBLISH),
+  or501(businessController.revertSitePublication, 'revertSitePublication no implementado')
 );
 
 // ---- Uploads ----
@@ -282,6 +579,7 @@ const notImplemented = (what) => (_req, res) => {
  * /api/business/{businessId}/logo:
  *   post:
  *     summary: Subir logo del negocio
+ *     description: Se guarda en el borrador del sitio; se ve en el sitio público al publicar.
  *     tags: [Business]
  *     security: [ { bearerAuth: [] } ]
  *     parameters:
@@ -297,8 +595,8 @@ const notImplemented = (what) => (_req, res) => {
  */
 router.post(
   '/:businessId([0-9a-fA-F]{24})/logo',
-  requireOwner,
-  requireBusinessOwnership('businessId'),
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
   (typeof businessController.uploadLogo === 'function'
     ? businessController.uploadLogo
     : notImplemented('Upload de logo'))
@@ -309,6 +607,7 @@ router.post(
  * /api/business/{businessId}/cover:
  *   post:
  *     summary: Subir imagen de portada
+ *     description: Se guarda en el borrador del sitio; se ve en el sitio público al publicar.
  *     tags: [Business]
  *     security: [ { bearerAuth: [] } ]
  *     parameters:
@@ -324,18 +623,20 @@ router.post(
  */
 router.post(
   '/:businessId([0-9a-fA-F]{24})/cover',
-  requireOwner,
-  requireBusinessOwnership('businessId'),
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
   (typeof businessController.uploadCoverImage === 'function'
     ? businessController.uploadCoverImage
     : notImplemented('Upload de portada'))
 );
 
+// ---- Calendario de excepciones ----
+
 /**
  * @swagger
- * /api/business/{businessId}/stats:
+ * /api/business/{businessId}/closures:
  *   get:
- *     summary: Obtener estadísticas del negocio
+ *     summary: Listar cierres y horarios especiales del negocio
  *     tags: [Business]
  *     security: [ { bearerAuth: [] } ]
  *     parameters:
@@ -343,16 +644,708 @@ router.post(
  *         name: businessId
  *         required: true
  *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date }
  *     responses:
- *       501: { description: No implementado }
+ *       200: { description: OK }
  *       401: { $ref: '#/components/responses/UnauthorizedError' }
  *       403: { $ref: '#/components/responses/ForbiddenError' }
  *       404: { $ref: '#/components/responses/NotFoundError' }
+ *   post:
+ *     summary: Crear cierre, horario especial o día extra
+ *     description: >
+ *       Fechas locales del negocio (YYYY-MM-DD). type=closed cierra todo el día (o el rango
+ *       startDate–endDate); special_hours y extra_open requieren shifts. Para cerrar en los
+ *       feriados nacionales de Costa Rica usar settings.observeNationalHolidays en el negocio.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate]
+ *             properties:
+ *               startDate: { type: string, example: "2025-12-24" }
+ *               endDate:   { type: string, example: "2026-01-02" }
+ *               type:      { type: string, enum: [closed, special_hours, extra_open], default: closed }
+ *               shifts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     openTime:  { type: string, example: "08:00" }
+ *                     closeTime: { type: string, example: "12:00" }
+ *               breaks: { type: array, items: { type: string, example: "10:00-10:15" } }
+ *               reason: { type: string, example: "Vacaciones de fin de año" }
+ *     responses:
+ *       201: { description: Creado }
+ *       400: { $ref: '#/components/responses/ValidationError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
  */
 router.get(
-  '/:businessId([0-9a-fA-F]{24})/stats',
-  requireOwner,
-  requireBusinessOwnership('businessId'),
+  '/:businessId([0-9a-fA-F]{24})/closures',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(businessController.listClosures, 'listClosures no implementado')
+);
+
+router.post(
+  '/:businessId([0-9a-fA-F]{24})/closures',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.CLOSURES_MANAGE),
+  sanitizeBusinessData,
+  or501(businessController.createClosure, 'createClosure no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/closures/{closureId}:
+ *   patch:
+ *     summary: Actualizar una excepción de horario
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: closureId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *   delete:
+ *     summary: Eliminar una excepción de horario
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: closureId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Eliminado }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ */
+router.patch(
+  '/:businessId([0-9a-fA-F]{24})/closures/:closureId([0-9a-fA-F]{24})',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.CLOSURES_MANAGE),
+  sanitizeBusinessData,
+  or501(businessController.updateClosure, 'updateClosure no implementado')
+);
+
+router.delete(
+  '/:businessId([0-9a-fA-F]{24})/closures/:closureId([0-9a-fA-F]{24})',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.CLOSURES_MANAGE),
+  or501(businessController.deleteClosure, 'deleteClosure no implementado')
+);
+
+// ---- Versión del template del sitio ----
+// Los cambios van al borrador del sitio; se ven en línea al publicar (POST /{businessId}/publish)
+
+/**
+ * @swagger
+ * /api/business/{businessId}/template:
+ *   get:
+ *     summary: Versión del template que usa el sitio del negocio
+ *     description: |
+ *       El negocio queda fijado a una versión publicada del template; los cambios del template
+ *       no le llegan hasta que se actualiza. Incluye la última versión disponible y los ajustes
+ *       por sección del dueño (`inactiveOverrides`: ajustes de secciones que la versión no tiene).
+ *       Si hay un borrador, muestra el template del borrador (`hasUnpublishedChanges`).
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Estado de la versión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     template: { type: object, properties: { id: { type: string }, name: { type: string } } }
+ *                     version: { type: string, example: "1.2.0" }
+ *                     pinned: { type: boolean }
+ *                     latestVersion: { type: string, example: "1.3.0" }
+ *                     upgradeAvailable: { type: boolean }
+ *                     overrides: { type: array, items: { $ref: '#/components/schemas/SectionOverride' } }
+ *                     inactiveOverrides: { type: array, items: { type: string } }
+ *                     hasUnpublishedChanges: { type: boolean }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/template',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(businessController.getBusinessTemplate, 'getBusinessTemplate no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/template:
+ *   put:
+ *     summary: Cambiar el template del borrador del sitio
+ *     description: |
+ *       El negocio queda fijado a la última versión del nuevo template y se descartan los ajustes por
+ *       sección del anterior (`droppedOverrides`). El template debe ser público, del sistema o del dueño.
+ *       Los templates premium requieren un plan que los incluya; si no, responde 403. El cambio queda en
+ *       el borrador hasta publicar.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [templateId]
+ *             properties:
+ *               templateId: { type: string }
+ *     responses:
+ *       200: { description: Template aplicado }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *       409: { description: El negocio ya usa este template }
+ */
+router.put(
+  '/:businessId([0-9a-fA-F]{24})/template',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
+  or501(businessController.applyBusinessTemplate, 'applyBusinessTemplate no implementado')
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SectionOverride:
+ *       type: object
+ *       required: [id]
+ *       properties:
+ *         id: { type: string, example: "gallery", description: "id de la sección del template" }
+ *         isVisible: { type: boolean }
+ *         order: { type: integer, minimum: 0 }
+ *         config: { type: object, description: "Se combina con la config de la sección (gana el dueño)" }
+ * /api/business/{businessId}/template/sections:
+ *   put:
+ *     summary: Reemplazar los ajustes del dueño sobre las secciones del template
+ *     description: |
+ *       Solo se aceptan ids de secciones de la versión que usa el borrador. Los ajustes quedan en el
+ *       borrador hasta publicar.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sections]
+ *             properties:
+ *               sections: { type: array, items: { $ref: '#/components/schemas/SectionOverride' } }
+ *     responses:
+ *       200: { description: Ajustes guardados }
+ *       400: { $ref: '#/components/responses/ValidationError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ */
+router.put(
+  '/:businessId([0-9a-fA-F]{24})/template/sections',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
+  or501(businessController.updateTemplateSections, 'updateTemplateSections no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/template/upgrade:
+ *   post:
+ *     summary: Actualizar el borrador del sitio a la última versión del template
+ *     description: |
+ *       Conserva los ajustes del dueño de las secciones que siguen existiendo (si la nueva versión
+ *       cambió algo ajustado, gana el ajuste y se informa en `keptOverrides`) y descarta los de
+ *       secciones eliminadas (`droppedOverrides`). El sitio público cambia al publicar.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from: { type: string }
+ *                     to: { type: string }
+ *                     changes: { type: array, items: { $ref: '#/components/schemas/TemplateChange' } }
+ *                     keptOverrides: { type: array, items: { type: string } }
+ *                     droppedOverrides: { type: array, items: { type: string } }
+ *       409: { description: Ya usa la última versión }
+ */
+router.post(
+  '/:businessId([0-9a-fA-F]{24})/template/upgrade',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
+  or501(businessController.upgradeTemplate, 'upgradeTemplate no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/template/rollback:
+ *   post:
+ *     summary: Volver el borrador del sitio a una versión publicada anterior del template
+ *     description: |
+ *       Los ajustes del dueño se conservan; los de secciones que esa versión no tiene quedan inactivos.
+ *       El sitio público cambia al publicar.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version: { type: string, example: "1.1.0" }
+ *     responses:
+ *       200: { description: Revertido }
+ *       404: { description: La versión no existe }
+ *       409: { description: Ya usa esa versión }
+ */
+router.post(
+  '/:businessId([0-9a-fA-F]{24})/template/rollback',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.EDIT),
+  or501(businessController.rollbackTemplate, 'rollbackTemplate no implementado')
+);
+
+// ---- Personal ----
+
+/**
+ * @swagger
+ * /api/business/{businessId}/staff:
+ *   get:
+ *     summary: Listar personal del negocio
+ *     description: Público (solo personal activo). El dueño, su equipo o un admin ven también el inactivo.
+ *     tags: [Business]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: service
+ *         schema: { type: string }
+ *         description: Solo personal que realiza este servicio
+ *     responses:
+ *       200: { description: OK }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *   post:
+ *     summary: Crear miembro del personal
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:     { type: string, example: "Ana Mora" }
+ *               email:    { type: string }
+ *               phone:    { type: string }
+ *               bio:      { type: string }
+ *               photo:    { type: object, properties: { url: { type: string } } }
+ *               services: { type: array, items: { type: string }, description: "Vacío = todos los servicios" }
+ *               useBusinessHours: { type: boolean, default: true }
+ *               operatingHours:   { type: object, description: "Mismo formato que el horario del negocio" }
+ *     responses:
+ *       201: { description: Creado }
+ *       400: { $ref: '#/components/responses/ValidationError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/staff',
+  optionalAuth,
+  or501(staffController.listStaff, 'listStaff no implementado')
+);
+
+router.post(
+  '/:businessId([0-9a-fA-F]{24})/staff',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.STAFF_MANAGE),
+  sanitizeBusinessData,
+  or501(staffController.createStaff, 'createStaff no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/staff/{staffId}:
+ *   put:
+ *     summary: Actualizar miembro del personal
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *   delete:
+ *     summary: Eliminar miembro del personal (sin reservas futuras)
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Eliminado }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *       409: { description: Tiene reservas pendientes }
+ */
+router.put(
+  '/:businessId([0-9a-fA-F]{24})/staff/:staffId([0-9a-fA-F]{24})',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.STAFF_MANAGE),
+  sanitizeBusinessData,
+  or501(staffController.updateStaff, 'updateStaff no implementado')
+);
+
+router.delete(
+  '/:businessId([0-9a-fA-F]{24})/staff/:staffId([0-9a-fA-F]{24})',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.STAFF_MANAGE),
+  or501(staffController.deleteStaff, 'deleteStaff no implementado')
+);
+
+// ---- Equipo ----
+
+/**
+ * @swagger
+ * /api/business/{businessId}/members:
+ *   get:
+ *     summary: Listar equipo del negocio (miembros e invitaciones pendientes)
+ *     description: |
+ *       Roles de equipo y sus permisos:
+ *       - manager: edita el negocio, servicios, personal, cierres y reservas
+ *       - receptionist: gestiona reservas y cierres
+ *       - staff: ve el negocio y sus reservas
+ *       El dueño tiene todos los permisos (incluye publicar, eliminar y gestionar el equipo).
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "Miembros, permisos por rol y mi rol (myRole)" }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *   post:
+ *     summary: Invitar a alguien al equipo
+ *     description: Envía un email con un enlace de aceptación (vence en 72 horas). Si ya había una invitación pendiente para ese email se renueva.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               role:  { type: string, enum: [manager, receptionist, staff] }
+ *     responses:
+ *       201: { description: Invitación enviada }
+ *       400: { $ref: '#/components/responses/ValidationError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       409: { description: Esa persona ya es parte del equipo }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/members',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(teamController.listTeam, 'listTeam no implementado')
+);
+
+router.post(
+  '/:businessId([0-9a-fA-F]{24})/members',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.TEAM_MANAGE),
+  or501(teamController.inviteMember, 'inviteMember no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/members/{memberId}:
+ *   patch:
+ *     summary: Cambiar el rol de un miembro o invitación
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role: { type: string, enum: [manager, receptionist, staff] }
+ *     responses:
+ *       200: { description: Rol actualizado }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *   delete:
+ *     summary: Quitar a un miembro o cancelar una invitación
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Miembro quitado }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ */
+router.patch(
+  '/:businessId([0-9a-fA-F]{24})/members/:memberId([0-9a-fA-F]{24})',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.TEAM_MANAGE),
+  or501(teamController.updateMember, 'updateMember no implementado')
+);
+
+router.delete(
+  '/:businessId([0-9a-fA-F]{24})/members/:memberId([0-9a-fA-F]{24})',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.TEAM_MANAGE),
+  or501(teamController.removeTeamMember, 'removeTeamMember no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/invitations/{token}:
+ *   get:
+ *     summary: Ver una invitación al equipo antes de aceptarla
+ *     tags: [Business]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "Negocio, rol, email invitado y vencimiento" }
+ *       404: { description: Invitación inválida o expirada }
+ */
+router.get('/invitations/:token([0-9a-fA-F]{64})', or501(teamController.getInvitation, 'getInvitation no implementado'));
+
+/**
+ * @swagger
+ * /api/business/invitations/accept:
+ *   post:
+ *     summary: Aceptar una invitación al equipo
+ *     description: La cuenta autenticada debe tener el mismo email que la invitación.
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200: { description: "Invitación aceptada (businessId, role y permisos)" }
+ *       400: { description: Invitación inválida o expirada }
+ *       403: { description: La invitación es para otro email }
+ */
+router.post('/invitations/accept', requireAuth, or501(teamController.acceptInvitation, 'acceptInvitation no implementado'));
+
+// ---- Emails ----
+
+/**
+ * @swagger
+ * /api/business/{businessId}/email-templates:
+ *   get:
+ *     summary: Listar templates de email e idiomas disponibles
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: OK }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/email-templates',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(emailController.listEmailTemplates, 'listEmailTemplates no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/email-templates/{template}/preview:
+ *   get:
+ *     summary: Previsualizar un email con la marca del negocio y datos de ejemplo
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: template
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [reservationCreated, reservationConfirmed, reservationReminder, reservationCancelled, reservationRescheduled, ownerNewReservation, ownerReservationCancelled, ownerReservationRescheduled, ownerDailyDigest, emailVerification, teamInvitation]
+ *       - in: query
+ *         name: lang
+ *         schema: { type: string, enum: [es, en] }
+ *         description: Por defecto el idioma del negocio (settings.language)
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, html, text], default: json }
+ *         description: json devuelve subject, html y text; html/text devuelven solo ese cuerpo
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/email-templates/:template/preview',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.VIEW),
+  or501(emailController.previewEmailTemplate, 'previewEmailTemplate no implementado')
+);
+
+/**
+ * @swagger
+ * /api/business/{businessId}/stats:
+ *   get:
+ *     summary: Obtener estadísticas del negocio
+ *     tags: [Business]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       501: { description: No implementado }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ */
+router.get(
+  '/:businessId([0-9a-fA-F]{24})/stats',
+  requireAuth,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.REPORTS_VIEW),
   (_req, res) => res.status(501).json({
     success: false,
     error: 'Estadísticas no implementadas aún',
@@ -9,6 +9,9 @@ import serviceRoutes from './service.routes.js';
 import templateRoutes from './template.routes.js';
 import reservationRoutes from './reservation.routes.js';
 import uploadRoutes from './upload.routes.js';
+import jobsRoutes from './jobs.routes.js';
+import reviewRoutes from './review.routes.js';
+import searchRoutes from './search.routes.js';
 import { Router } from 'express';
 import healthRoutes from './health.routes.js';
 
@@ -30,8 +33,11 @@ router.get('/', (req, res) => {
       business: '/api/business',        // ✅ Singular para consistencia
       services: '/api/services',
       reservations: '/api/reservations',
+      reviews: '/api/reviews',
+      search: '/api/search',
       templates: '/api/templates',
       uploads: '/api/uploads',
+      jobs: '/api/jobs',
     },
   });
 });
@@ -58,6 +64,9 @@ router.use('/business', businessRoutes);
 router.use('/services', serviceRoutes);
 router.use('/templates', templateRoutes);
 router.use('/reservations', reservationRoutes);
+router.use('/reviews', reviewRoutes);
+router.use('/search', searchRoutes);
 router.use('/uploads', uploadRoutes);
+router.use('/jobs', jobsRoutes);
 
 export default router;
\ No newline at end of file
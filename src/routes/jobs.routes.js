@@ -0,0 +1,59 @@
+// routes/jobs.routes.js
+import express from 'express';
+import * as jobsController from '../controllers/jobs.controller.js';
+import { requireCronOrAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Jobs
+ *     description: Tareas programadas (recordatorios)
+ */
+
+/**
+ * @swagger
+ * /api/jobs/{name}:
+ *   get:
+ *     summary: Ejecutar una tarea programada (cron de Vercel)
+ *     description: >
+ *       Requiere `Authorization: Bearer <CRON_SECRET>` o un token de administrador.
+ *       Si otra instancia tiene el lock de la tarea responde 202 sin ejecutarla.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string, enum: [reminders, digest] }
+ *     responses:
+ *       200:
+ *         description: Tarea ejecutada (resumen en data.result)
+ *       202:
+ *         description: La tarea ya se está ejecutando en otra instancia
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Tarea desconocida
+ *   post:
+ *     summary: Ejecutar una tarea programada manualmente
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string, enum: [reminders, digest] }
+ *     responses:
+ *       200:
+ *         description: Tarea ejecutada
+ *       202:
+ *         description: La tarea ya se está ejecutando en otra instancia
+ */
+router.get('/:name', requireCronOrAdmin, jobsController.triggerJob);
+router.post('/:name', requireCronOrAdmin, jobsController.triggerJob);
+
+export default router;
@@ -47,18 +47,127 @@ router.get('/_ping', (_req, res) => res.json({ ok: true, scope: 'reservations' }
  *               business: { type: string, description: "ID del negocio" }
  *               service: { type: string, description: "ID del servicio" }
  *               dateTime: { type: string, format: date-time }
+ *               staff: { type: string, description: "ID del personal; omitir o 'any' para asignar cualquiera disponible" }
  *               notes: { type: string }
  *               customerName: { type: string }
  *               customerEmail: { type: string, format: email }
  *               customerPhone: { type: string }
+ *               createAccount: { type: boolean, description: "Invitados: crear una cuenta de cliente con estos datos (requiere password)" }
+ *               password: { type: string, description: "Contraseña de la cuenta si createAccount=true" }
  *     responses:
  *       201:
- *         description: Reserva creada exitosamente
+ *         description: Reserva creada exitosamente. Con createAccount incluye data.account (user, token, refreshToken) o data.account.error si no se pudo crear
  *       400:
  *         description: Datos inválidos
+ *       409:
+ *         description: Horario ocupado, sin personal disponible o (createAccount) el email ya tiene cuenta
  */
 router.post('/', optionalAuth, reservationController.create);
 
+/**
+ * @swagger
+ * /api/reservations/availability:
+ *   get:
+ *     summary: Espacios disponibles de un servicio (público)
+ *     description: >
+ *       Calcula los espacios reservables a partir del horario del negocio (incluyendo pausas),
+ *       la duración del servicio, la anticipación permitida y las reservas pendientes/confirmadas.
+ *       Si el servicio tiene personal, cada espacio lista en `staff` las personas libres.
+ *       Las horas se devuelven en la zona horaria del negocio.
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: query
+ *         name: business
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: service
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: date
+ *         schema: { type: string, format: date, example: "2025-10-20" }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: interval
+ *         schema: { type: integer, default: 15, description: "Minutos entre inicios de espacio" }
+ *       - in: query
+ *         name: staff
+ *         schema: { type: string, description: "ID del personal o 'any'" }
+ *     responses:
+ *       200:
+ *         description: Espacios por día
+ *       400:
+ *         description: Parámetros inválidos
+ *       404:
+ *         description: Negocio o servicio no encontrado
+ */
+router.get('/availability', reservationController.getAvailability);
+
+/**
+ * @swagger
+ * /api/reservations/manage/{token}:
+ *   get:
+ *     summary: Ver una reserva desde el enlace enviado por email (público)
+ *     description: >
+ *       El token firmado se envía al invitado al crear la reserva. No requiere sesión.
+ *       `policy` indica si todavía puede cancelar o reprogramar según `settings.cancellationHours`,
+ *       y si puede dejar una reseña (reserva completada, dentro del plazo y sin reseña previa).
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Reserva y política de cambios
+ *       401:
+ *         description: Enlace inválido o expirado
+ *       404:
+ *         description: Reserva no encontrada
+ *   post:
+ *     summary: Cancelar, reprogramar o reseñar desde el enlace enviado por email (público)
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action: { type: string, enum: [cancel, reschedule, review] }
+ *               dateTime: { type: string, format: date-time, description: "Requerido para reschedule" }
+ *               staff: { type: string, description: "ID del personal o 'any'" }
+ *               reason: { type: string, maxLength: 200 }
+ *               rating: { type: integer, minimum: 1, maximum: 5, description: "Requerido para review" }
+ *               comment: { type: string, maxLength: 1000 }
+ *     responses:
+ *       200:
+ *         description: Reserva cancelada o reprogramada
+ *       201:
+ *         description: Reseña creada
+ *       400:
+ *         description: Datos inválidos o fuera del plazo de cambios
+ *       401:
+ *         description: Enlace inválido o expirado
+ *       409:
+ *         description: Estado no permite el cambio u horario ocupado
+ */
+router.get('/manage/:token', reservationController.manageView);
+router.post('/manage/:token', reservationController.manageAction);
+
 /**
  * @swagger
  * /api/reservations:
@@ -77,6 +186,18 @@ router.post('/', optionalAuth, reservationController.create);
  *         name: status
  *         schema: { type: string, enum: [pending, confirmed, cancelled] }
  *       - in: query
+ *         name: from
+ *         description: "YYYY-MM-DD (día local del negocio) o date-time ISO"
+ *         schema: { type: string }
+ *       - in: query
+ *         name: to
+ *         description: "YYYY-MM-DD (día local del negocio) o date-time ISO"
+ *         schema: { type: string }
+ *       - in: query
+ *         name: timezone
+ *         description: "Zona IANA para fechas sin hora cuando no se filtra por businessId"
+ *         schema: { type: string, example: "America/Costa_Rica" }
+ *       - in: query
  *         name: page
  *         schema: { type: integer, default: 1 }
  *       - in: query
@@ -84,7 +205,7 @@ router.post('/', optionalAuth, reservationController.create);
  *         schema: { type: integer, default: 10 }
  *     responses:
  *       200:
- *         description: Lista de reservas
+ *         description: Lista de reservas (dateTime en UTC + localDateTime/localEndDateTime en la zona del negocio)
  */
 router.get('/', requireAnyRole, reservationController.list);
 
@@ -136,6 +257,10 @@ router.get('/:id', requireAnyRole, reservationController.getById);
  * /api/reservations/{id}/status:
  *   patch:
  *     summary: Actualizar estado de reserva
+ *     description: >
+ *       Transiciones válidas: pending → confirmed | cancelled; confirmed → completed | no_show | cancelled.
+ *       Confirmar, completar y no_show requieren owner/admin; el cliente solo puede cancelar.
+ *       Cada cambio queda en statusHistory.
  *     tags: [Reservations]
  *     security: [{ bearerAuth: [] }]
  *     parameters:
@@ -153,10 +278,15 @@ router.get('/:id', requireAnyRole, reservationController.getById);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, cancelled]
+ *                 enum: [confirmed, cancelled, completed, no_show]
+ *               reason: { type: string }
  *     responses:
  *       200:
  *         description: Estado actualizado
+ *       403:
+ *         description: El rol no puede realizar esa transición
+ *       409:
+ *         description: Transición no permitida desde el estado actual
  */
 router.patch('/:id/status', requireAnyRole, reservationController.updateStatus);
 
@@ -178,11 +308,52 @@ router.patch('/:id/status', requireAnyRole, reservationController.updateStatus);
  *           schema:
  *             type: object
  *             properties:
- *               reason: { type: string, maxLength: 300 }
+ *               reason: { type: string, maxLength: 200 }
  *     responses:
  *       200:
  *         description: Reserva cancelada
+ *       409:
+ *         description: La reserva ya no se puede cancelar (cancelada, completada o no_show)
  */
 router.post('/:id/cancel', requireAnyRole, reservationController.cancel);
 
+/**
+ * @swagger
+ * /api/reservations/{id}/reschedule:
+ *   post:
+ *     summary: Reprogramar una reserva
+ *     description: >
+ *       Revalida horario, cierres y conflictos. Los clientes deben respetar
+ *       settings.cancellationHours del negocio. Guarda el horario anterior en
+ *       rescheduleHistory y avisa por email a la otra parte.
+ *     tags: [Reservations]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [dateTime]
+ *             properties:
+ *               dateTime: { type: string, format: date-time }
+ *               staff: { type: string, description: "ID del personal o 'any'; omitir para mantener el actual" }
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Reserva reprogramada
+ *       400:
+ *         description: Datos inválidos o fuera de la ventana permitida
+ *       403:
+ *         description: Acceso denegado
+ *       409:
+ *         description: Horario ocupado
+ */
+router.post('/:id/reschedule', requireAnyRole, reservationController.reschedule);
+
 export default router;
\ No newline at end of file
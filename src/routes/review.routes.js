@@ -0,0 +1,254 @@
+// routes/review.routes.js
+import express from 'express';
+import * as reviewController from '../controllers/review.controller.js';
+import { auth } from '../middleware/auth.js';
+import { constants } from '../config/index.js';
+
+const { USER_ROLES } = constants;
+// Cualquier usuario autenticado: el controlador valida cliente o equipo del negocio
+const requireAuth  = auth();
+const requireAdmin = auth(USER_ROLES.ADMIN);
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reviews
+ *     description: Reseñas de reservas completadas y rating de negocios y servicios
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         business: { type: string }
+ *         service:
+ *           type: object
+ *           properties:
+ *             id: { type: string }
+ *             name: { type: string }
+ *         authorName: { type: string, example: "María R." }
+ *         rating: { type: integer, minimum: 1, maximum: 5 }
+ *         comment: { type: string, nullable: true }
+ *         isVerified: { type: boolean, description: "Reseña de una reserva completada" }
+ *         reply:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             text: { type: string }
+ *             repliedAt: { type: string, format: date-time }
+ *         createdAt: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   post:
+ *     summary: Reseñar una reserva completada (cliente de la reserva)
+ *     description: >
+ *       Una reseña por reserva, dentro de los 60 días siguientes a la cita.
+ *       Los invitados reseñan desde el enlace de gestión (POST /api/reservations/manage/{token} con action=review).
+ *     tags: [Reviews]
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reservationId, rating]
+ *             properties:
+ *               reservationId: { type: string }
+ *               rating: { type: integer, minimum: 1, maximum: 5 }
+ *               comment: { type: string, maxLength: 1000 }
+ *     responses:
+ *       201: { description: Reseña creada }
+ *       400: { description: "Reserva no completada, plazo vencido o datos inválidos" }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { description: La reserva es de otro cliente }
+ *       409: { description: La reserva ya tiene una reseña }
+ *   get:
+ *     summary: Listar reseñas para moderación (admin)
+ *     tags: [Reviews]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [published, hidden] }
+ *       - in: query
+ *         name: business
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10, maximum: 50 }
+ *     responses:
+ *       200: { description: Reseñas con cliente y datos de moderación }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ */
+router.post('/', requireAuth, reviewController.createReview);
+router.get('/', requireAdmin, reviewController.listReviewsForModeration);
+
+/**
+ * @swagger
+ * /api/reviews/business/{businessId}:
+ *   get:
+ *     summary: Reseñas publicadas de un negocio (público)
+ *     description: Incluye `summary` con el promedio, la cantidad y la distribución por estrellas.
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: rating
+ *         schema: { type: integer, minimum: 1, maximum: 5 }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [recent, highest, lowest], default: recent }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10, maximum: 50 }
+ *     responses:
+ *       200:
+ *         description: Reseñas, resumen y paginación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Review' }
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         averageRating: { type: number }
+ *                         reviewCount: { type: integer }
+ *                         distribution: { type: object, example: { 1: 0, 2: 1, 3: 0, 4: 3, 5: 12 } }
+ *                     pagination: { type: object }
+ *       404: { description: Negocio no encontrado o no publicado }
+ */
+router.get('/business/:businessId([0-9a-fA-F]{24})', reviewController.listBusinessReviews);
+
+/**
+ * @swagger
+ * /api/reviews/service/{serviceId}:
+ *   get:
+ *     summary: Reseñas publicadas de un servicio (público)
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: serviceId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: rating
+ *         schema: { type: integer, minimum: 1, maximum: 5 }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [recent, highest, lowest], default: recent }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10, maximum: 50 }
+ *     responses:
+ *       200: { description: Reseñas, resumen y paginación }
+ *       404: { description: Servicio no encontrado o no disponible }
+ */
+router.get('/service/:serviceId([0-9a-fA-F]{24})', reviewController.listServiceReviews);
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/reply:
+ *   put:
+ *     summary: Responder una reseña (dueño o equipo con permiso reviews:reply)
+ *     description: Reemplaza la respuesta anterior si la había.
+ *     tags: [Reviews]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text: { type: string, maxLength: 1000 }
+ *     responses:
+ *       200: { description: Respuesta publicada }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { description: Reseña no encontrada }
+ *   delete:
+ *     summary: Eliminar la respuesta a una reseña
+ *     tags: [Reviews]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Respuesta eliminada }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { description: Reseña o respuesta no encontrada }
+ */
+router.put('/:reviewId([0-9a-fA-F]{24})/reply', requireAuth, reviewController.replyToReview);
+router.delete('/:reviewId([0-9a-fA-F]{24})/reply', requireAuth, reviewController.deleteReply);
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/moderation:
+ *   patch:
+ *     summary: Ocultar o volver a publicar una reseña (admin)
+ *     description: Las reseñas ocultas no se listan ni cuentan en el rating del negocio y el servicio.
+ *     tags: [Reviews]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status: { type: string, enum: [published, hidden] }
+ *               reason: { type: string, maxLength: 200, description: "Requerido para ocultar" }
+ *     responses:
+ *       200: { description: Reseña moderada }
+ *       400: { description: Datos inválidos }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { description: Reseña no encontrada }
+ */
+router.patch('/:reviewId([0-9a-fA-F]{24})/moderation', requireAdmin, reviewController.moderateReview);
+
+export default router;
@@ -0,0 +1,125 @@
+// routes/search.routes.js
+import express from 'express';
+import * as searchController from '../controllers/search.controller.js';
+import { apiSecurityMiddleware, generalRateLimit } from '../middleware/security.js';
+
+const router = express.Router();
+
+router.use(apiSecurityMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Search
+ *     description: Búsqueda pública del marketplace (negocios y servicios)
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Buscar negocios publicados y sus servicios (público)
+ *     description: |
+ *       La consulta `q` se compara con el negocio (nombre, descripción, categoría, ciudad, tags) y con
+ *       sus servicios activos, sin distinguir tildes y tolerando errores de tipeo. Cada resultado trae
+ *       los servicios que coinciden.
+ *
+ *       Las facetas cuentan los resultados con todos los filtros aplicados salvo el de la propia faceta.
+ *       El rango de precio usa el precio "desde" del negocio en `currency`.
+ *
+ *       Paginación por cursor: enviar `pagination.nextCursor` como `cursor` con los mismos filtros y orden.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string, minLength: 2 }
+ *       - in: query
+ *         name: category
+ *         schema: { type: string }
+ *       - in: query
+ *         name: city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: minPrice
+ *         schema: { type: number }
+ *       - in: query
+ *         name: maxPrice
+ *         schema: { type: number }
+ *       - in: query
+ *         name: currency
+ *         schema: { type: string, enum: [CRC, USD], default: CRC }
+ *       - in: query
+ *         name: minRating
+ *         schema: { type: number, minimum: 0, maximum: 5 }
+ *       - in: query
+ *         name: openNow
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [relevance, rating, price, newest] }
+ *         description: Por defecto relevance con `q` y rating sin ella
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Resultados, facetas y cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id: { type: string }
+ *                           name: { type: string }
+ *                           slug: { type: string }
+ *                           category: { type: string }
+ *                           city: { type: string }
+ *                           rating: { type: number }
+ *                           reviewCount: { type: integer }
+ *                           isOpenNow: { type: boolean }
+ *                           priceFrom: { type: number }
+ *                           relevance: { type: number }
+ *                           matchedServices:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 id: { type: string }
+ *                                 name: { type: string }
+ *                                 price: { type: number }
+ *                                 currency: { type: string }
+ *                                 duration: { type: integer }
+ *                     facets:
+ *                       type: object
+ *                       properties:
+ *                         category: { type: array, items: { type: object, properties: { value: { type: string }, label: { type: string }, count: { type: integer } } } }
+ *                         city: { type: array, items: { type: object, properties: { value: { type: string }, label: { type: string }, count: { type: integer } } } }
+ *                         priceRange: { type: array, items: { type: object, properties: { key: { type: string }, min: { type: number }, max: { type: number, nullable: true }, count: { type: integer } } } }
+ *                         rating: { type: array, items: { type: object, properties: { min: { type: number }, count: { type: integer } } } }
+ *                         openNow: { type: object, properties: { count: { type: integer } } }
+ *                     total: { type: integer }
+ *                     sort: { type: string }
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         limit: { type: integer }
+ *                         hasMore: { type: boolean }
+ *                         nextCursor: { type: string, nullable: true }
+ *       400:
+ *         description: Parámetros o cursor inválidos
+ */
+router.get('/', generalRateLimit, searchController.search);
+
+export default router;
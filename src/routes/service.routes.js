@@ -2,7 +2,7 @@
 import express from 'express';
 import serviceController from '../controllers/service.controller.js';
 import {
-  requireOwner,
+  requireAnyRole,
   requireOwnerOrAdmin,
   requireBusinessOwnership,
   requireServiceOwnership,
@@ -11,6 +11,7 @@ import {
   routeConfigs,
   asyncHandler, // ✅ usar asyncHandler como en otros routers
 } from '../middleware/index.js';
+import { constants } from '../config/index.js';
 
 // Seguridad (puedes importar estos también desde middleware/index si prefieres)
 import {
@@ -22,6 +23,8 @@ import {
 const rateLimitStrict = generalRateLimit;
 const rateLimitAuth = authRateLimit;
 
+const { BUSINESS_PERMISSIONS } = constants;
+
 const router = express.Router();
 
 /**
@@ -59,14 +62,14 @@ router.get(
 router.post(
   '/',
   rateLimitAuth,
-  requireOwner,
+  requireAnyRole,
   // Mapear business/body → params para reutilizar requireBusinessOwnership('businessId')
   (req, _res, next) => {
     const id = req.body?.business || req.body?.businessId;
     if (id) req.params.businessId = id;
     next();
   },
-  requireBusinessOwnership('businessId'),
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.SERVICES_MANAGE),
   sanitizeServiceData,
   (typeof serviceController.createService === 'function'
     ? asyncHandler(serviceController.createService.bind(serviceController))
@@ -84,8 +87,8 @@ router.post(
 router.post(
   '/business/:businessId',
   rateLimitAuth,
-  requireOwner,
-  requireBusinessOwnership('businessId'),
+  requireAnyRole,
+  requireBusinessOwnership('businessId', BUSINESS_PERMISSIONS.SERVICES_MANAGE),
   sanitizeServiceData,
   (typeof serviceController.createService === 'function'
     ? asyncHandler(serviceController.createService.bind(serviceController))
@@ -177,7 +180,7 @@ router.put(
 router.delete(
   '/:serviceId',
   rateLimitAuth,
-  requireOwner,
+  requireAnyRole,
   requireServiceOwnership('serviceId'),
   serviceController.deleteService ||
     ((req, res) => res.status(501).json({ error: 'Método no implementado' }))
@@ -193,7 +196,7 @@ router.delete(
 router.put(
   '/:serviceId/toggle-status',
   rateLimitAuth,
-  requireOwner,
+  requireAnyRole,
   requireServiceOwnership('serviceId'),
   serviceController.toggleServiceStatus ||
     ((req, res) => res.status(501).json({ error: 'Método no implementado' }))
@@ -209,7 +212,7 @@ router.put(
 router.post(
   '/:serviceId/duplicate',
   rateLimitAuth,
-  requireOwner,
+  requireAnyRole,
   requireServiceOwnership('serviceId'),
   serviceController.duplicateService ||
     ((req, res) => res.status(501).json({ error: 'Método no implementado' }))
@@ -225,8 +228,8 @@ router.post(
 router.get(
   '/:serviceId/stats',
   rateLimitStrict,
-  requireOwner,
-  requireServiceOwnership('serviceId'),
+  requireAnyRole,
+  requireServiceOwnership('serviceId', BUSINESS_PERMISSIONS.REPORTS_VIEW),
   serviceController.getServiceStats ||
     ((req, res) =>
       res.status(501).json({ error: 'Estadísticas no implementadas' }))
@@ -0,0 +1,83 @@
+// routes/site.routes.js
+// Se monta fuera de /api (app.js): responde HTML, no JSON
+import express from 'express';
+import * as siteController from '../controllers/site.controller.js';
+import { publicSecurityMiddleware } from '../config/security/index.js';
+
+const router = express.Router();
+
+router.use(publicSecurityMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Sites
+ *     description: Sitios públicos de los negocios (HTML renderizado en el servidor)
+ */
+
+/**
+ * @swagger
+ * /sites/{slug}:
+ *   get:
+ *     summary: Sitio público de un negocio (HTML)
+ *     description: |
+ *       Página completa generada con los datos del negocio y su template: encabezado, servicios,
+ *       galería, sobre nosotros y contacto en el orden de las secciones del template. Incluye
+ *       meta tags SEO, Open Graph/Twitter, URL canónica y JSON-LD `LocalBusiness`.
+ *
+ *       Si el negocio no tiene template asignado se usa el template por defecto del sistema.
+ *       Los colores propios del negocio (`visualConfig`) tienen prioridad sobre los del template.
+ *     tags: [Sites]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Sitio del negocio
+ *         content:
+ *           text/html:
+ *             schema: { type: string }
+ *       404:
+ *         description: El negocio no existe o no está publicado (página HTML)
+ *         content:
+ *           text/html:
+ *             schema: { type: string }
+ */
+router.get('/:slug', siteController.renderBusinessSite);
+
+/**
+ * @swagger
+ * /sites/{slug}/preview:
+ *   get:
+ *     summary: Vista previa del borrador del sitio (HTML)
+ *     description: |
+ *       Igual que `/sites/{slug}` pero con los cambios sin publicar del negocio (`draft`), aunque
+ *       el negocio todavía no esté publicado. Requiere el enlace firmado que devuelve
+ *       `GET /api/business/{businessId}/preview-link`; la página no se indexa ni se cachea.
+ *     tags: [Sites]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Borrador del sitio
+ *         content:
+ *           text/html:
+ *             schema: { type: string }
+ *       404:
+ *         description: Enlace inválido o expirado, o el negocio no existe (página HTML)
+ *         content:
+ *           text/html:
+ *             schema: { type: string }
+ */
+router.get('/:slug/preview', siteController.renderSitePreview);
+
+export default router;
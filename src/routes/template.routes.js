@@ -11,12 +11,14 @@ import * as templateController from '../controllers/template.controller.js';
 
 import Business from '../models/business.js';
 import Service from '../models/service.js';
+import User from '../models/user.js';
 
 import { constants } from '../config/index.js';
 import { requireOwner, optionalAuth, asyncHandler } from '../middleware/index.js';
 import { apiSecurityMiddleware } from '../middleware/security.js';
+import { ensureDraft, touchDraft, publishDraft } from '../services/sitePublishing.js';
 
-const { APP_LIMITS, BUSINESS_STATUS } = constants;
+const { APP_LIMITS, BUSINESS_STATUS, ERROR_MESSAGES } = constants;
 
 const router = express.Router();
 router.use(apiSecurityMiddleware);
@@ -45,23 +47,11 @@ router.post(
       return res.status(404).json({ success: false, error: 'Negocio no encontrado' });
     }
 
-    // 2) Patch negocio (acepta operatingHours u openingHours desde el front)
-    const patch = {
-      name: business.name || doc.name,
-      category: business.category || doc.category,
-      description: business.description || doc.description,
-      phone: business.phone || doc.phone,
-      'location.address': business.address || doc?.location?.address,
-      'socialMedia.website': business.website || doc?.socialMedia?.website,
-      'socialMedia.instagram': business.instagram || doc?.socialMedia?.instagram,
-      'socialMedia.facebook': business.facebook || doc?.socialMedia?.facebook,
-    };
-    if (business.coverUrl) patch['coverImage.url'] = business.coverUrl;
-
-    const hours = business.operatingHours || business.openingHours;
-    if (hours) patch.operatingHours = hours;
-
-    await Business.findByIdAndUpdate(doc._id, { $set: patch });
+    // Publicar requiere el email del dueño verificado (antes de tocar nada)
+    const owner = await User.findById(req.user.id).select('isEmailVerified').lean();
+    if (!owner?.isEmailVerified) {
+      return res.status(403).json({ success: false, error: ERROR_MESSAGES.EMAIL_NOT_VERIFIED });
+    }
 
     // 3) VALIDACIÓN PREVIA de servicios antes de borrar/insertar
     const errors = [];
@@ -126,7 +116,33 @@ router.post(
       });
     }
 
-    // 4) Reemplazar servicios: borrar y crear (simple y directo)
+    // 4) Datos del negocio (acepta operatingHours u openingHours desde el front)
+    if (business.name) doc.name = business.name;
+    if (business.category) doc.category = business.category;
+    if (business.phone) doc.phone = business.phone;
+    if (business.address) doc.set('location.address', business.address);
+
+    const hours = business.operatingHours || business.openingHours;
+    if (hours) doc.operatingHours = hours;
+
+    // Lo que se ve en el sitio pasa por el borrador para quedar en el historial
+    const socialMedia = ['website', 'instagram', 'facebook'].filter((key) => business[key]);
+    if (business.description || socialMedia.length || business.coverUrl) {
+      const draft = ensureDraft(doc);
+      if (business.description) draft.description = business.description;
+      if (socialMedia.length) {
+        draft.socialMedia = {
+          ...draft.socialMedia?.toObject(),
+          ...Object.fromEntries(socialMedia.map((key) => [key, business[key]])),
+        };
+      }
+      if (business.coverUrl) {
+        draft.coverImage = { ...draft.coverImage?.toObject(), url: business.coverUrl };
+      }
+      touchDraft(doc, req.user.id);
+    }
+
+    // 5) Reemplazar servicios: borrar y crear (simple y directo)
     await Service.deleteMany({ business: doc._id });
 
     if (normalized.length) {
@@ -146,12 +162,17 @@ router.post(
       }
     }
 
-    // 5) Marcar negocio como publicado/activo
-    await Business.findByIdAndUpdate(doc._id, {
-      $set: { status: BUSINESS_STATUS.ACTIVE, publishedAt: doc.publishedAt || new Date() },
-    });
+    // 6) Publicar (registra la publicación); sin cambios en un sitio activo solo se guarda
+    const hasChanges = doc.draft || doc.status !== BUSINESS_STATUS.ACTIVE || !doc.publishedVersion;
+    const publication = hasChanges ? await publishDraft(doc, {}, req.user.id) : null;
+    if (!hasChanges) await doc.save();
 
-    return res.json({ success: true, slug, id: String(doc._id) });
+    return res.json({
+      success: true,
+      slug,
+      id: String(doc._id),
+      publishedVersion: publication?.version ?? doc.publishedVersion,
+    });
   })
 );
 
@@ -161,6 +182,19 @@ router.put('/:templateId([0-9a-fA-F]{24})', requireOwner, templateController.upd
 router.delete('/:templateId([0-9a-fA-F]{24})', requireOwner, templateController.deleteTemplate);
 router.post('/:templateId([0-9a-fA-F]{24})/duplicate', requireOwner, templateController.duplicateTemplate);
 
+// =================== VERSIONES ===================
+router.get('/:templateId([0-9a-fA-F]{24})/versions', optionalAuth, templateController.listTemplateVersions);
+router.post('/:templateId([0-9a-fA-F]{24})/versions', requireOwner, templateController.publishTemplateVersion);
+router.get('/:templateId([0-9a-fA-F]{24})/versions/diff', optionalAuth, templateController.diffTemplateVersions);
+router.get('/:templateId([0-9a-fA-F]{24})/versions/:version(\\d+\\.\\d+\\.\\d+)', optionalAuth, templateController.getTemplateVersion);
+
+// Marketplace: reseñas (una por dueño) y métricas de uso para el autor
+router.get('/:templateId([0-9a-fA-F]{24})/reviews', optionalAuth, templateController.getTemplateReviews);
+router.get('/:templateId([0-9a-fA-F]{24})/reviews/mine', requireOwner, templateController.getMyTemplateReview);
+router.put('/:templateId([0-9a-fA-F]{24})/reviews/mine', requireOwner, templateController.saveMyTemplateReview);
+router.delete('/:templateId([0-9a-fA-F]{24})/reviews/mine', requireOwner, templateController.deleteMyTemplateReview);
+router.get('/:templateId([0-9a-fA-F]{24})/analytics', requireOwner, templateController.getTemplateUsageAnalytics);
+
 // =================== PÚBLICO POR SLUG ===================
 router.get(
   '/:slug',
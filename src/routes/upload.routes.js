@@ -5,6 +5,7 @@ import uploadController from '../controllers/upload.controller.js'; // ✅ Sin d
 // ✅ IMPORTACIONES DE MIDDLEWARE
 import { 
   requireOwner,
+  requireAnyRole,
   requireOwnerOrAdmin,
   requireBusinessOwnership,
   uploadLogoMiddleware,
@@ -75,7 +76,7 @@ router.post('/file',
  *     tags: [Upload]
  */
 router.post('/business/:businessId/logo', 
-  requireOwner,
+  requireAnyRole,
   requireBusinessOwnership(),
   uploadLogoMiddleware(true),
   uploadController.uploadLogo || ((req, res) => {
@@ -91,7 +92,7 @@ router.post('/business/:businessId/logo',
  *     tags: [Upload]
  */
 router.post('/business/:businessId/cover', 
-  requireOwner,
+  requireAnyRole,
   requireBusinessOwnership(),
   uploadCoverMiddleware(true),
   uploadController.uploadCover || ((req, res) => {
@@ -107,7 +108,7 @@ router.post('/business/:businessId/cover',
  *     tags: [Upload]
  */
 router.post('/business/:businessId/gallery', 
-  requireOwner,
+  requireAnyRole,
   requireBusinessOwnership(),
   uploadGalleryMiddleware(10, true),
   uploadController.uploadGallery || ((req, res) => {
@@ -123,7 +124,7 @@ router.post('/business/:businessId/gallery',
  *     tags: [Upload]
  */
 router.delete('/business/:businessId/gallery/:filename', 
-  requireOwner,
+  requireAnyRole,
   requireBusinessOwnership(),
   uploadController.deleteGalleryImage || ((req, res) => {
     res.status(501).json({ error: 'Método no implementado' });
@@ -138,7 +139,7 @@ router.delete('/business/:businessId/gallery/:filename',
  *     tags: [Upload]
  */
 router.put('/business/:businessId/gallery/reorder', 
-  requireOwner,
+  requireAnyRole,
   requireBusinessOwnership(),
   uploadController.reorderGallery || ((req, res) => {
     res.status(501).json({ error: 'Método no implementado' });
@@ -153,7 +154,7 @@ router.put('/business/:businessId/gallery/reorder',
  *     tags: [Upload]
  */
 router.get('/business/:businessId/files', 
-  requireOwner,
+  requireAnyRole,
   requireBusinessOwnership(),
   uploadController.getBusinessUploads || ((req, res) => {
     res.status(501).json({ error: 'Método no implementado' });
@@ -90,6 +90,100 @@ router.put('/me', requireAnyRole, sanitizeUserData, userController.updateProfile
  */
 router.patch('/password', requireAnyRole, userController.changePassword);
 
+/**
+ * @swagger
+ * /api/users/me/dashboard:
+ *   get:
+ *     summary: Client dashboard (upcoming and past reservations, favorite businesses)
+ *     tags: [Users]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 5, maximum: 20 }
+ *         description: Max reservations per list (upcoming / past)
+ *     responses:
+ *       200:
+ *         description: upcoming, past, favorites and reservation stats
+ */
+router.get('/me/dashboard', requireAnyRole, userController.getClientDashboard);
+
+/**
+ * @swagger
+ * /api/users/me/favorites/{businessId}:
+ *   post:
+ *     summary: Add a business to favorites
+ *     tags: [Users]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Added (idempotent)
+ *       400:
+ *         description: Favorites limit reached
+ *       404:
+ *         description: Business not found or not published
+ *   delete:
+ *     summary: Remove a business from favorites
+ *     tags: [Users]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Removed (idempotent)
+ */
+router.post('/me/favorites/:businessId([0-9a-fA-F]{24})', requireAnyRole, userController.addFavoriteBusiness);
+router.delete('/me/favorites/:businessId([0-9a-fA-F]{24})', requireAnyRole, userController.removeFavoriteBusiness);
+
+/**
+ * @swagger
+ * /api/users/me/sessions:
+ *   get:
+ *     summary: List active sessions (devices with a valid refresh token)
+ *     tags: [Users]
+ *     security: [ { bearerAuth: [] } ]
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently used first; `current` marks the session of this access token
+ *   delete:
+ *     summary: Revoke every session except the current one
+ *     tags: [Users]
+ *     security: [ { bearerAuth: [] } ]
+ *     responses:
+ *       200:
+ *         description: Number of revoked sessions
+ */
+router.get('/me/sessions', requireAnyRole, userController.getMySessions);
+router.delete('/me/sessions', requireAnyRole, userController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/users/me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one session (log out that device)
+ *     tags: [Users]
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found or already revoked
+ */
+router.delete('/me/sessions/:sessionId([0-9a-fA-F]{24})', requireAnyRole, userController.revokeMySession);
+
 /**
  * @swagger
  * /api/users:
@@ -0,0 +1,65 @@
+// src/scripts/buildSearchIndex.js
+// Recalcula search.trigrams de negocios y servicios (búsqueda del marketplace).
+// Necesario una vez para los documentos creados antes de la búsqueda unificada;
+// después los hooks de los modelos lo mantienen al día. Idempotente.
+//
+// Uso: node src/scripts/buildSearchIndex.js
+import mongoose from 'mongoose';
+import '../config/env.js';
+import { connectMongoDB } from '../config/database/mongodb.js';
+import Business from '../models/business.js';
+import Service from '../models/service.js';
+import { buildTrigrams } from '../utils/textSearch.js';
+
+const BATCH_SIZE = 200;
+
+const reindex = async (Model, fields, toTrigrams) => {
+  let ops = [];
+  let total = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    await Model.bulkWrite(ops, { ordered: false });
+    total += ops.length;
+    ops = [];
+  };
+
+  for await (const doc of Model.find().select(fields).cursor()) {
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { 'search.trigrams': toTrigrams(doc) } },
+      },
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return total;
+};
+
+const run = async () => {
+  await connectMongoDB();
+
+  const businesses = await reindex(
+    Business,
+    'name description category location.city location.province tags',
+    (b) => buildTrigrams(b.name, b.description, b.category, b.categoryName, b.location?.city, b.location?.province, b.tags || [])
+  );
+  console.log(`✅ Negocios reindexados: ${businesses}`);
+
+  const services = await reindex(
+    Service,
+    'name description category tags',
+    (s) => buildTrigrams(s.name, s.description, s.category, s.tags || [])
+  );
+  console.log(`✅ Servicios reindexados: ${services}`);
+
+  await Promise.all([Business.createIndexes(), Service.createIndexes()]);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Error reindexando la búsqueda:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,55 @@
+// src/scripts/migrateBusinessGeo.js
+// Migración: crea location.point (GeoJSON [lng, lat]) a partir de
+// location.coordinates en los negocios existentes y asegura el índice 2dsphere.
+// Idempotente: se puede correr varias veces.
+//
+// Uso: node src/scripts/migrateBusinessGeo.js [--dry-run]
+import mongoose from 'mongoose';
+import '../config/env.js';
+import { connectMongoDB } from '../config/database/mongodb.js';
+import Business from '../models/business.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const hasCoordinates = {
+  'location.coordinates.lat': { $type: 'number', $gte: -90, $lte: 90 },
+  'location.coordinates.lng': { $type: 'number', $gte: -180, $lte: 180 },
+};
+
+const run = async () => {
+  await connectMongoDB();
+  const collection = Business.collection;
+
+  const pending = await collection.countDocuments({ ...hasCoordinates, 'location.point': { $exists: false } });
+  // Puntos que quedaron huérfanos (sin coordenadas válidas) romperían el índice
+  const orphan = { 'location.point': { $exists: true }, $nor: [hasCoordinates] };
+  const orphaned = await collection.countDocuments(orphan);
+
+  console.log(`Negocios con coordenadas sin punto: ${pending}`);
+  console.log(`Negocios con punto sin coordenadas válidas: ${orphaned}`);
+  if (dryRun) return;
+
+  const { modifiedCount } = await collection.updateMany(
+    { ...hasCoordinates, 'location.point': { $exists: false } },
+    [{
+      $set: {
+        'location.point': {
+          type: 'Point',
+          coordinates: ['$location.coordinates.lng', '$location.coordinates.lat'],
+        },
+      },
+    }]
+  );
+  const { modifiedCount: removed } = await collection.updateMany(orphan, { $unset: { 'location.point': 1 } });
+  console.log(`✅ Puntos creados: ${modifiedCount}, eliminados: ${removed}`);
+
+  await Business.createIndexes();
+  console.log('✅ Índice 2dsphere en location.point listo');
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Error en la migración:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,54 @@
+// src/scripts/pinTemplateVersions.js
+// Migración: fija los negocios sin templateVersion (creados antes de las
+// versiones de templates) a la última versión publicada de su template, para
+// que el sitio no cambie cuando el autor publique una nueva. Si el template
+// aún no tiene versiones se crea la inicial con su estado actual.
+// Idempotente: se puede correr varias veces.
+//
+// Uso: node src/scripts/pinTemplateVersions.js [--dry-run]
+import mongoose from 'mongoose';
+import '../config/env.js';
+import { connectMongoDB } from '../config/database/mongodb.js';
+import Business from '../models/business.js';
+import Template from '../models/template.js';
+import { ensureLatestVersion } from '../services/templateVersions.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const unpinned = { templateId: { $ne: null }, templateVersion: null };
+
+const run = async () => {
+  await connectMongoDB();
+
+  const templateIds = await Business.distinct('templateId', unpinned);
+  const pending = await Business.countDocuments(unpinned);
+  console.log(`Negocios sin versión de template: ${pending} (${templateIds.length} templates)`);
+  if (dryRun) return;
+
+  let pinned = 0;
+  let missing = 0;
+  for (const templateId of templateIds) {
+    const template = await Template.findById(templateId);
+    if (!template) {
+      missing += 1;
+      continue;
+    }
+    const latest = await ensureLatestVersion(template);
+    const { modifiedCount } = await Business.updateMany(
+      { ...unpinned, templateId },
+      { $set: { templateVersion: latest.version } },
+      { timestamps: false }
+    );
+    pinned += modifiedCount;
+  }
+
+  console.log(`✅ Negocios fijados: ${pinned}`);
+  if (missing) console.log(`⚠️  Templates inexistentes: ${missing} (sus negocios quedan sin versión)`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Error en la migración:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
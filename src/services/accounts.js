@@ -0,0 +1,127 @@
+// src/services/accounts.js
+// Alta de cuentas (dueños y clientes) y vinculación de reservas hechas como
+// invitado. Lo usan el registro normal y el registro durante una reserva.
+
+import User from '../models/user.js';
+import Reservation from '../models/reservation.js';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+import { sendNotification } from './notifications/index.js';
+import { renderEmail } from './email/index.js';
+
+const {
+  APP_LIMITS,
+  VALIDATION_PATTERNS,
+  USER_ROLES,
+  TIME_CONFIG,
+  NOTIFICATION_CHANNELS,
+} = constants;
+
+// Roles que se pueden elegir al registrarse (admin nunca)
+export const SELF_SIGNUP_ROLES = [USER_ROLES.OWNER, USER_ROLES.CLIENT];
+
+export const validatePassword = (password) => {
+  if (String(password).length < APP_LIMITS.MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`La contraseña debe tener al menos ${APP_LIMITS.MIN_PASSWORD_LENGTH} caracteres`);
+  }
+  if (VALIDATION_PATTERNS.PASSWORD && !VALIDATION_PATTERNS.PASSWORD.test(String(password))) {
+    // Solo si definiste un patrón fuerte en constants
+    throw new ValidationError('La contraseña debe contener al menos una mayúscula, una minúscula, un número y un carácter especial');
+  }
+};
+
+export const sendVerificationEmail = (user, token) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return sendNotification(NOTIFICATION_CHANNELS.EMAIL, {
+    to: user.email,
+    ...renderEmail('emailVerification', {
+      recipientName: user.fullName,
+      verifyUrl: `${baseUrl}/verify-email?token=${token}`,
+      expiresHours: TIME_CONFIG.EMAIL_VERIFICATION.TOKEN_TTL_HOURS,
+    }, { lang: user.preferences?.language }),
+  });
+};
+
+export const isEmailRegistered = (email) =>
+  User.exists({ email: String(email).toLowerCase().trim() }).then(Boolean);
+
+/**
+ * Crea una cuenta y envía el email de verificación.
+ * Si el email falla la cuenta se crea igual: el usuario puede pedir un reenvío.
+ * @param {{ fullName: string, email: string, password: string, phone?: string, role?: string }} data
+ * @returns {Promise<Document>} usuario creado
+ */
+export const registerUser = async ({ fullName, email, password, phone, role = USER_ROLES.OWNER }) => {
+  if (!fullName || !email || !password) {
+    throw new ValidationError('Todos los campos son requeridos');
+  }
+  if (!VALIDATION_PATTERNS.EMAIL.test(String(email))) {
+    throw new ValidationError('Formato de email inválido');
+  }
+  if (!SELF_SIGNUP_ROLES.includes(role)) {
+    throw new ValidationError(`Tipo de cuenta inválido. Use uno de: ${SELF_SIGNUP_ROLES.join(', ')}`);
+  }
+  validatePassword(password);
+
+  const normalizedEmail = String(email).toLowerCase().trim();
+  const exists = await User.exists({ email: normalizedEmail });
+  if (exists) throw new ConflictError('El email ya está registrado');
+
+  const user = new User({
+    fullName: String(fullName).trim(),
+    email: normalizedEmail,
+    ...(phone ? { phone: String(phone).trim() } : {}),
+    role,
+  });
+  user.password = String(password); // Virtual que setea passwordHash
+  const verificationToken = user.generateEmailVerificationToken();
+
+  try {
+    await user.save();
+  } catch (e) {
+    if (e?.code === 11000) {
+      throw new ConflictError('El email ya está registrado');
+    }
+    throw e;
+  }
+
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (e) {
+    logger.warn('No se pudo enviar el email de verificación', { userId: user._id, error: e.message });
+  }
+
+  return user;
+};
+
+/**
+ * Asigna al usuario las reservas que se hicieron como invitado con su email.
+ * Solo se llama con el email verificado: así nadie se apropia de reservas ajenas.
+ * @returns {Promise<number>} cantidad de reservas vinculadas
+ */
+export const linkGuestReservations = async (user) => {
+  if (!user?.isEmailVerified) return 0;
+
+  const guestReservations = await Reservation.findByGuestEmail(user.email)
+    .where({ client: null })
+    .select('_id')
+    .lean();
+  if (!guestReservations.length) return 0;
+
+  const { modifiedCount } = await Reservation.updateMany(
+    { _id: { $in: guestReservations.map((r) => r._id) }, client: null },
+    { $set: { client: user._id } }
+  );
+
+  logger.info('Reservas de invitado vinculadas', { userId: user._id, count: modifiedCount });
+  return modifiedCount;
+};
+
+export default {
+  SELF_SIGNUP_ROLES,
+  validatePassword,
+  sendVerificationEmail,
+  isEmailRegistered,
+  registerUser,
+  linkGuestReservations,
+};
@@ -0,0 +1,253 @@
+// src/services/email/index.js
+// Motor de templates de email transaccional: variantes por idioma (es/en),
+// texto plano alternativo y marca del negocio (visualConfig + logo).
+//
+//   renderEmail('reservationConfirmed', data, { lang: 'en', brand: getBusinessBranding(business) })
+//   → { subject, html, text }
+
+import moment from 'moment-timezone';
+import { constants } from '../../config/index.js';
+import { EMAIL_LOCALES } from './locales.js';
+import { DEFAULT_BRAND, renderHtml, renderText } from './layout.js';
+
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = constants;
+
+/* ─────────────────────────────────────────────────────────────
+   Templates (contenido; los textos viven en locales.js)
+───────────────────────────────────────────────────────────── */
+
+const reservationDetails = (d, c) => [
+  { label: c.service, value: d.serviceName },
+  { label: c.date, value: d.when },
+  { label: c.staff, value: d.staffName },
+  { label: c.address, value: d.address },
+];
+
+const ownerDetails = (d, c) => [
+  { label: c.customer, value: d.customerName },
+  { label: c.service, value: d.serviceName },
+  { label: c.date, value: d.when },
+  { label: c.staff, value: d.staffName },
+];
+
+const manageAction = (d, c) => (d.manageUrl ? { url: d.manageUrl, label: c.manageAction } : null);
+
+const TEMPLATES = {
+  reservationCreated: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: reservationDetails(d, c),
+    action: manageAction(d, c),
+    note: d.manageUrl ? t.note(d) : null,
+  }),
+
+  reservationConfirmed: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: reservationDetails(d, c),
+    action: manageAction(d, c),
+  }),
+
+  reservationReminder: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: reservationDetails(d, c),
+    action: manageAction(d, c),
+    note: d.manageUrl ? t.note(d) : null,
+  }),
+
+  reservationCancelled: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: [...reservationDetails(d, c), { label: c.reason, value: d.reason }],
+    note: t.note(d),
+  }),
+
+  reservationRescheduled: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: [
+      { label: c.service, value: d.serviceName },
+      { label: c.previousDate, value: d.previousWhen, strike: true },
+      { label: c.newDate, value: d.when },
+      { label: c.staff, value: d.staffName },
+      { label: c.reason, value: d.reason },
+    ],
+    action: manageAction(d, c),
+  }),
+
+  ownerNewReservation: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: ownerDetails(d, c),
+  }),
+
+  ownerReservationCancelled: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: [...ownerDetails(d, c), { label: c.reason, value: d.reason }],
+  }),
+
+  ownerReservationRescheduled: (d, t, c) => ({
+    paragraphs: [t.intro(d)],
+    details: [
+      { label: c.customer, value: d.customerName },
+      { label: c.service, value: d.serviceName },
+      { label: c.previousDate, value: d.previousWhen, strike: true },
+      { label: c.newDate, value: d.when },
+      { label: c.reason, value: d.reason },
+    ],
+  }),
+
+  ownerDailyDigest: (d, t) => ({
+    paragraphs: [t.intro(d)],
+    table: {
+      columns: t.columns,
+      rows: (d.reservations || []).map((r) => [r.time, r.customerName, r.serviceName, r.staffName || '']),
+      empty: t.empty,
+    },
+    action: d.dashboardUrl ? { url: d.dashboardUrl, label: t.action } : null,
+  }),
+  emailVerification: (d, t) => ({
+    paragraphs: [t.intro(d)],
+    action: { url: d.verifyUrl, label: t.action },
+    note: t.note(d),
+  }),
+  teamInvitation: (d, t) => ({
+    paragraphs: [t.intro(d)],
+    details: [{ label: t.roleLabel, value: t.roles[d.role] || d.role }],
+    action: { url: d.acceptUrl, label: t.action },
+    note: t.note(d),
+  }),
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/* ─────────────────────────────────────────────────────────────
+   Idioma, fechas y marca
+───────────────────────────────────────────────────────────── */
+
+/** Primer idioma soportado de la lista (ej. usuario → negocio), o el idioma por defecto */
+export const resolveLanguage = (...candidates) =>
+  candidates.find((lang) => Object.values(SUPPORTED_LANGUAGES).includes(lang)) || DEFAULT_LANGUAGE;
+
+const INTL_LOCALES = { es: 'es-CR', en: 'en-US' };
+
+/** Fecha y hora legibles en la zona del negocio y el idioma del destinatario */
+export const formatDateTime = (date, timezone, lang = DEFAULT_LANGUAGE) =>
+  new Intl.DateTimeFormat(INTL_LOCALES[lang] || INTL_LOCALES.es, {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: timezone,
+  }).format(new Date(date));
+
+export const formatDate = (date, timezone, lang = DEFAULT_LANGUAGE) =>
+  new Intl.DateTimeFormat(INTL_LOCALES[lang] || INTL_LOCALES.es, { dateStyle: 'full', timeZone: timezone })
+    .format(new Date(date));
+
+export const formatTime = (date, timezone, lang = DEFAULT_LANGUAGE) =>
+  new Intl.DateTimeFormat(INTL_LOCALES[lang] || INTL_LOCALES.es, { timeStyle: 'short', timeZone: timezone })
+    .format(new Date(date));
+
+/** Marca del negocio para el layout (colores de visualConfig y logo) */
+export const getBusinessBranding = (business) => {
+  if (!business) return DEFAULT_BRAND;
+  const visual = business.visualConfig || {};
+  return {
+    name: business.name || DEFAULT_BRAND.name,
+    logoUrl: business.logo?.url || null,
+    primaryColor: visual.primaryColor || DEFAULT_BRAND.primaryColor,
+    secondaryColor: visual.secondaryColor || DEFAULT_BRAND.secondaryColor,
+    accentColor: visual.accentColor || visual.primaryColor || DEFAULT_BRAND.accentColor,
+    font: visual.font || DEFAULT_BRAND.font,
+  };
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Render
+───────────────────────────────────────────────────────────── */
+
+/**
+ * Renderiza un email.
+ * @param {string} name   Uno de EMAIL_TEMPLATE_NAMES
+ * @param {Object} data   Datos del template (recipientName, businessName, serviceName, when, ...)
+ * @param {{ lang?: string, brand?: Object }} [options]
+ * @returns {{ subject: string, html: string, text: string, lang: string }}
+ */
+export const renderEmail = (name, data = {}, { lang, brand } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Template de email desconocido: ${name}`);
+
+  const language = resolveLanguage(lang);
+  const strings = EMAIL_LOCALES[language];
+  const t = strings[name];
+  const c = strings.common;
+  const theme = { ...DEFAULT_BRAND, ...brand };
+
+  const content = {
+    subject: t.subject(data),
+    greeting: c.greeting(data.recipientName),
+    footer: theme.name === DEFAULT_BRAND.name ? DEFAULT_BRAND.name : c.footer(theme.name),
+    ...template(data, t, c),
+  };
+
+  return {
+    subject: content.subject,
+    html: renderHtml(content, theme, language),
+    text: renderText(content),
+    lang: language,
+  };
+};
+
+/** Versión corta de un template (SMS/WhatsApp) */
+export const renderShortText = (name, data = {}, lang) => {
+  const t = EMAIL_LOCALES[resolveLanguage(lang)][name];
+  if (!t) throw new Error(`Template de email desconocido: ${name}`);
+  return { subject: t.subject(data), text: t.short(data) };
+};
+
+/**
+ * Datos de ejemplo para previsualizar un template con la marca de un negocio.
+ * @param {Object} business Documento (lean) del negocio
+ */
+export const getPreviewData = (business, lang) => {
+  const language = resolveLanguage(lang, business?.settings?.language);
+  const timezone = business?.settings?.timezone || 'America/Costa_Rica';
+  // Mañana a las 10:00 en la zona del negocio
+  const start = moment.tz(timezone).add(1, 'day').set({ hour: 10, minute: 0, second: 0, millisecond: 0 }).toDate();
+  const previous = new Date(start.getTime() - 2 * 60 * 60 * 1000);
+  const frontend = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const sample = language === 'en'
+    ? { customer: 'Jane Doe', service: 'Haircut', staff: 'Alex', reason: 'Schedule conflict' }
+    : { customer: 'María Rodríguez', service: 'Corte de cabello', staff: 'Carlos', reason: 'Cambio de planes' };
+
+  return {
+    recipientName: sample.customer,
+    customerName: sample.customer,
+    businessName: business?.name || DEFAULT_BRAND.name,
+    serviceName: sample.service,
+    staffName: sample.staff,
+    address: business?.location?.address || null,
+    when: formatDateTime(start, timezone, language),
+    previousWhen: formatDateTime(previous, timezone, language),
+    date: formatDate(start, timezone, language),
+    reason: sample.reason,
+    manageUrl: `${frontend}/reservations/manage/preview`,
+    dashboardUrl: `${frontend}/dashboard/reservations`,
+    verifyUrl: `${frontend}/verify-email?token=preview`,
+    acceptUrl: `${frontend}/team/accept?token=preview`,
+    inviterName: business?.owner?.fullName || null,
+    role: 'receptionist',
+    expiresHours: 24,
+    cancellationHours: business?.settings?.cancellationHours ?? 24,
+    reservations: [
+      { time: formatTime(start, timezone, language), customerName: sample.customer, serviceName: sample.service, staffName: sample.staff },
+      { time: formatTime(new Date(start.getTime() + 60 * 60 * 1000), timezone, language), customerName: language === 'en' ? 'John Smith' : 'José Mora', serviceName: sample.service, staffName: null },
+    ],
+  };
+};
+
+export default {
+  EMAIL_TEMPLATE_NAMES,
+  resolveLanguage,
+  formatDateTime,
+  formatDate,
+  formatTime,
+  getBusinessBranding,
+  renderEmail,
+  renderShortText,
+  getPreviewData,
+};
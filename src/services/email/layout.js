@@ -0,0 +1,127 @@
+// src/services/email/layout.js
+// Layout común de los emails: cabecera con la marca del negocio (colores de
+// visualConfig y logo), cuerpo, detalles, botón de acción y pie. Cada template
+// produce una descripción del contenido y de aquí salen el HTML y el texto plano.
+
+export const DEFAULT_BRAND = {
+  name: 'MiSitioFácil',
+  logoUrl: null,
+  primaryColor: '#667eea',
+  secondaryColor: '#764ba2',
+  accentColor: '#667eea',
+  font: 'Arial',
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+export const escapeHtml = (value = '') =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Solo enlaces http(s) en href/src
+const safeUrl = (url) => (/^https?:\/\//i.test(String(url ?? '')) ? escapeHtml(url) : null);
+
+const color = (value, fallback) => (HEX_COLOR.test(String(value ?? '')) ? value : fallback);
+
+/**
+ * @typedef {Object} EmailContent
+ * @property {string} subject
+ * @property {string} greeting
+ * @property {string[]} paragraphs
+ * @property {Array<{ label: string, value: string, strike?: boolean }>} [details]
+ * @property {{ columns: string[], rows: string[][], empty?: string }} [table]
+ * @property {{ url: string, label: string }} [action]
+ * @property {string} [note]
+ * @property {string} footer
+ */
+
+/** HTML del email con la marca del negocio */
+export const renderHtml = (content, brand = DEFAULT_BRAND, lang = 'es') => {
+  const primary = color(brand.primaryColor, DEFAULT_BRAND.primaryColor);
+  const secondary = color(brand.secondaryColor, DEFAULT_BRAND.secondaryColor);
+  const accent = color(brand.accentColor, primary);
+  const font = escapeHtml(brand.font || DEFAULT_BRAND.font);
+  const logo = safeUrl(brand.logoUrl);
+  const actionUrl = safeUrl(content.action?.url);
+
+  const details = (content.details || []).filter((d) => d.value)
+    .map((d) => `
+            <tr>
+              <td style="padding: 4px 12px 4px 0; color: #999; font-size: 14px;">${escapeHtml(d.label)}</td>
+              <td style="padding: 4px 0; color: #333; font-size: 14px;">${d.strike ? `<s>${escapeHtml(d.value)}</s>` : `<strong>${escapeHtml(d.value)}</strong>`}</td>
+            </tr>`)
+    .join('');
+
+  const table = content.table
+    ? content.table.rows.length
+      ? `
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
+            <tr>${content.table.columns.map((c) => `<th style="text-align: left; padding: 8px; border-bottom: 2px solid ${primary}; color: #333;">${escapeHtml(c)}</th>`).join('')}</tr>
+            ${content.table.rows.map((row) => `<tr>${row.map((cell) => `<td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+          </table>`
+      : `<p style="color: #666;">${escapeHtml(content.table.empty || '')}</p>`
+    : '';
+
+  return `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(lang)}">
+    <body style="margin: 0; padding: 0;">
+      <div style="font-family: ${font}, Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, ${primary} 0%, ${secondary} 100%); padding: 20px; text-align: center;">
+          ${logo ? `<img src="${logo}" alt="${escapeHtml(brand.name)}" style="max-height: 60px; margin-bottom: 8px;"><br>` : ''}
+          <h1 style="color: white; margin: 0;">${escapeHtml(brand.name)}</h1>
+        </div>
+
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2 style="color: #333;">${escapeHtml(content.greeting)}</h2>
+          ${(content.paragraphs || []).map((p) => `<p style="color: #666; line-height: 1.6;">${escapeHtml(p)}</p>`).join('')}
+          ${details ? `<table style="margin: 20px 0;">${details}</table>` : ''}
+          ${table}
+          ${actionUrl ? `
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${actionUrl}"
+               style="background: ${accent}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+              ${escapeHtml(content.action.label)}
+            </a>
+          </div>` : ''}
+          ${content.note ? `<p style="color: #999; font-size: 14px;">${escapeHtml(content.note)}</p>` : ''}
+
+          <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+
+          <p style="color: #999; font-size: 12px; text-align: center;">${escapeHtml(content.footer)}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/** Alternativa en texto plano del mismo contenido */
+export const renderText = (content) => {
+  const lines = [content.greeting, '', ...(content.paragraphs || [])];
+
+  const details = (content.details || []).filter((d) => d.value);
+  if (details.length) {
+    lines.push('', ...details.map((d) => `${d.label}: ${d.value}`));
+  }
+
+  if (content.table) {
+    lines.push('');
+    if (content.table.rows.length) {
+      lines.push(...content.table.rows.map((row) => `- ${row.filter(Boolean).join(' | ')}`));
+    } else if (content.table.empty) {
+      lines.push(content.table.empty);
+    }
+  }
+
+  if (content.action?.url) lines.push('', `${content.action.label}: ${content.action.url}`);
+  if (content.note) lines.push('', content.note);
+  lines.push('', '--', content.footer);
+
+  return lines.join('\n');
+};
+
+export default { DEFAULT_BRAND, escapeHtml, renderHtml, renderText };
@@ -0,0 +1,191 @@
+// src/services/email/locales.js
+// Textos de los emails transaccionales por idioma. Cada template define
+// `subject`, los párrafos del cuerpo y `short` (versión corta para SMS/WhatsApp).
+
+const es = {
+  common: {
+    greeting: (name) => (name ? `Hola ${name},` : 'Hola,'),
+    service: 'Servicio',
+    date: 'Fecha',
+    previousDate: 'Antes',
+    newDate: 'Ahora',
+    staff: 'Te atiende',
+    customer: 'Cliente',
+    address: 'Dirección',
+    reason: 'Motivo',
+    footer: (brand) => `Enviado por ${brand} con MiSitioFácil`,
+    manageAction: 'Ver o cambiar mi reserva',
+  },
+
+  reservationCreated: {
+    subject: (d) => `Recibimos tu reserva - ${d.businessName}`,
+    intro: (d) => `Recibimos tu reserva de ${d.serviceName}. Te avisaremos cuando el negocio la confirme.`,
+    note: (d) => `Puedes cancelar o reprogramar hasta ${d.cancellationHours} horas antes de la cita. No compartas este enlace: cualquiera que lo tenga puede gestionar tu reserva.`,
+    short: (d) => `${d.businessName}: recibimos tu reserva de ${d.serviceName} para el ${d.when}.`,
+  },
+
+  reservationConfirmed: {
+    subject: (d) => `Reserva confirmada - ${d.businessName}`,
+    intro: (d) => `Tu reserva de ${d.serviceName} está confirmada. ¡Te esperamos!`,
+    short: (d) => `${d.businessName}: tu reserva de ${d.serviceName} para el ${d.when} está confirmada.`,
+  },
+
+  reservationReminder: {
+    subject: (d) => `Recordatorio: tu cita en ${d.businessName}`,
+    intro: (d) => `Te recordamos tu cita de ${d.serviceName}.`,
+    note: () => '¿No puedes asistir? Avísanos cancelando o reprogramando tu reserva.',
+    short: (d) => `${d.businessName}: te recordamos tu cita de ${d.serviceName} el ${d.when}.`,
+  },
+
+  reservationCancelled: {
+    subject: (d) => `Reserva cancelada - ${d.businessName}`,
+    intro: (d) => `Tu reserva de ${d.serviceName} fue cancelada.`,
+    note: () => 'Si fue un error, puedes hacer una nueva reserva cuando quieras.',
+    short: (d) => `${d.businessName}: tu reserva de ${d.serviceName} del ${d.when} fue cancelada.`,
+  },
+
+  reservationRescheduled: {
+    subject: (d) => `Reserva reprogramada - ${d.businessName}`,
+    intro: (d) => `Tu reserva de ${d.serviceName} cambió de horario.`,
+    short: (d) => `${d.businessName}: tu reserva de ${d.serviceName} se movió del ${d.previousWhen} al ${d.when}.`,
+  },
+
+  ownerNewReservation: {
+    subject: (d) => `Nueva reserva - ${d.serviceName}`,
+    intro: (d) => `${d.customerName} reservó ${d.serviceName}.`,
+    short: (d) => `Nueva reserva de ${d.customerName}: ${d.serviceName} el ${d.when}.`,
+  },
+
+  ownerReservationCancelled: {
+    subject: (d) => `Reserva cancelada - ${d.serviceName}`,
+    intro: (d) => `${d.customerName} canceló su reserva de ${d.serviceName}.`,
+    short: (d) => `${d.customerName} canceló su reserva de ${d.serviceName} del ${d.when}.`,
+  },
+
+  ownerReservationRescheduled: {
+    subject: (d) => `Reserva reprogramada - ${d.serviceName}`,
+    intro: (d) => `${d.customerName} movió su reserva de ${d.serviceName}.`,
+    short: (d) => `${d.customerName} movió su reserva de ${d.serviceName} del ${d.previousWhen} al ${d.when}.`,
+  },
+
+  ownerDailyDigest: {
+    subject: (d) => `Tus reservas de hoy (${d.reservations.length}) - ${d.businessName}`,
+    intro: (d) => `Estas son las reservas de ${d.date}:`,
+    columns: ['Hora', 'Cliente', 'Servicio', 'Personal'],
+    empty: 'No tienes reservas para hoy.',
+    action: 'Ver todas las reservas',
+    short: (d) => `${d.businessName}: tienes ${d.reservations.length} reserva(s) hoy.`,
+  },
+  emailVerification: {
+    subject: () => 'Verifica tu email - MiSitioFácil',
+    intro: () => 'Gracias por registrarte. Confirma tu email para publicar tu negocio y recibir avisos de tus reservas.',
+    action: 'Verificar mi email',
+    note: (d) => `El enlace vence en ${d.expiresHours} horas. Si no creaste esta cuenta, ignora este mensaje.`,
+    short: (d) => `Verifica tu email en MiSitioFácil: ${d.verifyUrl}`,
+  },
+  teamInvitation: {
+    roles: { manager: 'Encargado', receptionist: 'Recepción', staff: 'Personal' },
+    subject: (d) => `Te invitaron al equipo de ${d.businessName}`,
+    intro: (d) => `${d.inviterName || 'El dueño'} te invitó a unirte al equipo de ${d.businessName} en MiSitioFácil.`,
+    roleLabel: 'Rol',
+    action: 'Aceptar invitación',
+    note: (d) => `La invitación vence en ${d.expiresHours} horas. Para aceptarla inicia sesión o crea una cuenta con este email.`,
+    short: (d) => `Te invitaron al equipo de ${d.businessName}: ${d.acceptUrl}`,
+  },
+};
+
+const en = {
+  common: {
+    greeting: (name) => (name ? `Hi ${name},` : 'Hi,'),
+    service: 'Service',
+    date: 'Date',
+    previousDate: 'Before',
+    newDate: 'Now',
+    staff: 'With',
+    customer: 'Customer',
+    address: 'Address',
+    reason: 'Reason',
+    footer: (brand) => `Sent by ${brand} with MiSitioFácil`,
+    manageAction: 'View or change my booking',
+  },
+
+  reservationCreated: {
+    subject: (d) => `We received your booking - ${d.businessName}`,
+    intro: (d) => `We received your booking for ${d.serviceName}. We will let you know once the business confirms it.`,
+    note: (d) => `You can cancel or reschedule up to ${d.cancellationHours} hours before your appointment. Do not share this link: anyone who has it can manage your booking.`,
+    short: (d) => `${d.businessName}: we received your booking for ${d.serviceName} on ${d.when}.`,
+  },
+
+  reservationConfirmed: {
+    subject: (d) => `Booking confirmed - ${d.businessName}`,
+    intro: (d) => `Your booking for ${d.serviceName} is confirmed. See you soon!`,
+    short: (d) => `${d.businessName}: your booking for ${d.serviceName} on ${d.when} is confirmed.`,
+  },
+
+  reservationReminder: {
+    subject: (d) => `Reminder: your appointment at ${d.businessName}`,
+    intro: (d) => `This is a reminder of your ${d.serviceName} appointment.`,
+    note: () => "Can't make it? Let us know by cancelling or rescheduling your booking.",
+    short: (d) => `${d.businessName}: reminder of your ${d.serviceName} appointment on ${d.when}.`,
+  },
+
+  reservationCancelled: {
+    subject: (d) => `Booking cancelled - ${d.businessName}`,
+    intro: (d) => `Your booking for ${d.serviceName} was cancelled.`,
+    note: () => 'If this was a mistake, you can book again at any time.',
+    short: (d) => `${d.businessName}: your booking for ${d.serviceName} on ${d.when} was cancelled.`,
+  },
+
+  reservationRescheduled: {
+    subject: (d) => `Booking rescheduled - ${d.businessName}`,
+    intro: (d) => `Your booking for ${d.serviceName} has a new time.`,
+    short: (d) => `${d.businessName}: your ${d.serviceName} booking moved from ${d.previousWhen} to ${d.when}.`,
+  },
+
+  ownerNewReservation: {
+    subject: (d) => `New booking - ${d.serviceName}`,
+    intro: (d) => `${d.customerName} booked ${d.serviceName}.`,
+    short: (d) => `New booking from ${d.customerName}: ${d.serviceName} on ${d.when}.`,
+  },
+
+  ownerReservationCancelled: {
+    subject: (d) => `Booking cancelled - ${d.serviceName}`,
+    intro: (d) => `${d.customerName} cancelled their ${d.serviceName} booking.`,
+    short: (d) => `${d.customerName} cancelled their ${d.serviceName} booking on ${d.when}.`,
+  },
+
+  ownerReservationRescheduled: {
+    subject: (d) => `Booking rescheduled - ${d.serviceName}`,
+    intro: (d) => `${d.customerName} moved their ${d.serviceName} booking.`,
+    short: (d) => `${d.customerName} moved their ${d.serviceName} booking from ${d.previousWhen} to ${d.when}.`,
+  },
+
+  ownerDailyDigest: {
+    subject: (d) => `Today's bookings (${d.reservations.length}) - ${d.businessName}`,
+    intro: (d) => `Here are your bookings for ${d.date}:`,
+    columns: ['Time', 'Customer', 'Service', 'Staff'],
+    empty: 'You have no bookings today.',
+    action: 'See all bookings',
+    short: (d) => `${d.businessName}: you have ${d.reservations.length} booking(s) today.`,
+  },
+  emailVerification: {
+    subject: () => 'Verify your email - MiSitioFácil',
+    intro: () => 'Thanks for signing up. Confirm your email to publish your business and get booking notifications.',
+    action: 'Verify my email',
+    note: (d) => `The link expires in ${d.expiresHours} hours. If you did not create this account, ignore this message.`,
+    short: (d) => `Verify your MiSitioFácil email: ${d.verifyUrl}`,
+  },
+  teamInvitation: {
+    roles: { manager: 'Manager', receptionist: 'Front desk', staff: 'Staff' },
+    subject: (d) => `You're invited to join ${d.businessName}`,
+    intro: (d) => `${d.inviterName || 'The owner'} invited you to join the ${d.businessName} team on MiSitioFácil.`,
+    roleLabel: 'Role',
+    action: 'Accept invitation',
+    note: (d) => `The invitation expires in ${d.expiresHours} hours. To accept it, sign in or create an account with this email.`,
+    short: (d) => `You're invited to join ${d.businessName}: ${d.acceptUrl}`,
+  },
+};
+
+export const EMAIL_LOCALES = { es, en };
+
+export default EMAIL_LOCALES;
@@ -0,0 +1,47 @@
+// src/services/entitlements.js
+// Qué incluye el plan de cada negocio (PLAN_FEATURES). Por ahora solo decide
+// quién puede aplicar templates premium: el negocio necesita un plan con
+// `premiumTemplates`. Los sitios que ya usan un template premium siguen
+// funcionando si el plan baja o vence; solo se bloquea aplicarlo de nuevo.
+// El admin y el autor del template pueden aplicarlo sin el plan; las copias
+// de un template premium siguen siendo premium y no cuentan como propias.
+
+import { AuthorizationError } from '../middleware/errorHandler.js';
+import { constants } from '../config/index.js';
+
+const { BUSINESS_PLANS, PLAN_FEATURES, ERROR_MESSAGES } = constants;
+
+/** Plan vigente del negocio: free si no tiene o si ya venció */
+export const getEffectivePlan = (business) => {
+  const plan = business?.plan || BUSINESS_PLANS.FREE;
+  if (business?.planExpiresAt && new Date(business.planExpiresAt).getTime() <= Date.now()) {
+    return BUSINESS_PLANS.FREE;
+  }
+  return PLAN_FEATURES[plan] ? plan : BUSINESS_PLANS.FREE;
+};
+
+export const hasFeature = (business, feature) => PLAN_FEATURES[getEffectivePlan(business)]?.[feature] === true;
+
+/** ¿El negocio puede aplicar este template? */
+export const canUseTemplate = (business, template) => !template?.isPremium || hasFeature(business, 'premiumTemplates');
+
+/**
+ * ¿Aplicar el template no depende del plan?
+ * @param {{ userId?: string, isAdmin?: boolean }} who  `userId` es el dueño del negocio
+ */
+export const isPlanExempt = (template, { userId, isAdmin = false } = {}) =>
+  isAdmin || (!template?.duplicatedFrom && !!userId && String(template?.owner) === String(userId));
+
+export const assertCanUseTemplate = (business, template, who) => {
+  if (!isPlanExempt(template, who) && !canUseTemplate(business, template)) {
+    throw new AuthorizationError(ERROR_MESSAGES.PREMIUM_TEMPLATE_REQUIRES_PLAN);
+  }
+};
+
+export default {
+  getEffectivePlan,
+  hasFeature,
+  canUseTemplate,
+  isPlanExempt,
+  assertCanUseTemplate,
+};
@@ -0,0 +1,25 @@
+// src/services/notifications/channels/console.js
+// Canal de pruebas locales: no envía nada, escribe el mensaje en consola o,
+// si NOTIFICATIONS_LOG_FILE está definido, lo agrega como JSON por línea.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from '../../../config/index.js';
+
+export default {
+  name: 'console',
+  channel: '*',
+
+  isConfigured: () => true,
+
+  async send({ channel, to, subject, text }) {
+    const entry = { at: new Date().toISOString(), channel, to, subject, text };
+    const file = process.env.NOTIFICATIONS_LOG_FILE;
+    if (file) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+    } else {
+      logger.info('📨 Notificación (console)', entry);
+    }
+    return { id: `console-${Date.now()}` };
+  },
+};
@@ -0,0 +1,24 @@
+// src/services/notifications/channels/phone.js
+
+/** Teléfono a formato E.164; los números de 8 dígitos se asumen de Costa Rica (+506) */
+export const toE164 = (phone) => {
+  const digits = String(phone ?? '').replace(/[^\d+]/g, '');
+  if (!digits) return null;
+  if (digits.startsWith('+')) return digits;
+  return digits.length === 8 ? `+506${digits}` : `+${digits}`;
+};
+
+/** POST JSON con timeout; lanza si el proveedor responde con error */
+export const postJson = async (url, body, headers = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(Number(process.env.NOTIFICATIONS_TIMEOUT_MS || 10000)),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data?.error?.message || data?.message || `HTTP ${response.status}`);
+  }
+  return data;
+};
@@ -0,0 +1,24 @@
+// src/services/notifications/channels/sms.js
+// Canal SMS genérico por HTTP: POST SMS_API_URL { to, from, message }
+// con `Authorization: Bearer SMS_API_KEY`. Sirve para la mayoría de
+// proveedores locales o un pequeño proxy hacia Twilio/Vonage.
+import { toE164, postJson } from './phone.js';
+
+export default {
+  name: 'http-sms',
+  channel: 'sms',
+
+  isConfigured: () => !!process.env.SMS_API_URL,
+
+  async send({ to, text }) {
+    const phone = toE164(to);
+    if (!phone) throw new Error('Teléfono inválido');
+
+    const data = await postJson(
+      process.env.SMS_API_URL,
+      { to: phone, from: process.env.SMS_FROM || 'MiSitioFacil', message: text },
+      process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {}
+    );
+    return { id: data?.id || data?.messageId || null };
+  },
+};
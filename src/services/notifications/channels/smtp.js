@@ -0,0 +1,16 @@
+// src/services/notifications/channels/smtp.js
+// Canal email: usa el transporter SMTP de config/email.js
+import { sendEmail } from '../../../config/email.js';
+
+export default {
+  name: 'smtp',
+  channel: 'email',
+
+  // En desarrollo el transporter apunta a Ethereal; en otros entornos requiere credenciales
+  isConfigured: () => process.env.NODE_ENV === 'development' || !!process.env.EMAIL_USER,
+
+  async send({ to, subject, text, html }) {
+    const result = await sendEmail(to, { subject, text, html });
+    return { id: result.messageId };
+  },
+};
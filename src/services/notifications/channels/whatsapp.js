@@ -0,0 +1,43 @@
+// src/services/notifications/channels/whatsapp.js
+// Canal WhatsApp Business (Cloud API de Meta).
+// Los mensajes iniciados por el negocio fuera de la ventana de 24h requieren
+// una plantilla aprobada: si WHATSAPP_TEMPLATE_NAME está definida se envía esa
+// plantilla con el texto como único parámetro; si no, un mensaje de texto.
+import { toE164, postJson } from './phone.js';
+
+export default {
+  name: 'whatsapp-cloud',
+  channel: 'whatsapp',
+
+  isConfigured: () => !!(process.env.WHATSAPP_PHONE_NUMBER_ID && process.env.WHATSAPP_ACCESS_TOKEN),
+
+  async send({ to, text }) {
+    const phone = toE164(to);
+    if (!phone) throw new Error('Teléfono inválido');
+
+    const version = process.env.WHATSAPP_API_VERSION || 'v19.0';
+    const url = `https://graph.facebook.com/${version}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+    const template = process.env.WHATSAPP_TEMPLATE_NAME;
+
+    const body = template
+      ? {
+          messaging_product: 'whatsapp',
+          to: phone.replace('+', ''),
+          type: 'template',
+          template: {
+            name: template,
+            language: { code: process.env.WHATSAPP_TEMPLATE_LANG || 'es' },
+            components: [{ type: 'body', parameters: [{ type: 'text', text }] }],
+          },
+        }
+      : {
+          messaging_product: 'whatsapp',
+          to: phone.replace('+', ''),
+          type: 'text',
+          text: { body: text },
+        };
+
+    const data = await postJson(url, body, { Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` });
+    return { id: data?.messages?.[0]?.id || null };
+  },
+};
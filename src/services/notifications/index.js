@@ -0,0 +1,206 @@
+// src/services/notifications/index.js
+// Despachador de notificaciones. Cada canal es un adaptador con la interfaz
+// { name, channel, isConfigured(), send({ channel, to, subject, text, html }) }.
+// Con NOTIFICATIONS_DRIVER=console todos los canales se redirigen al adaptador
+// de consola/archivo para probar en local sin enviar nada.
+
+import Business from '../../models/business.js';
+import Service from '../../models/service.js';
+import User from '../../models/user.js';
+import Staff from '../../models/staff.js';
+import { constants, logger } from '../../config/index.js';
+import { generateReservationManageToken } from '../../middleware/auth.js';
+import { resolveTimezone } from '../../utils/schedule.js';
+import {
+  renderEmail,
+  renderShortText,
+  resolveLanguage,
+  formatDateTime,
+  getBusinessBranding,
+} from '../email/index.js';
+import { getReservationTemplate } from './messages.js';
+import smtpChannel from './channels/smtp.js';
+import smsChannel from './channels/sms.js';
+import whatsappChannel from './channels/whatsapp.js';
+import consoleChannel from './channels/console.js';
+
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = constants;
+
+const ADAPTERS = {
+  [NOTIFICATION_CHANNELS.EMAIL]: smtpChannel,
+  [NOTIFICATION_CHANNELS.SMS]: smsChannel,
+  [NOTIFICATION_CHANNELS.WHATSAPP]: whatsappChannel,
+};
+
+// Quién recibe cada aviso: el cliente, el negocio o la parte que no hizo el cambio
+const AUDIENCES = {
+  [NOTIFICATION_TYPES.RESERVATION_CREATED]: () => ['customer', 'business'],
+  [NOTIFICATION_TYPES.RESERVATION_CONFIRMED]: () => ['customer'],
+  [NOTIFICATION_TYPES.RESERVATION_CANCELLED]: ({ byCustomer }) => [byCustomer ? 'business' : 'customer'],
+  [NOTIFICATION_TYPES.RESERVATION_RESCHEDULED]: ({ byCustomer }) => [byCustomer ? 'business' : 'customer'],
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Canales
+───────────────────────────────────────────────────────────── */
+
+/** Adaptador activo para un canal (null si no está configurado) */
+export const getChannelAdapter = (channel) => {
+  if (process.env.NOTIFICATIONS_DRIVER === 'console') return consoleChannel;
+  const adapter = ADAPTERS[channel];
+  return adapter?.isConfigured() ? adapter : null;
+};
+
+/**
+ * Envía un mensaje por un canal.
+ * @param {string} channel NOTIFICATION_CHANNELS.*
+ * @param {{ to: string, subject?: string, text: string, html?: string }} message
+ */
+export const sendNotification = async (channel, message) => {
+  const adapter = getChannelAdapter(channel);
+  if (!adapter) throw new Error(`Canal ${channel} no configurado`);
+  return adapter.send({ ...message, channel });
+};
+
+/**
+ * Canales de un destinatario según sus preferencias (user.preferences.notifications).
+ * Los invitados no tienen preferencias: solo reciben email.
+ */
+const pickChannels = (contact) => {
+  const prefs = contact.preferences;
+  const channels = [];
+  if (contact.email && prefs?.email !== false) channels.push(NOTIFICATION_CHANNELS.EMAIL);
+  if (contact.phone && prefs?.sms) channels.push(NOTIFICATION_CHANNELS.SMS);
+  if (contact.phone && prefs?.whatsapp) channels.push(NOTIFICATION_CHANNELS.WHATSAPP);
+  return channels;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Reservas
+───────────────────────────────────────────────────────────── */
+
+/** Enlace público para que el invitado gestione su reserva */
+export const buildManageUrl = (reservation) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reservations/manage/${generateReservationManageToken(reservation)}`;
+
+const loadContacts = async (reservation) => {
+  const [business, service, client, staff] = await Promise.all([
+    Business.findById(reservation.business)
+      .select('name email phone owner settings visualConfig logo location')
+      .populate('owner', 'fullName email phone preferences')
+      .lean(),
+    Service.findById(reservation.service).select('name').lean(),
+    reservation.client
+      ? User.findById(reservation.client).select('fullName email phone preferences').lean()
+      : null,
+    reservation.staff ? Staff.findById(reservation.staff).select('name').lean() : null,
+  ]);
+
+  const customer = client
+    ? {
+        name: client.fullName,
+        email: client.email,
+        phone: client.phone,
+        language: client.preferences?.language,
+        preferences: client.preferences?.notifications,
+      }
+    : {
+        name: reservation.guestClient?.name,
+        email: reservation.guestClient?.email,
+        phone: reservation.guestClient?.phone,
+        language: null,
+        preferences: null,
+      };
+
+  const owner = business?.owner;
+  const businessContact = {
+    name: owner?.fullName || business?.name,
+    email: business?.email || owner?.email,
+    phone: owner?.phone || business?.phone,
+    language: owner?.preferences?.language,
+    preferences: owner?.preferences?.notifications,
+  };
+
+  return { business, service, staff, customer, businessContact };
+};
+
+/**
+ * Notifica un evento de una reserva por los canales que cada destinatario tenga
+ * activos y registra el resultado de cada envío en reservation.notifications.
+ * Nunca lanza: un fallo de envío no debe revertir la operación que lo originó.
+ *
+ * @param {Document} reservation
+ * @param {string} type NOTIFICATION_TYPES.RESERVATION_*
+ * @param {Object} [options]
+ * @param {boolean} [options.byCustomer]    El cambio lo hizo el cliente (cancelar/reprogramar)
+ * @param {Date}    [options.previousDateTime]
+ * @param {string}  [options.reason]
+ * @param {string}  [options.manageUrl]     Enlace de gestión ya generado (invitados)
+ */
+export const notifyReservation = async (reservation, type, options = {}) => {
+  try {
+    const audiences = AUDIENCES[type]?.(options) || [];
+    if (!audiences.length) return;
+
+    const { business, service, staff, customer, businessContact } = await loadContacts(reservation);
+    const timezone = resolveTimezone(reservation.timezone || business?.settings?.timezone);
+    const manageUrl = options.manageUrl || (reservation.client ? null : buildManageUrl(reservation));
+    const brand = getBusinessBranding(business);
+
+    for (const audience of audiences) {
+      const template = getReservationTemplate(type, audience);
+      if (!template) continue;
+
+      const contact = audience === 'business' ? businessContact : customer;
+      const lang = resolveLanguage(contact.language, business?.settings?.language);
+      const data = {
+        recipientName: contact.name || '',
+        businessName: brand.name,
+        serviceName: service?.name || '',
+        customerName: customer.name || '',
+        staffName: staff?.name || null,
+        address: audience === 'customer' ? business?.location?.address : null,
+        when: formatDateTime(reservation.dateTime, timezone, lang),
+        previousWhen: options.previousDateTime ? formatDateTime(options.previousDateTime, timezone, lang) : null,
+        reason: options.reason || null,
+        manageUrl: audience === 'customer' ? manageUrl : null,
+        cancellationHours: business?.settings?.cancellationHours ?? 24,
+      };
+      const short = renderShortText(template, data, lang);
+
+      for (const channel of pickChannels(contact)) {
+        if (!getChannelAdapter(channel)) {
+          logger.debug('Canal de notificación sin configurar', { channel, reservationId: reservation._id });
+          continue;
+        }
+
+        const message = channel === NOTIFICATION_CHANNELS.EMAIL
+          ? { to: contact.email, ...renderEmail(template, data, { lang, brand }) }
+          : { to: contact.phone, ...short };
+
+        let status = 'sent';
+        try {
+          await sendNotification(channel, message);
+        } catch (error) {
+          status = 'failed';
+          logger.warn('No se pudo enviar la notificación', {
+            reservationId: reservation._id, type, channel, error: error.message,
+          });
+        }
+
+        reservation.notifications.push({
+          type,
+          channel,
+          status,
+          content: `${audience === 'business' ? 'Negocio' : 'Cliente'}: ${short.text}`.slice(0, 500),
+        });
+      }
+    }
+
+    if (reservation.isModified('notifications')) await reservation.save();
+  } catch (error) {
+    logger.error('Error notificando reserva', { reservationId: reservation?._id, type, error: error.message });
+  }
+};
+
+export default { getChannelAdapter, sendNotification, notifyReservation, buildManageUrl };
@@ -0,0 +1,37 @@
+// src/services/notifications/messages.js
+// Qué template usa cada evento de reserva según el destinatario.
+// Los textos (email y versión corta para SMS/WhatsApp) viven en services/email.
+
+import { constants } from '../../config/index.js';
+
+const { NOTIFICATION_TYPES } = constants;
+
+const TEMPLATE_BY_EVENT = {
+  [NOTIFICATION_TYPES.RESERVATION_CREATED]: {
+    customer: 'reservationCreated',
+    business: 'ownerNewReservation',
+  },
+  [NOTIFICATION_TYPES.RESERVATION_CONFIRMED]: {
+    customer: 'reservationConfirmed',
+  },
+  [NOTIFICATION_TYPES.RESERVATION_CANCELLED]: {
+    customer: 'reservationCancelled',
+    business: 'ownerReservationCancelled',
+  },
+  [NOTIFICATION_TYPES.RESERVATION_RESCHEDULED]: {
+    customer: 'reservationRescheduled',
+    business: 'ownerReservationRescheduled',
+  },
+  [NOTIFICATION_TYPES.RESERVATION_REMINDER]: {
+    customer: 'reservationReminder',
+  },
+};
+
+/**
+ * @param {string} type     NOTIFICATION_TYPES.*
+ * @param {'customer'|'business'} audience
+ * @returns {string|null} Nombre del template o null si el evento no aplica a ese destinatario
+ */
+export const getReservationTemplate = (type, audience) => TEMPLATE_BY_EVENT[type]?.[audience] || null;
+
+export default { getReservationTemplate };
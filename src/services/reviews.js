@@ -0,0 +1,234 @@
+// src/services/reviews.js
+// Reseñas de reservas completadas: creación (cliente con cuenta o invitado por
+// el enlace de gestión), respuesta del negocio, moderación y los agregados de
+// rating en Business.stats y Service.stats.
+
+import mongoose from 'mongoose';
+import Review from '../models/review.js';
+import Reservation from '../models/reservation.js';
+import Business from '../models/business.js';
+import Service from '../models/service.js';
+import User from '../models/user.js';
+import { ValidationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+
+const { RESERVATION_STATUS, REVIEW_STATUS, APP_LIMITS, TIME_CONFIG } = constants;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// aggregate() no castea los ids
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id?._id || id));
+
+/** "María Rodríguez Soto" → "María R." */
+export const toAuthorName = (fullName) => {
+  const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return 'Cliente';
+  return parts.length > 1 ? `${parts[0]} ${parts[1][0].toUpperCase()}.` : parts[0];
+};
+
+const parseRating = (rating) => {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new ValidationError('rating debe ser un entero entre 1 y 5');
+  }
+  return value;
+};
+
+const parseText = (text, max, field) => {
+  if (text === undefined || text === null) return undefined;
+  const value = String(text).trim();
+  if (value.length > max) throw new ValidationError(`${field} no puede exceder ${max} caracteres`);
+  return value || undefined;
+};
+
+/**
+ * Fecha límite para reseñar: TIME_CONFIG.REVIEWS.WINDOW_DAYS desde que se
+ * completó la cita.
+ */
+export const getReviewDeadline = (reservation) => {
+  const from = reservation.completedAt || reservation.endDateTime || reservation.dateTime;
+  return new Date(new Date(from).getTime() + TIME_CONFIG.REVIEWS.WINDOW_DAYS * DAY_MS);
+};
+
+/** ¿La reserva admite reseña todavía? (no revisa si ya existe una) */
+export const isReviewable = (reservation) =>
+  reservation?.status === RESERVATION_STATUS.COMPLETED && Date.now() <= getReviewDeadline(reservation).getTime();
+
+/**
+ * Recalcula el rating del negocio y del servicio con las reseñas publicadas.
+ * Se recalcula completo (no incremental) para que ediciones y moderación
+ * nunca dejen el contador desfasado.
+ */
+export const refreshRatings = async ({ business, service }) => {
+  const businessId = toObjectId(business);
+  const serviceId = toObjectId(service);
+
+  const [businessRating, serviceRating] = await Promise.all([
+    Review.computeRating({ business: businessId }),
+    Review.computeRating({ service: serviceId }),
+  ]);
+
+  await Promise.all([
+    Business.updateOne(
+      { _id: businessId },
+      { $set: { 'stats.rating': businessRating.rating, 'stats.reviewCount': businessRating.count } }
+    ),
+    Service.updateOne(
+      { _id: serviceId },
+      { $set: { 'stats.averageRating': serviceRating.rating, 'stats.reviewCount': serviceRating.count } }
+    ),
+  ]);
+};
+
+/**
+ * Crea la reseña de una reserva completada.
+ * @param {Document} reservation
+ * @param {{ rating: number, comment?: string }} input
+ * @returns {Promise<Document>} Review
+ */
+export const createReview = async (reservation, { rating, comment } = {}) => {
+  const value = parseRating(rating);
+  const text = parseText(comment, APP_LIMITS.MAX_REVIEW_COMMENT_LENGTH, 'La reseña');
+
+  if (reservation.status !== RESERVATION_STATUS.COMPLETED) {
+    throw new ValidationError('Solo se pueden reseñar reservas completadas');
+  }
+  if (Date.now() > getReviewDeadline(reservation).getTime()) {
+    throw new ValidationError(`El plazo para reseñar esta reserva (${TIME_CONFIG.REVIEWS.WINDOW_DAYS} días) ya venció`);
+  }
+  if (await Review.exists({ reservation: reservation._id })) {
+    throw new ConflictError('Esta reserva ya tiene una reseña');
+  }
+
+  let fullName = reservation.guestClient?.name;
+  if (reservation.client) {
+    const client = await User.findById(reservation.client).select('fullName').lean();
+    fullName = client?.fullName || fullName;
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      business: reservation.business,
+      service: reservation.service,
+      staff: reservation.staff || null,
+      reservation: reservation._id,
+      client: reservation.client || null,
+      authorName: toAuthorName(fullName),
+      rating: value,
+      comment: text,
+    });
+  } catch (e) {
+    if (e?.code === 11000) throw new ConflictError('Esta reserva ya tiene una reseña');
+    throw e;
+  }
+
+  await Reservation.updateOne(
+    { _id: reservation._id },
+    { $set: { rating: value, review: text ? text.slice(0, 500) : undefined, reviewedAt: review.createdAt } }
+  );
+  await refreshRatings(review);
+
+  logger.info('Reseña creada', { reviewId: review._id, reservationId: reservation._id, rating: value });
+  return review;
+};
+
+export const findReview = async (reviewId) => {
+  if (!mongoose.isValidObjectId(reviewId)) throw new ValidationError('reviewId inválido');
+  const review = await Review.findById(reviewId);
+  if (!review) throw new NotFoundError('Reseña no encontrada');
+  return review;
+};
+
+/** Respuesta pública del negocio (crea o reemplaza la anterior) */
+export const replyToReview = async (review, text, userId) => {
+  const value = parseText(text, APP_LIMITS.MAX_REVIEW_REPLY_LENGTH, 'La respuesta');
+  if (!value) throw new ValidationError('text es requerido');
+
+  review.reply = { text: value, repliedBy: userId, repliedAt: new Date() };
+  await review.save();
+  return review;
+};
+
+export const deleteReply = async (review) => {
+  if (!review.reply?.text) throw new NotFoundError('La reseña no tiene respuesta');
+  review.reply = undefined;
+  await review.save();
+  return review;
+};
+
+/**
+ * Oculta o vuelve a publicar una reseña (admin). Las ocultas no cuentan en
+ * el rating.
+ */
+export const moderateReview = async (review, { status, reason }, adminId) => {
+  if (!Object.values(REVIEW_STATUS).includes(status)) {
+    throw new ValidationError(`status debe ser uno de: ${Object.values(REVIEW_STATUS).join(', ')}`);
+  }
+  if (status === REVIEW_STATUS.HIDDEN && !reason) {
+    throw new ValidationError('Indica el motivo para ocultar la reseña');
+  }
+
+  const changed = review.status !== status;
+  review.status = status;
+  review.moderation = {
+    reason: reason ? String(reason).slice(0, 200) : undefined,
+    moderatedBy: adminId,
+    moderatedAt: new Date(),
+  };
+  await review.save();
+  if (changed) await refreshRatings(review);
+
+  logger.warn('Reseña moderada', { reviewId: review._id, status, by: adminId });
+  return review;
+};
+
+/**
+ * Reseñas publicadas de un negocio o servicio, con resumen y paginación.
+ * @param {{ business?: string, service?: string }} scope
+ * @param {{ page: number, limit: number, rating?: number, sort?: string }} options
+ */
+export const listPublishedReviews = async (scope, { page, limit, rating, sort = 'recent' }) => {
+  const match = {};
+  if (scope.business) match.business = toObjectId(scope.business);
+  if (scope.service) match.service = toObjectId(scope.service);
+
+  const filter = { ...match, status: REVIEW_STATUS.PUBLISHED };
+  if (rating !== undefined) filter.rating = parseRating(rating);
+
+  const sortOptions = {
+    recent: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+  }[sort] || { createdAt: -1 };
+
+  const [reviews, total, summary, distribution] = await Promise.all([
+    Review.find(filter)
+      .populate('service', 'name')
+      .sort(sortOptions)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(filter),
+    Review.computeRating(match),
+    Review.ratingDistribution(match),
+  ]);
+
+  return {
+    reviews: reviews.map((r) => r.toPublicJSON()),
+    summary: { averageRating: summary.rating, reviewCount: summary.count, distribution },
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+};
+
+export default {
+  toAuthorName,
+  getReviewDeadline,
+  isReviewable,
+  refreshRatings,
+  createReview,
+  findReview,
+  replyToReview,
+  deleteReply,
+  moderateReview,
+  listPublishedReviews,
+};
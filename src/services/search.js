@@ -0,0 +1,283 @@
+// src/services/search.js
+// Búsqueda unificada del marketplace: negocios publicados con sus servicios
+// coincidentes, facetas (categoría, ciudad, rango de precio, rating, abierto
+// ahora) y paginación por cursor.
+//
+// Mongo solo preselecciona candidatos (trigramas, ver utils/textSearch.js);
+// filtros, facetas y orden se resuelven sobre hasta SEARCH.MAX_CANDIDATES
+// negocios para que cada faceta cuente con los demás filtros aplicados.
+
+import mongoose from 'mongoose';
+import Business from '../models/business.js';
+import Service from '../models/service.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { constants } from '../config/index.js';
+import { foldText, buildTrigrams } from '../utils/textSearch.js';
+
+const { BUSINESS_STATUS, SEARCH } = constants;
+
+export const SORT_OPTIONS = ['relevance', 'rating', 'price', 'newest'];
+
+const CANDIDATE_FIELDS = [
+  'name', 'slug', 'category', 'description', 'logo', 'stats', 'featured', 'publishedAt', 'createdAt',
+  'location.city', 'location.province', 'operatingHours', 'closures', 'settings.timezone',
+];
+
+const trigramScore = (queryTrigrams) => ({
+  $divide: [
+    { $size: { $setIntersection: [{ $ifNull: ['$search.trigrams', []] }, queryTrigrams] } },
+    queryTrigrams.length,
+  ],
+});
+
+/* ─────────────────────────────────────────────────────────────
+   Candidatos
+───────────────────────────────────────────────────────────── */
+
+/** Servicios activos que coinciden con la consulta, agrupados por negocio */
+const findMatchingServices = async (queryTrigrams) => {
+  const services = await Service.aggregate([
+    { $match: { isActive: true, 'search.trigrams': { $in: queryTrigrams } } },
+    { $addFields: { score: trigramScore(queryTrigrams) } },
+    { $match: { score: { $gte: SEARCH.MATCH_THRESHOLD } } },
+    { $sort: { score: -1, 'pricing.basePrice': 1 } },
+    { $project: { business: 1, name: 1, pricing: 1, duration: 1, score: 1 } },
+  ]);
+
+  const byBusiness = new Map();
+  services.forEach((s) => {
+    const key = String(s.business);
+    if (!byBusiness.has(key)) byBusiness.set(key, []);
+    byBusiness.get(key).push(s);
+  });
+  return byBusiness;
+};
+
+const findCandidates = async (queryTrigrams, servicesByBusiness) => {
+  const projection = Object.fromEntries(CANDIDATE_FIELDS.map((f) => [f, 1]));
+
+  if (!queryTrigrams.length) {
+    const businesses = await Business.find({ status: BUSINESS_STATUS.ACTIVE })
+      .select(CANDIDATE_FIELDS.join(' '))
+      .sort({ 'stats.rating': -1, _id: 1 })
+      .limit(SEARCH.MAX_CANDIDATES)
+      .lean();
+    return businesses.map((b) => ({ ...b, score: 0 }));
+  }
+
+  const serviceBusinessIds = [...servicesByBusiness.keys()].map((id) => new mongoose.Types.ObjectId(id));
+  return Business.aggregate([
+    {
+      $match: {
+        status: BUSINESS_STATUS.ACTIVE,
+        $or: [{ 'search.trigrams': { $in: queryTrigrams } }, { _id: { $in: serviceBusinessIds } }],
+      },
+    },
+    { $addFields: { score: trigramScore(queryTrigrams) } },
+    { $match: { $or: [{ score: { $gte: SEARCH.MATCH_THRESHOLD } }, { _id: { $in: serviceBusinessIds } }] } },
+    { $sort: { score: -1, 'stats.rating': -1, _id: 1 } },
+    { $limit: SEARCH.MAX_CANDIDATES },
+    { $project: { ...projection, score: 1 } },
+  ]);
+};
+
+/** Precio "desde" de cada negocio en la moneda pedida: Map<businessId, number> */
+const findPricesFrom = async (businessIds, currency) => {
+  const rows = await Service.aggregate([
+    { $match: { business: { $in: businessIds }, isActive: true, 'pricing.currency': currency } },
+    { $group: { _id: '$business', priceFrom: { $min: '$pricing.basePrice' } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.priceFrom]));
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Filtros y facetas
+───────────────────────────────────────────────────────────── */
+
+const inPriceRange = (price, min, max) =>
+  price !== undefined && (min === undefined || price >= min) && (max === undefined || max === null || price < max);
+
+/** Predicados por dimensión: las facetas aplican todos menos el propio */
+const buildFilters = ({ category, city, minPrice, maxPrice, minRating, openNow }) => {
+  const filters = {};
+  if (category) filters.category = (e) => e.category === category;
+  if (city) {
+    const folded = foldText(city);
+    filters.city = (e) => e.cityKey === folded;
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = (e) => e.priceFrom !== undefined
+      && (minPrice === undefined || e.priceFrom >= minPrice)
+      && (maxPrice === undefined || e.priceFrom <= maxPrice);
+  }
+  if (minRating !== undefined) filters.rating = (e) => e.rating >= minRating;
+  if (openNow) filters.openNow = (e) => e.isOpenNow;
+  return filters;
+};
+
+const passes = (entry, filters, except) =>
+  Object.entries(filters).every(([dimension, test]) => dimension === except || test(entry));
+
+const countBy = (entries, keyOf, labelOf) => {
+  const counts = new Map();
+  entries.forEach((e) => {
+    const key = keyOf(e);
+    if (!key) return;
+    const current = counts.get(key) || { value: key, label: labelOf(e), count: 0 };
+    current.count += 1;
+    counts.set(key, current);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)).slice(0, 20);
+};
+
+const buildFacets = (entries, filters) => {
+  const without = (dimension) => entries.filter((e) => passes(e, filters, dimension));
+
+  const byPrice = without('price');
+  const byRating = without('rating');
+  return {
+    category: countBy(without('category'), (e) => e.category, (e) => e.categoryName),
+    city: countBy(without('city'), (e) => e.cityKey, (e) => e.city),
+    priceRange: SEARCH.PRICE_RANGES.map(({ key, min, max }) => ({
+      key,
+      min,
+      max,
+      count: byPrice.filter((e) => inPriceRange(e.priceFrom, min, max)).length,
+    })),
+    rating: SEARCH.RATING_STEPS.map((min) => ({ min, count: byRating.filter((e) => e.rating >= min).length })),
+    openNow: { count: without('openNow').filter((e) => e.isOpenNow).length },
+  };
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Orden y cursor
+───────────────────────────────────────────────────────────── */
+
+// Clave de orden por opción: arreglo comparado en orden; el último elemento
+// (id) la hace única para que el cursor sea estable
+const SORT_KEYS = {
+  relevance: (e) => [-e.score, -e.rating, e.id],
+  rating: (e) => [-e.rating, -e.reviewCount, e.id],
+  price: (e) => [e.priceFrom ?? Number.MAX_SAFE_INTEGER, -e.rating, e.id],
+  newest: (e) => [-e.publishedAt, e.id],
+};
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+};
+
+const encodeCursor = (sort, key) => Buffer.from(JSON.stringify({ s: sort, k: key })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s === sort && Array.isArray(k)) return k;
+  } catch (_e) {
+    // se reporta abajo
+  }
+  throw new ValidationError('cursor inválido para esta búsqueda');
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Búsqueda
+───────────────────────────────────────────────────────────── */
+
+const toEntry = (doc, { servicesByBusiness, pricesFrom, currency }) => {
+  const id = String(doc._id);
+  const matched = servicesByBusiness.get(id) || [];
+  const hydrated = Business.hydrate(doc);
+
+  return {
+    id,
+    score: Math.max(doc.score || 0, matched[0]?.score || 0),
+    name: doc.name,
+    slug: doc.slug,
+    category: doc.category,
+    categoryName: hydrated.categoryName,
+    description: doc.description ? String(doc.description).slice(0, 200) : '',
+    city: doc.location?.city || null,
+    cityKey: foldText(doc.location?.city) || null,
+    province: doc.location?.province || null,
+    logo: doc.logo?.url || null,
+    rating: doc.stats?.rating || 0,
+    reviewCount: doc.stats?.reviewCount || 0,
+    featured: !!doc.featured,
+    publishedAt: new Date(doc.publishedAt || doc.createdAt || 0).getTime(),
+    isOpenNow: !!hydrated.isOpenNow,
+    priceFrom: pricesFrom.get(id),
+    currency,
+    matchedServices: matched.slice(0, SEARCH.MAX_MATCHED_SERVICES).map((s) => ({
+      id: String(s._id),
+      name: s.name,
+      price: s.pricing?.basePrice ?? null,
+      currency: s.pricing?.currency,
+      duration: s.duration,
+    })),
+  };
+};
+
+const toResult = ({ cityKey: _cityKey, publishedAt, score, ...entry }) => ({
+  ...entry,
+  publishedAt: publishedAt ? new Date(publishedAt) : null,
+  relevance: Math.round(score * 100) / 100,
+});
+
+/**
+ * @param {{
+ *   q?: string, category?: string, city?: string, minPrice?: number, maxPrice?: number,
+ *   minRating?: number, openNow?: boolean, currency?: string, sort?: string,
+ *   limit?: number, cursor?: string
+ * }} params  Ya validados por el controlador
+ */
+export const searchMarketplace = async (params) => {
+  const { q, currency = 'CRC', limit = SEARCH.DEFAULT_LIMIT, cursor } = params;
+
+  const queryTrigrams = q ? buildTrigrams(q) : [];
+  if (q && !queryTrigrams.length) {
+    throw new ValidationError(`La búsqueda debe tener al menos ${SEARCH.MIN_QUERY_LENGTH} caracteres`);
+  }
+  const sort = params.sort || (queryTrigrams.length ? 'relevance' : 'rating');
+
+  const servicesByBusiness = queryTrigrams.length ? await findMatchingServices(queryTrigrams) : new Map();
+  const candidates = await findCandidates(queryTrigrams, servicesByBusiness);
+  const pricesFrom = await findPricesFrom(candidates.map((c) => c._id), currency);
+
+  const entries = candidates.map((doc) => toEntry(doc, { servicesByBusiness, pricesFrom, currency }));
+  const filters = buildFilters(params);
+  const facets = buildFacets(entries, filters);
+
+  const keyOf = SORT_KEYS[sort];
+  let results = entries
+    .filter((e) => passes(e, filters))
+    .sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+  const total = results.length;
+
+  if (cursor) {
+    const after = decodeCursor(cursor, sort);
+    results = results.filter((e) => compareKeys(keyOf(e), after) > 0);
+  }
+
+  const page = results.slice(0, limit);
+  const hasMore = results.length > limit;
+
+  return {
+    results: page.map(toResult),
+    facets,
+    total,
+    sort,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, keyOf(page[page.length - 1])) : null,
+    },
+  };
+};
+
+export default {
+  SORT_OPTIONS,
+  searchMarketplace,
+};
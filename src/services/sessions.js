@@ -0,0 +1,152 @@
+// src/services/sessions.js
+// Sesiones de refresh persistidas: cada login crea una Session y cada
+// renovación rota su jti. Si llega un refresh token con un jti ya rotado
+// (token robado o reutilizado) se revoca la sesión completa.
+
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/session.js';
+import User from '../models/user.js';
+import { logger } from '../config/index.js';
+import { generateToken, generateRefreshToken, verifyRefreshToken } from '../middleware/auth.js';
+import { AuthenticationError } from '../middleware/errorHandler.js';
+
+const hashJti = (jti) => crypto.createHash('sha256').update(String(jti)).digest('hex');
+
+const newJti = () => crypto.randomBytes(24).toString('hex');
+
+/** Nombre legible del dispositivo a partir del User-Agent (ej. "Chrome en Windows") */
+export const describeDevice = (userAgent = '') => {
+  const ua = String(userAgent);
+  if (!ua) return null;
+
+  const browser =
+    (/Edg\//.test(ua) && 'Edge') ||
+    (/OPR\//.test(ua) && 'Opera') ||
+    (/Firefox\//.test(ua) && 'Firefox') ||
+    (/Chrome\//.test(ua) && 'Chrome') ||
+    (/Safari\//.test(ua) && 'Safari') ||
+    null;
+  const os =
+    (/iPhone|iPad/.test(ua) && 'iOS') ||
+    (/Android/.test(ua) && 'Android') ||
+    (/Windows/.test(ua) && 'Windows') ||
+    (/Mac OS X/.test(ua) && 'macOS') ||
+    (/Linux/.test(ua) && 'Linux') ||
+    null;
+
+  if (browser && os) return `${browser} en ${os}`;
+  return browser || os || ua.slice(0, 100);
+};
+
+const requestInfo = (req) => {
+  const userAgent = String(req.get?.('user-agent') || '').slice(0, 500);
+  const device = String(req.body?.deviceName || '').trim().slice(0, 100) || describeDevice(userAgent);
+  return { userAgent, device, ip: req.ip };
+};
+
+const expiryOf = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Crea una sesión para un login/registro y emite sus tokens.
+ * @returns {Promise<{ token: string, refreshToken: string, session: Document }>}
+ */
+export const createSession = async (user, req) => {
+  const { userAgent, device, ip } = requestInfo(req);
+  const jti = newJti();
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(user, { sessionId, jti });
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    jtiHash: hashJti(jti),
+    device,
+    userAgent,
+    ip,
+    createdIp: ip,
+    expiresAt: expiryOf(refreshToken),
+  });
+
+  return { token: generateToken(user, { sessionId }), refreshToken, session };
+};
+
+/**
+ * Renueva los tokens de una sesión rotando su jti.
+ * Lanza AuthenticationError si el token no es válido, la sesión fue revocada
+ * o el jti ya se había usado (en ese caso revoca la sesión).
+ * @returns {Promise<{ user: Document, token: string, refreshToken: string }>}
+ */
+export const rotateSession = async (providedToken, req) => {
+  const payload = verifyRefreshToken(providedToken);
+  // Tokens emitidos antes de las sesiones persistidas: ya no se aceptan
+  if (!payload.sid || !payload.jti || !mongoose.isValidObjectId(payload.sid)) {
+    throw new AuthenticationError('Refresh token inválido');
+  }
+
+  const user = await User.findById(payload.id);
+  if (!user) throw new AuthenticationError('Refresh token inválido');
+  if (!user.isActive) throw new AuthenticationError('Cuenta desactivada');
+
+  const { userAgent, ip } = requestInfo(req);
+  const jti = newJti();
+  const refreshToken = generateRefreshToken(user, { sessionId: payload.sid, jti });
+
+  // Rotación atómica: solo gana quien presenta el jti vigente
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: payload.sid,
+      user: user._id,
+      jtiHash: hashJti(payload.jti),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: { jtiHash: hashJti(jti), lastUsedAt: new Date(), ip, userAgent, expiresAt: expiryOf(refreshToken) },
+      $inc: { rotations: 1 },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const revoked = await Session.revokeForUser(user._id, 'reuse_detected', { sessionId: payload.sid });
+    if (revoked) {
+      logger.warn('Reutilización de refresh token: sesión revocada', { userId: user._id, sessionId: payload.sid, ip });
+    }
+    throw new AuthenticationError('Refresh token inválido');
+  }
+
+  return { user, token: generateToken(user, { sessionId: session._id }), refreshToken };
+};
+
+/**
+ * Sesión a la que pertenece un refresh token, para poder cerrarla en logout
+ * aunque el access token no traiga `sid`. Un token vencido no importa: su sesión vence con él.
+ */
+export const getSessionIdFromRefreshToken = (token) => {
+  try {
+    const payload = verifyRefreshToken(token);
+    return mongoose.isValidObjectId(payload.sid) ? payload.sid : null;
+  } catch (_e) {
+    return null;
+  }
+};
+
+export const listSessions = (userId) => Session.findActiveByUser(userId);
+
+export const revokeSession = (userId, sessionId, reason = 'revoked') =>
+  Session.revokeForUser(userId, reason, { sessionId });
+
+export const revokeAllSessions = (userId, reason = 'logout_all', { except } = {}) =>
+  Session.revokeForUser(userId, reason, { except });
+
+export default {
+  describeDevice,
+  createSession,
+  rotateSession,
+  getSessionIdFromRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,336 @@
+// src/services/site/index.js
+// Sitio público del negocio renderizado en el servidor (GET /sites/:slug).
+// Junta negocio + template + servicios y arma un documento HTML completo con
+// las secciones en el orden de template.getOrderedSections().
+//
+// El customCSS del template se sanitiza y se limita al contenedor del negocio;
+// el customJS solo se emite con el nonce de la CSP de la respuesta (buildSiteCsp).
+//
+// La vista previa (GET /sites/:slug/preview) usa el mismo render con el
+// borrador del negocio aplicado (ver services/sitePublishing.js).
+
+import Business, { SITE_CONTENT_FIELDS } from '../../models/business.js';
+import Template from '../../models/template.js';
+import Service from '../../models/service.js';
+import { constants } from '../../config/index.js';
+import { escapeHtml } from '../email/layout.js';
+import { sanitizeCss } from '../../utils/cssSanitizer.js';
+import { validateCustomJs, allowedScriptSources } from '../../utils/customScript.js';
+import { findBusinessVersion, buildBusinessTemplate, ensureLatestVersion } from '../templateVersions.js';
+import { getEditableContent } from '../sitePublishing.js';
+import { SECTION_RENDERERS, LAYOUT_FLAGS } from './sections.js';
+
+const { BUSINESS_STATUS, VALIDATION_PATTERNS } = constants;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const color = (value, fallback) => (VALIDATION_PATTERNS.COLOR_HEX.test(String(value ?? '')) ? value : fallback);
+
+const truncate = (text, max) => {
+  const clean = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Datos
+───────────────────────────────────────────────────────────── */
+
+/**
+ * Template del sitio: la versión fijada del template del negocio con sus
+ * ajustes por sección; si no tiene, la última versión del template por defecto
+ * del sistema y, en último caso, los valores por defecto del schema.
+ */
+const resolveTemplate = async (business) => {
+  const current = await findBusinessVersion(business);
+  if (current) return buildBusinessTemplate(current.template, current.version, business);
+
+  const fallback = await Template.findOne({ isDefault: true, isActive: true });
+  if (!fallback) return new Template();
+  return buildBusinessTemplate(fallback, await ensureLatestVersion(fallback), business);
+};
+
+const loadSiteData = async (business) => {
+  const [template, services] = await Promise.all([
+    resolveTemplate(business),
+    Service.find({ business: business._id, isActive: true })
+      .select('name description duration pricing category')
+      .sort({ category: 1, name: 1 })
+      .lean(),
+  ]);
+
+  return { business, template, services };
+};
+
+/**
+ * Datos del sitio de un negocio publicado, o null si no existe / no está activo.
+ * El slug es único por dueño: si se repite se sirve el publicado más antiguo.
+ */
+export const loadSite = async (slug) => {
+  const business = await Business.findOne({ slug: String(slug).toLowerCase(), status: BUSINESS_STATUS.ACTIVE })
+    .sort({ publishedAt: 1, _id: 1 });
+  if (!business) return null;
+  return loadSiteData(business);
+};
+
+/**
+ * Datos de la vista previa: el negocio (publicado o no) con su borrador
+ * aplicado. null si no existe o si el slug no es el del negocio del enlace.
+ */
+export const loadSitePreview = async (businessId, slug) => {
+  const business = await Business.findById(businessId);
+  if (!business || business.slug !== String(slug).toLowerCase()) return null;
+
+  // Solo en memoria: el documento no se guarda
+  const content = getEditableContent(business);
+  SITE_CONTENT_FIELDS.forEach((field) => business.set(field, content[field]));
+  return loadSiteData(business);
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Render
+───────────────────────────────────────────────────────────── */
+
+/**
+ * Color elegido por el dueño en visualConfig; null si sigue en el valor por
+ * defecto del schema (en ese caso manda el template).
+ */
+const ownerColor = (business, key) => {
+  const value = business.visualConfig?.[key];
+  const defaultValue = Business.schema.path('visualConfig').schema.path(key)?.defaultValue;
+  return value && value !== defaultValue ? color(value, null) : null;
+};
+
+/** typography.fontSize es un número de px en el template */
+const fontSize = (value, fallback) => {
+  const px = Number(value);
+  return Number.isFinite(px) && px > 0 ? `${px}px` : fallback;
+};
+
+/** Colores y fuentes: los colores propios del negocio pisan los del template */
+const buildTheme = (business, template) => {
+  const colors = template.colors || {};
+  const typography = template.typography || {};
+  return {
+    primary: ownerColor(business, 'primaryColor') || color(colors.primary, '#3B82F6'),
+    secondary: ownerColor(business, 'secondaryColor') || color(colors.secondary, '#64748B'),
+    accent: ownerColor(business, 'accentColor') || color(colors.accent, '#10B981'),
+    background: color(colors.background, '#FFFFFF'),
+    text: color(colors.text, '#1F2937'),
+    font: typography.primaryFont || 'Inter, sans-serif',
+    headingFont: typography.headingFont || typography.primaryFont || 'Inter, sans-serif',
+    baseSize: fontSize(typography.fontSize?.base, '16px'),
+    headingSize: fontSize(typography.fontSize?.heading, '32px'),
+  };
+};
+
+const renderStyles = (theme) => `
+    :root {
+      --site-primary: ${theme.primary};
+      --site-secondary: ${theme.secondary};
+      --site-accent: ${theme.accent};
+      --site-background: ${theme.background};
+      --site-text: ${theme.text};
+    }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: ${escapeHtml(theme.font)}; font-size: ${escapeHtml(theme.baseSize)}; color: var(--site-text); background: var(--site-background); line-height: 1.6; }
+    h1, h2, h3 { font-family: ${escapeHtml(theme.headingFont)}; line-height: 1.2; }
+    h1 { font-size: ${escapeHtml(theme.headingSize)}; margin: 0.5em 0; }
+    a { color: var(--site-primary); }
+    img { max-width: 100%; }
+    .button { display: inline-block; padding: 12px 28px; border-radius: 6px; background: var(--site-primary); color: #fff; text-decoration: none; font-weight: 600; }
+    .site-header { padding: 64px 24px; background: var(--site-secondary) center / cover no-repeat; color: #fff; }
+    .site-header__inner { max-width: 960px; margin: 0 auto; }
+    .site-header--centered .site-header__inner { text-align: center; }
+    .site-header--minimal { padding: 32px 24px; }
+    .site-header__logo { max-height: 96px; border-radius: 8px; }
+    .site-section { max-width: 960px; margin: 0 auto; padding: 48px 24px; }
+    .site-section h2 { color: var(--site-primary); }
+    .site-services__list { list-style: none; padding: 0; display: grid; gap: 16px; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); }
+    .site-services--list .site-services__list { grid-template-columns: 1fr; }
+    .site-card { padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; }
+    .site-card h3 { margin-top: 0; }
+    .site-card__meta { display: flex; justify-content: space-between; color: var(--site-secondary); }
+    .site-card__meta strong { color: var(--site-accent); }
+    .site-gallery__grid { display: grid; gap: 12px; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); }
+    .site-gallery figure { margin: 0; }
+    .site-gallery img { width: 100%; height: 220px; object-fit: cover; border-radius: 6px; }
+    .site-gallery figcaption { font-size: 0.875em; color: var(--site-secondary); }
+    .site-contact__grid { display: grid; gap: 24px; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); }
+    .site-hours { border-collapse: collapse; width: 100%; }
+    .site-hours th, .site-hours td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+    .site-rating { color: var(--site-accent); font-weight: 600; }
+    .site-footer { padding: 24px; text-align: center; font-size: 0.875em; color: var(--site-secondary); }`;
+
+/**
+ * Content-Security-Policy del sitio: solo se ejecutan scripts con `nonce` o de
+ * los hosts permitidos, y solo se puede conectar a esos mismos hosts.
+ */
+export const buildSiteCsp = (nonce) => {
+  const hosts = allowedScriptSources().join(' ');
+  return [
+    "default-src 'self'",
+    `script-src 'nonce-${nonce}' ${hosts}`,
+    `connect-src 'self' ${hosts}`,
+    "style-src 'self' 'unsafe-inline' https:",
+    "img-src 'self' data: https:",
+    "font-src 'self' data: https:",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'self'",
+  ].join('; ');
+};
+
+const containerId = (business) => `site-${business._id}`;
+
+/** customCSS del template limitado al contenedor; lo no permitido se descarta */
+const renderCustomCss = (business, template) => {
+  if (!template.customCSS) return '';
+  const { css } = sanitizeCss(template.customCSS, { scope: `#${containerId(business)}` });
+  return css ? `\n    <style id="site-custom-css">\n${css}\n    </style>` : '';
+};
+
+/**
+ * customJS del template. Se omite sin nonce o si no pasa la validación
+ * (templates guardados antes de que existiera).
+ */
+const renderCustomScript = (template, nonce) => {
+  if (!template.customJS || !nonce || validateCustomJs(template.customJS).length) return '';
+  return `\n    <script nonce="${escapeHtml(nonce)}">\n${template.customJS}\n    </script>`;
+};
+
+/** Meta tags (SEO + Open Graph + Twitter) y JSON-LD del negocio */
+const renderHead = ({ business, template, services }, { theme, urls, preview }) => {
+  const seo = template.seoDefaults || {};
+  const title = truncate(
+    seo.metaTitle ? `${business.name} | ${seo.metaTitle}` : `${business.name}${business.location?.city ? ` · ${business.location.city}` : ''}`,
+    70
+  );
+  const description = truncate(
+    business.description || seo.metaDescription || `${business.name}: reserva tu cita en línea.`,
+    160
+  );
+  const image = [business.coverImage?.url, business.logo?.url].find((u) => /^https?:\/\//i.test(String(u ?? '')));
+  const keywords = [...new Set([...(business.tags || []), ...(seo.keywords || [])])];
+  const { location = {} } = business;
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'LocalBusiness',
+    name: business.name,
+    description: description || undefined,
+    url: urls.canonical,
+    image: image || undefined,
+    telephone: business.phone || undefined,
+    email: business.email || undefined,
+    address: location.address || location.city ? {
+      '@type': 'PostalAddress',
+      streetAddress: location.address || undefined,
+      addressLocality: location.city || undefined,
+      addressRegion: location.province || undefined,
+      postalCode: location.postalCode || undefined,
+      addressCountry: location.country || 'CR',
+    } : undefined,
+    geo: Number.isFinite(location.coordinates?.lat) && Number.isFinite(location.coordinates?.lng)
+      ? { '@type': 'GeoCoordinates', latitude: location.coordinates.lat, longitude: location.coordinates.lng }
+      : undefined,
+    aggregateRating: business.stats?.reviewCount
+      ? { '@type': 'AggregateRating', ratingValue: business.stats.rating, reviewCount: business.stats.reviewCount }
+      : undefined,
+    makesOffer: services.length
+      ? services.slice(0, 20).map((s) => ({
+        '@type': 'Offer',
+        itemOffered: { '@type': 'Service', name: s.name },
+        price: s.pricing?.basePrice,
+        priceCurrency: s.pricing?.currency,
+      }))
+      : undefined,
+  };
+
+  const meta = [
+    ['name', 'description', description],
+    ['name', 'keywords', keywords.join(', ')],
+    ['name', 'theme-color', theme.primary],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', urls.canonical],
+    ['property', 'og:image', image],
+    ['property', 'og:locale', business.settings?.language === 'en' ? 'en_US' : 'es_CR'],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+  ].filter(([, , content]) => content);
+
+  return `
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">${preview ? `
+    <meta name="robots" content="noindex, nofollow">` : ''}
+    <title>${escapeHtml(title)}</title>
+    ${meta.map(([attr, key, content]) => `<meta ${attr}="${key}" content="${escapeHtml(content)}">`).join('\n    ')}
+    <link rel="canonical" href="${escapeHtml(urls.canonical)}">
+    ${/^https?:\/\//i.test(String(business.logo?.url ?? '')) ? `<link rel="icon" href="${escapeHtml(business.logo.url)}">` : ''}
+    <script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>
+    <style>${renderStyles(theme)}
+    </style>${renderCustomCss(business, template)}`;
+};
+
+/**
+ * Documento HTML completo del sitio.
+ * @param {{ business: object, template: object, services: object[] }} site  Resultado de loadSite
+ * @param {{ nonce?: string, preview?: boolean }} [options]  Nonce de la CSP de la
+ *   respuesta (habilita customJS); `preview` marca la página como borrador (noindex)
+ */
+export const renderSite = (site, { nonce, preview = false } = {}) => {
+  const { business, template } = site;
+  const theme = buildTheme(business, template);
+  const layout = template.layout || {};
+  const urls = {
+    canonical: business.siteUrl,
+    booking: `${FRONTEND_URL}/reservar/${business.slug}`,
+  };
+  const context = { ...site, layout, theme, urls, hours: business.getFormattedHours() };
+
+  const body = template.getOrderedSections()
+    .filter((section) => section.isVisible !== false)
+    .filter((section) => !LAYOUT_FLAGS[section.type] || layout[LAYOUT_FLAGS[section.type]] !== false)
+    .map((section) => SECTION_RENDERERS[section.type]?.(section, context) || '')
+    .join('');
+
+  const lang = business.settings?.language === 'en' ? 'en' : 'es';
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+  <head>${renderHead(site, { theme, urls, preview })}
+  </head>
+  <body class="site site--${escapeHtml(layout.layout || 'single-page')}">${preview ? `
+    <div class="site-preview-banner" role="status" style="position: sticky; top: 0; z-index: 1000; padding: 8px 16px; background: #FEF3C7; color: #92400E; font: 14px/1.4 Arial, sans-serif; text-align: center;">
+      Vista previa: estos cambios todavía no están publicados
+    </div>` : ''}
+    <div id="${escapeHtml(containerId(business))}" class="site-root">
+      <main>${body}
+      </main>
+      <footer class="site-footer">© ${new Date().getFullYear()} ${escapeHtml(business.name)}</footer>
+    </div>${renderCustomScript(template, nonce)}
+  </body>
+</html>`;
+};
+
+/** Página 404 para slugs inexistentes o negocios no publicados */
+export const renderNotFound = () => `<!DOCTYPE html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>Sitio no encontrado</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; text-align: center; padding: 64px 24px; color: #333;">
+    <h1>Sitio no encontrado</h1>
+    <p>Este negocio no existe o todavía no está publicado.</p>
+    <p><a href="${escapeHtml(FRONTEND_URL)}">Volver al inicio</a></p>
+  </body>
+</html>`;
+
+export default { loadSite, loadSitePreview, renderSite, renderNotFound, buildSiteCsp };
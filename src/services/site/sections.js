@@ -0,0 +1,165 @@
+// src/services/site/sections.js
+// Render de cada tipo de sección del template (Template.sections[].type).
+// Todo el texto del negocio se escapa; los enlaces e imágenes solo admiten http(s).
+
+import { escapeHtml } from '../email/layout.js';
+
+const safeUrl = (url) => (/^https?:\/\//i.test(String(url ?? '')) ? escapeHtml(url) : null);
+
+const formatPrice = (amount, currency = 'CRC') => {
+  try {
+    return new Intl.NumberFormat('es-CR', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch (_e) {
+    return `${currency} ${amount}`;
+  }
+};
+
+const sectionTitle = (section, fallback) => escapeHtml(section.config?.title || section.name || fallback);
+
+/* ─────────────────────────────────────────────────────────────
+   Secciones
+───────────────────────────────────────────────────────────── */
+
+const header = (section, { business, layout, urls }) => {
+  const logo = layout.showLogo && section.config?.showLogo !== false ? safeUrl(business.logo?.url) : null;
+  const cover = layout.showCover ? safeUrl(business.coverImage?.url) : null;
+  const style = section.config?.style || layout.headerStyle || 'centered';
+
+  return `
+    <header class="site-header site-header--${escapeHtml(style)}"${cover ? ` style="background-image: url('${cover}')"` : ''}>
+      <div class="site-header__inner">
+        ${logo ? `<img class="site-header__logo" src="${logo}" alt="${escapeHtml(business.name)}">` : ''}
+        <h1>${escapeHtml(business.name)}</h1>
+        ${business.categoryName ? `<p class="site-header__tagline">${escapeHtml(business.categoryName)}${business.location?.city ? ` · ${escapeHtml(business.location.city)}` : ''}</p>` : ''}
+        ${layout.showReservationButton && business.settings?.allowOnlineBooking !== false
+          ? `<a class="button" href="${escapeHtml(urls.booking)}">Reservar</a>`
+          : ''}
+      </div>
+    </header>`;
+};
+
+const services = (section, { business, services: list }) => {
+  if (!list.length) return '';
+  const config = section.config || {};
+  const showPrices = config.showPrices !== false && business.settings?.showPrices !== false;
+  const showDuration = config.showDuration !== false;
+
+  return `
+    <section id="${escapeHtml(section.id)}" class="site-section site-services site-services--${escapeHtml(config.displayStyle || 'grid')}">
+      <h2>${sectionTitle(section, 'Servicios')}</h2>
+      <ul class="site-services__list">
+        ${list.map((s) => `
+        <li class="site-card">
+          <h3>${escapeHtml(s.name)}</h3>
+          ${s.description ? `<p>${escapeHtml(s.description)}</p>` : ''}
+          <p class="site-card__meta">
+            ${showDuration && s.duration ? `<span>${escapeHtml(s.duration)} min</span>` : ''}
+            ${showPrices && s.pricing?.basePrice !== undefined ? `<strong>${escapeHtml(formatPrice(s.pricing.basePrice, s.pricing.currency))}</strong>` : ''}
+          </p>
+        </li>`).join('')}
+      </ul>
+    </section>`;
+};
+
+const gallery = (section, { business }) => {
+  const max = Number(section.config?.maxImages) || 9;
+  const images = (business.gallery || [])
+    .map((img) => ({ url: safeUrl(img.url), caption: img.caption }))
+    .filter((img) => img.url)
+    .slice(0, max);
+  if (!images.length) return '';
+
+  return `
+    <section id="${escapeHtml(section.id)}" class="site-section site-gallery site-gallery--${escapeHtml(section.config?.displayStyle || 'grid')}">
+      <h2>${sectionTitle(section, 'Galería')}</h2>
+      <div class="site-gallery__grid">
+        ${images.map((img) => `
+        <figure>
+          <img src="${img.url}" alt="${escapeHtml(img.caption || business.name)}" loading="lazy">
+          ${img.caption ? `<figcaption>${escapeHtml(img.caption)}</figcaption>` : ''}
+        </figure>`).join('')}
+      </div>
+    </section>`;
+};
+
+const about = (section, { business }) => {
+  const text = section.config?.text || business.description;
+  if (!text) return '';
+  const rating = business.stats?.reviewCount
+    ? `<p class="site-rating">★ ${escapeHtml(business.stats.rating.toFixed(1))} · ${escapeHtml(business.stats.reviewCount)} reseñas</p>`
+    : '';
+
+  return `
+    <section id="${escapeHtml(section.id)}" class="site-section site-about">
+      <h2>${sectionTitle(section, 'Sobre nosotros')}</h2>
+      ${String(text).split(/\n{2,}/).map((p) => `<p>${escapeHtml(p)}</p>`).join('')}
+      ${rating}
+    </section>`;
+};
+
+const SOCIAL_LABELS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  tiktok: 'TikTok',
+  twitter: 'X',
+  website: 'Sitio web',
+};
+
+const contact = (section, { business, layout, hours }) => {
+  const config = section.config || {};
+  const { location = {}, socialMedia = {} } = business;
+  const address = [location.address, location.city, location.province].filter(Boolean).join(', ');
+  const { lat, lng } = location.coordinates || {};
+
+  const social = layout.showSocialMedia && config.showSocialMedia !== false
+    ? Object.entries(SOCIAL_LABELS)
+      .map(([key, label]) => ({ label, url: safeUrl(socialMedia[key]) }))
+      .filter((s) => s.url)
+    : [];
+  const whatsapp = layout.showSocialMedia && socialMedia.whatsapp
+    ? String(socialMedia.whatsapp).replace(/\D/g, '')
+    : '';
+
+  return `
+    <section id="${escapeHtml(section.id)}" class="site-section site-contact">
+      <h2>${sectionTitle(section, 'Contacto')}</h2>
+      <div class="site-contact__grid">
+        <div>
+          ${address ? `<p>${escapeHtml(address)}</p>` : ''}
+          ${business.phone ? `<p><a href="tel:${escapeHtml(business.phone)}">${escapeHtml(business.phone)}</a></p>` : ''}
+          ${business.email ? `<p><a href="mailto:${escapeHtml(business.email)}">${escapeHtml(business.email)}</a></p>` : ''}
+          ${whatsapp ? `<p><a href="https://wa.me/${whatsapp}" rel="noopener">WhatsApp</a></p>` : ''}
+          ${config.showMap && Number.isFinite(lat) && Number.isFinite(lng)
+            ? `<p><a href="https://www.google.com/maps/search/?api=1&amp;query=${lat},${lng}" rel="noopener">Ver en el mapa</a></p>`
+            : ''}
+          ${social.length ? `<p class="site-social">${social.map((s) => `<a href="${s.url}" rel="noopener">${escapeHtml(s.label)}</a>`).join(' · ')}</p>` : ''}
+        </div>
+        ${config.showHours !== false ? `
+        <table class="site-hours">
+          ${Object.values(hours).map((d) => `<tr><th>${escapeHtml(d.day)}</th><td>${escapeHtml(d.hours)}</td></tr>`).join('')}
+        </table>` : ''}
+      </div>
+    </section>`;
+};
+
+// Texto libre del dueño (sin HTML)
+const custom = (section) => {
+  const text = section.config?.text;
+  if (!text && !section.config?.title) return '';
+  return `
+    <section id="${escapeHtml(section.id)}" class="site-section site-custom">
+      <h2>${sectionTitle(section, '')}</h2>
+      ${text ? String(text).split(/\n{2,}/).map((p) => `<p>${escapeHtml(p)}</p>`).join('') : ''}
+    </section>`;
+};
+
+export const SECTION_RENDERERS = { header, services, gallery, about, contact, custom };
+
+// Secciones que se pueden apagar desde template.layout
+export const LAYOUT_FLAGS = {
+  services: 'showServices',
+  gallery: 'showGallery',
+  contact: 'showContact',
+};
+
+export default { SECTION_RENDERERS, LAYOUT_FLAGS };
@@ -0,0 +1,203 @@
+// src/services/sitePublishing.js
+// Borrador y publicación del sitio del negocio.
+//
+// - Las ediciones de SITE_CONTENT_FIELDS (descripción, visualConfig, redes,
+//   logo, portada, galería y el template con su versión y ajustes) se guardan
+//   en Business.draft; el sitio público sigue mostrando los campos del
+//   documento hasta publicar.
+// - publishDraft promueve el borrador en un solo save con control de versión
+//   del documento (un cambio concurrente responde 409) y registra el contenido
+//   publicado en BusinessPublication.
+// - revertToPublication vuelve a poner en línea un snapshot anterior como una
+//   publicación nueva; el borrador pendiente no se toca.
+
+import mongoose from 'mongoose';
+import { SITE_CONTENT_FIELDS } from '../models/business.js';
+import BusinessPublication from '../models/businessPublication.js';
+import { ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+import { deleteFromCloudinary } from '../config/storage/cloudinary.js';
+
+const { BUSINESS_STATUS } = constants;
+
+const CONCURRENT_CHANGE = 'El negocio cambió mientras se publicaba, vuelve a intentarlo';
+
+/** SITE_CONTENT_FIELDS de un negocio o de su borrador, como objeto plano */
+export const pickSiteContent = (source) => {
+  const data = source?.toObject ? source.toObject({ depopulate: true, versionKey: false, virtuals: false }) : source || {};
+  const content = {};
+  SITE_CONTENT_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) content[field] = data[field];
+  });
+  return JSON.parse(JSON.stringify(content));
+};
+
+/** Lo que ve el editor: el borrador o, si no hay, lo publicado */
+export const getEditableContent = (business) => pickSiteContent(business.draft || business);
+
+/** Borrador del negocio; si no existe se crea a partir de lo publicado */
+export const ensureDraft = (business) => {
+  if (!business.draft) business.draft = { ...pickSiteContent(business), revision: 0 };
+  return business.draft;
+};
+
+/**
+ * Registra una edición del borrador; llamar antes de business.save().
+ * Incrementa la versión del documento para que un publish que leyó el
+ * borrador anterior falle en lugar de publicar algo que nadie revisó.
+ */
+export const touchDraft = (business, userId) => {
+  business.draft.revision += 1;
+  business.draft.updatedAt = new Date();
+  business.draft.updatedBy = userId;
+  business.increment();
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Imágenes
+───────────────────────────────────────────────────────────── */
+
+const imageFilenames = (content = {}) =>
+  [content.logo?.filename, content.coverImage?.filename, ...(content.gallery || []).map((img) => img?.filename)]
+    .filter(Boolean);
+
+/**
+ * Borra de Cloudinary las imágenes que ya no usan el sitio publicado, el
+ * borrador ni ninguna publicación del historial (se puede revertir a ellas).
+ * Llamar después de guardar el negocio.
+ */
+export const releaseImages = async (business, filenames) => {
+  const inUse = new Set([...imageFilenames(business), ...imageFilenames(business.draft || {})]);
+  const candidates = [...new Set(filenames.filter((filename) => filename && !inUse.has(filename)))];
+  if (!candidates.length) return;
+
+  const published = await BusinessPublication.find({
+    business: business._id,
+    $or: [
+      { 'snapshot.logo.filename': { $in: candidates } },
+      { 'snapshot.coverImage.filename': { $in: candidates } },
+      { 'snapshot.gallery.filename': { $in: candidates } },
+    ],
+  }).select('snapshot').lean();
+  published.forEach(({ snapshot }) => imageFilenames(snapshot).forEach((filename) => inUse.add(filename)));
+
+  await Promise.allSettled(
+    candidates.filter((filename) => !inUse.has(filename)).map((filename) => deleteFromCloudinary(filename))
+  );
+};
+
+/** Descarta el borrador y las imágenes que solo se usaban en él */
+export const discardDraft = async (business) => {
+  if (!business.draft) throw new ConflictError('No hay cambios sin publicar');
+  const draftImages = imageFilenames(business.draft);
+  business.draft = undefined;
+  business.increment();
+  await business.save();
+  await releaseImages(business, draftImages);
+  return business;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Publicación
+───────────────────────────────────────────────────────────── */
+
+/**
+ * Pone `content` en línea y lo registra como la siguiente publicación. Si el
+ * save falla se borra el registro para que el historial refleje lo publicado.
+ */
+const promote = async (business, content, userId, { revertedFrom } = {}) => {
+  const last = await BusinessPublication.findOne({ business: business._id }).sort({ version: -1 }).select('version').lean();
+  const version = (last?.version || 0) + 1;
+
+  let publication;
+  try {
+    publication = await BusinessPublication.create({
+      business: business._id,
+      version,
+      snapshot: content,
+      revertedFrom,
+      publishedBy: userId,
+    });
+  } catch (err) {
+    if (err?.code === 11000) throw new ConflictError(CONCURRENT_CHANGE);
+    throw err;
+  }
+
+  SITE_CONTENT_FIELDS.forEach((field) => business.set(field, content[field]));
+  business.publishedVersion = version;
+  business.increment();
+
+  try {
+    await business.save();
+  } catch (err) {
+    await BusinessPublication.deleteOne({ _id: publication._id }).catch(() => {});
+    if (err instanceof mongoose.Error.VersionError) throw new ConflictError(CONCURRENT_CHANGE);
+    throw err;
+  }
+
+  logger.info('Sitio publicado', { businessId: business._id, version, revertedFrom, userId });
+  return publication;
+};
+
+/**
+ * Publica el borrador (o, sin borrador, el contenido actual) y activa el sitio.
+ * @param {object} business  Documento Business
+ * @param {{ revision?: number }} [options]  Revisión del borrador que se
+ *   revisó en la vista previa; si el borrador cambió desde entonces → 409
+ * @returns {Promise<object|null>} La publicación creada, o null si solo se
+ *   reactivó un sitio sin cambios
+ */
+export const publishDraft = async (business, { revision } = {}, userId) => {
+  const { draft } = business;
+  if (draft && revision !== undefined && Number(revision) !== draft.revision) {
+    throw new ConflictError('El borrador cambió desde la vista previa, revísalo antes de publicar');
+  }
+
+  if (!draft && business.publishedVersion) {
+    if (business.status === BUSINESS_STATUS.ACTIVE) throw new ConflictError('No hay cambios sin publicar');
+    business.status = BUSINESS_STATUS.ACTIVE;
+    await business.save();
+    return null;
+  }
+
+  const content = pickSiteContent(draft || business);
+  business.draft = undefined;
+  business.status = BUSINESS_STATUS.ACTIVE;
+  return promote(business, content, userId);
+};
+
+/** Historial de publicaciones, la más reciente primero (sin snapshots) */
+export const listPublications = (businessId) =>
+  BusinessPublication.find({ business: businessId })
+    .select('-snapshot')
+    .populate('publishedBy', 'fullName')
+    .sort({ version: -1 })
+    .lean();
+
+export const getPublication = async (businessId, version) => {
+  const publication = await BusinessPublication.findOne({ business: businessId, version: Number(version) }).lean();
+  if (!publication) throw new NotFoundError(`La publicación ${version} no existe para este negocio`);
+  return publication;
+};
+
+/** Vuelve a publicar el contenido de una publicación anterior */
+export const revertToPublication = async (business, version, userId) => {
+  const target = await getPublication(business._id, version);
+  if (target.version === business.publishedVersion) {
+    throw new ConflictError(`La publicación ${target.version} ya está en línea`);
+  }
+  return promote(business, target.snapshot, userId, { revertedFrom: target.version });
+};
+
+export default {
+  pickSiteContent,
+  getEditableContent,
+  ensureDraft,
+  touchDraft,
+  releaseImages,
+  discardDraft,
+  publishDraft,
+  listPublications,
+  getPublication,
+  revertToPublication,
+};
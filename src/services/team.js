@@ -0,0 +1,280 @@
+// src/services/team.js
+// Acceso a negocios: dueño (Business.owner), miembros del equipo
+// (BusinessMember) con permisos por rol, y admins. Incluye las invitaciones
+// por email con token de aceptación.
+
+import mongoose from 'mongoose';
+import Business from '../models/business.js';
+import BusinessMember, { MEMBER_ROLES } from '../models/businessMember.js';
+import User from '../models/user.js';
+import {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+  AuthorizationError,
+} from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+import { sendNotification } from './notifications/index.js';
+import { renderEmail, getBusinessBranding } from './email/index.js';
+
+const {
+  USER_ROLES,
+  BUSINESS_MEMBER_ROLES,
+  BUSINESS_MEMBER_STATUS,
+  BUSINESS_ROLE_PERMISSIONS,
+  APP_LIMITS,
+  TIME_CONFIG,
+  VALIDATION_PATTERNS,
+  NOTIFICATION_CHANNELS,
+} = constants;
+
+export const getRolePermissions = (role) => BUSINESS_ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Acceso de un usuario a un negocio.
+ * @param {{ id: string, role: string }} user  req.user
+ * @param {string} businessId
+ * @param {{ select?: string }} [options]      Campos del negocio a cargar
+ * @returns {Promise<{ business: Document, role: string|null, permissions: string[] }|null>}
+ *   null si el negocio no existe; role null si el usuario no tiene acceso
+ */
+export const getBusinessAccess = async (user, businessId, { select = 'owner' } = {}) => {
+  if (!mongoose.isValidObjectId(businessId)) return null;
+  const fields = select.split(/\s+/).includes('owner') ? select : `${select} owner`;
+  const business = await Business.findById(businessId).select(fields);
+  if (!business) return null;
+
+  if (!user?.id) return { business, role: null, permissions: [] };
+
+  // Los admins tienen los mismos permisos que el dueño
+  if (user.role === USER_ROLES.ADMIN) {
+    return { business, role: USER_ROLES.ADMIN, permissions: getRolePermissions(BUSINESS_MEMBER_ROLES.OWNER) };
+  }
+  if (String(business.owner) === String(user.id)) {
+    return { business, role: BUSINESS_MEMBER_ROLES.OWNER, permissions: getRolePermissions(BUSINESS_MEMBER_ROLES.OWNER) };
+  }
+
+  const member = await BusinessMember.findActive(business._id, user.id).select('role').lean();
+  if (!member) return { business, role: null, permissions: [] };
+  return { business, role: member.role, permissions: getRolePermissions(member.role) };
+};
+
+/** ¿El usuario tiene el permiso en el negocio? */
+export const canAccessBusiness = async (user, businessId, permission) => {
+  const access = await getBusinessAccess(user, businessId);
+  return !!access?.role && (!permission || access.permissions.includes(permission));
+};
+
+/**
+ * Negocios del usuario con un permiso: los suyos y los de sus equipos.
+ * @returns {Promise<ObjectId[]>}
+ */
+export const listAccessibleBusinessIds = async (user, permission) => {
+  const rolesWithPermission = MEMBER_ROLES.filter((role) => !permission || getRolePermissions(role).includes(permission));
+
+  const [owned, memberships] = await Promise.all([
+    Business.find({ owner: user.id }).distinct('_id'),
+    rolesWithPermission.length
+      ? BusinessMember.find({ user: user.id, status: BUSINESS_MEMBER_STATUS.ACTIVE, role: { $in: rolesWithPermission } }).distinct('business')
+      : [],
+  ]);
+  return [...owned, ...memberships];
+};
+
+/** Membresías activas del usuario: { [businessId]: role } */
+export const getMembershipRoles = async (userId) => {
+  const memberships = await BusinessMember.find({ user: userId, status: BUSINESS_MEMBER_STATUS.ACTIVE })
+    .select('business role')
+    .lean();
+  return Object.fromEntries(memberships.map((m) => [String(m.business), m.role]));
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Invitaciones
+───────────────────────────────────────────────────────────── */
+
+const assertMemberRole = (role) => {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ValidationError(`Rol inválido. Use uno de: ${MEMBER_ROLES.join(', ')}`);
+  }
+};
+
+const sendInvitationEmail = async (member, business, inviter, token) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return sendNotification(NOTIFICATION_CHANNELS.EMAIL, {
+    to: member.email,
+    ...renderEmail('teamInvitation', {
+      businessName: business.name,
+      inviterName: inviter?.fullName || null,
+      role: member.role,
+      acceptUrl: `${baseUrl}/team/accept?token=${token}`,
+      expiresHours: TIME_CONFIG.TEAM_INVITATION.TOKEN_TTL_HOURS,
+    }, { lang: business.settings?.language, brand: getBusinessBranding(business) }),
+  });
+};
+
+/**
+ * Invita a un email al equipo del negocio. Si ya había una invitación
+ * pendiente se renueva (nuevo token y rol) y se reenvía.
+ * @returns {Promise<Document>} BusinessMember pendiente
+ */
+export const inviteMember = async (businessId, { email, role }, inviter) => {
+  assertMemberRole(role);
+  if (!email || !VALIDATION_PATTERNS.EMAIL.test(String(email))) {
+    throw new ValidationError('Formato de email inválido');
+  }
+  const normalizedEmail = String(email).toLowerCase().trim();
+
+  const business = await Business.findById(businessId).select('name owner logo visualConfig settings.language');
+  if (!business) throw new NotFoundError('Negocio no encontrado');
+
+  const owner = await User.findById(business.owner).select('email').lean();
+  if (owner?.email === normalizedEmail) throw new ValidationError('El dueño ya tiene acceso al negocio');
+
+  let member = await BusinessMember.findOne({
+    business: business._id,
+    email: normalizedEmail,
+    status: { $in: [BUSINESS_MEMBER_STATUS.PENDING, BUSINESS_MEMBER_STATUS.ACTIVE] },
+  });
+  if (member?.status === BUSINESS_MEMBER_STATUS.ACTIVE) {
+    throw new ConflictError('Esa persona ya es parte del equipo');
+  }
+
+  if (!member) {
+    const count = await BusinessMember.countDocuments({
+      business: business._id,
+      status: { $in: [BUSINESS_MEMBER_STATUS.PENDING, BUSINESS_MEMBER_STATUS.ACTIVE] },
+    });
+    if (count >= APP_LIMITS.MAX_TEAM_MEMBERS) {
+      throw new ValidationError(`Máximo ${APP_LIMITS.MAX_TEAM_MEMBERS} miembros por negocio`);
+    }
+    member = new BusinessMember({ business: business._id, email: normalizedEmail });
+  }
+
+  member.role = role;
+  member.invitedBy = inviter.id;
+  const token = member.generateInviteToken();
+
+  try {
+    await member.save();
+  } catch (e) {
+    if (e?.code === 11000) throw new ConflictError('Ya hay una invitación para ese email');
+    throw e;
+  }
+
+  const inviterUser = await User.findById(inviter.id).select('fullName').lean();
+  try {
+    await sendInvitationEmail(member, business, inviterUser, token);
+  } catch (e) {
+    logger.warn('No se pudo enviar la invitación al equipo', { memberId: member._id, error: e.message });
+  }
+
+  logger.info('Invitación al equipo enviada', { businessId: business._id, memberId: member._id, role, by: inviter.id });
+  return member;
+};
+
+/** Datos públicos de una invitación (para mostrarla antes de aceptarla) */
+export const getInvitation = async (token) => {
+  const member = await BusinessMember.findByInviteToken(token)
+    .select('+inviteExpiresAt')
+    .populate('business', 'name slug logo');
+  if (!member) throw new NotFoundError('Invitación inválida o expirada');
+
+  return {
+    email: member.email,
+    role: member.role,
+    business: { id: String(member.business._id), name: member.business.name, slug: member.business.slug, logo: member.business.logo?.url || null },
+    expiresAt: member.inviteExpiresAt,
+  };
+};
+
+/**
+ * Acepta una invitación con la cuenta del usuario autenticado.
+ * El email de la cuenta debe coincidir con el invitado.
+ * @returns {Promise<Document>} BusinessMember activo
+ */
+export const acceptInvitation = async (token, user) => {
+  if (!token) throw new ValidationError('Token requerido');
+
+  const member = await BusinessMember.findByInviteToken(token);
+  if (!member) throw new ValidationError('Invitación inválida o expirada');
+
+  const account = await User.findById(user.id).select('email').lean();
+  if (!account || account.email !== member.email) {
+    throw new AuthorizationError('La invitación es para otra cuenta. Inicia sesión con el email invitado');
+  }
+
+  const business = await Business.findById(member.business).select('owner').lean();
+  if (!business) throw new NotFoundError('Negocio no encontrado');
+  if (String(business.owner) === String(user.id)) throw new ValidationError('Ya eres el dueño de este negocio');
+
+  // Solo la primera aceptación gana
+  const accepted = await BusinessMember.findOneAndUpdate(
+    { _id: member._id, status: BUSINESS_MEMBER_STATUS.PENDING },
+    {
+      $set: { user: user.id, status: BUSINESS_MEMBER_STATUS.ACTIVE, acceptedAt: new Date() },
+      $unset: { inviteTokenHash: 1, inviteExpiresAt: 1 },
+    },
+    { new: true }
+  );
+  if (!accepted) throw new ValidationError('Invitación inválida o expirada');
+
+  logger.info('Invitación al equipo aceptada', { businessId: accepted.business, memberId: accepted._id, userId: user.id });
+  return accepted;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Gestión del equipo
+───────────────────────────────────────────────────────────── */
+
+export const listMembers = (businessId) =>
+  BusinessMember.find({
+    business: businessId,
+    status: { $in: [BUSINESS_MEMBER_STATUS.PENDING, BUSINESS_MEMBER_STATUS.ACTIVE] },
+  })
+    .populate('user', 'fullName email')
+    .sort({ createdAt: 1 });
+
+const findMember = async (businessId, memberId) => {
+  if (!mongoose.isValidObjectId(memberId)) throw new ValidationError('memberId inválido');
+  const member = await BusinessMember.findOne({
+    _id: memberId,
+    business: businessId,
+    status: { $in: [BUSINESS_MEMBER_STATUS.PENDING, BUSINESS_MEMBER_STATUS.ACTIVE] },
+  });
+  if (!member) throw new NotFoundError('Miembro no encontrado');
+  return member;
+};
+
+export const updateMemberRole = async (businessId, memberId, role) => {
+  assertMemberRole(role);
+  const member = await findMember(businessId, memberId);
+  member.role = role;
+  await member.save();
+  return member.populate('user', 'fullName email');
+};
+
+/** Quita a un miembro o cancela una invitación pendiente */
+export const removeMember = async (businessId, memberId) => {
+  const member = await findMember(businessId, memberId);
+  member.status = BUSINESS_MEMBER_STATUS.REVOKED;
+  member.revokedAt = new Date();
+  member.inviteTokenHash = undefined;
+  member.inviteExpiresAt = undefined;
+  await member.save();
+  return member;
+};
+
+export default {
+  getRolePermissions,
+  getBusinessAccess,
+  canAccessBusiness,
+  listAccessibleBusinessIds,
+  getMembershipRoles,
+  inviteMember,
+  getInvitation,
+  acceptInvitation,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+};
@@ -0,0 +1,262 @@
+// src/services/templateMarketplace.js
+// Marketplace de templates públicos: listado con filtros y orden por
+// popularidad o rating, reseñas de los dueños (una por dueño y template) y
+// métricas de uso para el autor.
+//
+// Template.usage.rating/reviewCount/ratingScore se recalculan completos con
+// cada cambio de reseñas (como services/reviews.js con los negocios).
+
+import mongoose from 'mongoose';
+import Template from '../models/template.js';
+import TemplateReview from '../models/templateReview.js';
+import Business from '../models/business.js';
+import User from '../models/user.js';
+import { ValidationError, ConflictError, NotFoundError, AuthorizationError } from '../middleware/errorHandler.js';
+import { constants, logger } from '../config/index.js';
+import { toAuthorName } from './reviews.js';
+import { canUseTemplate, isPlanExempt } from './entitlements.js';
+
+const { TEMPLATE_CATEGORIES, TEMPLATE_MARKETPLACE, BUSINESS_TYPES, BUSINESS_STATUS, APP_LIMITS } = constants;
+
+// aggregate() no castea los ids
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id?._id || id));
+
+const LIST_FIELDS = 'name description category businessType colors previewImage isPremium usage tags version createdAt';
+
+const SORT_OPTIONS = {
+  popular: { 'usage.timesUsed': -1, 'usage.ratingScore': -1, _id: 1 },
+  rating: { 'usage.ratingScore': -1, 'usage.reviewCount': -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+};
+
+const parseRating = (rating) => {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new ValidationError('rating debe ser un entero entre 1 y 5');
+  }
+  return value;
+};
+
+/** Rating ponderado: promedio con TEMPLATE_MARKETPLACE.RATING_PRIOR_COUNT reseñas neutras */
+export const weightedRating = (rating, count) => {
+  if (!count) return 0;
+  const { RATING_PRIOR_COUNT: priorCount, RATING_PRIOR_MEAN: priorMean } = TEMPLATE_MARKETPLACE;
+  return Math.round(((priorCount * priorMean + rating * count) / (priorCount + count)) * 100) / 100;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Listado
+───────────────────────────────────────────────────────────── */
+
+/**
+ * Templates públicos y activos.
+ * @param {{ category?, businessType?, premium?, search?, sort?, page?, limit? }} query
+ * @param {{ business?: object }} [options]  Con `business` cada template
+ *   indica si su plan lo incluye (`locked`)
+ */
+export const browseTemplates = async (query = {}, { business } = {}) => {
+  const { category, businessType, premium, search, sort = 'popular' } = query;
+
+  if (category && !Object.values(TEMPLATE_CATEGORIES).includes(category)) {
+    throw new ValidationError(`Categoría inválida. Debe ser una de: ${Object.values(TEMPLATE_CATEGORIES).join(', ')}`);
+  }
+  if (businessType && !Object.values(BUSINESS_TYPES).includes(businessType)) {
+    throw new ValidationError(`Tipo de negocio inválido. Debe ser uno de: ${Object.values(BUSINESS_TYPES).join(', ')}`);
+  }
+  if (!TEMPLATE_MARKETPLACE.SORTS.includes(sort)) {
+    throw new ValidationError(`Orden inválido. Use uno de: ${TEMPLATE_MARKETPLACE.SORTS.join(', ')}`);
+  }
+
+  const page = Math.max(1, parseInt(query.page ?? 1, 10) || 1);
+  const limit = Math.min(
+    TEMPLATE_MARKETPLACE.MAX_LIMIT,
+    Math.max(1, parseInt(query.limit ?? TEMPLATE_MARKETPLACE.DEFAULT_LIMIT, 10) || TEMPLATE_MARKETPLACE.DEFAULT_LIMIT)
+  );
+
+  const filters = { isPublic: true, isActive: true };
+  if (category) filters.category = category;
+  // Los templates sin tipo de negocio sirven para cualquiera
+  if (businessType) filters.businessType = { $in: [businessType, null] };
+  if (premium === 'true' || premium === true) filters.isPremium = true;
+  if (premium === 'false' || premium === false) filters.isPremium = { $ne: true };
+  if (search) filters.$text = { $search: String(search) };
+
+  const [templates, total] = await Promise.all([
+    Template.find(filters)
+      // owner/duplicatedFrom solo para calcular `locked`; no se devuelven
+      .select(business ? `${LIST_FIELDS} owner duplicatedFrom` : LIST_FIELDS)
+      .sort(SORT_OPTIONS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Template.countDocuments(filters),
+  ]);
+
+  return {
+    templates: business
+      ? templates.map(({ owner, duplicatedFrom, ...template }) => ({
+        ...template,
+        locked: !isPlanExempt({ owner, duplicatedFrom }, { userId: business.owner })
+          && !canUseTemplate(business, template),
+      }))
+      : templates,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Reseñas
+───────────────────────────────────────────────────────────── */
+
+/** Template público y activo que se puede reseñar */
+export const findReviewableTemplate = async (templateId) => {
+  if (!mongoose.isValidObjectId(templateId)) throw new ValidationError('templateId inválido');
+  const template = await Template.findOne({ _id: templateId, isPublic: true, isActive: true });
+  if (!template) throw new NotFoundError('Template no encontrado');
+  return template;
+};
+
+/** Recalcula usage.rating, usage.reviewCount y usage.ratingScore del template */
+export const refreshTemplateRating = async (templateId) => {
+  const { rating, count } = await TemplateReview.computeRating(toObjectId(templateId));
+  await Template.updateOne(
+    { _id: templateId },
+    { $set: { 'usage.rating': rating, 'usage.reviewCount': count, 'usage.ratingScore': weightedRating(rating, count) } }
+  );
+  return { rating, count };
+};
+
+/**
+ * Crea o actualiza la reseña del dueño (una por dueño y template).
+ * @returns {Promise<{ review: Document, created: boolean }>}
+ */
+export const upsertTemplateReview = async (template, userId, { rating, comment } = {}) => {
+  const value = parseRating(rating);
+  const text = comment === undefined || comment === null ? undefined : String(comment).trim();
+  if (text && text.length > APP_LIMITS.MAX_TEMPLATE_REVIEW_COMMENT_LENGTH) {
+    throw new ValidationError(`La reseña no puede exceder ${APP_LIMITS.MAX_TEMPLATE_REVIEW_COMMENT_LENGTH} caracteres`);
+  }
+  if (String(template.owner) === String(userId)) {
+    throw new AuthorizationError('No puedes reseñar tu propio template');
+  }
+
+  const [user, usesTemplate] = await Promise.all([
+    User.findById(userId).select('fullName').lean(),
+    Business.exists({ owner: userId, templateId: template._id }),
+  ]);
+
+  let review = await TemplateReview.findOne({ template: template._id, owner: userId });
+  const created = !review;
+  if (created) {
+    review = new TemplateReview({ template: template._id, owner: userId });
+  }
+  review.authorName = toAuthorName(user?.fullName);
+  review.rating = value;
+  if (text !== undefined) review.comment = text || undefined;
+  review.isVerified = !!usesTemplate;
+
+  try {
+    await review.save();
+  } catch (e) {
+    // Dos envíos simultáneos del mismo dueño
+    if (e?.code === 11000) throw new ConflictError('Ya reseñaste este template');
+    throw e;
+  }
+  await refreshTemplateRating(template._id);
+
+  logger.info(created ? 'Reseña de template creada' : 'Reseña de template actualizada', {
+    templateId: template._id,
+    reviewId: review._id,
+    rating: value,
+  });
+  return { review, created };
+};
+
+export const deleteTemplateReview = async (template, userId) => {
+  const review = await TemplateReview.findOneAndDelete({ template: template._id, owner: userId });
+  if (!review) throw new NotFoundError('No has reseñado este template');
+  await refreshTemplateRating(template._id);
+  return review;
+};
+
+export const getOwnTemplateReview = (template, userId) =>
+  TemplateReview.findOne({ template: template._id, owner: userId });
+
+/**
+ * Reseñas de un template con resumen y paginación.
+ * @param {{ page: number, limit: number, rating?: number, sort?: string }} options
+ */
+export const listTemplateReviews = async (template, { page, limit, rating, sort = 'recent' }) => {
+  const filter = { template: template._id };
+  if (rating !== undefined) filter.rating = parseRating(rating);
+
+  const sortOptions = {
+    recent: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+  }[sort] || { createdAt: -1 };
+
+  const templateId = toObjectId(template._id);
+  const [reviews, total, summary, distribution] = await Promise.all([
+    TemplateReview.find(filter).sort(sortOptions).skip((page - 1) * limit).limit(limit),
+    TemplateReview.countDocuments(filter),
+    TemplateReview.computeRating(templateId),
+    TemplateReview.ratingDistribution(templateId),
+  ]);
+
+  return {
+    reviews: reviews.map((r) => r.toPublicJSON()),
+    summary: { averageRating: summary.rating, reviewCount: summary.count, distribution },
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Métricas de uso (autor del template o admin)
+───────────────────────────────────────────────────────────── */
+
+export const getTemplateAnalytics = async (template) => {
+  const templateId = toObjectId(template._id);
+
+  const [byStatus, byVersion, rating, distribution] = await Promise.all([
+    Business.aggregate([
+      { $match: { templateId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    Business.aggregate([
+      { $match: { templateId } },
+      { $group: { _id: '$templateVersion', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]),
+    TemplateReview.computeRating(templateId),
+    TemplateReview.ratingDistribution(templateId),
+  ]);
+
+  const businesses = Object.fromEntries(byStatus.map((row) => [row._id, row.count]));
+  return {
+    template: { id: template._id, name: template.name, isPublic: template.isPublic, isPremium: template.isPremium },
+    usage: {
+      timesApplied: template.usage?.timesUsed || 0,
+      lastApplied: template.usage?.lastUsed || null,
+      businesses: byStatus.reduce((sum, row) => sum + row.count, 0),
+      publishedSites: businesses[BUSINESS_STATUS.ACTIVE] || 0,
+      byStatus: businesses,
+      // Sin versión fijada = usa la última
+      byVersion: byVersion.map((row) => ({ version: row._id || null, businesses: row.count })),
+    },
+    rating: { averageRating: rating.rating, reviewCount: rating.count, distribution },
+  };
+};
+
+export default {
+  weightedRating,
+  browseTemplates,
+  findReviewableTemplate,
+  refreshTemplateRating,
+  upsertTemplateReview,
+  deleteTemplateReview,
+  getOwnTemplateReview,
+  listTemplateReviews,
+  getTemplateAnalytics,
+};
@@ -0,0 +1,443 @@
+// src/services/templateVersions.js
+// Versiones inmutables de los templates y su uso por los negocios.
+//
+// - El documento Template es la copia editable; publishVersion congela su
+//   estado en un TemplateVersion con la siguiente versión semver.
+// - Cada negocio queda fijado a una versión (Business.templateVersion) y
+//   guarda sus ajustes por sección (Business.templateOverrides.sections), que
+//   se aplican sobre la versión al renderizar el sitio.
+// - Actualizar a la última versión conserva los ajustes de las secciones que
+//   siguen existiendo; volver atrás admite cualquier versión publicada.
+// - Los cambios del dueño (versión y ajustes) van al borrador del sitio y se
+//   ven en línea al publicar, como el resto del contenido (sitePublishing.js).
+
+import mongoose from 'mongoose';
+import Template from '../models/template.js';
+import TemplateVersion from '../models/templateVersion.js';
+import { ValidationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { logger } from '../config/index.js';
+import { ensureDraft, touchDraft } from './sitePublishing.js';
+
+// Campos del template que forman parte de una versión
+export const SNAPSHOT_FIELDS = ['colors', 'typography', 'layout', 'sections', 'customCSS', 'customJS', 'seoDefaults', 'accessibility'];
+
+export const VERSION_BUMPS = ['major', 'minor', 'patch'];
+
+/** "1.4.2" + minor → "1.5.0" */
+export const bumpVersion = (version, bump = 'minor') => {
+  const [major = 1, minor = 0, patch = 0] = String(version || '1.0.0').split('.').map(Number);
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'patch') return `${major}.${minor}.${patch + 1}`;
+  return `${major}.${minor + 1}.0`;
+};
+
+/** Estado publicable del template (objeto plano, sin _id de subdocumentos) */
+export const takeSnapshot = (template) => {
+  const data = template.toObject({ depopulate: true, versionKey: false });
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) snapshot[field] = data[field];
+  });
+  snapshot.sections = (snapshot.sections || []).map(({ _id, ...section }) => section);
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Versiones del template
+───────────────────────────────────────────────────────────── */
+
+/**
+ * Última versión del template. Los templates anteriores al versionado no
+ * tienen ninguna: se publica su estado actual como `template.version`.
+ */
+export const ensureLatestVersion = async (template) => {
+  const latest = await TemplateVersion.findLatest(template._id);
+  if (latest) return latest;
+
+  try {
+    return await TemplateVersion.create({
+      template: template._id,
+      version: template.version || '1.0.0',
+      snapshot: takeSnapshot(template),
+      notes: 'Versión inicial',
+      publishedBy: template.owner,
+    });
+  } catch (error) {
+    // Otra petición la creó primero
+    if (error?.code === 11000) return TemplateVersion.findLatest(template._id);
+    throw error;
+  }
+};
+
+/**
+ * Publica el estado actual del template como nueva versión.
+ * @param {{ bump?: 'major'|'minor'|'patch', notes?: string }} options
+ */
+export const publishVersion = async (template, { bump = 'minor', notes } = {}, userId) => {
+  if (!VERSION_BUMPS.includes(bump)) {
+    throw new ValidationError(`bump debe ser uno de: ${VERSION_BUMPS.join(', ')}`);
+  }
+
+  const latest = await TemplateVersion.findLatest(template._id);
+  const snapshot = takeSnapshot(template);
+  if (latest && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+    throw new ConflictError(`No hay cambios desde la versión ${latest.version}`);
+  }
+
+  const version = latest ? bumpVersion(latest.version, bump) : (template.version || '1.0.0');
+  const published = await TemplateVersion.create({
+    template: template._id,
+    version,
+    snapshot,
+    notes: notes ? String(notes).trim() : undefined,
+    publishedBy: userId,
+  });
+
+  template.version = version;
+  await template.save();
+
+  logger.info('Versión de template publicada', { templateId: template._id, version, userId });
+  return published;
+};
+
+export const listVersions = (templateId) =>
+  TemplateVersion.find({ template: templateId })
+    .select('-snapshot')
+    .sort({ publishedAt: -1, _id: -1 })
+    .lean();
+
+export const getVersion = async (templateId, version) => {
+  const found = await TemplateVersion.findOne({ template: templateId, version: String(version) });
+  if (!found) throw new NotFoundError(`La versión ${version} no existe para este template`);
+  return found;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Diff
+───────────────────────────────────────────────────────────── */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Aplana un snapshot en rutas → valores. Las secciones se indexan por id
+ * ("sections.gallery.config.maxImages") para que reordenar no parezca un cambio
+ * de todas ellas.
+ */
+const flatten = (value, prefix = '', out = {}) => {
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value);
+    if (!entries.length && prefix) out[prefix] = {};
+    entries.forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+// Las secciones que solo existen en un lado se reportan enteras ("sections.gallery")
+const flattenSnapshot = (snapshot = {}, otherIds) => {
+  const { sections = [], ...rest } = snapshot;
+  const out = flatten(rest);
+  sections.forEach(({ id, ...section }) => {
+    if (otherIds.has(id)) flatten(section, `sections.${id}`, out);
+    else out[`sections.${id}`] = section;
+  });
+  return out;
+};
+
+const sectionIds = (snapshot) => new Set((snapshot?.sections || []).map((s) => s.id));
+
+/**
+ * Cambios entre dos snapshots.
+ * @returns {Array<{ path: string, change: 'added'|'removed'|'changed', from?: any, to?: any }>}
+ */
+export const diffSnapshots = (fromSnapshot, toSnapshot) => {
+  const a = flattenSnapshot(fromSnapshot, sectionIds(toSnapshot));
+  const b = flattenSnapshot(toSnapshot, sectionIds(fromSnapshot));
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  return paths.reduce((changes, path) => {
+    const inA = path in a;
+    const inB = path in b;
+    if (inA && !inB) changes.push({ path, change: 'removed', from: a[path] });
+    else if (!inA && inB) changes.push({ path, change: 'added', to: b[path] });
+    else if (JSON.stringify(a[path]) !== JSON.stringify(b[path])) changes.push({ path, change: 'changed', from: a[path], to: b[path] });
+    return changes;
+  }, []);
+};
+
+export const diffVersions = async (templateId, from, to) => {
+  const [a, b] = await Promise.all([getVersion(templateId, from), getVersion(templateId, to)]);
+  return { from: a.version, to: b.version, changes: diffSnapshots(a.snapshot, b.snapshot) };
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Negocios
+───────────────────────────────────────────────────────────── */
+
+/**
+ * Secciones de la versión con los ajustes del dueño aplicados. Los ajustes de
+ * secciones que la versión no tiene se devuelven en `unmatched`.
+ */
+export const mergeSectionOverrides = (sections = [], overrides = []) => {
+  const byId = new Map(overrides.map((o) => [o.id, o]));
+  const merged = sections.map((section) => {
+    const override = byId.get(section.id);
+    if (!override) return section;
+    return {
+      ...section,
+      ...(override.isVisible !== undefined && override.isVisible !== null && { isVisible: override.isVisible }),
+      ...(override.order !== undefined && override.order !== null && { order: override.order }),
+      config: { ...(section.config || {}), ...(override.config || {}) },
+    };
+  });
+  const ids = new Set(sections.map((s) => s.id));
+  return { sections: merged, unmatched: overrides.filter((o) => !ids.has(o.id)) };
+};
+
+const plainOverrides = (site) =>
+  (site.templateOverrides?.sections || []).map((o) => (typeof o.toObject === 'function' ? o.toObject() : o));
+
+/**
+ * Versión que usa el negocio: la fijada o, si ya no existe, la última. Un
+ * negocio sin versión (anterior a las versiones, ver
+ * scripts/pinTemplateVersions.js) queda fijado a la última la primera vez.
+ * @param {{ source?: object }} [options]  De dónde leer template y versión
+ *   (ej. business.draft); por defecto, lo publicado
+ * @returns {Promise<{ template, version }|null>}
+ */
+export const findBusinessVersion = async (business, { source = business } = {}) => {
+  if (!source.templateId) return null;
+  const template = await Template.findOne({ _id: source.templateId, isActive: true });
+  if (!template) return null;
+
+  if (source.templateVersion) {
+    const pinned = await TemplateVersion.findOne({ template: template._id, version: source.templateVersion });
+    return { template, version: pinned || await ensureLatestVersion(template) };
+  }
+  if (source !== business) return { template, version: await ensureLatestVersion(template) };
+
+  const latest = await ensureLatestVersion(template);
+  // Solo si sigue sin versión: no pisa un pin hecho por otra petición
+  await mongoose.model('Business').updateOne(
+    { _id: business._id, templateVersion: null },
+    { $set: { templateVersion: latest.version } },
+    { timestamps: false }
+  );
+  business.templateVersion = latest.version;
+  return { template, version: latest };
+};
+
+/**
+ * Template listo para renderizar el sitio: la versión del negocio con sus
+ * ajustes por sección, hidratado como documento Template.
+ */
+export const buildBusinessTemplate = (template, version, business) => {
+  const { sections } = mergeSectionOverrides(version.snapshot.sections, plainOverrides(business));
+  return Template.hydrate({
+    ...template.toObject({ depopulate: true }),
+    ...version.snapshot,
+    sections,
+    version: version.version,
+  });
+};
+
+/** Fija el negocio a la última versión del template (al crear el negocio) */
+export const pinLatestVersion = async (business, template) => {
+  const latest = await ensureLatestVersion(template);
+  business.templateVersion = latest.version;
+  return latest;
+};
+
+/**
+ * Estado de la versión del negocio frente a la última publicada. Refleja lo
+ * que ve el editor: el borrador si hay cambios sin publicar.
+ */
+export const getBusinessTemplateStatus = async (business) => {
+  const site = business.draft || business;
+  const current = await findBusinessVersion(business, { source: site });
+  if (!current) throw new NotFoundError('El negocio no tiene un template activo');
+
+  const latest = await ensureLatestVersion(current.template);
+  const { unmatched } = mergeSectionOverrides(current.version.snapshot.sections, plainOverrides(site));
+  return {
+    template: { id: current.template._id, name: current.template.name },
+    version: current.version.version,
+    pinned: !!site.templateVersion,
+    latestVersion: latest.version,
+    upgradeAvailable: latest.version !== current.version.version,
+    overrides: plainOverrides(site),
+    inactiveOverrides: unmatched.map((o) => o.id),
+    hasUnpublishedChanges: !!business.draft,
+  };
+};
+
+/**
+ * Actualiza el borrador del sitio a la última versión. Los ajustes de
+ * secciones que ya no existen se descartan; si la nueva versión cambió algo
+ * que el dueño había ajustado, gana el ajuste del dueño y se informa en
+ * `keptOverrides`.
+ */
+export const upgradeBusinessTemplate = async (business, userId) => {
+  const site = ensureDraft(business);
+  const current = await findBusinessVersion(business, { source: site });
+  if (!current) throw new NotFoundError('El negocio no tiene un template activo');
+
+  const latest = await ensureLatestVersion(current.template);
+  if (latest.version === current.version.version) {
+    throw new ConflictError(`El sitio ya usa la última versión (${latest.version})`);
+  }
+
+  const overrides = plainOverrides(site);
+  const { unmatched } = mergeSectionOverrides(latest.snapshot.sections, overrides);
+  const dropped = new Set(unmatched.map((o) => o.id));
+  const kept = overrides.filter((o) => !dropped.has(o.id));
+
+  // Cambios de la versión en rutas que el dueño tiene ajustadas
+  const changes = diffSnapshots(current.version.snapshot, latest.snapshot);
+  const overridden = new Set(kept.flatMap((o) => [
+    ...(o.isVisible !== undefined && o.isVisible !== null ? [`sections.${o.id}.isVisible`] : []),
+    ...(o.order !== undefined && o.order !== null ? [`sections.${o.id}.order`] : []),
+    ...Object.keys(flatten(o.config || {}, `sections.${o.id}.config`)),
+  ]));
+
+  const from = current.version.version;
+  site.templateVersion = latest.version;
+  site.templateOverrides = { sections: kept };
+  touchDraft(business, userId);
+  await business.save();
+
+  logger.info('Template del negocio actualizado', { businessId: business._id, from, to: latest.version, userId });
+
+  return {
+    from,
+    to: latest.version,
+    changes,
+    keptOverrides: changes.filter((c) => overridden.has(c.path)).map((c) => c.path),
+    droppedOverrides: [...dropped],
+  };
+};
+
+/**
+ * Vuelve el borrador del sitio a una versión publicada. Los ajustes se
+ * conservan (los de secciones que esa versión no tiene quedan inactivos hasta
+ * volver a actualizar).
+ */
+export const rollbackBusinessTemplate = async (business, version, userId) => {
+  const site = ensureDraft(business);
+  const current = await findBusinessVersion(business, { source: site });
+  if (!current) throw new NotFoundError('El negocio no tiene un template activo');
+
+  const target = await getVersion(current.template._id, version);
+  if (target.version === current.version.version) {
+    throw new ConflictError(`El sitio ya usa la versión ${target.version}`);
+  }
+
+  const from = current.version.version;
+  site.templateVersion = target.version;
+  touchDraft(business, userId);
+  await business.save();
+
+  logger.info('Template del negocio revertido', { businessId: business._id, from, to: target.version, userId });
+
+  const { unmatched } = mergeSectionOverrides(target.snapshot.sections, plainOverrides(site));
+  return {
+    from,
+    to: target.version,
+    changes: diffSnapshots(current.version.snapshot, target.snapshot),
+    inactiveOverrides: unmatched.map((o) => o.id),
+  };
+};
+
+/**
+ * Cambia el template del borrador del sitio: queda fijado a su última versión
+ * y los ajustes por sección del template anterior se descartan (los ids no
+ * aplican). El acceso al template y el plan del negocio se validan antes de
+ * llamar.
+ */
+export const applyTemplateToBusiness = async (business, template, userId) => {
+  const site = ensureDraft(business);
+  if (String(site.templateId) === String(template._id)) {
+    throw new ConflictError('El negocio ya usa este template');
+  }
+
+  const latest = await ensureLatestVersion(template);
+  const from = site.templateId || null;
+  const droppedOverrides = plainOverrides(site).map((o) => o.id);
+
+  site.templateId = template._id;
+  site.templateVersion = latest.version;
+  site.templateOverrides = { sections: [] };
+  touchDraft(business, userId);
+  await business.save();
+  await template.markAsUsed();
+
+  logger.info('Template del negocio cambiado', { businessId: business._id, from, to: template._id, version: latest.version, userId });
+
+  return {
+    from,
+    template: { id: template._id, name: template.name },
+    version: latest.version,
+    droppedOverrides,
+  };
+};
+
+/**
+ * Reemplaza en el borrador los ajustes del dueño por sección. Solo se aceptan
+ * ids de secciones de la versión que usa el borrador.
+ * @param {Array<{ id: string, isVisible?: boolean, order?: number, config?: object }>} overrides
+ */
+export const setSectionOverrides = async (business, overrides, userId) => {
+  if (!Array.isArray(overrides)) throw new ValidationError('sections debe ser un arreglo');
+
+  const site = ensureDraft(business);
+  const current = await findBusinessVersion(business, { source: site });
+  if (!current) throw new NotFoundError('El negocio no tiene un template activo');
+  const ids = new Set((current.version.snapshot.sections || []).map((s) => s.id));
+
+  const seen = new Set();
+  const clean = overrides.map((o, i) => {
+    const id = String(o?.id || '').trim();
+    if (!ids.has(id)) throw new ValidationError(`sections[${i}].id no es una sección de la versión ${current.version.version}`);
+    if (seen.has(id)) throw new ValidationError(`La sección ${id} está repetida`);
+    seen.add(id);
+    if (o.isVisible !== undefined && typeof o.isVisible !== 'boolean') throw new ValidationError(`sections[${i}].isVisible debe ser booleano`);
+    if (o.order !== undefined && (!Number.isInteger(o.order) || o.order < 0)) throw new ValidationError(`sections[${i}].order debe ser un entero >= 0`);
+    if (o.config !== undefined && !isPlainObject(o.config)) throw new ValidationError(`sections[${i}].config debe ser un objeto`);
+    return {
+      id,
+      ...(o.isVisible !== undefined && { isVisible: o.isVisible }),
+      ...(o.order !== undefined && { order: o.order }),
+      ...(o.config !== undefined && { config: o.config }),
+    };
+  });
+
+  // Primer ajuste de un negocio sin versión fijada: se fija la que está viendo
+  if (!site.templateVersion) site.templateVersion = current.version.version;
+  site.templateOverrides = { sections: clean };
+  touchDraft(business, userId);
+  await business.save();
+  return clean;
+};
+
+export default {
+  SNAPSHOT_FIELDS,
+  VERSION_BUMPS,
+  bumpVersion,
+  takeSnapshot,
+  ensureLatestVersion,
+  publishVersion,
+  listVersions,
+  getVersion,
+  diffSnapshots,
+  diffVersions,
+  mergeSectionOverrides,
+  findBusinessVersion,
+  buildBusinessTemplate,
+  pinLatestVersion,
+  getBusinessTemplateStatus,
+  upgradeBusinessTemplate,
+  rollbackBusinessTemplate,
+  applyTemplateToBusiness,
+  setSectionOverrides,
+};
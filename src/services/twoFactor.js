@@ -0,0 +1,159 @@
+// src/services/twoFactor.js
+// Autenticación en dos pasos: enrolamiento TOTP (secreto pendiente hasta que
+// el usuario confirma un código), verificación con código o código de
+// respaldo, y regeneración de códigos de respaldo.
+
+import crypto from 'node:crypto';
+import User from '../models/user.js';
+import { ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+import { constants } from '../config/index.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+} from '../utils/totp.js';
+
+const { TWO_FACTOR } = constants;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.backupCodes';
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/** Códigos de respaldo de un solo uso: "a1b2-c3d4" */
+const generateBackupCodes = () =>
+  Array.from({ length: TWO_FACTOR.BACKUP_CODES }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+export const loadUserWithTwoFactor = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+export const canUseTwoFactor = (user) => TWO_FACTOR.ALLOWED_ROLES.includes(user?.role);
+
+/** El rol exige 2FA (admin) */
+export const isTwoFactorRequired = (user) => TWO_FACTOR.REQUIRED_ROLES.includes(user?.role);
+
+/**
+ * Inicia (o reinicia) el enrolamiento: guarda un secreto pendiente.
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export const startEnrollment = async (user) => {
+  if (!canUseTwoFactor(user)) {
+    throw new AuthorizationError('La verificación en dos pasos está disponible para dueños y administradores');
+  }
+  if (user.twoFactor?.enabled) throw new ValidationError('La verificación en dos pasos ya está activa');
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+  return { secret, otpauthUri: buildOtpauthUri({ secret, account: user.email }) };
+};
+
+/**
+ * Confirma el enrolamiento con un código de la app y activa 2FA.
+ * @returns {Promise<string[]>} códigos de respaldo (solo se muestran esta vez)
+ */
+export const confirmEnrollment = async (user, code) => {
+  if (user.twoFactor?.enabled) throw new ValidationError('La verificación en dos pasos ya está activa');
+  if (!user.twoFactor?.pendingSecret) throw new ValidationError('Primero inicia la configuración de la verificación en dos pasos');
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) throw new ValidationError('Código inválido');
+
+  const backupCodes = generateBackupCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.backupCodes': backupCodes.map((c) => ({ hash: hashBackupCode(c), usedAt: null })),
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+  return backupCodes;
+};
+
+/**
+ * Verifica el segundo factor. Los códigos TOTP no se pueden reutilizar y cada
+ * código de respaldo sirve una sola vez (ambos se marcan de forma atómica).
+ * @param {Document} user Cargado con loadUserWithTwoFactor
+ * @param {{ code?: string, backupCode?: string }} input
+ * @returns {Promise<{ method: 'totp'|'backup_code', remainingBackupCodes: number }|null>}
+ */
+export const verifySecondFactor = async (user, { code, backupCode } = {}) => {
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+  const remaining = () => (user.twoFactor.backupCodes || []).filter((c) => !c.usedAt).length;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return null;
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return modifiedCount ? { method: 'totp', remainingBackupCodes: remaining() } : null;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+    );
+    return modifiedCount ? { method: 'backup_code', remainingBackupCodes: remaining() - 1 } : null;
+  }
+
+  return null;
+};
+
+/** @returns {Promise<string[]>} nuevos códigos de respaldo (invalida los anteriores) */
+export const regenerateBackupCodes = async (user) => {
+  const backupCodes = generateBackupCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.backupCodes': backupCodes.map((c) => ({ hash: hashBackupCode(c), usedAt: null })) } }
+  );
+  return backupCodes;
+};
+
+export const disableTwoFactor = async (user) => {
+  if (isTwoFactorRequired(user)) {
+    throw new AuthorizationError('Tu rol requiere la verificación en dos pasos');
+  }
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.backupCodes': 1,
+      },
+    }
+  );
+};
+
+export default {
+  loadUserWithTwoFactor,
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,132 @@
+// src/utils/availability.js
+// Cálculo de espacios reservables para un servicio de un negocio.
+// Función pura: recibe negocio, servicio y reservas activas ya consultadas.
+
+import moment from 'moment-timezone';
+import {
+  getOpenIntervals,
+  getEffectiveDayHours,
+  getStaffDayHours,
+  fitsOpenIntervals,
+  getWeekdayKey,
+  atLocalMinutes,
+  resolveTimezone,
+} from './schedule.js';
+import { usesResources, findExhaustedResource } from './capacity.js';
+
+export const DEFAULT_SLOT_INTERVAL = 15; // minutos entre inicios de espacio
+export const MAX_AVAILABILITY_RANGE_DAYS = 31;
+
+/**
+ * Calcula los espacios libres día por día.
+ * @param {Object} params
+ * @param {Object} params.business      Documento (lean) del negocio
+ * @param {Object} params.service       Documento (lean) del servicio
+ * @param {string} params.from          Fecha local inicial 'YYYY-MM-DD'
+ * @param {string} params.to            Fecha local final 'YYYY-MM-DD' (inclusive)
+ * @param {Array}  params.reservations  Reservas pending/confirmed { dateTime, duration, staff, service }
+ * @param {Array}  [params.staff]       Personal que realiza el servicio; si hay, el espacio
+ *                                      está libre cuando al menos una persona lo está
+ * @param {number} [params.interval]    Minutos entre inicios de espacio
+ * @param {Date}   [params.now]
+ * @returns {Array<{ date: string, weekday: string, slots: Array }>}
+ */
+export const computeAvailability = ({
+  business,
+  service,
+  from,
+  to,
+  reservations = [],
+  staff = [],
+  interval = DEFAULT_SLOT_INTERVAL,
+  now = new Date(),
+}) => {
+  const timezone = resolveTimezone(business?.settings?.timezone);
+  const duration = Number(service?.duration) || 60;
+  const step = Math.max(5, Number(interval) || DEFAULT_SLOT_INTERVAL);
+
+  const advanceHours = business?.settings?.bookingAdvanceHours ?? 0;
+  const maxDays = business?.settings?.maxAdvanceBookingDays ?? 30;
+  const earliest = moment(now).add(advanceHours, 'hours');
+  const latest = moment(now).add(maxDays, 'days');
+
+  const busy = reservations.map((r) => {
+    const start = new Date(r.dateTime).getTime();
+    return {
+      start,
+      end: start + (Number(r.duration) || 0) * 60000,
+      staff: r.staff ? String(r.staff) : null,
+      service: r.service ? String(r.service) : null,
+    };
+  });
+  const withResources = usesResources(business, service?._id ?? null);
+  const overlapsBusy = (s, e, staffId = null) =>
+    busy.some((b) => (!staffId || b.staff === staffId) && s < b.end && b.start < e);
+
+  const days = [];
+  const cursor = moment.tz(from, 'YYYY-MM-DD', timezone);
+  const last = moment.tz(to, 'YYYY-MM-DD', timezone);
+
+  while (cursor.isSameOrBefore(last, 'day')) {
+    const date = cursor.format('YYYY-MM-DD');
+    const weekday = getWeekdayKey(cursor);
+    const slots = [];
+    const { dayHours } = getEffectiveDayHours(business, date, weekday);
+
+    // Horario de cada persona ese día (los cierres del negocio aplican a todos)
+    const staffHours = staff.map((member) => ({
+      id: String(member._id),
+      dayHours: getStaffDayHours(business, member, date, weekday).dayHours,
+    }));
+
+    // Sin personal: intervalos del negocio; con personal: la unión se filtra por persona
+    const intervals = staff.length
+      ? staffHours.flatMap((m) => getOpenIntervals(m.dayHours))
+      : getOpenIntervals(dayHours);
+    const starts = new Set();
+    for (const { start, end } of intervals) {
+      for (let t = start; t + duration <= end; t += step) starts.add(t);
+    }
+
+    for (const t of [...starts].sort((a, b) => a - b)) {
+      const slotStart = atLocalMinutes(date, t, timezone);
+      if (!slotStart.isValid()) continue;
+      const slotEnd = slotStart.clone().add(duration, 'minutes');
+
+      if (slotStart.isBefore(earliest) || slotStart.isAfter(latest)) continue;
+
+      const s = slotStart.valueOf();
+      const e = slotEnd.valueOf();
+      const slot = {
+        start: slotStart.format(),
+        end: slotEnd.format(),
+        time: slotStart.format('HH:mm'),
+      };
+
+      // Capacidad: cada recurso del servicio debe tener una unidad libre
+      if (withResources &&
+          findExhaustedResource({ business, serviceId: service?._id, start: s, end: e, reservations: busy })) {
+        continue;
+      }
+
+      if (staff.length) {
+        const free = staffHours
+          .filter((m) => fitsOpenIntervals(m.dayHours, t, t + duration) && !overlapsBusy(s, e, m.id))
+          .map((m) => m.id);
+        if (!free.length) continue;
+        slot.staff = free;
+      } else if (!withResources && overlapsBusy(s, e)) {
+        continue;
+      }
+
+      slots.push(slot);
+    }
+
+    days.push({ date, weekday, slots });
+    cursor.add(1, 'day');
+  }
+
+  return days;
+};
+
+export default { computeAvailability, DEFAULT_SLOT_INTERVAL, MAX_AVAILABILITY_RANGE_DAYS };
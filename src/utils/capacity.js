@@ -0,0 +1,68 @@
+// src/utils/capacity.js
+// Capacidad de recursos (sillas, cabinas, salas) para reservas en paralelo.
+// Un servicio consume una unidad de cada recurso activo vinculado a él.
+
+/** Recursos activos que consume un servicio (un recurso sin servicios aplica a todos) */
+export const getServiceResources = (business, serviceId) =>
+  (business?.resources || []).filter(
+    (r) =>
+      r.isActive !== false &&
+      (!r.services?.length || r.services.some((s) => String(s._id || s) === String(serviceId)))
+  );
+
+/**
+ * ¿Rige la capacidad por recursos? Si no, una reserva a la vez. Con `serviceId`
+ * se pregunta por el servicio: uno sin recursos vinculados sigue la regla
+ * de una reserva a la vez aunque el negocio tenga recursos.
+ */
+export const usesResources = (business, serviceId) =>
+  serviceId === undefined
+    ? (business?.resources || []).some((r) => r.isActive !== false)
+    : getServiceResources(business, serviceId).length > 0;
+
+/**
+ * Máximo de intervalos simultáneos dentro de [start, end) (timestamps en ms).
+ * @param {Array<{ start: number, end: number }>} intervals
+ */
+export const maxConcurrent = (intervals, start, end) => {
+  const events = [];
+  for (const i of intervals) {
+    const s = Math.max(i.start, start);
+    const e = Math.min(i.end, end);
+    if (s < e) events.push([s, 1], [e, -1]);
+  }
+  // los cierres van antes que las aperturas en el mismo instante
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let max = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    max = Math.max(max, current);
+  }
+  return max;
+};
+
+/**
+ * Primer recurso sin unidades libres para el servicio en [start, end), o null si hay capacidad.
+ * @param {Object} params
+ * @param {Object} params.business     Negocio con `resources`
+ * @param {string} params.serviceId
+ * @param {number} params.start        ms
+ * @param {number} params.end          ms
+ * @param {Array}  params.reservations Reservas activas { start, end, service } (ms)
+ * @returns {Object|null}
+ */
+export const findExhaustedResource = ({ business, serviceId, start, end, reservations }) => {
+  for (const resource of getServiceResources(business, serviceId)) {
+    const using = reservations.filter(
+      (r) =>
+        !resource.services?.length ||
+        resource.services.some((s) => String(s._id || s) === String(r.service))
+    );
+    if (maxConcurrent(using, start, end) >= (resource.quantity || 1)) return resource;
+  }
+  return null;
+};
+
+export default { getServiceResources, usesResources, maxConcurrent, findExhaustedResource };
@@ -0,0 +1,298 @@
+// src/utils/cssSanitizer.js
+// CSS personalizado de los templates (Template.customCSS). Se parsea en reglas
+// y se descarta todo lo que pueda ejecutar código o sacar contenido del <style>:
+// expression(), esquemas javascript:/vbscript:, url() fuera de http(s) o
+// imágenes data:, @import a otros hosts, -moz-binding/behavior y "<".
+//
+// Al renderizar, los selectores se limitan al contenedor del negocio para que
+// el CSS no afecte al resto de la página.
+
+// At-rules con reglas anidadas (se sanitizan y se limitan al contenedor)
+const NESTED_AT_RULES = new Set(['media', 'supports']);
+// At-rules con declaraciones o keyframes: se sanitizan pero no se limitan
+const GLOBAL_AT_RULES = new Set(['font-face', 'keyframes', '-webkit-keyframes']);
+
+const BLOCKED_PROPERTIES = new Set(['behavior', '-moz-binding']);
+const DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);/;
+
+/** Decodifica escapes CSS ("\65 xpression" → "expression") para revisar el texto real */
+const unescapeCss = (text) =>
+  text
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (_m, hex) => {
+      const code = parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    })
+    .replace(/\\(.)/g, '$1');
+
+const normalize = (text) => unescapeCss(text).toLowerCase().replace(/\s+/g, '');
+
+/**
+ * Reemplaza los comentarios por espacios (conservando saltos de línea para
+ * poder reportar números de línea) sin tocar el contenido de los strings.
+ */
+const stripComments = (css) => {
+  let out = '';
+  let quote = null;
+  for (let i = 0; i < css.length; i++) {
+    const ch = css[i];
+    if (quote) {
+      out += ch;
+      if (ch === '\\') out += css[++i] ?? '';
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      out += ch;
+    } else if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      const stop = end === -1 ? css.length : end + 2;
+      out += css.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop - 1;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+};
+
+/**
+ * Avanza desde `start` hasta el primer carácter de `stops` que esté fuera de
+ * strings, paréntesis y bloques anidados. Devuelve su índice o -1.
+ */
+const scanTo = (css, start, stops) => {
+  let quote = null;
+  let parens = 0;
+  let braces = 0;
+  for (let i = start; i < css.length; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(') parens++;
+    else if (ch === ')') parens = Math.max(0, parens - 1);
+    else if (parens === 0 && braces === 0 && stops.includes(ch)) return i;
+    else if (ch === '{') braces++;
+    else if (ch === '}') braces--;
+  }
+  return -1;
+};
+
+/** Divide por `separator` fuera de strings/paréntesis/corchetes */
+const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let last = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+    else if (ch === separator && depth === 0) {
+      parts.push(text.slice(last, i));
+      last = i + 1;
+    }
+  }
+  parts.push(text.slice(last));
+  return parts;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Revisión de valores
+───────────────────────────────────────────────────────────── */
+
+const extractUrls = (value) =>
+  [...value.matchAll(/url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)/gi)]
+    .map((m) => (m[1] ?? m[2] ?? m[3] ?? '').trim());
+
+const isExternalUrl = (url) => /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+
+const checkUrl = (url) => {
+  const clean = normalize(url);
+  if (DATA_IMAGE.test(clean)) return null;
+  if (/^https?:\/\//.test(clean) || !isExternalUrl(clean)) return null;
+  return `url(${url.slice(0, 40)}) no permitido: solo http(s), rutas relativas o imágenes data:`;
+};
+
+/** Problemas de un fragmento (selector o declaración); [] si es seguro */
+const checkText = (text) => {
+  const problems = [];
+  const normalized = normalize(text);
+  if (normalized.includes('<')) problems.push('El carácter "<" no está permitido');
+  if (normalized.includes('expression(')) problems.push('expression() no está permitido');
+  if (/(java|vb|live)script:/.test(normalized)) problems.push('Los esquemas javascript:/vbscript: no están permitidos');
+  if (/-moz-binding|behavior:/.test(normalized)) problems.push('-moz-binding y behavior no están permitidos');
+  if (problems.length) return problems;
+
+  const urls = extractUrls(unescapeCss(text));
+  if (/url\(/.test(normalized) && !urls.length) return ['url() mal formado'];
+  return urls.map(checkUrl).filter(Boolean);
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Parser
+───────────────────────────────────────────────────────────── */
+
+const lineAt = (css, index) => css.slice(0, index).split('\n').length;
+
+/**
+ * Parsea `css` entre `start` y `end` en nodos:
+ *   { type: 'rule', selectors, declarations }
+ *   { type: 'at', name, prelude, children | declarations | null }
+ * Lo inseguro se descarta y se reporta en `issues`.
+ */
+const parseBlock = (css, start, end, issues, { declarationsOnly = false } = {}) => {
+  const nodes = [];
+  let pos = start;
+  const report = (index, message) => issues.push({ line: lineAt(css, index), message });
+
+  const parseDeclarations = (from, to) => {
+    const declarations = [];
+    let offset = from;
+    splitTopLevel(css.slice(from, to), ';').forEach((raw) => {
+      const at = offset;
+      offset += raw.length + 1;
+      if (!raw.trim()) return;
+      const colon = raw.indexOf(':');
+      const property = colon === -1 ? '' : raw.slice(0, colon).trim().toLowerCase();
+      const value = colon === -1 ? '' : raw.slice(colon + 1).trim();
+      if (!/^-?[a-z][a-z0-9-]*$/.test(property) || !value) {
+        report(at, `Declaración inválida: "${raw.trim().slice(0, 40)}"`);
+        return;
+      }
+      if (BLOCKED_PROPERTIES.has(normalize(property))) {
+        report(at, `La propiedad ${property} no está permitida`);
+        return;
+      }
+      const problems = checkText(`${property}:${value}`);
+      if (problems.length) {
+        problems.forEach((p) => report(at, p));
+        return;
+      }
+      declarations.push(`${property}: ${value}`);
+    });
+    return declarations;
+  };
+
+  if (declarationsOnly) return parseDeclarations(start, end);
+
+  while (pos < end) {
+    while (pos < end && /\s/.test(css[pos])) pos++;
+    if (pos >= end) break;
+
+    const stop = scanTo(css, pos, ['{', ';', '}']);
+    if (stop === -1 || stop >= end) {
+      report(pos, 'Regla incompleta (falta "{" o ";")');
+      break;
+    }
+    if (css[stop] === '}') {
+      report(stop, 'Llave "}" sin abrir');
+      pos = stop + 1;
+      continue;
+    }
+
+    const prelude = css.slice(pos, stop).trim();
+
+    // Sentencias: @import, @charset…
+    if (css[stop] === ';') {
+      const [, name = '', params = ''] = prelude.match(/^@([\w-]+)\s*([\s\S]*)$/) || [];
+      if (name.toLowerCase() === 'import') {
+        const target = extractUrls(params)[0] ?? params.replace(/^["']|["'].*$/g, '');
+        if (isExternalUrl(target.trim())) report(pos, '@import a hosts externos no está permitido');
+        else if (checkText(params).length) checkText(params).forEach((p) => report(pos, p));
+        else nodes.push({ type: 'at', name: 'import', prelude: params.trim(), children: null });
+      } else if (name.toLowerCase() !== 'charset') {
+        report(pos, prelude.startsWith('@') ? `La regla @${name} no está permitida` : `Declaración fuera de una regla: "${prelude.slice(0, 40)}"`);
+      }
+      pos = stop + 1;
+      continue;
+    }
+
+    // Bloques
+    const close = scanTo(css, stop + 1, ['}']);
+    if (close === -1 || close >= end) {
+      report(stop, 'Falta la llave de cierre "}"');
+      break;
+    }
+
+    if (prelude.startsWith('@')) {
+      const [, rawName = '', params = ''] = prelude.match(/^@([\w-]+)\s*([\s\S]*)$/) || [];
+      const name = rawName.toLowerCase();
+      const problems = checkText(params);
+      if (problems.length) {
+        problems.forEach((p) => report(pos, p));
+      } else if (NESTED_AT_RULES.has(name)) {
+        nodes.push({ type: 'at', name, prelude: params.trim(), children: parseBlock(css, stop + 1, close, issues) });
+      } else if (name === 'font-face') {
+        nodes.push({ type: 'at', name, prelude: '', declarations: parseBlock(css, stop + 1, close, issues, { declarationsOnly: true }) });
+      } else if (GLOBAL_AT_RULES.has(name)) {
+        nodes.push({ type: 'at', name, prelude: params.trim(), children: parseBlock(css, stop + 1, close, issues), global: true });
+      } else {
+        report(pos, `La regla @${rawName} no está permitida`);
+      }
+    } else {
+      const problems = checkText(prelude);
+      if (!prelude) {
+        report(pos, 'Regla sin selector');
+      } else if (problems.length) {
+        problems.forEach((p) => report(pos, p));
+      } else {
+        const declarations = parseBlock(css, stop + 1, close, issues, { declarationsOnly: true });
+        if (declarations.length) {
+          nodes.push({
+            type: 'rule',
+            selectors: splitTopLevel(prelude, ',').map((s) => s.trim().replace(/\s+/g, ' ')).filter(Boolean),
+            declarations,
+          });
+        }
+      }
+    }
+    pos = close + 1;
+  }
+
+  return nodes;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Serialización y scope
+───────────────────────────────────────────────────────────── */
+
+/** ".a, body .b, :root" con scope "#site-1" → "#site-1 .a, #site-1 .b, #site-1" */
+const scopeSelector = (selector, scope) => {
+  const root = selector.match(/^(html|body|:root)(?![\w-])\s*/i);
+  if (root) return `${scope}${selector.slice(root[0].length) ? ` ${selector.slice(root[0].length)}` : ''}`;
+  return `${scope} ${selector}`;
+};
+
+const serialize = (nodes, scope, indent = '') =>
+  nodes.map((node) => {
+    if (node.type === 'rule') {
+      const selectors = scope ? node.selectors.map((s) => scopeSelector(s, scope)) : node.selectors;
+      return `${indent}${selectors.join(', ')} { ${node.declarations.join('; ')} }`;
+    }
+    if (node.children === null) return `${indent}@${node.name} ${node.prelude};`;
+    if (node.declarations) return `${indent}@${node.name} { ${node.declarations.join('; ')} }`;
+    const inner = serialize(node.children, node.global ? null : scope, `${indent}  `);
+    return `${indent}@${node.name}${node.prelude ? ` ${node.prelude}` : ''} {\n${inner}\n${indent}}`;
+  }).join('\n');
+
+/**
+ * Sanitiza CSS personalizado.
+ * @param {string} css
+ * @param {{ scope?: string }} [options]  Selector del contenedor (ej. "#site-<id>")
+ * @returns {{ css: string, issues: Array<{ line: number, message: string }> }}
+ *   `css` solo contiene las reglas seguras; `issues` lo descartado.
+ */
+export const sanitizeCss = (css, { scope } = {}) => {
+  const source = stripComments(String(css ?? ''));
+  const issues = [];
+  const nodes = parseBlock(source, 0, source.length, issues);
+  return { css: serialize(nodes, scope), issues };
+};
+
+export default { sanitizeCss };
@@ -0,0 +1,55 @@
+// src/utils/customScript.js
+// JavaScript personalizado de los templates (Template.customJS).
+// No se intenta "limpiar" JS: se valida contra una lista de hosts permitidos y
+// de APIs bloqueadas, y al renderizar el sitio se emite con un nonce de CSP que
+// solo deja ejecutar ese script y cargar/conectar a SITE_CUSTOM_CODE.SCRIPT_HOSTS.
+
+import { constants } from '../config/index.js';
+
+const { SITE_CUSTOM_CODE } = constants;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const BLOCKED_APIS = SITE_CUSTOM_CODE.BLOCKED_JS_APIS.map((name) => ({
+  name,
+  pattern: new RegExp(`\\b${name.split('.').map(escapeRegExp).join('\\s*\\.\\s*')}\\b`),
+}));
+
+const lineAt = (code, index) => code.slice(0, index).split('\n').length;
+
+/** Fuentes CSP de los hosts permitidos: ["https://www.googletagmanager.com", ...] */
+export const allowedScriptSources = () => SITE_CUSTOM_CODE.SCRIPT_HOSTS.map((host) => `https://${host}`);
+
+/**
+ * Problemas de un customJS; [] si se puede publicar.
+ * @param {string} code
+ * @returns {Array<{ line: number, message: string }>}
+ */
+export const validateCustomJs = (code) => {
+  const source = String(code ?? '');
+  const issues = [];
+
+  // Cerraría el <script> del sitio
+  for (const match of source.matchAll(/<\/script|<!--/gi)) {
+    issues.push({ line: lineAt(source, match.index), message: `"${match[0]}" no está permitido` });
+  }
+
+  for (const match of source.matchAll(/(?:\bhttps?:)?\/\/([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi)) {
+    const host = match[1].toLowerCase();
+    if (!SITE_CUSTOM_CODE.SCRIPT_HOSTS.includes(host)) {
+      issues.push({
+        line: lineAt(source, match.index),
+        message: `El host ${host} no está permitido. Permitidos: ${SITE_CUSTOM_CODE.SCRIPT_HOSTS.join(', ')}`,
+      });
+    }
+  }
+
+  BLOCKED_APIS.forEach(({ name, pattern }) => {
+    const match = pattern.exec(source);
+    if (match) issues.push({ line: lineAt(source, match.index), message: `${name} no está permitido` });
+  });
+
+  return issues.sort((a, b) => a.line - b.line);
+};
+
+export default { allowedScriptSources, validateCustomJs };
@@ -0,0 +1,72 @@
+// src/utils/holidays.js
+// Feriados nacionales de Costa Rica (Código de Trabajo, art. 148).
+// Los negocios pueden optar por cerrarlos con settings.observeNationalHolidays.
+
+import moment from 'moment-timezone';
+
+// Feriados de fecha fija: 'MM-DD'
+const CR_FIXED_HOLIDAYS = [
+  { monthDay: '01-01', name: 'Año Nuevo' },
+  { monthDay: '04-11', name: 'Día de Juan Santamaría' },
+  { monthDay: '05-01', name: 'Día del Trabajador' },
+  { monthDay: '07-25', name: 'Anexión del Partido de Nicoya' },
+  { monthDay: '08-02', name: 'Día de la Virgen de los Ángeles' },
+  { monthDay: '08-15', name: 'Día de la Madre' },
+  { monthDay: '08-31', name: 'Día de la Persona Negra y la Cultura Afrocostarricense' },
+  { monthDay: '09-15', name: 'Día de la Independencia' },
+  { monthDay: '12-01', name: 'Día de la Abolición del Ejército' },
+  { monthDay: '12-25', name: 'Navidad' },
+];
+
+/** Domingo de Pascua (algoritmo de Meeus/Jones/Butcher) → 'YYYY-MM-DD' */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return moment.utc({ year, month: month - 1, day }).format('YYYY-MM-DD');
+};
+
+/**
+ * Feriados de un año, ordenados por fecha.
+ * @returns {Array<{ date: string, name: string }>}
+ */
+export const getCostaRicaHolidays = (year) => {
+  const easter = moment.utc(getEasterSunday(year), 'YYYY-MM-DD');
+  const holidays = [
+    ...CR_FIXED_HOLIDAYS.map((h) => ({ date: `${year}-${h.monthDay}`, name: h.name })),
+    { date: easter.clone().subtract(3, 'days').format('YYYY-MM-DD'), name: 'Jueves Santo' },
+    { date: easter.clone().subtract(2, 'days').format('YYYY-MM-DD'), name: 'Viernes Santo' },
+  ];
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/** Feriado de una fecha 'YYYY-MM-DD' (null si no es feriado) */
+export const getHolidayForDate = (date) => {
+  const year = Number(String(date).slice(0, 4));
+  if (!year) return null;
+  return getCostaRicaHolidays(year).find((h) => h.date === date) || null;
+};
+
+/** Feriados entre dos fechas 'YYYY-MM-DD' (inclusive) */
+export const getHolidaysInRange = (from, to) => {
+  const startYear = Number(String(from).slice(0, 4));
+  const endYear = Number(String(to).slice(0, 4));
+  const result = [];
+  for (let year = startYear; year <= endYear; year++) {
+    result.push(...getCostaRicaHolidays(year).filter((h) => h.date >= from && h.date <= to));
+  }
+  return result;
+};
+
+export default { getEasterSunday, getCostaRicaHolidays, getHolidayForDate, getHolidaysInRange };
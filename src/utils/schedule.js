@@ -0,0 +1,291 @@
+// src/utils/schedule.js
+// Helpers de horarios: conversión HH:mm ↔ minutos, turnos, pausas e
+// intervalos abiertos de un día según operatingHours del negocio.
+
+import moment from 'moment-timezone';
+import { constants } from '../config/index.js';
+import { getHolidayForDate } from './holidays.js';
+
+const { WEEKDAYS, SUPPORTED_COUNTRIES, CLOSURE_TYPES } = constants;
+
+export const DEFAULT_TIMEZONE = SUPPORTED_COUNTRIES?.CR?.timezone || 'America/Costa_Rica';
+
+// moment().day(): 0 = Domingo ... 6 = Sábado
+const JS_DAY_TO_WEEKDAY = [
+  WEEKDAYS.SUNDAY,
+  WEEKDAYS.MONDAY,
+  WEEKDAYS.TUESDAY,
+  WEEKDAYS.WEDNESDAY,
+  WEEKDAYS.THURSDAY,
+  WEEKDAYS.FRIDAY,
+  WEEKDAYS.SATURDAY,
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/* ─────────────────────────────────────────────────────────────
+   Conversión de horas
+───────────────────────────────────────────────────────────── */
+
+/** 'HH:mm' → minutos desde medianoche (null si el formato es inválido) */
+export const timeToMinutes = (hhmm) => {
+  const match = TIME_PATTERN.exec(String(hhmm ?? '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/** minutos desde medianoche → 'HH:mm' */
+export const minutesToTime = (minutes) => {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${h}:${m}`;
+};
+
+/** '12:00-12:30' → { start: 720, end: 750 } (null si es inválido o vacío) */
+export const parseTimeRange = (range) => {
+  const [from, to] = String(range ?? '').split('-');
+  const start = timeToMinutes(from);
+  const end = timeToMinutes(to);
+  if (start === null || end === null || start >= end) return null;
+  return { start, end };
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Intervalos
+───────────────────────────────────────────────────────────── */
+
+export const intervalsOverlap = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+/** Resta `cuts` de `intervals` (ambos en minutos, [start, end)) */
+export const subtractIntervals = (intervals, cuts) => {
+  let result = intervals.map((i) => ({ ...i }));
+  for (const cut of cuts) {
+    result = result.flatMap((i) => {
+      if (!intervalsOverlap(i.start, i.end, cut.start, cut.end)) return [i];
+      const pieces = [];
+      if (cut.start > i.start) pieces.push({ start: i.start, end: cut.start });
+      if (cut.end < i.end) pieces.push({ start: cut.end, end: i.end });
+      return pieces;
+    });
+  }
+  return result;
+};
+
+/**
+ * Turnos de un día en minutos. Si el día define `shifts` se usan esos
+ * (ej. 08:00–12:00 y 14:00–19:00); si no, el par openTime/closeTime.
+ */
+export const getDayShifts = (dayHours) => {
+  if (!dayHours?.isOpen) return [];
+
+  const source = Array.isArray(dayHours.shifts) && dayHours.shifts.length
+    ? dayHours.shifts
+    : [{ openTime: dayHours.openTime, closeTime: dayHours.closeTime }];
+
+  return source
+    .map((s) => ({ start: timeToMinutes(s?.openTime), end: timeToMinutes(s?.closeTime) }))
+    .filter((s) => s.start !== null && s.end !== null && s.start < s.end)
+    .sort((a, b) => a.start - b.start);
+};
+
+/** Pausas de un día en minutos, ordenadas (ignora las mal formadas) */
+export const getDayBreaks = (dayHours) =>
+  (dayHours?.breaks || [])
+    .map(parseTimeRange)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Intervalos en los que el negocio atiende un día concreto, ya sin pausas.
+ * Recibe el subdocumento de operatingHours de ese día.
+ */
+export const getOpenIntervals = (dayHours) =>
+  subtractIntervals(getDayShifts(dayHours), getDayBreaks(dayHours));
+
+/** '08:00 - 12:00, 14:00 - 19:00' (o '' si el día está cerrado) */
+export const formatShifts = (dayHours) =>
+  getDayShifts(dayHours)
+    .map((s) => `${minutesToTime(s.start)} - ${minutesToTime(s.end)}`)
+    .join(', ');
+
+/**
+ * Valida el horario de un día: formato HH:mm, turnos sin solaparse y
+ * pausas 'HH:mm-HH:mm' dentro de un turno y sin solaparse entre sí.
+ * @returns {string|null} Mensaje del primer error o null si es válido
+ */
+export const validateDayHours = (dayHours, label = '') => {
+  if (!dayHours?.isOpen) return null;
+  const prefix = label ? `${label}: ` : '';
+
+  const rawShifts = Array.isArray(dayHours.shifts) && dayHours.shifts.length
+    ? dayHours.shifts
+    : [{ openTime: dayHours.openTime, closeTime: dayHours.closeTime }];
+
+  const shifts = [];
+  for (const s of rawShifts) {
+    const start = timeToMinutes(s?.openTime);
+    const end = timeToMinutes(s?.closeTime);
+    if (start === null || end === null) {
+      return `${prefix}las horas deben tener formato HH:mm`;
+    }
+    if (start >= end) {
+      return `${prefix}la hora de apertura debe ser menor que la de cierre (${s.openTime} - ${s.closeTime})`;
+    }
+    shifts.push({ start, end });
+  }
+  shifts.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < shifts.length; i++) {
+    if (shifts[i].start < shifts[i - 1].end) {
+      return `${prefix}los turnos no pueden solaparse`;
+    }
+  }
+
+  const breaks = [];
+  for (const raw of dayHours.breaks || []) {
+    const range = parseTimeRange(raw);
+    if (!range) {
+      return `${prefix}pausa inválida "${raw}" (formato HH:mm-HH:mm)`;
+    }
+    if (!shifts.some((s) => range.start >= s.start && range.end <= s.end)) {
+      return `${prefix}la pausa ${raw} está fuera del horario de atención`;
+    }
+    breaks.push(range);
+  }
+  breaks.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < breaks.length; i++) {
+    if (breaks[i].start < breaks[i - 1].end) {
+      return `${prefix}las pausas no pueden solaparse`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Con turnos, ordena `shifts` y sincroniza openTime/closeTime a la primera
+ * apertura y el último cierre. Muta el subdocumento recibido.
+ */
+export const normalizeDayHours = (hours) => {
+  if (!hours?.isOpen || !hours.shifts?.length) return hours;
+  hours.shifts = getDayShifts(hours).map((s) => ({
+    openTime: minutesToTime(s.start),
+    closeTime: minutesToTime(s.end),
+  }));
+  hours.openTime = hours.shifts[0].openTime;
+  hours.closeTime = hours.shifts[hours.shifts.length - 1].closeTime;
+  return hours;
+};
+
+/** ¿El rango [start, end) en minutos cabe completo en un intervalo abierto del día? */
+export const fitsOpenIntervals = (dayHours, start, end) =>
+  getOpenIntervals(dayHours).some((i) => start >= i.start && end <= i.end);
+
+/* ─────────────────────────────────────────────────────────────
+   Excepciones (cierres, horarios especiales, feriados)
+───────────────────────────────────────────────────────────── */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (date) =>
+  DATE_PATTERN.test(String(date ?? '')) && moment.utc(date, 'YYYY-MM-DD', true).isValid();
+
+/** Excepción del calendario que cubre una fecha 'YYYY-MM-DD' (la última definida gana) */
+export const findClosureForDate = (closures = [], date) => {
+  let match = null;
+  for (const c of closures || []) {
+    const end = c.endDate || c.startDate;
+    if (c.startDate <= date && date <= end) match = c;
+  }
+  return match;
+};
+
+/**
+ * Horario efectivo de una fecha local 'YYYY-MM-DD' para un negocio:
+ * excepción del calendario > feriado nacional (si el negocio lo observa) > horario semanal.
+ * @returns {{ dayHours: Object|null, closure: Object|null, holiday: Object|null }}
+ */
+export const getEffectiveDayHours = (business, date, weekday) => {
+  const closure = findClosureForDate(business?.closures, date);
+  if (closure) {
+    const dayHours = closure.type === CLOSURE_TYPES.CLOSED
+      ? { isOpen: false }
+      : { isOpen: true, shifts: closure.shifts || [], breaks: closure.breaks || [] };
+    return { dayHours, closure, holiday: null };
+  }
+
+  if (business?.settings?.observeNationalHolidays) {
+    const holiday = getHolidayForDate(date);
+    if (holiday) return { dayHours: { isOpen: false }, closure: null, holiday };
+  }
+
+  return { dayHours: business?.operatingHours?.[weekday] || null, closure: null, holiday: null };
+};
+
+/**
+ * Horario efectivo de un miembro del personal en una fecha: los cierres del
+ * negocio aplican siempre; si no usa el horario del negocio, rige su horario semanal.
+ */
+export const getStaffDayHours = (business, staff, date, weekday) => {
+  const effective = getEffectiveDayHours(business, date, weekday);
+  if (!staff || staff.useBusinessHours !== false || !effective.dayHours?.isOpen) return effective;
+  return { ...effective, dayHours: staff.operatingHours?.[weekday] || null };
+};
+
+/**
+ * Valida una excepción del calendario.
+ * @returns {string|null} Mensaje del primer error o null si es válida
+ */
+export const validateClosure = (closure) => {
+  if (!isValidDate(closure?.startDate)) {
+    return 'startDate debe tener formato YYYY-MM-DD';
+  }
+  if (closure.endDate !== undefined && closure.endDate !== null) {
+    if (!isValidDate(closure.endDate)) return 'endDate debe tener formato YYYY-MM-DD';
+    if (closure.endDate < closure.startDate) return 'endDate debe ser igual o posterior a startDate';
+  }
+  if (!Object.values(CLOSURE_TYPES).includes(closure.type)) {
+    return `type debe ser uno de: ${Object.values(CLOSURE_TYPES).join(', ')}`;
+  }
+  if (closure.type !== CLOSURE_TYPES.CLOSED) {
+    if (!closure.shifts?.length) return 'Los horarios especiales requieren al menos un turno';
+    return validateDayHours({ isOpen: true, shifts: closure.shifts, breaks: closure.breaks || [] });
+  }
+  return null;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Zona horaria
+───────────────────────────────────────────────────────────── */
+
+/** Devuelve una zona IANA válida (la del negocio o la por defecto) */
+export const resolveTimezone = (timezone) =>
+  timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+
+/** Clave de WEEKDAYS para un moment (ya en la zona del negocio) */
+export const getWeekdayKey = (m) => JS_DAY_TO_WEEKDAY[m.day()];
+
+/** Fecha local 'YYYY-MM-DD' + minutos → moment en la zona indicada */
+export const atLocalMinutes = (date, minutes, timezone) =>
+  moment.tz(`${date} ${minutesToTime(minutes)}`, 'YYYY-MM-DD HH:mm', true, timezone);
+
+export default {
+  DEFAULT_TIMEZONE,
+  timeToMinutes,
+  minutesToTime,
+  parseTimeRange,
+  intervalsOverlap,
+  subtractIntervals,
+  getDayShifts,
+  getDayBreaks,
+  getOpenIntervals,
+  formatShifts,
+  validateDayHours,
+  normalizeDayHours,
+  fitsOpenIntervals,
+  findClosureForDate,
+  getEffectiveDayHours,
+  getStaffDayHours,
+  validateClosure,
+  resolveTimezone,
+  getWeekdayKey,
+  atLocalMinutes,
+};
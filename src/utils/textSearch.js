@@ -0,0 +1,64 @@
+// src/utils/textSearch.js
+// Búsqueda tolerante a errores de tipeo sin motor externo: el texto se
+// normaliza (minúsculas, sin tildes) y se parte en trigramas; la similitud es
+// la fracción de trigramas de la consulta presentes en el documento.
+
+// Palabras muy comunes que no aportan a la búsqueda
+const STOPWORDS = new Set([
+  'a', 'al', 'con', 'de', 'del', 'el', 'en', 'la', 'las', 'lo', 'los',
+  'o', 'para', 'por', 'un', 'una', 'y',
+]);
+
+/** "Peluquería  Ñandú" → "peluqueria nandu" */
+export const foldText = (text) =>
+  String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+export const tokenize = (text) =>
+  foldText(text)
+    .split(' ')
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+
+/** Trigramas de una palabra con relleno (como pg_trgm): "sol" → "  s", " so", "sol", "ol " */
+const wordTrigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+};
+
+/**
+ * Trigramas únicos de uno o varios textos.
+ * @param {...(string|string[])} texts
+ * @returns {string[]}
+ */
+export const buildTrigrams = (...texts) => {
+  const grams = new Set();
+  texts.flat().forEach((text) => {
+    tokenize(text).forEach((word) => wordTrigrams(word).forEach((g) => grams.add(g)));
+  });
+  return [...grams];
+};
+
+/**
+ * Similitud 0..1: fracción de los trigramas de la consulta que están en el documento.
+ * @param {string[]} queryTrigrams
+ * @param {string[]|Set<string>} docTrigrams
+ */
+export const trigramSimilarity = (queryTrigrams, docTrigrams) => {
+  if (!queryTrigrams.length || !docTrigrams) return 0;
+  const doc = docTrigrams instanceof Set ? docTrigrams : new Set(docTrigrams);
+  const hits = queryTrigrams.filter((g) => doc.has(g)).length;
+  return hits / queryTrigrams.length;
+};
+
+export default {
+  foldText,
+  tokenize,
+  buildTrigrams,
+  trigramSimilarity,
+};
@@ -0,0 +1,135 @@
+// src/utils/totp.js
+// TOTP (RFC 6238) con node:crypto: secretos en base32, códigos de 6 dígitos
+// cada 30s y URI otpauth:// para el QR de las apps autenticadoras.
+// Los secretos se guardan cifrados (AES-256-GCM).
+
+import crypto from 'node:crypto';
+import { constants } from '../config/index.js';
+
+const { TWO_FACTOR } = constants;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/* ─────────────────────────────────────────────────────────────
+   Base32 (RFC 4648, sin padding)
+───────────────────────────────────────────────────────────── */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Secreto base32 inválido');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/* ─────────────────────────────────────────────────────────────
+   TOTP
+───────────────────────────────────────────────────────────── */
+
+/** Secreto nuevo de 160 bits en base32 */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/** Paso de tiempo (contador) para un instante */
+export const getTotpStep = (time = Date.now()) => Math.floor(time / 1000 / TWO_FACTOR.PERIOD_SECONDS);
+
+/** Código HOTP para un contador (RFC 4226) */
+export const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TWO_FACTOR.DIGITS).padStart(TWO_FACTOR.DIGITS, '0');
+};
+
+export const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getTotpStep(time));
+
+/**
+ * Verifica un código aceptando ±WINDOW pasos de desfase.
+ * @returns {number|null} Paso que coincidió (para impedir reutilizarlo) o null
+ */
+export const verifyTotp = (secret, code, { time = Date.now(), window = TWO_FACTOR.WINDOW } = {}) => {
+  const token = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TWO_FACTOR.DIGITS}}$`).test(token)) return null;
+
+  const current = getTotpStep(time);
+  for (let delta = -window; delta <= window; delta += 1) {
+    const expected = Buffer.from(generateHotp(secret, current + delta));
+    if (crypto.timingSafeEqual(expected, Buffer.from(token))) return current + delta;
+  }
+  return null;
+};
+
+/** URI para el QR: otpauth://totp/Issuer:cuenta?secret=...&issuer=... */
+export const buildOtpauthUri = ({ secret, account, issuer = TWO_FACTOR.ISSUER }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR.DIGITS),
+    period: String(TWO_FACTOR.PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Cifrado del secreto en reposo
+───────────────────────────────────────────────────────────── */
+const encryptionKey = () =>
+  crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa:${process.env.JWT_SECRET}`)
+    .digest();
+
+/** "iv.tag.datos" en base64url */
+export const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString('base64url')).join('.');
+};
+
+export const decryptSecret = (encrypted) => {
+  const [iv, tag, data] = String(encrypted).split('.').map((p) => Buffer.from(p, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTotpStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+};